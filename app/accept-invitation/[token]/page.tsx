@@ -0,0 +1,232 @@
+"use client"
+
+import type React from "react"
+
+import { useState, useEffect } from "react"
+import { useParams, useRouter } from "next/navigation"
+import { useNotification } from "@/contexts/NotificationContext"
+import { apiService } from "@/services/apiService"
+import LoadingSpinner from "@/components/shared/LoadingSpinner"
+import Link from "next/link"
+
+type Invitation = {
+  email: string
+  role: string
+  departmentName: string
+  expiresAt: string
+}
+
+export default function AcceptInvitationPage() {
+  const params = useParams()
+  const token = params.token as string
+  const [invitation, setInvitation] = useState<Invitation | null>(null)
+  const [loadError, setLoadError] = useState("")
+  const [formData, setFormData] = useState({
+    firstName: "",
+    lastName: "",
+    password: "",
+    confirmPassword: "",
+  })
+  const [loading, setLoading] = useState(false)
+  const [showPassword, setShowPassword] = useState(false)
+
+  const { showNotification } = useNotification()
+  const router = useRouter()
+
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        const res = await apiService.getInvitation(token)
+        setInvitation(res.data)
+      } catch (error: any) {
+        setLoadError(error.response?.data?.message || "Could not load this invitation.")
+      }
+    }
+    fetchInvitation()
+  }, [token])
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+
+    if (formData.firstName.trim().length < 2 || formData.lastName.trim().length < 2) {
+      showNotification({
+        type: "error",
+        title: "Validation Error",
+        message: "Please enter your first and last name",
+      })
+      return
+    }
+
+    if (formData.password.length < 6) {
+      showNotification({
+        type: "error",
+        title: "Validation Error",
+        message: "Password must be at least 6 characters",
+      })
+      return
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      showNotification({
+        type: "error",
+        title: "Validation Error",
+        message: "Passwords do not match",
+      })
+      return
+    }
+
+    setLoading(true)
+    try {
+      await apiService.acceptInvitation(token, formData)
+      showNotification({
+        type: "success",
+        title: "Account Created",
+        message: "Your officer account is ready. Please sign in.",
+      })
+      router.push("/login")
+    } catch (error: any) {
+      showNotification({
+        type: "error",
+        title: "Could Not Accept Invitation",
+        message: error.response?.data?.message || "Could not accept the invitation. Please try again.",
+      })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value } = e.target
+    setFormData((prev) => ({ ...prev, [name]: value }))
+  }
+
+  if (loadError) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-6 text-center">
+          <div className="rounded-md bg-red-50 p-4 text-sm text-red-800">{loadError}</div>
+          <p className="text-sm text-gray-600">Ask the system administrator to send you a new invitation.</p>
+          <Link href="/login" className="text-sm font-medium text-blue-600 hover:text-blue-500">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  if (!invitation) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">Join {invitation.departmentName}</h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Create your {invitation.role} account for {invitation.email}. Your approvals will be recorded under your
+            name.
+          </p>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="firstName" className="block text-sm font-medium text-gray-700">
+                  First Name
+                </label>
+                <input
+                  id="firstName"
+                  name="firstName"
+                  type="text"
+                  autoComplete="given-name"
+                  required
+                  value={formData.firstName}
+                  onChange={handleInputChange}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label htmlFor="lastName" className="block text-sm font-medium text-gray-700">
+                  Last Name
+                </label>
+                <input
+                  id="lastName"
+                  name="lastName"
+                  type="text"
+                  autoComplete="family-name"
+                  required
+                  value={formData.lastName}
+                  onChange={handleInputChange}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                Password
+              </label>
+              <input
+                id="password"
+                name="password"
+                type={showPassword ? "text" : "password"}
+                autoComplete="new-password"
+                required
+                value={formData.password}
+                onChange={handleInputChange}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                placeholder="At least 6 characters"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+                Confirm Password
+              </label>
+              <input
+                id="confirmPassword"
+                name="confirmPassword"
+                type={showPassword ? "text" : "password"}
+                autoComplete="new-password"
+                required
+                value={formData.confirmPassword}
+                onChange={handleInputChange}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Enter the password again"
+              />
+            </div>
+
+            <div className="flex items-center">
+              <input
+                id="showPassword"
+                type="checkbox"
+                checked={showPassword}
+                onChange={(e) => setShowPassword(e.target.checked)}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <label htmlFor="showPassword" className="ml-2 block text-sm text-gray-900">
+                Show passwords
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? <LoadingSpinner size="sm" /> : "Create account"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
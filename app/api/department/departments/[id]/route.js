@@ -4,7 +4,11 @@ export async function GET(request, { params }) {
   const { id } = params;
   try {
     // Proxy the request to your Express backend (corrected path)
-    const backendRes = await fetch(`https://biu-uni.onrender.com/api/department/departments/${id}`);
+    const backendRes = await fetch(`https://biu-uni.onrender.com/api/department/departments/${id}`, {
+      headers: {
+        ...(request.headers.get("authorization") && { Authorization: request.headers.get("authorization") }),
+      },
+    });
     if (!backendRes.ok) {
       return NextResponse.json({ error: "Department not found" }, { status: backendRes.status });
     }
@@ -10,7 +10,7 @@ export async function GET(req, { params }) {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
-        // Add auth headers/cookies if needed
+        ...(req.headers.get('authorization') && { Authorization: req.headers.get('authorization') }),
       },
       // credentials: 'include', // if you need cookies
     });
@@ -1,7 +1,7 @@
 "use client"
 
-import { useState, useEffect } from "react"
-import { CheckCircle, XCircle, User, FileText, Clock } from "lucide-react"
+import { useState, useEffect, Fragment } from "react"
+import { CheckCircle, XCircle, User, FileText, Clock, Download } from "lucide-react"
 import LoadingSpinner from "../../src/components/shared/LoadingSpinner"
 import departmentService from "../../src/services/departmentService"
 import { useAuth } from "../../contexts/AuthContext"
@@ -12,6 +12,9 @@ const ApprovalInterface = () => {
   const [loadingId, setLoadingId] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [openDocumentsFor, setOpenDocumentsFor] = useState(null)
+  const [documents, setDocuments] = useState({})
+  const [documentBusyId, setDocumentBusyId] = useState(null)
 
   // Fetch clearance requests for the logged-in department
   useEffect(() => {
@@ -41,13 +44,12 @@ const ApprovalInterface = () => {
                 studentName: req.studentName || req.name || req.fullName,
                 matricNo: req.matricNo || req.matricNumber,
                 requestDate: req.submittedAt || req.createdAt,
-                documentUrl: req.documentUrl, // adjust if needed
                 id: dept._id?.toString() || `${req._id}-${dept.departmentId}`,
                 status: dept.status,
                 departmentName: dept.departmentName || dept.department,
                 departmentId: dept.departmentId,
                 departmentSubdocId: dept._id?.toString(), // <-- add this line
-                studentId: req.studentId,
+                studentId: req.studentId?._id || req.studentId,
               })
             }
           }
@@ -102,13 +104,86 @@ const ApprovalInterface = () => {
     if (user?.role === "department") fetchRequests()
   }, [user])
 
+  const toggleDocuments = async (req) => {
+    if (openDocumentsFor === req.id) {
+      setOpenDocumentsFor(null)
+      return
+    }
+    setOpenDocumentsFor(req.id)
+    if (documents[req.studentId]) return
+    try {
+      const data = await departmentService.getStudentDocuments(req.studentId)
+      setDocuments((prev) => ({ ...prev, [req.studentId]: data }))
+    } catch (err) {
+      setError(err?.message || "Failed to load documents.")
+    }
+  }
+
+  const handleDownload = async (document) => {
+    setDocumentBusyId(document._id)
+    try {
+      const blob = await departmentService.downloadDocument(document._id)
+      const url = URL.createObjectURL(blob)
+      window.open(url, "_blank", "noopener")
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000)
+    } catch (err) {
+      setError(err?.message || "Failed to download document.")
+    } finally {
+      setDocumentBusyId(null)
+    }
+  }
+
+  const handleVerify = async (studentId, document, approved) => {
+    const remarks = approved ? "" : window.prompt("Why is this document being rejected?")
+    if (!approved && !remarks) return
+    setDocumentBusyId(document._id)
+    try {
+      const updated = await departmentService.verifyDocument(document._id, { approved, remarks })
+      setDocuments((prev) => ({
+        ...prev,
+        [studentId]: prev[studentId].map((d) => (d._id === document._id ? { ...d, status: updated.status } : d)),
+      }))
+    } catch (err) {
+      setError(err?.message || "Failed to verify document.")
+    } finally {
+      setDocumentBusyId(null)
+    }
+  }
+
+  // Required checklist items still unticked for a request
+  const getOutstanding = (req) =>
+    (req.requirements || []).filter((r) => r.isRequired !== false && !r.completed)
+
+  const handleRequirementToggle = async (req, requirement) => {
+    setLoadingId(req.id)
+    try {
+      const completed = !requirement.completed
+      await departmentService.updateRequirement({
+        clearanceId: req.clearanceId,
+        departmentSubdocId: req.departmentSubdocId,
+        requirementId: requirement._id,
+        completed,
+      })
+      setRequests((prev) =>
+        prev.map((r) =>
+          r.id === req.id
+            ? {
+                ...r,
+                requirements: r.requirements.map((item) =>
+                  item._id === requirement._id ? { ...item, completed } : item
+                ),
+              }
+            : r
+        )
+      )
+    } catch (err) {
+      setError("Failed to update requirement.")
+    } finally {
+      setLoadingId(null)
+    }
+  }
+
   const handleAction = async (req, action) => {
-    console.log("DEBUG handleAction:", {
-      clearanceId: req.clearanceId,
-      departmentId: req.departmentId,
-      approvedBy: user?._id,
-      req
-    });
     setLoadingId(req.id)
     try {
       if (action === "approve") {
@@ -117,16 +192,17 @@ const ApprovalInterface = () => {
           clearanceId: req.clearanceId,
           departmentId: req.departmentId, // reference to Department collection
           departmentSubdocId: req.departmentSubdocId, // subdocument _id in clearance.departments
-          approvedBy: user?._id, // pass user id if available
           remarks: "Approved by department head.",
         })
       } else {
+        const reason = window.prompt("Reason for rejection (the student will see this):")
+        if (!reason) return
         await departmentService.rejectStudent({
           studentId: req.studentId,
           clearanceId: req.clearanceId,
-          departmentId: req.departmentId, // for consistency, if needed
-          approvedBy: user?._id,
-          remarks: "Rejected by department head.",
+          departmentId: req.departmentId,
+          departmentSubdocId: req.departmentSubdocId,
+          remarks: reason,
         })
       }
       setRequests((prev) =>
@@ -135,7 +211,7 @@ const ApprovalInterface = () => {
         )
       )
     } catch (err) {
-      setError("Failed to update request status.")
+      setError(err?.message || "Failed to update request status.")
     } finally {
       setLoadingId(null)
     }
@@ -156,13 +232,15 @@ const ApprovalInterface = () => {
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Requested</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Document</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Requirements</th>
               <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
               <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
             {requests.map((req) => (
-              <tr key={req.id} className="hover:bg-gray-50 transition">
+              <Fragment key={req.id}>
+              <tr className="hover:bg-gray-50 transition">
                 <td className="px-6 py-4 whitespace-nowrap flex items-center gap-2">
                   <User className="w-5 h-5 text-blue-500" />
                   <span className="font-medium text-gray-900">{req.studentName}</span>
@@ -173,14 +251,36 @@ const ApprovalInterface = () => {
                   {new Date(req.requestDate).toLocaleDateString()} <Clock className="inline w-4 h-4 ml-1 text-gray-400" />
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap">
-                  <a
-                    href={req.documentUrl}
-                    target="_blank"
-                    rel="noopener noreferrer"
+                  <button
+                    onClick={() => toggleDocuments(req)}
                     className="inline-flex items-center text-blue-600 hover:underline"
                   >
-                    <FileText className="w-4 h-4 mr-1" />View
-                  </a>
+                    <FileText className="w-4 h-4 mr-1" />
+                    {openDocumentsFor === req.id ? "Hide" : "View"}
+                  </button>
+                </td>
+                <td className="px-6 py-4 text-gray-700">
+                  {(req.requirements || []).length === 0 ? (
+                    <span className="text-gray-400 text-xs">None</span>
+                  ) : (
+                    <ul className="space-y-1">
+                      {req.requirements.map((requirement) => (
+                        <li key={requirement._id} className="flex items-center gap-2 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={!!requirement.completed}
+                            disabled={req.status !== "pending" || loadingId === req.id}
+                            onChange={() => handleRequirementToggle(req, requirement)}
+                            className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+                          />
+                          <span className={requirement.completed ? "line-through text-gray-400" : ""}>
+                            {requirement.name}
+                            {requirement.isRequired !== false && <span className="text-red-500 ml-0.5">*</span>}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-center">
                   {req.status === "pending" && (
@@ -204,7 +304,12 @@ const ApprovalInterface = () => {
                     <div className="flex items-center justify-center gap-2">
                       <button
                         onClick={() => handleAction(req, "approve")}
-                        disabled={loadingId === req.id}
+                        disabled={loadingId === req.id || getOutstanding(req).length > 0}
+                        title={
+                          getOutstanding(req).length > 0
+                            ? `Outstanding: ${getOutstanding(req).map((r) => r.name).join(", ")}`
+                            : undefined
+                        }
                         className="inline-flex items-center px-3 py-1.5 bg-green-600 text-white rounded hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-400 text-xs font-medium disabled:opacity-60"
                       >
                         {loadingId === req.id ? <LoadingSpinner size={16} /> : <CheckCircle className="w-4 h-4 mr-1" />}
@@ -224,6 +329,65 @@ const ApprovalInterface = () => {
                   )}
                 </td>
               </tr>
+              {openDocumentsFor === req.id && (
+                <tr className="bg-gray-50">
+                  <td colSpan={8} className="px-6 py-4">
+                    {!documents[req.studentId] ? (
+                      <LoadingSpinner size={16} />
+                    ) : documents[req.studentId].length === 0 ? (
+                      <span className="text-sm text-gray-500">This student has not uploaded any documents.</span>
+                    ) : (
+                      <ul className="divide-y divide-gray-200">
+                        {documents[req.studentId].map((document) => (
+                          <li key={document._id} className="flex items-center justify-between py-2 text-sm">
+                            <span className="flex items-center gap-2 text-gray-800">
+                              <FileText className="w-4 h-4 text-gray-400" />
+                              {document.originalName}
+                              <span className="text-xs text-gray-500">({document.documentType})</span>
+                              <span
+                                className={`px-2 py-0.5 text-xs font-semibold rounded ${
+                                  document.status === "verified"
+                                    ? "bg-green-100 text-green-800"
+                                    : document.status === "rejected"
+                                    ? "bg-red-100 text-red-800"
+                                    : "bg-yellow-100 text-yellow-800"
+                                }`}
+                              >
+                                {document.status}
+                              </span>
+                            </span>
+                            <span className="flex items-center gap-2">
+                              <button
+                                onClick={() => handleDownload(document)}
+                                disabled={documentBusyId === document._id || document.metadata?.scanResult !== "CLEAN"}
+                                title={document.metadata?.scanResult !== "CLEAN" ? "Awaiting a clean virus scan" : undefined}
+                                className="inline-flex items-center text-blue-600 hover:underline disabled:opacity-60"
+                              >
+                                <Download className="w-4 h-4 mr-1" />Open
+                              </button>
+                              <button
+                                onClick={() => handleVerify(req.studentId, document, true)}
+                                disabled={documentBusyId === document._id || document.status === "verified"}
+                                className="inline-flex items-center text-green-700 hover:underline disabled:opacity-40"
+                              >
+                                <CheckCircle className="w-4 h-4 mr-1" />Verify
+                              </button>
+                              <button
+                                onClick={() => handleVerify(req.studentId, document, false)}
+                                disabled={documentBusyId === document._id || document.status === "rejected"}
+                                className="inline-flex items-center text-red-700 hover:underline disabled:opacity-40"
+                              >
+                                <XCircle className="w-4 h-4 mr-1" />Reject
+                              </button>
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
+                </tr>
+              )}
+              </Fragment>
             ))}
           </tbody>
         </table>
@@ -5,6 +5,8 @@ import { Building, Phone, User, Mail, MapPin } from "lucide-react";
 import LoadingSpinner from "@/components/shared/LoadingSpinner";
 import departmentService from "@/services/departmentService";
 import { useAuth } from "@/contexts/AuthContext";
+import TwoFactorSettings from "../../../src/components/shared/TwoFactorSettings";
+import ActiveSessions from "../../../src/components/shared/ActiveSessions";
 
 export default function DepartmentProfile() {
   const { user } = useAuth();
@@ -25,7 +27,10 @@ export default function DepartmentProfile() {
         let deptId = user?.departmentId || user?.id;
         console.log("DepartmentId:", deptId);
         if (!deptId) throw new Error("No departmentId or user id found for user");
-        const res = await fetch(`/api/department/departments/${deptId}`);
+        const token = localStorage.getItem("token") || sessionStorage.getItem("token");
+        const res = await fetch(`/api/department/departments/${deptId}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
         if (!res.ok) throw new Error("Failed to fetch department profile");
         const data = await res.json();
         setDepartment(data);
@@ -178,6 +183,12 @@ export default function DepartmentProfile() {
           </>
         )}
       </div>
+      <div className="bg-white rounded-xl shadow p-6 mt-6">
+        <TwoFactorSettings />
+      </div>
+      <div className="bg-white rounded-xl shadow p-6 mt-6">
+        <ActiveSessions />
+      </div>
     </div>
   );
 }
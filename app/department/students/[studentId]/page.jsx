@@ -3,6 +3,7 @@
 import { useEffect, useState } from "react";
 import { useRouter, useParams } from "next/navigation";
 import { getStudentById } from "@/services/departmentService";
+import { resolveApiUrl } from "@/services/apiService";
 import LoadingSpinner from "@/components/shared/LoadingSpinner";
 import Link from "next/link";
 import { User, Phone, Hash, Clock, ArrowLeft } from "lucide-react";
@@ -52,9 +53,9 @@ export default function DepartmentStudentDetailPage() {
       <div className="bg-white rounded-xl shadow-md p-8">
         <div className="flex items-center mb-6">
           <div className="h-20 w-20 rounded-full bg-gray-100 flex items-center justify-center overflow-hidden mr-6">
-            {student.profilePicture || (student.userId && student.userId.profilePicture) ? (
+            {student.profilePictureUrl ? (
               <img
-                src={student.profilePicture || (student.userId && student.userId.profilePicture)}
+                src={resolveApiUrl(student.profilePictureUrl)}
                 alt="Profile"
                 className="h-20 w-20 object-cover"
               />
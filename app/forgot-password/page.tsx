@@ -0,0 +1,98 @@
+"use client"
+
+import type React from "react"
+
+import { useState } from "react"
+import { useNotification } from "@/contexts/NotificationContext"
+import { apiService } from "@/services/apiService"
+import LoadingSpinner from "@/components/shared/LoadingSpinner"
+import Link from "next/link"
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState("")
+  const [loading, setLoading] = useState(false)
+  const [sent, setSent] = useState(false)
+
+  const { showNotification } = useNotification()
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+
+    if (!email) {
+      showNotification({
+        type: "error",
+        title: "Validation Error",
+        message: "Please enter your email address",
+      })
+      return
+    }
+
+    setLoading(true)
+    try {
+      await apiService.forgotPassword(email)
+      setSent(true)
+    } catch (error: any) {
+      showNotification({
+        type: "error",
+        title: "Request Failed",
+        message: error.response?.data?.message || "Could not request a password reset. Please try again.",
+      })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">Forgot your password?</h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Enter the email address of your account and we will send you a link to reset your password.
+          </p>
+        </div>
+
+        {sent ? (
+          <div className="rounded-md bg-green-50 p-4 text-sm text-green-800">
+            If an account exists for {email}, a password reset link is on its way. The link expires in 10 minutes.
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email Address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Enter your email"
+              />
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? <LoadingSpinner size="sm" /> : "Send reset link"}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="text-center">
+          <Link href="/login" className="text-sm font-medium text-blue-600 hover:text-blue-500">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -3,7 +3,8 @@
 import type React from "react"
 
 import { useState } from "react"
-import { useAuth } from "@/contexts/AuthContext"
+import { useAuth, type LoginChallenge } from "@/contexts/AuthContext"
+import { apiService } from "@/services/apiService"
 import { useNotification } from "@/contexts/NotificationContext"
 import { useRouter } from "next/navigation"
 import LoadingSpinner from "@/components/shared/LoadingSpinner"
@@ -18,8 +19,14 @@ export default function LoginPage() {
   })
   const [loading, setLoading] = useState(false)
   const [showPassword, setShowPassword] = useState(false)
+  // Second step after the password: a code, or enrolling first when the role requires it
+  const [challenge, setChallenge] = useState<LoginChallenge | null>(null)
+  const [twoFactorCode, setTwoFactorCode] = useState("")
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [setup, setSetup] = useState<{ secret: string; qrCode: string } | null>(null)
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null)
 
-  const { login } = useAuth()
+  const { login, completeTwoFactorLogin, completeTwoFactorSetup } = useAuth()
   const { showNotification } = useNotification()
   const router = useRouter()
 
@@ -37,36 +44,92 @@ export default function LoginPage() {
 
     setLoading(true)
     try {
-      await login(formData)
+      const pending = await login(formData)
+      if (pending) {
+        setChallenge(pending)
+        setTwoFactorCode("")
+        if (pending.twoFactorSetupRequired) {
+          const res = await apiService.beginLoginTwoFactorSetup(pending.challengeToken)
+          setSetup(res.data)
+        }
+        return
+      }
+      finishLogin()
+    } catch (error: any) {
       showNotification({
-        type: "success",
-        title: "Login Successful",
-        message: "Welcome back!",
+        type: "error",
+        title: "Login Failed",
+        message: error.response?.data?.message || error.message || "Invalid credentials",
       })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const finishLogin = () => {
+    showNotification({
+      type: "success",
+      title: "Login Successful",
+      message: "Welcome back!",
+    })
+
+    // Redirect based on role
+    switch (formData.role) {
+      case "student":
+        router.push("/student/dashboard")
+        break
+      case "department":
+        router.push("/department")
+        break
+      case "admin":
+        router.push("/admin/dashboard")
+        break
+    }
+  }
+
+  const handleTwoFactorSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!challenge) return
 
-      // Redirect based on role
-      switch (formData.role) {
-        case "student":
-          router.push("/student/dashboard")
-          break
-        case "department":
-          router.push("/department")
-          break
-        case "admin":
-          router.push("/admin/dashboard")
-          break
+    setLoading(true)
+    try {
+      const value = twoFactorCode.trim()
+      if (challenge.twoFactorSetupRequired) {
+        const codes = await completeTwoFactorSetup(challenge, value, formData.rememberMe)
+        // Stay on the page until the recovery codes have been seen
+        setRecoveryCodes(codes)
+        return
       }
+      await completeTwoFactorLogin(
+        challenge,
+        useRecoveryCode ? { recoveryCode: value } : { code: value },
+        formData.rememberMe,
+      )
+      finishLogin()
     } catch (error: any) {
+      const status = error.response?.status
       showNotification({
         type: "error",
-        title: "Login Failed",
-        message: error.message || "Invalid credentials",
+        title: "Verification Failed",
+        message: error.response?.data?.message || "Invalid authentication code",
       })
+      // An expired challenge or a locked account means starting again from the password
+      if (status === 423 || (status === 401 && error.response?.data?.message !== "Invalid authentication code")) {
+        resetChallenge()
+      }
     } finally {
       setLoading(false)
     }
   }
 
+  const resetChallenge = () => {
+    setChallenge(null)
+    setSetup(null)
+    setTwoFactorCode("")
+    setUseRecoveryCode(false)
+    setFormData((prev) => ({ ...prev, password: "" }))
+  }
+
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
     const { name, value, type } = e.target
     setFormData((prev) => ({
@@ -75,6 +138,122 @@ export default function LoginPage() {
     }))
   }
 
+  if (recoveryCodes) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-6">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">Save your recovery codes</h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              Each code signs you in once if you lose access to your authenticator app. They will not be shown again.
+            </p>
+          </div>
+          <div className="grid grid-cols-2 gap-2 rounded-md bg-white border border-gray-200 p-4 font-mono text-sm text-gray-900">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={finishLogin}
+            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            I have saved them, continue
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  if (challenge) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              {challenge.twoFactorSetupRequired ? "Set up two-factor authentication" : "Two-factor authentication"}
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {challenge.twoFactorSetupRequired
+                ? "Your account requires a code from an authenticator app. Scan the QR code, then enter the six-digit code it shows."
+                : useRecoveryCode
+                  ? "Enter one of your recovery codes."
+                  : "Enter the six-digit code from your authenticator app."}
+            </p>
+          </div>
+
+          <form className="mt-8 space-y-6" onSubmit={handleTwoFactorSubmit}>
+            {challenge.twoFactorSetupRequired && (
+              <div className="flex flex-col items-center space-y-2">
+                {setup ? (
+                  <>
+                    <img src={setup.qrCode} alt="Two-factor QR code" className="w-44 h-44 border rounded" />
+                    <p className="text-xs text-gray-500 text-center">
+                      Can't scan it? Enter this key instead:{" "}
+                      <span className="font-mono text-gray-900 break-all">{setup.secret}</span>
+                    </p>
+                  </>
+                ) : (
+                  <LoadingSpinner />
+                )}
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700">
+                {useRecoveryCode ? "Recovery code" : "Authentication code"}
+              </label>
+              <input
+                id="twoFactorCode"
+                name="twoFactorCode"
+                type="text"
+                inputMode={useRecoveryCode ? "text" : "numeric"}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                maxLength={useRecoveryCode ? 20 : 6}
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+              />
+            </div>
+
+            <div className="flex items-center justify-between text-sm">
+              {challenge.twoFactorRequired ? (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode)
+                    setTwoFactorCode("")
+                  }}
+                  className="font-medium text-blue-600 hover:text-blue-500"
+                >
+                  {useRecoveryCode ? "Use authenticator code" : "Use a recovery code"}
+                </button>
+              ) : (
+                <span />
+              )}
+              <button type="button" onClick={resetChallenge} className="font-medium text-gray-600 hover:text-gray-500">
+                Back to sign in
+              </button>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading || (challenge.twoFactorSetupRequired && !setup)}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? <LoadingSpinner size="sm" /> : "Verify"}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
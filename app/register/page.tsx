@@ -26,15 +26,6 @@ export default function RegisterPage() {
   })
   const [profilePicture, setProfilePicture] = useState<File | null>(null)
 
-  // Department registration state
-  const [deptForm, setDeptForm] = useState({
-    departmentName: "",
-    departmentCode: "",
-    email: "",
-    password: "",
-    confirmPassword: "",
-  })
-
   const [loading, setLoading] = useState(false)
   const [showPassword, setShowPassword] = useState(false)
   const { showNotification } = useNotification()
@@ -90,28 +81,6 @@ export default function RegisterPage() {
     return errors
   }
 
-  // Department form validation
-  const validateDeptForm = () => {
-    const errors = []
-    if (!deptForm.departmentName.trim()) errors.push("Department name is required")
-    if (!deptForm.departmentCode.trim()) errors.push("Department code is required")
-    if (!deptForm.email.trim()) errors.push("Email is required")
-    if (!deptForm.password) errors.push("Password is required")
-    if (!deptForm.confirmPassword) errors.push("Please confirm your password")
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    if (deptForm.email && !emailRegex.test(deptForm.email)) {
-      errors.push("Please enter a valid email address")
-    }
-    if (deptForm.password && deptForm.password.length < 6) {
-      errors.push("Password must be at least 6 characters long")
-    }
-    if (deptForm.password !== deptForm.confirmPassword) {
-      errors.push("Passwords do not match")
-    }
-    return errors
-  }
-
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
 
@@ -168,51 +137,6 @@ export default function RegisterPage() {
     }
   }
 
-  const handleDeptSubmit = async (e: React.FormEvent) => {
-    e.preventDefault()
-    const errors = validateDeptForm()
-    if (errors.length > 0) {
-      showNotification({
-        type: "error",
-        title: "Validation Error",
-        message: errors[0],
-      })
-      return
-    }
-    setLoading(true)
-    try {
-      const res = await fetch("https://biu-uni.onrender.com/api/auth/register-department", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(deptForm),
-      })
-      const data = await res.json()
-      if (!res.ok) {
-        showNotification({
-          type: "error",
-          title: "Registration Failed",
-          message: data.message || "Registration failed. Please try again.",
-        })
-        setLoading(false)
-        return
-      }
-      showNotification({
-        type: "success",
-        title: "Registration Successful",
-        message: "Department account created successfully. Please log in.",
-      })
-      router.push("/login")
-    } catch (error: any) {
-      showNotification({
-        type: "error",
-        title: "Registration Failed",
-        message: error.message || "An error occurred during registration",
-      })
-    } finally {
-      setLoading(false)
-    }
-  }
-
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
     const { name, value } = e.target
 
@@ -229,11 +153,6 @@ export default function RegisterPage() {
     }
   }
 
-  const handleDeptInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const { name, value } = e.target
-    setDeptForm((prev) => ({ ...prev, [name]: value }))
-  }
-
   const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     if (e.target.files && e.target.files[0]) {
       setProfilePicture(e.target.files[0])
@@ -276,7 +195,7 @@ export default function RegisterPage() {
             }`}
             onClick={() => setRegisterType("department")}
           >
-            Register as Department
+            Department Officer
           </button>
         </div>
         {/* Student Registration Form */}
@@ -527,94 +446,13 @@ export default function RegisterPage() {
             </form>
           </>
         )}
-        {/* Department Registration Form */}
+        {/* Department officers join by invitation */}
         {registerType === "department" && (
-          <form className="space-y-6" onSubmit={handleDeptSubmit}>
-            <div className="space-y-4">
-              <div>
-                <label htmlFor="departmentName" className="block text-sm font-medium text-gray-700">
-                  Department Name
-                </label>
-                <input
-                  id="departmentName"
-                  name="departmentName"
-                  type="text"
-                  required
-                  value={deptForm.departmentName}
-                  onChange={handleDeptInputChange}
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                  placeholder="Department name"
-                />
-              </div>
-              <div>
-                <label htmlFor="departmentCode" className="block text-sm font-medium text-gray-700">
-                  Department Code
-                </label>
-                <input
-                  id="departmentCode"
-                  name="departmentCode"
-                  type="text"
-                  required
-                  value={deptForm.departmentCode}
-                  onChange={handleDeptInputChange}
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                  placeholder="e.g., CSC"
-                />
-              </div>
-              <div>
-                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                  Department Email
-                </label>
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  required
-                  value={deptForm.email}
-                  onChange={handleDeptInputChange}
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                  placeholder="department@university.edu"
-                />
-              </div>
-              <div>
-                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                  Password
-                </label>
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? "text" : "password"}
-                  required
-                  value={deptForm.password}
-                  onChange={handleDeptInputChange}
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                  placeholder="Enter password (min. 6 characters)"
-                />
-              </div>
-              <div>
-                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
-                  Confirm Password
-                </label>
-                <input
-                  id="confirmPassword"
-                  name="confirmPassword"
-                  type="password"
-                  required
-                  value={deptForm.confirmPassword}
-                  onChange={handleDeptInputChange}
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                  placeholder="Confirm your password"
-                />
-              </div>
-            </div>
-            <div>
-              <button
-                type="submit"
-                disabled={loading}
-                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {loading ? <LoadingSpinner size="sm" /> : "Create Department Account"}
-              </button>
+          <div className="space-y-6">
+            <div className="rounded-md bg-blue-50 p-4 text-sm text-blue-800">
+              Department officers each have their own account, created from an invitation. Ask the system
+              administrator to invite your email address; the invitation email contains a link to set your name and
+              password.
             </div>
             <div className="text-center">
               <p className="text-sm text-gray-600">
@@ -624,7 +462,7 @@ export default function RegisterPage() {
                 </Link>
               </p>
             </div>
-          </form>
+          </div>
         )}
       </div>
     </div>
@@ -0,0 +1,151 @@
+"use client"
+
+import type React from "react"
+
+import { useState } from "react"
+import { useParams, useRouter } from "next/navigation"
+import { useNotification } from "@/contexts/NotificationContext"
+import { apiService } from "@/services/apiService"
+import LoadingSpinner from "@/components/shared/LoadingSpinner"
+import Link from "next/link"
+
+export default function ResetPasswordPage() {
+  const params = useParams()
+  const token = params.token as string
+  const [formData, setFormData] = useState({
+    password: "",
+    confirmPassword: "",
+  })
+  const [loading, setLoading] = useState(false)
+  const [showPassword, setShowPassword] = useState(false)
+
+  const { showNotification } = useNotification()
+  const router = useRouter()
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+
+    if (formData.password.length < 6) {
+      showNotification({
+        type: "error",
+        title: "Validation Error",
+        message: "Password must be at least 6 characters",
+      })
+      return
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      showNotification({
+        type: "error",
+        title: "Validation Error",
+        message: "Passwords do not match",
+      })
+      return
+    }
+
+    setLoading(true)
+    try {
+      await apiService.resetPassword(token, formData.password, formData.confirmPassword)
+      showNotification({
+        type: "success",
+        title: "Password Reset",
+        message: "Your password has been reset. Please sign in with your new password.",
+      })
+      router.push("/login")
+    } catch (error: any) {
+      showNotification({
+        type: "error",
+        title: "Reset Failed",
+        message: error.response?.data?.message || "Could not reset your password. Please try again.",
+      })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value } = e.target
+    setFormData((prev) => ({ ...prev, [name]: value }))
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">Choose a new password</h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            You will be signed out on every device once your password is reset.
+          </p>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          <div className="space-y-4">
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                New Password
+              </label>
+              <input
+                id="password"
+                name="password"
+                type={showPassword ? "text" : "password"}
+                autoComplete="new-password"
+                required
+                value={formData.password}
+                onChange={handleInputChange}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                placeholder="At least 6 characters"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+                Confirm New Password
+              </label>
+              <input
+                id="confirmPassword"
+                name="confirmPassword"
+                type={showPassword ? "text" : "password"}
+                autoComplete="new-password"
+                required
+                value={formData.confirmPassword}
+                onChange={handleInputChange}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Enter the password again"
+              />
+            </div>
+
+            <div className="flex items-center">
+              <input
+                id="showPassword"
+                type="checkbox"
+                checked={showPassword}
+                onChange={(e) => setShowPassword(e.target.checked)}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <label htmlFor="showPassword" className="ml-2 block text-sm text-gray-900">
+                Show passwords
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? <LoadingSpinner size="sm" /> : "Reset password"}
+            </button>
+          </div>
+
+          <div className="text-center text-sm text-gray-600">
+            Link expired?{" "}
+            <Link href="/forgot-password" className="font-medium text-blue-600 hover:text-blue-500">
+              Request a new one
+            </Link>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
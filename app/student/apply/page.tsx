@@ -60,7 +60,9 @@ export default function ClearanceApplication() {
   useEffect(() => {
     const fetchDepartments = async () => {
       try {
-        const res = await fetch("https://biu-uni.onrender.com/api/departments");
+        const res = await fetch("https://biu-uni.onrender.com/api/departments", {
+          headers: { Authorization: `Bearer ${getToken()}` },
+        });
         const data = await res.json();
         if (Array.isArray(data) && data.length > 0) {
           setDepartments(data);
@@ -136,20 +138,33 @@ export default function ClearanceApplication() {
     }
   };
 
+  const getToken = () => {
+    const token = localStorage.getItem("token") || sessionStorage.getItem("token");
+    if (!token) throw new Error("Not authenticated");
+    return token;
+  };
+
   const uploadSingleFile = async (file: File) => {
     const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     setUploadProgress((prev: any) => ({
       ...prev,
       [uploadId]: { name: file.name, progress: 0, status: "uploading" },
     }));
-    setTimeout(() => {
+    try {
+      const response = await apiService.uploadDocument(file, { documentType: "other" }, getToken(), (progress) => {
+        setUploadProgress((prev: any) => ({
+          ...prev,
+          [uploadId]: { ...prev[uploadId], progress },
+        }));
+      });
+      const [document] = response.data;
       setUploadedFiles((prev) => [
         ...prev,
         {
-          id: uploadId,
-          name: file.name,
-          size: file.size,
-          type: file.type,
+          id: document._id,
+          name: document.originalName,
+          size: document.size,
+          type: document.mimetype,
           url: URL.createObjectURL(file),
           uploadId,
         },
@@ -162,6 +177,14 @@ export default function ClearanceApplication() {
           status: "completed",
         },
       }));
+    } catch (error: any) {
+      const message = error.response?.data?.message || error.message;
+      setUploadProgress((prev: any) => ({
+        ...prev,
+        [uploadId]: { ...prev[uploadId], status: "failed", error: message },
+      }));
+      throw new Error(message);
+    } finally {
       setTimeout(() => {
         setUploadProgress((prev: any) => {
           const newProgress = { ...prev };
@@ -169,16 +192,25 @@ export default function ClearanceApplication() {
           return newProgress;
         });
       }, 3000);
-    }, 1000);
+    }
   };
 
-  const handleRemoveFile = (fileId: string) => {
-    setUploadedFiles((prev) => prev.filter((file) => file.id !== fileId));
-    showNotification({
-      type: "info",
-      title: "File Removed",
-      message: "File removed from application",
-    });
+  const handleRemoveFile = async (fileId: string) => {
+    try {
+      await apiService.deleteDocument(fileId, getToken());
+      setUploadedFiles((prev) => prev.filter((file) => file.id !== fileId));
+      showNotification({
+        type: "info",
+        title: "File Removed",
+        message: "File removed from application",
+      });
+    } catch (error: any) {
+      showNotification({
+        type: "error",
+        title: "Remove Failed",
+        message: error.response?.data?.message || error.message,
+      });
+    }
   };
 
   // Validation
@@ -211,7 +243,7 @@ export default function ClearanceApplication() {
       const applicationData = {
         departments: selectedDepartments,
         clearanceType,
-        documents: uploadedFiles.map(f => f.id), // You may need to adjust this if backend expects file URLs or IDs from upload
+        documents: uploadedFiles.map(f => f.id),
       };
       // Get token
       const token = localStorage.getItem("token") || sessionStorage.getItem("token");
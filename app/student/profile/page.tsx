@@ -2,6 +2,8 @@
 
 import { useAuth } from "@/contexts/AuthContext";
 import LoadingSpinner from "@/components/shared/LoadingSpinner";
+import NotificationPreferences from "@/components/student/NotificationPreferences";
+import ActiveSessions from "../../../src/components/shared/ActiveSessions";
 import { useState, useEffect } from "react";
 
 const DEPARTMENTS = [
@@ -345,6 +347,10 @@ export default function StudentProfile() {
             )}
           </div>
         </div>
+        <NotificationPreferences />
+        <div className="bg-white rounded-lg shadow p-6 mt-6">
+          <ActiveSessions />
+        </div>
       </main>
     </div>
   );
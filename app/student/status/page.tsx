@@ -132,6 +132,8 @@ export default function StatusTracking() {
                         ? "bg-green-100 text-green-800"
                         : status.clearanceStatus === "Pending"
                         ? "bg-yellow-100 text-yellow-800"
+                        : status.clearanceStatus === "Blocked"
+                        ? "bg-gray-100 text-gray-700"
                         : "bg-red-100 text-red-800"
                     }`}
                   >
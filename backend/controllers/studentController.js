@@ -1,6 +1,8 @@
 const Clearance = require("../models/Clearance");
 const Student = require("../models/Student");
 const Department = require("../models/Department");
+const documentService = require("../services/documentService");
+const { discardUploads } = require("../middleware/upload");
 
 // Replace uuidv4 with legacy unique string
 function generateLegacyAppNumber() {
@@ -18,15 +20,28 @@ exports.submitClearanceApplication = async (req, res) => {
     const student = await Student.findOne({ userId });
     if (!student) return res.status(404).json({ error: "Student profile not found" });
 
-    // Get department details for each selected department
-    const departments = await Department.find({ _id: { $in: req.body.departments } });
+    // Get department details for each selected department, pulling in any
+    // prerequisite departments the student didn't select
+    const departments = await Department.resolveWithPrerequisites(req.body.departments || []);
     const departmentItems = departments.map((dept) => ({
       departmentId: dept._id,
       departmentName: dept.name,
       status: "pending",
-      requirements: dept.requirements || [],
+      prerequisites: dept.prerequisites || [],
+      requirements: (dept.requirements || [])
+        .slice()
+        .sort((a, b) => (a.order || 0) - (b.order || 0))
+        .map((reqItem) => ({
+          _id: reqItem._id,
+          name: reqItem.name,
+          description: reqItem.description,
+          isRequired: reqItem.isRequired,
+        })),
     }));
 
+    // Only the student's own active uploads can be attached
+    const documents = await documentService.findOwnDocuments(userId, req.body.documents);
+
     // Create new clearance application
     const clearance = new Clearance({
       studentId: student._id,
@@ -37,12 +52,14 @@ exports.submitClearanceApplication = async (req, res) => {
       clearanceType: req.body.clearanceType,
       overallStatus: "submitted",
       departments: departmentItems,
-      documents: req.body.documents || [],
+      documents: documents.map((doc) => doc._id),
       submittedAt: new Date(),
     });
     await clearance.save();
+    await documentService.attachToClearance(clearance.documents, clearance._id);
     res.status(201).json({ message: "Clearance application submitted", clearanceId: clearance._id });
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
     // Enhanced error logging for debugging
     console.error("[Clearance Application Error]");
     console.error("User:", req.user);
@@ -51,3 +68,100 @@ exports.submitClearanceApplication = async (req, res) => {
     res.status(500).json({ error: err.message, details: err });
   }
 };
+
+// POST /api/student/clearance/:id/departments/:departmentId/resubmit
+exports.resubmitDepartment = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const clearance = await Clearance.findOne({ _id: req.params.id, userId });
+    if (!clearance) {
+      discardUploads(req.processedFiles);
+      return res.status(404).json({ success: false, message: "Clearance not found" });
+    }
+
+    // Check before creating Document records so a refused resubmission leaves nothing behind
+    const item = clearance.findDepartmentItem(req.params.departmentId);
+    if (!item || item.status !== "rejected") {
+      discardUploads(req.processedFiles);
+      return res
+        .status(item ? 409 : 404)
+        .json({ success: false, message: item ? `${item.departmentName} has not rejected this clearance` : "Department not found in clearance" });
+    }
+
+    // Previously uploaded documents may be referenced by id alongside new uploads
+    const existing = await documentService.findOwnDocuments(userId, req.body.documents);
+    const uploaded = req.processedFiles && req.processedFiles.length > 0
+      ? await documentService.createDocuments(userId, req.processedFiles, { documentType: req.body.documentType })
+      : [];
+    const quarantined = uploaded.filter((doc) => doc.status === "quarantined");
+    if (quarantined.length > 0) {
+      // Nothing is resubmitted, so the clean files of the batch are not kept either
+      await documentService.discardDocuments(uploaded);
+      discardUploads(req.processedFiles);
+      return res.status(422).json({
+        success: false,
+        message: `${quarantined.map((doc) => doc.originalName).join(", ")} failed the virus scan. Nothing was resubmitted and the other uploaded files were discarded`,
+      });
+    }
+    const documentIds = [...existing, ...uploaded].map((doc) => doc._id);
+    await documentService.attachToClearance(documentIds, clearance._id);
+
+    await clearance.resubmitDepartment(req.params.departmentId, { note: req.body.note, documents: documentIds }, userId);
+    res.json({ success: true, message: "Clearance resubmitted", data: clearance });
+  } catch (err) {
+    discardUploads(req.processedFiles);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/student/documents/upload
+exports.uploadDocuments = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const documents = await documentService.createDocuments(userId, req.processedFiles, {
+      clearanceId: req.body.clearanceId,
+      documentType: req.body.documentType,
+    });
+    const quarantined = documents.filter((doc) => doc.status === "quarantined");
+    if (quarantined.length > 0) {
+      // The clean files of the batch are stored; data lists every created document, quarantined ones included
+      const stored = documents.length - quarantined.length;
+      return res.status(422).json({
+        success: false,
+        message: `${quarantined.map((doc) => doc.originalName).join(", ")} failed the virus scan and has been quarantined` +
+          (stored > 0 ? `. The other ${stored} file(s) were uploaded` : ""),
+        data: documents,
+      });
+    }
+    res.status(201).json({ success: true, message: "Documents uploaded", data: documents });
+  } catch (err) {
+    discardUploads(req.processedFiles);
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+};
+
+// GET /api/student/documents
+exports.getDocuments = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const data = await documentService.listDocuments(userId, req.query);
+    res.json({ success: true, data });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+};
+
+// DELETE /api/student/documents/:id
+exports.deleteDocument = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const document = await documentService.deleteDocument(userId, req.params.id, {
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+    if (!document) return res.status(404).json({ success: false, message: "Document not found" });
+    res.json({ success: true, message: "Document deleted" });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  }
+};
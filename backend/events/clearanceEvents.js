@@ -0,0 +1,89 @@
+// events/clearanceEvents.js
+// Domain events for clearance state changes. The Clearance model publishes them after
+// every save, worked out from the new timeline entries and the overall status, so each
+// transition is announced once no matter which route or service caused it.
+
+const { EventEmitter } = require("events")
+
+const CLEARANCE_EVENTS = {
+  SUBMITTED: "clearance.submitted",
+  DEPARTMENT_READY: "clearance.department_ready",
+  DEPARTMENT_APPROVED: "clearance.department_approved",
+  DEPARTMENT_REJECTED: "clearance.department_rejected",
+  DEPARTMENT_RESUBMITTED: "clearance.department_resubmitted",
+  COMPLETED: "clearance.completed",
+}
+
+// Timeline actions that map one-to-one onto a department event
+const TIMELINE_EVENTS = {
+  department_unblocked: CLEARANCE_EVENTS.DEPARTMENT_READY,
+  department_approved: CLEARANCE_EVENTS.DEPARTMENT_APPROVED,
+  department_rejected: CLEARANCE_EVENTS.DEPARTMENT_REJECTED,
+  department_resubmitted: CLEARANCE_EVENTS.DEPARTMENT_RESUBMITTED,
+}
+
+const clearanceEvents = new EventEmitter()
+
+/**
+ * Work out the events caused by one save of a clearance
+ * @param {Object} clearance - The saved clearance
+ * @param {Object} previous - State before the save
+ * @param {boolean} previous.isNew - Whether the save created the clearance
+ * @param {string} previous.overallStatus - Overall status before the save
+ * @param {number} previous.timelineLength - Number of timeline entries before the save
+ * @returns {Object[]} Events as { name, payload }
+ */
+const collectEvents = (clearance, previous) => {
+  const events = []
+
+  if (previous.isNew && clearance.submittedAt) {
+    events.push({
+      name: CLEARANCE_EVENTS.SUBMITTED,
+      payload: {
+        clearance,
+        // Blocked departments are announced later, when they become ready
+        departmentIds: clearance.departments.filter((item) => item.status === "pending").map((item) => item.departmentId),
+      },
+    })
+  }
+
+  clearance.timeline.slice(previous.timelineLength).forEach((entry) => {
+    const name = TIMELINE_EVENTS[entry.action]
+    if (!name) return
+
+    const metadata = entry.metadata || {}
+    events.push({
+      name,
+      payload: {
+        clearance,
+        departmentId: metadata.departmentId,
+        item: clearance.findDepartmentItem(metadata.departmentId),
+        remarks: metadata.remarks,
+        note: metadata.note,
+        performedBy: entry.performedBy,
+      },
+    })
+  })
+
+  if (clearance.overallStatus === "completed" && previous.overallStatus !== "completed") {
+    events.push({ name: CLEARANCE_EVENTS.COMPLETED, payload: { clearance } })
+  }
+
+  return events
+}
+
+/**
+ * Publish the events caused by one save of a clearance
+ * @param {Object} clearance - The saved clearance
+ * @param {Object} previous - State before the save, see collectEvents
+ */
+const publishChanges = (clearance, previous) => {
+  collectEvents(clearance, previous).forEach(({ name, payload }) => clearanceEvents.emit(name, payload))
+}
+
+module.exports = {
+  CLEARANCE_EVENTS,
+  clearanceEvents,
+  collectEvents,
+  publishChanges,
+}
@@ -0,0 +1,11 @@
+// jobs/deadlineReminders.js
+// Warns students DEADLINE_REMINDER_DAYS days before their clearance deadline.
+
+const reminderService = require("../services/reminderService")
+
+module.exports = {
+  name: "deadlineReminders",
+  description: "Warn students whose clearance deadline is approaching",
+  schedule: "0 8 * * *",
+  run: () => reminderService.sendDeadlineReminders(),
+}
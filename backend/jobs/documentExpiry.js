@@ -0,0 +1,27 @@
+// jobs/documentExpiry.js
+// Deletes the files of documents past their expiresAt and marks the records inactive.
+
+const Document = require("../models/Document")
+const logger = require("../utils/logger")
+
+// Earlier releases declared a TTL index on expiresAt, which removed records without their files
+const dropLegacyTtlIndex = async () => {
+  const indexes = await Document.collection.indexes().catch(() => [])
+  const ttlIndex = indexes.find((index) => index.key.expiresAt && index.expireAfterSeconds !== undefined)
+  if (!ttlIndex) return
+
+  await Document.collection.dropIndex(ttlIndex.name)
+  await Document.createIndexes()
+  logger.info(`Dropped TTL index ${ttlIndex.name} on documents`)
+}
+
+module.exports = {
+  name: "documentExpiry",
+  description: "Delete expired document files and deactivate their records",
+  schedule: "0 * * * *",
+  init: dropLegacyTtlIndex,
+  run: async () => {
+    const deleted = await Document.cleanupExpiredDocuments()
+    return { deleted }
+  },
+}
@@ -0,0 +1,93 @@
+// jobs/documentRescan.js
+// Retries the virus scan of documents whose scan failed at upload (scanResult "ERROR").
+// Clean files are released for review and text extraction; infected ones, and files the
+// scanner fails on by themselves, are quarantined. Records whose file is gone are deactivated.
+
+const fs = require("fs")
+const Document = require("../models/Document")
+const extractionService = require("../services/extractionService")
+const { virusScan, quarantineFile, processImage } = require("../middleware/upload")
+const logger = require("../utils/logger")
+
+const removeThumbnail = async (document) => {
+  if (!document.metadata.thumbnailPath) return
+  await fs.promises.unlink(document.metadata.thumbnailPath).catch(() => {})
+  document.metadata.thumbnailPath = undefined
+}
+
+// Uploads scanned before images were held back may already have been compressed
+const prepareImage = async (document) => {
+  if (!document.mimetype.startsWith("image/") || document.metadata.compressed || document.metadata.thumbnailPath) return
+
+  const image = await processImage(document.path, document.size)
+  document.path = image.path
+  document.size = image.size
+  document.metadata.compressed = !!image.compressed
+  document.metadata.originalSize = image.originalSize
+  document.metadata.compressionRatio = image.compressionRatio
+  document.metadata.thumbnailPath = image.thumbnailPath
+}
+
+const rescan = async () => {
+  const documents = await Document.find({
+    isActive: true,
+    status: "processing",
+    "metadata.scanResult": "ERROR",
+  }).sort({ createdAt: 1 })
+
+  const counts = { pending: documents.length, clean: 0, quarantined: 0, failed: 0, missing: 0 }
+  for (const document of documents) {
+    if (!fs.existsSync(document.path)) {
+      document.isActive = false
+      await document.save()
+      logger.warn(`Deactivated document ${document._id}: its file is missing`)
+      counts.missing++
+      continue
+    }
+
+    const scan = await virusScan(document.path)
+    // The scanner cannot be reached; the remaining documents wait for the next run
+    if (scan.unavailable) break
+
+    if (!scan.scanned) {
+      // The scanner is up but cannot scan this file, so it is never released
+      document.path = await quarantineFile(document.path)
+      document.status = "quarantined"
+      document.metadata.threatName = `Scan failed: ${scan.error}`
+      await removeThumbnail(document)
+      await document.save()
+      logger.warn(`Quarantined document ${document._id} that could not be scanned (${scan.error})`)
+      counts.failed++
+      continue
+    }
+
+    document.metadata.virusScanned = true
+    document.metadata.scanResult = scan.result
+    document.metadata.scannedAt = new Date()
+
+    if (scan.infected) {
+      document.path = await quarantineFile(document.path)
+      document.status = "quarantined"
+      document.metadata.threatName = scan.threat
+      await removeThumbnail(document)
+      logger.warn(`Quarantined infected document ${document._id} on rescan (${scan.threat})`)
+      counts.quarantined++
+    } else {
+      await prepareImage(document)
+      document.status = "uploaded"
+      counts.clean++
+    }
+    await document.save()
+
+    if (!scan.infected) extractionService.queueExtraction([document._id])
+  }
+
+  return counts
+}
+
+module.exports = {
+  name: "documentRescan",
+  description: "Retry virus scans that failed at upload",
+  schedule: "*/15 * * * *",
+  run: rescan,
+}
@@ -0,0 +1,12 @@
+// jobs/emailDelivery.js
+// Sends notification emails that are due or waiting for a retry.
+
+const emailService = require("../services/emailService")
+
+module.exports = {
+  name: "emailDelivery",
+  description: "Send queued notification emails and retry failed ones",
+  schedule: "* * * * *",
+  lockTtl: 5 * 60 * 1000,
+  run: () => emailService.processEmailQueue(),
+}
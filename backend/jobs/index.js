@@ -0,0 +1,34 @@
+// jobs/index.js
+// Registers every scheduled job with the job runner. Schedules can be overridden per job
+// with JOB_<NAME>_CRON, e.g. JOB_DOCUMENT_EXPIRY_CRON="0 3 * * *", or "off" to disable it.
+
+const jobRunner = require("../services/jobRunner")
+const documentExpiry = require("./documentExpiry")
+const documentRescan = require("./documentRescan")
+const tempUploadSweep = require("./tempUploadSweep")
+const scheduledNotifications = require("./scheduledNotifications")
+const emailDelivery = require("./emailDelivery")
+const smsDelivery = require("./smsDelivery")
+const deadlineReminders = require("./deadlineReminders")
+const overdueReminders = require("./overdueReminders")
+const notificationDigest = require("./notificationDigest")
+const officerDigest = require("./officerDigest")
+const sessionCleanup = require("./sessionCleanup")
+const sharedAccountRetirement = require("./sharedAccountRetirement")
+const textExtraction = require("./textExtraction")
+
+jobRunner.register(documentExpiry)
+jobRunner.register(documentRescan)
+jobRunner.register(tempUploadSweep)
+jobRunner.register(scheduledNotifications)
+jobRunner.register(emailDelivery)
+jobRunner.register(smsDelivery)
+jobRunner.register(deadlineReminders)
+jobRunner.register(overdueReminders)
+jobRunner.register(notificationDigest)
+jobRunner.register(officerDigest)
+jobRunner.register(sessionCleanup)
+jobRunner.register(sharedAccountRetirement)
+jobRunner.register(textExtraction)
+
+module.exports = jobRunner
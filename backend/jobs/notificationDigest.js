@@ -0,0 +1,11 @@
+// jobs/notificationDigest.js
+// Emails the daily digest to users whose notification preferences ask for one.
+
+const emailService = require("../services/emailService")
+
+module.exports = {
+  name: "notificationDigest",
+  description: "Send daily digest emails of held notifications",
+  schedule: "0 7 * * *",
+  run: () => emailService.sendDigests(),
+}
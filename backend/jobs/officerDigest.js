@@ -0,0 +1,11 @@
+// jobs/officerDigest.js
+// Sends opted-in department officers a daily summary of their department's pending queue.
+
+const digestService = require("../services/digestService")
+
+module.exports = {
+  name: "officerDigest",
+  description: "Email officers a daily summary of their department's queue",
+  schedule: "30 7 * * *",
+  run: () => digestService.sendOfficerDigests(),
+}
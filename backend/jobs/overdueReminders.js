@@ -0,0 +1,11 @@
+// jobs/overdueReminders.js
+// Nudges department officers about items pending longer than the department's maxProcessingDays.
+
+const reminderService = require("../services/reminderService")
+
+module.exports = {
+  name: "overdueReminders",
+  description: "Remind officers about clearance items past their processing time",
+  schedule: "0 9 * * 1-5",
+  run: () => reminderService.sendOverdueReminders(),
+}
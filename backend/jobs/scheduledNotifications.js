@@ -0,0 +1,16 @@
+// jobs/scheduledNotifications.js
+// Pushes notifications created with a future scheduledFor once they become due. Their email
+// and SMS channels are sent by the emailDelivery and smsDelivery jobs, which skip anything not yet due.
+
+const notificationService = require("../services/notificationService")
+
+module.exports = {
+  name: "scheduledNotifications",
+  description: "Push scheduled notifications that have become due",
+  schedule: "* * * * *",
+  lockTtl: 60 * 1000,
+  run: async () => {
+    const pushed = await notificationService.pushDueNotifications()
+    return { pushed }
+  },
+}
@@ -0,0 +1,29 @@
+// jobs/sessionCleanup.js
+// Removes expired sessions from users' refreshTokens, along with entries stored before
+// refresh tokens were hashed (they have no family and can no longer be used).
+
+const User = require("../models/User")
+const logger = require("../utils/logger")
+
+// Earlier releases declared a TTL index on refreshTokens.createdAt, which expires the whole
+// user document rather than the array entry
+const dropLegacyTtlIndex = async () => {
+  const indexes = await User.collection.indexes().catch(() => [])
+  const ttlIndex = indexes.find((index) => index.key["refreshTokens.createdAt"] && index.expireAfterSeconds !== undefined)
+  if (!ttlIndex) return
+
+  await User.collection.dropIndex(ttlIndex.name)
+  logger.info(`Dropped TTL index ${ttlIndex.name} on users`)
+}
+
+module.exports = {
+  name: "sessionCleanup",
+  description: "Remove expired sessions from user accounts",
+  schedule: "15 * * * *",
+  init: dropLegacyTtlIndex,
+  run: async () => {
+    const stale = { $or: [{ expiresAt: { $lte: new Date() } }, { family: { $exists: false } }] }
+    const result = await User.updateMany({ refreshTokens: { $elemMatch: stale } }, { $pull: { refreshTokens: stale } })
+    return { users: result.modifiedCount }
+  },
+}
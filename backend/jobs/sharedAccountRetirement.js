@@ -0,0 +1,16 @@
+// jobs/sharedAccountRetirement.js
+// Deactivates the shared department logins from before officer invitations once their
+// department has an officer with an own account. Until then the shared login keeps the
+// officer record it was given at startup (see permissionService.backfillOfficerRecords).
+
+const invitationService = require("../services/invitationService")
+
+module.exports = {
+  name: "sharedAccountRetirement",
+  description: "Deactivate shared department logins replaced by invited officers",
+  schedule: "45 * * * *",
+  run: async () => {
+    const retired = await invitationService.retireSharedAccounts()
+    return { retired }
+  },
+}
@@ -0,0 +1,12 @@
+// jobs/smsDelivery.js
+// Sends notification SMS that are due or waiting for a retry.
+
+const smsService = require("../services/smsService")
+
+module.exports = {
+  name: "smsDelivery",
+  description: "Send queued notification SMS and retry failed ones",
+  schedule: "* * * * *",
+  lockTtl: 5 * 60 * 1000,
+  run: () => smsService.processSmsQueue(),
+}
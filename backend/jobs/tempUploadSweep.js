@@ -0,0 +1,59 @@
+// jobs/tempUploadSweep.js
+// Removes files left in uploads/temp by abandoned or failed uploads. A file is only
+// removed once it is older than TEMP_UPLOAD_MAX_AGE_HOURS and no active document points at it.
+
+const fs = require("fs")
+const path = require("path")
+const Document = require("../models/Document")
+
+const TEMP_DIR = path.join("uploads", "temp")
+const MAX_AGE_HOURS = Number.parseInt(process.env.TEMP_UPLOAD_MAX_AGE_HOURS) || 24
+
+const sweep = async () => {
+  let names
+  try {
+    names = await fs.promises.readdir(TEMP_DIR)
+  } catch (error) {
+    if (error.code === "ENOENT") return { scanned: 0, deleted: 0, freedBytes: 0 }
+    throw error
+  }
+
+  const cutoff = Date.now() - MAX_AGE_HOURS * 60 * 60 * 1000
+  const candidates = []
+  for (const name of names) {
+    const filePath = path.join(TEMP_DIR, name)
+    const stats = await fs.promises.stat(filePath).catch(() => null)
+    if (stats && stats.isFile() && stats.mtimeMs < cutoff) {
+      candidates.push({ filePath, size: stats.size })
+    }
+  }
+
+  // Multer stores relative paths, but older records may hold absolute ones
+  const referenced = await Document.find({
+    isActive: true,
+    path: { $in: candidates.flatMap(({ filePath }) => [filePath, path.resolve(filePath)]) },
+  }).distinct("path")
+  const inUse = new Set(referenced.map((filePath) => path.resolve(filePath)))
+
+  let deleted = 0
+  let freedBytes = 0
+  for (const { filePath, size } of candidates) {
+    if (inUse.has(path.resolve(filePath))) continue
+    try {
+      await fs.promises.unlink(filePath)
+      deleted++
+      freedBytes += size
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error
+    }
+  }
+
+  return { scanned: names.length, deleted, freedBytes }
+}
+
+module.exports = {
+  name: "tempUploadSweep",
+  description: "Delete orphaned files from uploads/temp",
+  schedule: "30 */6 * * *",
+  run: sweep,
+}
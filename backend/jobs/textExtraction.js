@@ -0,0 +1,18 @@
+// jobs/textExtraction.js
+// Tops up the text extraction queue with clean documents that have not been processed yet:
+// the backlog from before search existed, uploads queued on an instance that went down and
+// documents released by jobs/documentRescan. Each run queues at most one batch.
+
+const extractionService = require("../services/extractionService")
+
+const BATCH_SIZE = Number.parseInt(process.env.EXTRACTION_BATCH_SIZE) || 100
+
+module.exports = {
+  name: "textExtraction",
+  description: "Queue unprocessed documents for search text extraction",
+  schedule: "*/10 * * * *",
+  run: async () => {
+    const queued = await extractionService.queuePending(BATCH_SIZE)
+    return { queued }
+  },
+}
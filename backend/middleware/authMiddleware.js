@@ -1,7 +1,64 @@
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const httpError = require("../utils/httpError")
+const sessionService = require("../services/sessionService")
 const logger = require("../utils/logger")
 
+// Verify an access token; resolves to the user and the session the token belongs to
+const verifyAccessToken = async (token) => {
+  let decoded
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET)
+  } catch (error) {
+    if (error.name === "JsonWebTokenError") {
+      throw httpError(401, "Invalid token.")
+    } else if (error.name === "TokenExpiredError") {
+      throw httpError(401, "Token expired.")
+    }
+    throw error
+  }
+
+  // Login challenge tokens are signed with the same secret but are not access tokens
+  if (decoded.type) {
+    throw httpError(401, "Invalid token.")
+  }
+
+  // Get user from database
+  const user = await User.findById(decoded.userId).select("-password")
+
+  if (!user) {
+    throw httpError(401, "Invalid token. User not found.")
+  }
+
+  // Check if user is active
+  if (!user.isActive) {
+    throw httpError(401, "Account has been deactivated.")
+  }
+
+  // Check if account is locked
+  if (user.isLocked()) {
+    throw httpError(423, "Account is temporarily locked due to multiple failed login attempts.")
+  }
+
+  // Signing a session out ends its access tokens too
+  if (decoded.sid && !sessionService.isSessionActive(user, decoded.sid)) {
+    throw httpError(401, "Session has been signed out.")
+  }
+
+  return { user, sessionId: decoded.sid }
+}
+
+/**
+ * Resolve the user behind an access token
+ * Shared by the HTTP middleware and the Socket.io handshake.
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} Active, unlocked user
+ */
+const authenticateToken = async (token) => {
+  const { user } = await verifyAccessToken(token)
+  return user
+}
+
 const authMiddleware = async (req, res, next) => {
   try {
     // Get token from header
@@ -16,52 +73,20 @@ const authMiddleware = async (req, res, next) => {
 
     const token = authHeader.substring(7) // Remove 'Bearer ' prefix
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
-
-    // Get user from database
-    const user = await User.findById(decoded.userId).select("-password -refreshTokens")
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid token. User not found.",
-      })
-    }
-
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: "Account has been deactivated.",
-      })
-    }
-
-    // Check if account is locked
-    if (user.isLocked()) {
-      return res.status(423).json({
-        success: false,
-        message: "Account is temporarily locked due to multiple failed login attempts.",
-      })
-    }
-
-    // Add user to request object
+    // Add user and session to request object
+    const { user, sessionId } = await verifyAccessToken(token)
     req.user = user
+    req.sessionId = sessionId
 
     // Log the request for audit purposes
-    logger.info(`API Access: ${req.method} ${req.originalUrl} by user ${user._id} (${user.role})`)
+    logger.info(`API Access: ${req.method} ${req.originalUrl} by user ${req.user._id} (${req.user.role})`)
 
     next()
   } catch (error) {
-    if (error.name === "JsonWebTokenError") {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid token.",
-      })
-    } else if (error.name === "TokenExpiredError") {
-      return res.status(401).json({
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: "Token expired.",
+        message: error.message,
       })
     }
 
@@ -74,3 +99,4 @@ const authMiddleware = async (req, res, next) => {
 }
 
 module.exports = authMiddleware
+module.exports.authenticateToken = authenticateToken
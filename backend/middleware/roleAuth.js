@@ -1,3 +1,5 @@
+const permissionService = require("../services/permissionService")
+
 const roleAuth = (...allowedRoles) => {
   return (req, res, next) => {
     // Check if user is authenticated (should be set by authMiddleware)
@@ -22,6 +24,34 @@ const roleAuth = (...allowedRoles) => {
   }
 }
 
+/**
+ * Require a department permission (view, edit, approve or reject)
+ * Officers need it on their officer record and allowed for their officer role in the
+ * admin permission matrix; admins always pass. Sets req.officer for officers.
+ * @param {string} permission - Permission to check
+ * @param {Function} [getDepartmentId] - Target department from the request; defaults to the officer's own
+ */
+const requirePermission = (permission, getDepartmentId = (req) => req.user.departmentId) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required.",
+      })
+    }
+
+    try {
+      req.officer = await permissionService.assertPermission(req.user, getDepartmentId(req), permission)
+      next()
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      })
+    }
+  }
+}
+
 // Specific role middleware functions
 const requireStudent = roleAuth("student")
 const requireDepartment = roleAuth("department")
@@ -34,4 +64,5 @@ module.exports = {
   requireDepartment,
   requireAdmin,
   requireAdminOrDepartment,
+  requirePermission,
 }
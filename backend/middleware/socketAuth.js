@@ -0,0 +1,61 @@
+const { authenticateToken } = require("./authMiddleware")
+const logger = require("../utils/logger")
+
+// Socket.io rooms a user is placed in; clients cannot choose their own
+const userRoom = (userId) => `user_${userId}`
+const departmentRoom = (departmentId) => `department_${departmentId}`
+
+// Token from the handshake auth payload, or a Bearer header for non-browser clients
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) return handshake.auth.token
+
+  const authHeader = handshake.headers.authorization
+  if (authHeader && authHeader.startsWith("Bearer ")) return authHeader.substring(7)
+  return null
+}
+
+/**
+ * Socket.io middleware requiring the same access token as authMiddleware
+ * Rejected connections receive a connect_error whose data holds the status code.
+ */
+const socketAuth = async (socket, next) => {
+  const token = getHandshakeToken(socket.handshake)
+  if (!token) {
+    const error = new Error("Access denied. No token provided.")
+    error.data = { statusCode: 401 }
+    return next(error)
+  }
+
+  try {
+    socket.data.user = await authenticateToken(token)
+    next()
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error("Socket auth error:", error)
+    }
+
+    const rejection = new Error(error.statusCode ? error.message : "Server error during authentication.")
+    rejection.data = { statusCode: error.statusCode || 500 }
+    next(rejection)
+  }
+}
+
+/**
+ * Rooms an authenticated socket joins: its own user room, and the department room for officers
+ * @param {Object} user - Authenticated user
+ * @returns {string[]} Room names
+ */
+const roomsForUser = (user) => {
+  const rooms = [userRoom(user._id)]
+  if (user.role === "department" && user.departmentId) {
+    rooms.push(departmentRoom(user.departmentId))
+  }
+  return rooms
+}
+
+module.exports = {
+  socketAuth,
+  roomsForUser,
+  userRoom,
+  departmentRoom,
+}
@@ -4,9 +4,13 @@ const fs = require("fs")
 const sharp = require("sharp")
 const crypto = require("crypto")
 const logger = require("../utils/logger")
+const { getScanner } = require("../utils/virusScanner")
+
+// Infected uploads are moved here and never served
+const QUARANTINE_DIR = process.env.QUARANTINE_DIR || "quarantine"
 
 // Ensure upload directories exist
-const uploadDirs = ["uploads/documents", "uploads/profiles", "uploads/temp"]
+const uploadDirs = ["uploads/documents", "uploads/profiles", "uploads/temp", QUARANTINE_DIR]
 uploadDirs.forEach((dir) => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true })
@@ -70,6 +74,23 @@ const upload = multer({
   },
 })
 
+// In-memory upload for spreadsheet imports (never written to disk)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase()
+    if (extension === ".csv") {
+      cb(null, true)
+    } else {
+      cb(new Error("Invalid file type. Allowed types for imports: .csv"), false)
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+    files: 1,
+  },
+})
+
 // Middleware to process uploaded files
 const processUpload = async (req, res, next) => {
   if (!req.files && !req.file) {
@@ -91,41 +112,25 @@ const processUpload = async (req, res, next) => {
         uploadedAt: new Date(),
       }
 
-      // Compress images
-      if (file.mimetype.startsWith("image/")) {
-        const compressedPath = await compressImage(file.path)
-        if (compressedPath) {
-          // Update file info with compressed version
-          const compressedStats = fs.statSync(compressedPath)
-          processedFile.originalSize = file.size
-          processedFile.size = compressedStats.size
-          processedFile.path = compressedPath
-          processedFile.compressed = true
-          processedFile.compressionRatio = (((file.size - compressedStats.size) / file.size) * 100).toFixed(2)
-
-          // Delete original file
-          fs.unlinkSync(file.path)
-        }
-      }
-
-      // Generate thumbnail for images
-      if (file.mimetype.startsWith("image/")) {
-        const thumbnailPath = await generateThumbnail(processedFile.path)
-        if (thumbnailPath) {
-          processedFile.thumbnailPath = thumbnailPath
-          processedFile.thumbnailUrl = `/uploads/${path.relative("uploads", thumbnailPath)}`
-        }
+      // Virus scan the file as received, before sharp or anything else parses it
+      const scan = await virusScan(file.path)
+      processedFile.virusScanned = scan.scanned
+      processedFile.scanResult = scan.result
+      processedFile.scannedAt = scan.scanned ? new Date() : undefined
+      processedFile.threat = scan.threat
+
+      if (scan.infected) {
+        processedFile.path = await quarantineFile(file.path)
+        processedFile.quarantined = true
+        logger.warn(`Quarantined infected upload ${file.originalname} (${scan.threat})`)
+        processedFiles.push(processedFile)
+        continue
       }
 
-      // Virus scan (if ClamAV is available)
-      try {
-        const scanResult = await virusScan(processedFile.path)
-        processedFile.virusScanned = true
-        processedFile.scanResult = scanResult
-        processedFile.scannedAt = new Date()
-      } catch (error) {
-        logger.warn("Virus scan failed:", error.message)
-        processedFile.virusScanned = false
+      // sharp only ever sees images a scan has passed; unscanned ones are processed by
+      // jobs/documentRescan once the scanner is back
+      if (file.mimetype.startsWith("image/") && scan.scanned) {
+        Object.assign(processedFile, await processImage(file.path, file.size))
       }
 
       processedFiles.push(processedFile)
@@ -137,7 +142,7 @@ const processUpload = async (req, res, next) => {
   } catch (error) {
     logger.error("File processing error:", error)
 
-    // Clean up uploaded files on error
+    // Clean up uploaded files on error (quarantined files have already moved)
     files.forEach((file) => {
       if (fs.existsSync(file.path)) {
         fs.unlinkSync(file.path)
@@ -198,21 +203,80 @@ const generateThumbnail = async (filePath) => {
   }
 }
 
-// Virus scanning function (requires ClamAV)
+/**
+ * Compress an image and generate its thumbnail. Only call this for files scanned clean.
+ * @param {string} filePath - Stored image
+ * @param {number} size - Size of the stored image in bytes
+ * @returns {Promise<Object>} path and size of the file to keep, with compression and thumbnail details
+ */
+const processImage = async (filePath, size) => {
+  const result = { path: filePath, size }
+
+  const compressedPath = await compressImage(filePath)
+  if (compressedPath) {
+    // Update file info with compressed version
+    const compressedStats = fs.statSync(compressedPath)
+    result.originalSize = size
+    result.size = compressedStats.size
+    result.path = compressedPath
+    result.compressed = true
+    result.compressionRatio = (((size - compressedStats.size) / size) * 100).toFixed(2)
+
+    // Delete original file
+    fs.unlinkSync(filePath)
+  }
+
+  const thumbnailPath = await generateThumbnail(result.path)
+  if (thumbnailPath) {
+    result.thumbnailPath = thumbnailPath
+    result.thumbnailUrl = `/uploads/${path.relative("uploads", thumbnailPath)}`
+  }
+
+  return result
+}
+
+// Virus scanning function; see utils/virusScanner for the adapters.
+// A scanner failure leaves the file unscanned rather than failing the upload;
+// jobs/documentRescan retries the scan until it completes.
 const virusScan = async (filePath) => {
   try {
-    // This is a placeholder - implement actual virus scanning
-    // const clamscan = require('clamscan');
-    // const clam = await clamscan.init();
-    // const scanResult = await clam.scanFile(filePath);
-    // return scanResult.isInfected ? 'INFECTED' : 'CLEAN';
-
-    return "CLEAN" // Default to clean for now
+    const { infected, threat } = await getScanner().scanFile(filePath)
+    return { scanned: true, infected, threat, result: infected ? "INFECTED" : "CLEAN" }
   } catch (error) {
-    throw new Error("Virus scan failed: " + error.message)
+    logger.warn("Virus scan failed:", error.message)
+    return {
+      scanned: false,
+      infected: false,
+      result: "ERROR",
+      unavailable: error.code === "SCANNER_UNAVAILABLE",
+      error: error.message,
+    }
   }
 }
 
+// Move an infected file out of the upload tree
+const quarantineFile = async (filePath) => {
+  const quarantinePath = path.join(QUARANTINE_DIR, path.basename(filePath))
+  await fs.promises.rename(filePath, quarantinePath)
+  await fs.promises.chmod(quarantinePath, 0o400)
+  return quarantinePath
+}
+
+// Remove files written by processUpload when the request that carried them fails
+const discardUploads = (files = []) => {
+  files
+    .filter((file) => !file.quarantined)
+    .flatMap((file) => [file.path, file.thumbnailPath])
+    .filter(Boolean)
+    .forEach((filePath) => {
+      fs.unlink(filePath, (error) => {
+        if (error && error.code !== "ENOENT") {
+          logger.warn(`Failed to remove upload ${filePath}:`, error.message)
+        }
+      })
+    })
+}
+
 // Upload middleware variants
 const uploadSingle = (fieldName) => [upload.single(fieldName), processUpload]
 
@@ -220,10 +284,17 @@ const uploadMultiple = (fieldName, maxCount = 5) => [upload.array(fieldName, max
 
 const uploadFields = (fields) => [upload.fields(fields), processUpload]
 
+const uploadImport = (fieldName) => importUpload.single(fieldName)
+
 module.exports = {
   upload,
   uploadSingle,
   uploadMultiple,
   uploadFields,
+  uploadImport,
   processUpload,
+  discardUploads,
+  virusScan,
+  quarantineFile,
+  processImage,
 }
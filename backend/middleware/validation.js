@@ -1,6 +1,18 @@
 const Joi = require("joi")
 const logger = require("../utils/logger")
 
+// Who an announcement reaches; see adminService.resolveAudience
+const announcementAudience = Joi.object({
+  roles: Joi.array().items(Joi.string().valid("student", "department", "admin")).min(1).unique().optional(),
+  faculty: Joi.string().trim().optional(),
+  department: Joi.string().trim().optional(),
+  level: Joi.string().trim().optional(),
+  academicSession: Joi.string().trim().optional(),
+  clearanceStatus: Joi.string()
+    .valid("draft", "submitted", "in_progress", "completed", "rejected", "pending")
+    .optional(),
+})
+
 // Validation schemas
 const schemas = {
   // Auth schemas
@@ -34,6 +46,54 @@ const schemas = {
     email: Joi.string().email().required(),
   }),
 
+  resetPassword: Joi.object({
+    password: Joi.string().min(6).required(),
+    confirmPassword: Joi.string().valid(Joi.ref("password")).required(),
+  }),
+
+  acceptInvitation: Joi.object({
+    firstName: Joi.string().trim().min(2).max(50).required(),
+    lastName: Joi.string().trim().min(2).max(50).required(),
+    password: Joi.string().min(6).required(),
+    confirmPassword: Joi.string().valid(Joi.ref("password")).required(),
+  }),
+
+  // Two-factor schemas
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string()
+      .trim()
+      .pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().trim().max(20),
+  }).xor("code", "recoveryCode"),
+
+  twoFactorChallenge: Joi.object({
+    challengeToken: Joi.string().required(),
+  }),
+
+  twoFactorSetupLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .required(),
+  }),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .required(),
+  }),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string()
+      .trim()
+      .pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().trim().max(20),
+  }).xor("code", "recoveryCode"),
+
   // Student schemas
   updateProfile: Joi.object({
     firstName: Joi.string().trim().min(2).max(50).optional(),
@@ -74,6 +134,29 @@ const schemas = {
     remarks: Joi.string().trim().max(500).optional(),
   }),
 
+  updateRequirement: Joi.object({
+    departmentId: Joi.string().hex().length(24).optional(),
+    departmentSubdocId: Joi.string().hex().length(24).optional(),
+    completed: Joi.boolean().optional(),
+    notes: Joi.string().trim().max(500).allow("").optional(),
+  })
+    .or("departmentId", "departmentSubdocId")
+    .or("completed", "notes"),
+
+  verifyDocument: Joi.object({
+    approved: Joi.boolean().default(true),
+    remarks: Joi.string()
+      .trim()
+      .max(500)
+      .when("approved", {
+        is: false,
+        then: Joi.string().min(5).required().messages({
+          "any.required": "Remarks are required when rejecting a document",
+        }),
+        otherwise: Joi.optional().allow(""),
+      }),
+  }),
+
   // Admin schemas
   createStudent: Joi.object({
     firstName: Joi.string().trim().min(2).max(50).required(),
@@ -87,13 +170,36 @@ const schemas = {
     level: Joi.string().valid("100", "200", "300", "400", "500", "600").required(),
     faculty: Joi.string().trim().required(),
     matricNumber: Joi.string().trim().required(),
+    academicSession: Joi.string().trim().optional(),
+    admissionYear: Joi.number().integer().min(1990).optional(),
+  }),
+
+  updateStudent: Joi.object({
+    firstName: Joi.string().trim().min(2).max(50).optional(),
+    lastName: Joi.string().trim().min(2).max(50).optional(),
+    email: Joi.string().email().optional(),
+    phone: Joi.string()
+      .pattern(/^(\+234|234|0)[789][01]\d{8}$/)
+      .optional(),
+    department: Joi.string().trim().optional(),
+    level: Joi.string().valid("100", "200", "300", "400", "500", "600").optional(),
+    faculty: Joi.string().trim().optional(),
+    matricNumber: Joi.string().trim().optional(),
+    academicSession: Joi.string().trim().optional(),
+    graduationStatus: Joi.string().valid("active", "graduated", "withdrawn", "suspended").optional(),
+    isActive: Joi.boolean().optional(),
+  }),
+
+  bulkStudentAction: Joi.object({
+    action: Joi.string().valid("activate", "deactivate", "delete").required(),
+    studentIds: Joi.array().items(Joi.string().hex().length(24)).min(1).required(),
   }),
 
   createDepartment: Joi.object({
     name: Joi.string().trim().min(2).max(100).required(),
     code: Joi.string().trim().min(2).max(10).uppercase().required(),
     description: Joi.string().trim().max(500).optional(),
-    faculty: Joi.string().trim().required(),
+    faculty: Joi.string().trim().default("General"),
     requirements: Joi.array()
       .items(
         Joi.object({
@@ -104,10 +210,73 @@ const schemas = {
         }),
       )
       .optional(),
+    prerequisites: Joi.array().items(Joi.string().hex().length(24)).unique().optional(),
+  }),
+
+  updateDepartment: Joi.object({
+    name: Joi.string().trim().min(2).max(100).optional(),
+    code: Joi.string().trim().min(2).max(10).uppercase().optional(),
+    description: Joi.string().trim().max(500).allow("").optional(),
+    faculty: Joi.string().trim().optional(),
+    isActive: Joi.boolean().optional(),
+    requirements: Joi.array()
+      .items(
+        Joi.object({
+          name: Joi.string().trim().required(),
+          description: Joi.string().trim().allow("").optional(),
+          isRequired: Joi.boolean().optional(),
+          documentRequired: Joi.boolean().optional(),
+          order: Joi.number().integer().optional(),
+        }),
+      )
+      .optional(),
+    prerequisites: Joi.array().items(Joi.string().hex().length(24)).unique().optional(),
+    settings: Joi.object({
+      autoApproval: Joi.boolean().optional(),
+      requireRemarks: Joi.boolean().optional(),
+      maxProcessingDays: Joi.number().integer().min(1).max(90).optional(),
+      notificationEnabled: Joi.boolean().optional(),
+    }).optional(),
+    contactInfo: Joi.object({
+      email: Joi.string().email().allow("").optional(),
+      phone: Joi.string().trim().allow("").optional(),
+      office: Joi.string().trim().allow("").optional(),
+      workingHours: Joi.string().trim().allow("").optional(),
+    }).optional(),
   }),
 
+  manageOfficer: Joi.object({
+    action: Joi.string().valid("add", "remove", "update").required(),
+    userId: Joi.string().hex().length(24).required(),
+    role: Joi.string().valid("head", "officer", "assistant").optional(),
+    permissions: Joi.array()
+      .items(Joi.string().valid("approve", "reject", "view", "edit"))
+      .optional(),
+  }),
+
+  inviteOfficer: Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().valid("head", "officer", "assistant").default("officer"),
+    permissions: Joi.array()
+      .items(Joi.string().valid("approve", "reject", "view", "edit"))
+      .unique()
+      .optional(),
+  }),
+
+  overrideClearance: Joi.object({
+    status: Joi.string().valid("submitted", "in_progress", "completed", "rejected").required(),
+    reason: Joi.string().trim().min(5).max(500).required(),
+  }),
+
+  updateUserRole: Joi.object({
+    role: Joi.string().valid("student", "department", "admin").optional(),
+    isActive: Joi.boolean().optional(),
+    departmentId: Joi.string().hex().length(24).optional(),
+  }).or("role", "isActive"),
+
   bulkNotification: Joi.object({
-    recipients: Joi.array().items(Joi.string().hex().length(24)).min(1).required(),
+    recipients: Joi.array().items(Joi.string().hex().length(24)).min(1).unique().optional(),
+    audience: announcementAudience.optional(),
     title: Joi.string().trim().min(5).max(100).required(),
     message: Joi.string().trim().min(10).max(500).required(),
     type: Joi.string()
@@ -119,7 +288,42 @@ const schemas = {
       .required(),
     priority: Joi.string().valid("low", "normal", "high", "urgent").optional(),
     scheduledFor: Joi.date().optional(),
+  }).xor("recipients", "audience"),
+
+  bulkNotificationPreview: Joi.object({
+    audience: announcementAudience.required(),
   }),
+
+  notificationPreferences: Joi.object({
+    // null restores the default channels for that type
+    channels: Joi.object()
+      .pattern(
+        Joi.string().valid(
+          "clearance_submitted",
+          "clearance_approved",
+          "clearance_rejected",
+          "clearance_completed",
+          "document_uploaded",
+          "reminder",
+          "system_announcement",
+          "deadline_approaching",
+        ),
+        Joi.array().items(Joi.string().valid("email", "sms")).unique().allow(null),
+      )
+      .optional(),
+    quietHours: Joi.object({
+      enabled: Joi.boolean().optional(),
+      start: Joi.string()
+        .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .optional(),
+      end: Joi.string()
+        .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .optional(),
+    }).optional(),
+    digest: Joi.string().valid("immediate", "daily").optional(),
+    officerDigest: Joi.boolean().optional(),
+    smsOptOut: Joi.boolean().optional(),
+  }).min(1),
 }
 
 // Validation middleware factory
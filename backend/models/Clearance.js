@@ -1,4 +1,9 @@
 const mongoose = require("mongoose")
+const httpError = require("../utils/httpError")
+const { publishChanges } = require("../events/clearanceEvents")
+
+// Item statuses that satisfy a dependent department's prerequisite
+const CLEARED_STATUSES = ["approved", "not_required"]
 
 const clearanceItemSchema = new mongoose.Schema(
   {
@@ -13,23 +18,77 @@ const clearanceItemSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "approved", "rejected", "not_required"],
+      enum: ["pending", "blocked", "approved", "rejected", "not_required"],
       default: "pending",
     },
+    // Departments (by Department id) that must approve before this one can act
+    prerequisites: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Department",
+      },
+    ],
+    // When the item last became actionable (submission or unblocking)
+    activatedAt: Date,
+    // When officers were last reminded that the item is past its processing time
+    overdueReminderAt: Date,
     approvedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
     approvedAt: Date,
     remarks: String,
+    // One entry per rejection; resubmission fields are filled when the student responds
+    rejectionHistory: [
+      {
+        reason: {
+          type: String,
+          required: true,
+        },
+        rejectedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        rejectedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        resubmittedAt: Date,
+        resubmittedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        resubmissionNote: String,
+        documents: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Document",
+          },
+        ],
+      },
+    ],
+    resubmissionCount: {
+      type: Number,
+      default: 0,
+    },
+    // Copied from Department.requirements at submission; _id matches the department's requirement
     requirements: [
       {
         name: String,
+        description: String,
+        isRequired: {
+          type: Boolean,
+          default: true,
+        },
         completed: {
           type: Boolean,
           default: false,
         },
         completedAt: Date,
+        completedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
         notes: String,
       },
     ],
@@ -95,6 +154,8 @@ const clearanceSchema = new mongoose.Schema(
     submittedAt: Date,
     completedAt: Date,
     deadline: Date,
+    // Days-before-deadline reminders already sent to the student; cleared when the deadline moves
+    deadlineReminders: [Number],
     priority: {
       type: String,
       enum: ["low", "normal", "high", "urgent"],
@@ -122,6 +183,10 @@ const clearanceSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    blockedDepartments: {
+      type: Number,
+      default: 0,
+    },
     timeline: [
       {
         action: {
@@ -175,10 +240,20 @@ clearanceSchema.index({ deadline: 1 })
 // Pre-save middleware to calculate statistics
 clearanceSchema.pre("save", function (next) {
   if (this.isModified("departments")) {
+    // Release or hold items according to their prerequisites before counting
+    const unblocked = this.refreshBlockedItems()
+    unblocked.forEach((item) => {
+      this.addTimelineEntry("department_unblocked", `${item.departmentName} is now ready to review`, null, {
+        departmentId: item.departmentId,
+      })
+    })
+    this.$locals.unblockedItems = unblocked
+
     this.totalDepartments = this.departments.length
     this.approvedDepartments = this.departments.filter((d) => d.status === "approved").length
     this.pendingDepartments = this.departments.filter((d) => d.status === "pending").length
     this.rejectedDepartments = this.departments.filter((d) => d.status === "rejected").length
+    this.blockedDepartments = this.departments.filter((d) => d.status === "blocked").length
 
     // Calculate completion percentage
     if (this.totalDepartments > 0) {
@@ -193,13 +268,43 @@ clearanceSchema.pre("save", function (next) {
       }
     } else if (this.rejectedDepartments > 0) {
       this.overallStatus = "rejected"
-    } else if (this.approvedDepartments > 0 || this.pendingDepartments > 0) {
+    } else if (this.approvedDepartments > 0 || this.pendingDepartments > 0 || this.blockedDepartments > 0) {
       this.overallStatus = "in_progress"
     }
   }
   next()
 })
 
+// Remember the persisted state so the next save can tell what changed
+const rememberSavedState = (clearance) => {
+  clearance.$locals.savedState = {
+    isNew: false,
+    overallStatus: clearance.overallStatus,
+    timelineLength: clearance.timeline.length,
+  }
+}
+
+clearanceSchema.post("init", function () {
+  rememberSavedState(this)
+})
+
+clearanceSchema.pre("save", function (next) {
+  this.$locals.wasNew = this.isNew
+  if (!this.isNew && this.isModified("deadline")) {
+    this.deadlineReminders = []
+  }
+  next()
+})
+
+// Publish domain events (notifications etc.) for the transitions this save persisted
+clearanceSchema.post("save", function () {
+  const previous = this.$locals.wasNew
+    ? { isNew: true, overallStatus: null, timelineLength: 0 }
+    : this.$locals.savedState || { isNew: false, overallStatus: null, timelineLength: this.timeline.length }
+  rememberSavedState(this)
+  publishChanges(this, previous)
+})
+
 // Method to add timeline entry
 clearanceSchema.methods.addTimelineEntry = function (action, description, performedBy, metadata = {}) {
   this.timeline.push({
@@ -212,11 +317,108 @@ clearanceSchema.methods.addTimelineEntry = function (action, description, perfor
   // Do NOT call this.save() here!
 }
 
+// Method to find a department item by its sub-document id or its Department id
+clearanceSchema.methods.findDepartmentItem = function (id) {
+  if (!id) return null
+  return this.departments.id(id) || this.departments.find((d) => d.departmentId.toString() === id.toString()) || null
+}
+
+// Method to list the items still holding up a department item
+clearanceSchema.methods.getBlockingItems = function (item) {
+  const prerequisites = (item.prerequisites || []).map((id) => id.toString())
+  return this.departments.filter(
+    (d) => prerequisites.includes(d.departmentId.toString()) && !CLEARED_STATUSES.includes(d.status),
+  )
+}
+
+// Method to move items between "pending" and "blocked" based on their prerequisites.
+// Prerequisites that are not part of this clearance are ignored.
+// Returns the items that became actionable.
+clearanceSchema.methods.refreshBlockedItems = function () {
+  const unblocked = []
+
+  this.departments.forEach((item) => {
+    if (item.status !== "pending" && item.status !== "blocked") return
+
+    if (this.getBlockingItems(item).length > 0) {
+      item.status = "blocked"
+    } else if (item.status === "blocked" || !item.activatedAt) {
+      if (item.status === "blocked") unblocked.push(item)
+      item.status = "pending"
+      item.activatedAt = new Date()
+    }
+  })
+
+  return unblocked
+}
+
+// Method to list the required checklist items not yet ticked for a department item
+clearanceSchema.methods.getOutstandingRequirements = function (item) {
+  return (item.requirements || []).filter((r) => r.isRequired !== false && !r.completed)
+}
+
+// Method to tick/untick a requirement or change its notes
+clearanceSchema.methods.updateRequirement = function (departmentId, requirementId, updates, performedBy) {
+  const department = this.findDepartmentItem(departmentId)
+  if (!department) {
+    throw httpError(404, "Department not found in clearance")
+  }
+
+  if (department.status !== "pending") {
+    throw httpError(409, `Requirements for ${department.departmentName} can only be updated while it is pending`)
+  }
+
+  const requirement = department.requirements.id(requirementId)
+  if (!requirement) {
+    throw httpError(404, "Requirement not found")
+  }
+
+  const { completed, notes } = updates
+  if (completed !== undefined && completed !== requirement.completed) {
+    requirement.completed = completed
+    requirement.completedAt = completed ? new Date() : undefined
+    requirement.completedBy = completed ? performedBy : undefined
+  }
+  if (notes !== undefined) {
+    requirement.notes = notes
+  }
+
+  const action = completed === undefined ? "requirement_updated" : completed ? "requirement_completed" : "requirement_reopened"
+  this.addTimelineEntry(action, `${department.departmentName}: ${requirement.name}`, performedBy, {
+    departmentId: department.departmentId,
+    requirementId: requirement._id,
+    notes,
+  })
+
+  return this.save()
+}
+
 // Method to update department status
 clearanceSchema.methods.updateDepartmentStatus = function (departmentId, status, approvedBy, remarks) {
-  const department = this.departments.id(departmentId)
+  const department = this.findDepartmentItem(departmentId)
   if (!department) {
-    throw new Error("Department not found in clearance")
+    throw httpError(404, "Department not found in clearance")
+  }
+
+  if (department.status === "blocked") {
+    const waitingFor = this.getBlockingItems(department).map((d) => d.departmentName)
+    throw httpError(409, `${department.departmentName} cannot act before ${waitingFor.join(", ")}`)
+  }
+
+  // A decision is final; a rejection is reopened only through resubmitDepartment
+  if (department.status !== "pending") {
+    throw httpError(409, `${department.departmentName} has already been ${department.status.replace("_", " ")}`)
+  }
+
+  if (status === "rejected" && !remarks) {
+    throw httpError(400, "A reason is required to reject a department")
+  }
+
+  if (status === "approved") {
+    const outstanding = this.getOutstandingRequirements(department)
+    if (outstanding.length > 0) {
+      throw httpError(409, `Outstanding requirements: ${outstanding.map((r) => r.name).join(", ")}`)
+    }
   }
 
   department.status = status
@@ -227,10 +429,61 @@ clearanceSchema.methods.updateDepartmentStatus = function (departmentId, status,
     department.approvedAt = new Date()
   }
 
+  if (status === "rejected") {
+    department.approvedBy = undefined
+    department.approvedAt = undefined
+    department.rejectionHistory.push({
+      reason: remarks,
+      rejectedBy: approvedBy,
+      rejectedAt: new Date(),
+    })
+  }
+
   // Add timeline entry (just push, don't save)
   this.addTimelineEntry(`department_${status}`, `${department.departmentName} ${status}`, approvedBy, {
-    departmentId,
+    departmentId: department.departmentId,
     remarks,
+    ...(status === "rejected" && { cycle: department.rejectionHistory.length }),
+  })
+
+  return this.save()
+}
+
+// Method to send a rejected department back for review with new documents
+clearanceSchema.methods.resubmitDepartment = function (departmentId, { note, documents = [] }, performedBy) {
+  const department = this.findDepartmentItem(departmentId)
+  if (!department) {
+    throw httpError(404, "Department not found in clearance")
+  }
+
+  if (department.status !== "rejected") {
+    throw httpError(409, `${department.departmentName} has not rejected this clearance`)
+  }
+
+  const rejection = department.rejectionHistory[department.rejectionHistory.length - 1]
+  if (rejection) {
+    rejection.resubmittedAt = new Date()
+    rejection.resubmittedBy = performedBy
+    rejection.resubmissionNote = note
+    rejection.documents = documents
+  }
+
+  department.status = "pending"
+  department.remarks = undefined
+  department.activatedAt = new Date()
+  department.resubmissionCount += 1
+
+  documents.forEach((documentId) => {
+    if (!this.documents.some((id) => id.toString() === documentId.toString())) {
+      this.documents.push(documentId)
+    }
+  })
+
+  this.addTimelineEntry("department_resubmitted", `Resubmitted to ${department.departmentName}`, performedBy, {
+    departmentId: department.departmentId,
+    note,
+    documents,
+    cycle: department.rejectionHistory.length,
   })
 
   return this.save()
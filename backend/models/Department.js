@@ -45,6 +45,13 @@ const departmentSchema = new mongoose.Schema(
       default: true,
     },
     requirements: [requirementSchema],
+    // Departments that must approve a clearance before this one can act on it
+    prerequisites: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Department",
+      },
+    ],
     officers: [
       {
         userId: {
@@ -223,6 +230,71 @@ departmentSchema.methods.updateStatistics = async function () {
   return this.save()
 }
 
+// Static method to check a prerequisite list: all must exist, none may be the
+// department itself, and the resulting graph must stay acyclic
+departmentSchema.statics.validatePrerequisites = async function (departmentId, prerequisiteIds = []) {
+  const ids = prerequisiteIds.map((id) => id.toString())
+
+  if (departmentId && ids.includes(departmentId.toString())) {
+    throw new Error("A department cannot be its own prerequisite")
+  }
+
+  const found = await this.countDocuments({ _id: { $in: ids } })
+  if (found !== new Set(ids).size) {
+    throw new Error("One or more prerequisite departments do not exist")
+  }
+
+  if (!departmentId) return
+
+  const all = await this.find({}).select("name prerequisites")
+  const graph = new Map(all.map((d) => [d._id.toString(), (d.prerequisites || []).map((p) => p.toString())]))
+  graph.set(departmentId.toString(), ids)
+
+  // Walk prerequisites from the department; reaching it again means a cycle
+  const stack = [...ids]
+  const seen = new Set()
+  while (stack.length > 0) {
+    const current = stack.pop()
+    if (current === departmentId.toString()) {
+      throw new Error("Prerequisites would create a circular dependency")
+    }
+    if (seen.has(current)) continue
+    seen.add(current)
+    stack.push(...(graph.get(current) || []))
+  }
+}
+
+// Static method to resolve departments together with all of their prerequisites,
+// ordered so that every department comes after the ones it depends on
+departmentSchema.statics.resolveWithPrerequisites = async function (departmentIds = []) {
+  const resolved = new Map()
+  let pending = departmentIds.map((id) => id.toString())
+
+  while (pending.length > 0) {
+    const departments = await this.find({ _id: { $in: pending }, isActive: true })
+    pending = []
+    departments.forEach((dept) => {
+      resolved.set(dept._id.toString(), dept)
+      ;(dept.prerequisites || []).forEach((id) => {
+        if (!resolved.has(id.toString())) pending.push(id.toString())
+      })
+    })
+  }
+
+  const depth = new Map()
+  const getDepth = (id, trail = new Set()) => {
+    if (depth.has(id)) return depth.get(id)
+    const dept = resolved.get(id)
+    if (!dept || trail.has(id)) return 0
+    trail.add(id)
+    const value = Math.max(0, ...(dept.prerequisites || []).map((p) => getDepth(p.toString(), trail) + 1))
+    depth.set(id, value)
+    return value
+  }
+
+  return [...resolved.values()].sort((a, b) => getDepth(a._id.toString()) - getDepth(b._id.toString()))
+}
+
 // Static method to get department performance
 departmentSchema.statics.getPerformanceReport = async (startDate, endDate) => {
   const Clearance = mongoose.model("Clearance")
@@ -50,7 +50,8 @@ const documentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["uploaded", "processing", "verified", "rejected"],
+      // "processing" means the virus scan has not completed; "quarantined" means it found a threat
+      enum: ["uploaded", "processing", "verified", "rejected", "quarantined"],
       default: "uploaded",
       index: true,
     },
@@ -71,14 +72,25 @@ const documentSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
-      scanResult: String,
+      scanResult: {
+        type: String,
+        enum: ["CLEAN", "INFECTED", "ERROR"],
+      },
       scannedAt: Date,
+      threatName: String,
       thumbnailPath: String,
       extractedText: String,
+      // Set once text extraction has been attempted, whether or not it found text
       ocrProcessed: {
         type: Boolean,
         default: false,
       },
+      extractionMethod: {
+        type: String,
+        enum: ["pdf", "docx", "ocr", "plain", "unsupported"],
+      },
+      extractedAt: Date,
+      extractionError: String,
     },
     accessLog: [
       {
@@ -103,6 +115,8 @@ const documentSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Handled by the documentExpiry job rather than a TTL index, which would drop the
+    // record and leave the file on disk
     expiresAt: {
       type: Date,
       index: true,
@@ -117,7 +131,10 @@ const documentSchema = new mongoose.Schema(
 documentSchema.index({ uploadedBy: 1, createdAt: -1 })
 documentSchema.index({ clearanceId: 1, documentType: 1 })
 documentSchema.index({ status: 1, createdAt: -1 })
-documentSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+documentSchema.index(
+  { originalName: "text", "metadata.extractedText": "text" },
+  { weights: { originalName: 5, "metadata.extractedText": 1 }, name: "document_text_search" },
+)
 
 // Virtual for file extension
 documentSchema.virtual("extension").get(function () {
@@ -136,6 +153,11 @@ documentSchema.virtual("formattedSize").get(function () {
   return Number.parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i]
 })
 
+// Method to check the file passed a virus scan and may be served to officers
+documentSchema.methods.isScannedClean = function () {
+  return this.status !== "quarantined" && this.metadata.virusScanned && this.metadata.scanResult === "CLEAN"
+}
+
 // Method to log access
 documentSchema.methods.logAccess = function (userId, action, ipAddress, userAgent) {
   this.accessLog.push({
@@ -196,16 +218,21 @@ documentSchema.statics.cleanupExpiredDocuments = async function () {
   })
 
   const fs = require("fs").promises
+  // A file that is already gone should not keep the record active forever
+  const unlinkIfExists = (filePath) =>
+    fs.unlink(filePath).catch((error) => {
+      if (error.code !== "ENOENT") throw error
+    })
   let deletedCount = 0
 
   for (const doc of expiredDocs) {
     try {
       // Delete physical file
-      await fs.unlink(doc.path)
+      await unlinkIfExists(doc.path)
 
       // Delete thumbnail if exists
       if (doc.metadata.thumbnailPath) {
-        await fs.unlink(doc.metadata.thumbnailPath)
+        await unlinkIfExists(doc.metadata.thumbnailPath)
       }
 
       // Mark as inactive
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose")
+
+// One document per scheduled job. Whoever holds an unexpired lock runs the job, so
+// several backend instances sharing a database never run the same job twice.
+const jobLockSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    owner: String,
+    token: String,
+    lockedAt: Date,
+    lockedUntil: {
+      type: Date,
+      default: () => new Date(0),
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Static method to take the lock if it is free or has expired
+jobLockSchema.statics.acquire = async function (name, owner, ttlMs) {
+  const now = new Date()
+  const token = new mongoose.Types.ObjectId().toString()
+
+  try {
+    await this.findOneAndUpdate(
+      { name, lockedUntil: { $lte: now } },
+      { $set: { owner, token, lockedAt: now, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { new: true, upsert: true },
+    )
+    return token
+  } catch (error) {
+    // The upsert collides with the existing document when someone else holds the lock
+    if (error.code === 11000) return null
+    throw error
+  }
+}
+
+// Static method to release a lock, unless it has expired and been taken over since
+jobLockSchema.statics.release = function (name, token) {
+  return this.updateOne({ name, token }, { $set: { lockedUntil: new Date() } })
+}
+
+module.exports = mongoose.model("JobLock", jobLockSchema)
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose")
+
+const HISTORY_DAYS = Number.parseInt(process.env.JOB_HISTORY_DAYS) || 30
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      default: "schedule",
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    instance: String,
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "failed"],
+      default: "running",
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: Date,
+    durationMs: Number,
+    result: mongoose.Schema.Types.Mixed,
+    error: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+jobRunSchema.index({ job: 1, startedAt: -1 })
+// Run history is only kept for a limited time
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: HISTORY_DAYS * 24 * 60 * 60 })
+
+// Method to record the outcome of a run
+jobRunSchema.methods.finish = function (error, result) {
+  this.finishedAt = new Date()
+  this.durationMs = this.finishedAt - this.startedAt
+  this.status = error ? "failed" : "succeeded"
+  this.error = error ? error.message : undefined
+  this.result = result
+
+  return this.save()
+}
+
+module.exports = mongoose.model("JobRun", jobRunSchema)
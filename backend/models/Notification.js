@@ -74,6 +74,8 @@ const notificationSchema = new mongoose.Schema(
           type: Number,
           default: 3,
         },
+        // When a failed delivery may be retried; unset once attempts run out
+        nextAttemptAt: Date,
       },
     ],
     priority: {
@@ -96,6 +98,9 @@ const notificationSchema = new mongoose.Schema(
       type: Date,
       index: true,
     },
+    // Set when the recipient takes emails as a daily digest instead of one per notification
+    inDigest: Boolean,
+    digestSentAt: Date,
   },
   {
     timestamps: true,
@@ -110,6 +115,7 @@ notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 })
 notificationSchema.index({ type: 1, createdAt: -1 })
 notificationSchema.index({ priority: 1, scheduledFor: 1 })
 notificationSchema.index({ "channels.status": 1, "channels.type": 1 })
+notificationSchema.index({ inDigest: 1, digestSentAt: 1 })
 
 // Method to mark as read
 notificationSchema.methods.markAsRead = function () {
@@ -130,11 +136,51 @@ notificationSchema.methods.updateChannelStatus = function (channelType, status,
     } else if (status === "failed") {
       channel.error = error
       channel.attempts += 1
+      // Back off 5, 10, 20... minutes between attempts
+      channel.nextAttemptAt =
+        channel.attempts < channel.maxAttempts
+          ? new Date(Date.now() + 5 * 60 * 1000 * Math.pow(2, channel.attempts - 1))
+          : undefined
     }
   }
   return this.save()
 }
 
+// Method to give up on a channel delivery that can never succeed
+notificationSchema.methods.abandonChannel = function (channelType, reason) {
+  const channel = this.channels.find((c) => c.type === channelType)
+  if (channel) {
+    channel.status = "failed"
+    channel.error = reason
+    channel.attempts = channel.maxAttempts
+    channel.nextAttemptAt = undefined
+  }
+  return this.save()
+}
+
+// Static method to find notifications whose delivery over a channel is due: new ones older
+// than graceMs (those are normally sent straight away) and failed ones whose back-off has passed.
+// Pending channels held with nextAttemptAt (quiet hours) wait until then.
+notificationSchema.statics.findDueForChannel = function (channelType, { graceMs = 0, limit = 50 } = {}) {
+  const now = new Date()
+  return this.find({
+    scheduledFor: { $lte: now },
+    $or: [
+      {
+        createdAt: { $lte: new Date(now.getTime() - graceMs) },
+        channels: { $elemMatch: { type: channelType, status: "pending", nextAttemptAt: { $not: { $gt: now } } } },
+      },
+      { channels: { $elemMatch: { type: channelType, status: "failed", nextAttemptAt: { $lte: now } } } },
+    ],
+  })
+    .sort({ scheduledFor: 1 })
+    .limit(limit)
+}
+
+// Channels are given as a type, or as { type, nextAttemptAt } to hold the delivery until then
+const toChannel = (channel) =>
+  typeof channel === "string" ? { type: channel, status: "pending" } : { ...channel, status: "pending" }
+
 // Static method to create notification
 notificationSchema.statics.createNotification = async function (data) {
   const {
@@ -147,6 +193,7 @@ notificationSchema.statics.createNotification = async function (data) {
     priority = "normal",
     scheduledFor,
     expiresAt,
+    inDigest,
     data: notificationData = {},
   } = data
 
@@ -160,13 +207,11 @@ notificationSchema.statics.createNotification = async function (data) {
     type,
     title,
     message,
-    channels: channels.map((channel) => ({
-      type: channel,
-      status: "pending",
-    })),
+    channels: channels.map(toChannel),
     priority,
     scheduledFor: scheduledFor || new Date(),
     expiresAt: expiresAt || defaultExpiration,
+    inDigest,
     data: notificationData,
   })
 
@@ -202,13 +247,16 @@ notificationSchema.statics.getNotifications = function (userId, page = 1, limit
 
 // Static method for bulk notifications
 notificationSchema.statics.createBulkNotifications = async function (recipients, notificationData) {
+  // Same defaults as createNotification, so the notifications show up in getNotifications
+  const defaultExpiration = new Date()
+  defaultExpiration.setDate(defaultExpiration.getDate() + 30)
+
   const notifications = recipients.map((recipient) => ({
     ...notificationData,
     recipient,
-    channels: notificationData.channels.map((channel) => ({
-      type: channel,
-      status: "pending",
-    })),
+    channels: notificationData.channels.map(toChannel),
+    scheduledFor: notificationData.scheduledFor || new Date(),
+    expiresAt: notificationData.expiresAt || defaultExpiration,
   }))
 
   return this.insertMany(notifications)
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose")
+
+// An emailed invitation to become an officer of a department. Only a hash of the
+// token is stored; accepting creates the officer's own account and officer record.
+const officerInvitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    departmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["head", "officer", "assistant"],
+      default: "officer",
+    },
+    permissions: [
+      {
+        type: String,
+        enum: ["approve", "reject", "view", "edit"],
+      },
+    ],
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "revoked"],
+      default: "pending",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    acceptedAt: Date,
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.tokenHash
+        return ret
+      },
+    },
+  },
+)
+
+officerInvitationSchema.index({ departmentId: 1, status: 1 })
+officerInvitationSchema.index({ email: 1, status: 1 })
+
+// Method to check whether the invitation can still be accepted
+officerInvitationSchema.methods.isUsable = function () {
+  return this.status === "pending" && this.expiresAt > new Date()
+}
+
+module.exports = mongoose.model("OfficerInvitation", officerInvitationSchema)
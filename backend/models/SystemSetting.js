@@ -0,0 +1,94 @@
+const mongoose = require("mongoose")
+
+// Single-document collection holding the settings edited in the admin panel.
+// Each top-level key matches a tab in SystemSettings.jsx.
+const systemSettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "global",
+      unique: true,
+    },
+    general: {
+      systemName: {
+        type: String,
+        default: "BIU Online Clearance System",
+      },
+      systemDescription: String,
+      maintenanceMode: {
+        type: Boolean,
+        default: false,
+      },
+      allowRegistration: {
+        type: Boolean,
+        default: true,
+      },
+      maxFileSize: {
+        type: Number,
+        default: 10,
+      },
+      sessionTimeout: {
+        type: Number,
+        default: 30,
+      },
+    },
+    permissions: {
+      type: mongoose.Schema.Types.Mixed,
+      default: () => ({}),
+    },
+    email: {
+      smtpHost: String,
+      smtpPort: {
+        type: Number,
+        default: 587,
+      },
+      smtpUser: String,
+      smtpPassword: String,
+      fromEmail: String,
+      fromName: String,
+      enableNotifications: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    security: {
+      type: mongoose.Schema.Types.Mixed,
+      default: () => ({}),
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  },
+)
+
+// Sections that may be updated through the admin API
+systemSettingSchema.statics.SECTIONS = ["general", "permissions", "email", "security"]
+
+// Static method to load the settings document, creating it on first use
+systemSettingSchema.statics.getSettings = async function () {
+  const settings = await this.findOne({ key: "global" })
+  if (settings) return settings
+
+  return this.findOneAndUpdate({ key: "global" }, { $setOnInsert: { key: "global" } }, { new: true, upsert: true })
+}
+
+// Static method to merge one section of settings
+systemSettingSchema.statics.updateSection = async function (section, data, updatedBy) {
+  if (!this.SECTIONS.includes(section)) {
+    throw new Error(`Unknown settings section: ${section}`)
+  }
+
+  const settings = await this.getSettings()
+  const current = settings[section] && settings[section].toObject ? settings[section].toObject() : settings[section]
+  settings.set(section, { ...(current || {}), ...data })
+  settings.updatedBy = updatedBy
+
+  return settings.save()
+}
+
+module.exports = mongoose.model("SystemSetting", systemSettingSchema)
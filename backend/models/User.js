@@ -43,6 +43,48 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Set when the user asks not to receive SMS notifications
+    smsOptOut: {
+      type: Boolean,
+      default: false,
+    },
+    notificationPreferences: {
+      // Extra channels ("email", "sms") per notification type; in-app is always on.
+      // Types without an entry use the channels chosen by whatever sends the notification.
+      channels: {
+        type: Map,
+        of: [{ type: String, enum: ["email", "sms"] }],
+        default: {},
+      },
+      // Email and SMS are held until quiet hours end; times are HH:MM in JOBS_TIMEZONE
+      quietHours: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        start: {
+          type: String,
+          default: "22:00",
+          match: /^([01]\d|2[0-3]):[0-5]\d$/,
+        },
+        end: {
+          type: String,
+          default: "07:00",
+          match: /^([01]\d|2[0-3]):[0-5]\d$/,
+        },
+      },
+      // "daily" collects emails into one digest; high and urgent notifications still go out at once
+      digest: {
+        type: String,
+        enum: ["immediate", "daily"],
+        default: "immediate",
+      },
+      // Officers only: a daily summary of their department's queue, by email and in-app
+      officerDigest: {
+        type: Boolean,
+        default: false,
+      },
+    },
     lastLogin: {
       type: Date,
     },
@@ -81,14 +123,23 @@ const userSchema = new mongoose.Schema(
       },
     },
     // Security fields
+    // One entry per signed-in session. Only a hash of the current refresh token is kept;
+    // family stays the same across rotations, so a replayed old token can end the session.
     refreshTokens: [
       {
-        token: String,
+        tokenHash: String,
+        family: String,
+        userAgent: String,
+        ip: String,
         createdAt: {
           type: Date,
           default: Date.now,
-          expires: 604800, // 7 days
         },
+        lastUsedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        expiresAt: Date,
       },
     ],
     passwordResetToken: String,
@@ -98,6 +149,21 @@ const userSchema = new mongoose.Schema(
       default: 0,
     },
     lockUntil: Date,
+    // Authenticator-app two-factor authentication; secrets are stored encrypted
+    // and recovery codes as SHA-256 hashes
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: String,
+      // Secret shown during enrollment, moved to secret once a code from it is confirmed
+      pendingSecret: String,
+      recoveryCodes: [String],
+      // Time step of the last accepted code, so a code cannot be used twice
+      lastUsedStep: Number,
+      enabledAt: Date,
+    },
     profilePicture: {
       type: String,
     },
@@ -112,6 +178,7 @@ const userSchema = new mongoose.Schema(
         delete ret.passwordResetExpires
         delete ret.loginAttempts
         delete ret.lockUntil
+        ret.twoFactor = { enabled: Boolean(ret.twoFactor && ret.twoFactor.enabled) }
         return ret
       },
     },
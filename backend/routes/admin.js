@@ -1,9 +1,584 @@
-const express = require("express");
-const router = express.Router();
+const express = require("express")
+const authMiddleware = require("../middleware/authMiddleware")
+const { requireAdmin } = require("../middleware/roleAuth")
+const { validate, schemas } = require("../middleware/validation")
+const { uploadImport } = require("../middleware/upload")
+const { strictLimiter } = require("../middleware/rateLimiter")
+const adminService = require("../services/adminService")
+const invitationService = require("../services/invitationService")
+const jobRunner = require("../jobs")
+const { toCsv, parseCsv } = require("../utils/csv")
+const logger = require("../utils/logger")
+const { audit } = require("../utils/logger")
 
-// Placeholder admin route
-router.get("/", (req, res) => {
-  res.json({ message: "Admin route placeholder" });
-});
+const router = express.Router()
 
-module.exports = router;
+// Every admin endpoint requires an authenticated admin
+router.use(authMiddleware, requireAdmin)
+
+// Send a service error as JSON, hiding unexpected error details
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    })
+  }
+
+  logger.error(`${fallbackMessage}:`, error)
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+  })
+}
+
+const sendCsv = (res, filename, csv) => {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8")
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+  res.send(csv)
+}
+
+// @route   GET /api/admin/dashboard
+// @desc    System-wide statistics for the admin dashboard
+// @access  Private (Admin)
+router.get("/dashboard", async (req, res) => {
+  try {
+    const data = await adminService.getDashboard(req.query.period)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while loading dashboard")
+  }
+})
+
+// @route   GET /api/admin/analytics
+// @desc    Clearance submissions/completions over time
+// @access  Private (Admin)
+router.get("/analytics", async (req, res) => {
+  try {
+    const data = await adminService.getAnalytics(req.query)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while loading analytics")
+  }
+})
+
+// @route   GET /api/admin/students
+// @desc    List students with search, filters and pagination
+// @access  Private (Admin)
+router.get("/students", async (req, res) => {
+  try {
+    const data = await adminService.listStudents(req.query)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while fetching students")
+  }
+})
+
+// @route   GET /api/admin/students/export
+// @desc    Export filtered students as CSV
+// @access  Private (Admin)
+router.get("/students/export", async (req, res) => {
+  try {
+    const students = await adminService.getStudentsForExport(req.query)
+    audit("ADMIN_STUDENTS_EXPORTED", req.user._id, { count: students.length, filters: req.query })
+    sendCsv(
+      res,
+      `students-${new Date().toISOString().split("T")[0]}.csv`,
+      toCsv(students, adminService.STUDENT_EXPORT_COLUMNS),
+    )
+  } catch (error) {
+    sendError(res, error, "Server error while exporting students")
+  }
+})
+
+// @route   POST /api/admin/students/bulk-import
+// @desc    Create students from an uploaded CSV file
+// @access  Private (Admin)
+router.post("/students/bulk-import", uploadImport("file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "A CSV file is required",
+      })
+    }
+
+    const rows = parseCsv(req.file.buffer.toString("utf8"))
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The file contains no student rows",
+      })
+    }
+
+    const data = await adminService.importStudents(rows, schemas.createStudent)
+    audit("ADMIN_STUDENTS_IMPORTED", req.user._id, { total: data.total, imported: data.imported })
+
+    res.json({
+      success: true,
+      message: `${data.imported} of ${data.total} students imported`,
+      data,
+    })
+  } catch (error) {
+    sendError(res, error, "Server error while importing students")
+  }
+})
+
+// @route   POST /api/admin/students/bulk-action
+// @desc    Activate, deactivate or delete several students at once
+// @access  Private (Admin)
+router.post("/students/bulk-action", validate("bulkStudentAction"), async (req, res) => {
+  try {
+    const { action, studentIds } = req.body
+    const data = await adminService.bulkStudentAction(action, studentIds)
+    audit("ADMIN_STUDENTS_BULK_ACTION", req.user._id, { action, studentIds })
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error during bulk action")
+  }
+})
+
+// @route   POST /api/admin/students
+// @desc    Create a student account and profile
+// @access  Private (Admin)
+router.post("/students", validate("createStudent"), async (req, res) => {
+  try {
+    const data = await adminService.createStudent(req.body)
+    audit("ADMIN_STUDENT_CREATED", req.user._id, { studentId: data.student._id, email: data.student.email })
+    res.status(201).json({
+      success: true,
+      message: "Student created. Share the temporary password with the student.",
+      data,
+    })
+  } catch (error) {
+    sendError(res, error, "Server error while creating student")
+  }
+})
+
+// @route   GET /api/admin/students/:id
+// @desc    Get a single student
+// @access  Private (Admin)
+router.get("/students/:id", async (req, res) => {
+  try {
+    const student = await adminService.getStudent(req.params.id)
+    if (!student) return res.status(404).json({ success: false, message: "Student not found" })
+    res.json({ success: true, data: student })
+  } catch (error) {
+    sendError(res, error, "Server error while fetching student")
+  }
+})
+
+// @route   PUT /api/admin/students/:id
+// @desc    Update a student's account and profile
+// @access  Private (Admin)
+router.put("/students/:id", validate("updateStudent"), async (req, res) => {
+  try {
+    const student = await adminService.updateStudent(req.params.id, req.body)
+    if (!student) return res.status(404).json({ success: false, message: "Student not found" })
+    audit("ADMIN_STUDENT_UPDATED", req.user._id, { studentId: req.params.id, fields: Object.keys(req.body) })
+    res.json({ success: true, data: student })
+  } catch (error) {
+    sendError(res, error, "Server error while updating student")
+  }
+})
+
+// @route   DELETE /api/admin/students/:id
+// @desc    Delete a student with their account and clearances
+// @access  Private (Admin)
+router.delete("/students/:id", async (req, res) => {
+  try {
+    const deleted = await adminService.deleteStudent(req.params.id)
+    if (!deleted) return res.status(404).json({ success: false, message: "Student not found" })
+    audit("ADMIN_STUDENT_DELETED", req.user._id, { studentId: req.params.id })
+    res.json({ success: true, message: "Student deleted", data: { id: req.params.id } })
+  } catch (error) {
+    sendError(res, error, "Server error while deleting student")
+  }
+})
+
+// @route   GET /api/admin/departments
+// @desc    List departments with officers and pending counts
+// @access  Private (Admin)
+router.get("/departments", async (req, res) => {
+  try {
+    const departments = await adminService.listDepartments(req.query)
+    res.json({ success: true, data: { departments } })
+  } catch (error) {
+    sendError(res, error, "Server error while fetching departments")
+  }
+})
+
+// @route   POST /api/admin/departments
+// @desc    Create a department
+// @access  Private (Admin)
+router.post("/departments", validate("createDepartment"), async (req, res) => {
+  try {
+    const department = await adminService.createDepartment(req.body)
+    audit("ADMIN_DEPARTMENT_CREATED", req.user._id, { departmentId: department._id, code: department.code })
+    res.status(201).json({ success: true, data: department })
+  } catch (error) {
+    sendError(res, error, "Server error while creating department")
+  }
+})
+
+// @route   PUT /api/admin/departments/:id
+// @desc    Update a department
+// @access  Private (Admin)
+router.put("/departments/:id", validate("updateDepartment"), async (req, res) => {
+  try {
+    const department = await adminService.updateDepartment(req.params.id, req.body)
+    if (!department) return res.status(404).json({ success: false, message: "Department not found" })
+    audit("ADMIN_DEPARTMENT_UPDATED", req.user._id, { departmentId: req.params.id, fields: Object.keys(req.body) })
+    res.json({ success: true, data: department })
+  } catch (error) {
+    sendError(res, error, "Server error while updating department")
+  }
+})
+
+// @route   DELETE /api/admin/departments/:id
+// @desc    Delete a department with no pending clearance items
+// @access  Private (Admin)
+router.delete("/departments/:id", async (req, res) => {
+  try {
+    const department = await adminService.deleteDepartment(req.params.id)
+    if (!department) return res.status(404).json({ success: false, message: "Department not found" })
+    audit("ADMIN_DEPARTMENT_DELETED", req.user._id, { departmentId: req.params.id, code: department.code })
+    res.json({ success: true, message: "Department deleted", data: { id: req.params.id } })
+  } catch (error) {
+    sendError(res, error, "Server error while deleting department")
+  }
+})
+
+// @route   POST /api/admin/departments/:id/officers
+// @desc    Add, remove (and deactivate) or update a department officer
+// @access  Private (Admin)
+router.post("/departments/:id/officers", validate("manageOfficer"), async (req, res) => {
+  try {
+    const department = await adminService.manageOfficer(req.params.id, req.body)
+    if (!department) return res.status(404).json({ success: false, message: "Department not found" })
+    audit("ADMIN_DEPARTMENT_OFFICER_CHANGED", req.user._id, { departmentId: req.params.id, ...req.body })
+    res.json({ success: true, data: department })
+  } catch (error) {
+    sendError(res, error, "Server error while managing officers")
+  }
+})
+
+// @route   GET /api/admin/officers
+// @desc    List department officer accounts
+// @access  Private (Admin)
+router.get("/officers", async (req, res) => {
+  try {
+    const officers = await adminService.listOfficers()
+    res.json({ success: true, data: { officers } })
+  } catch (error) {
+    sendError(res, error, "Server error while fetching officers")
+  }
+})
+
+// @route   POST /api/admin/departments/:id/invitations
+// @desc    Invite someone by email to become an officer of the department
+// @access  Private (Admin)
+router.post("/departments/:id/invitations", strictLimiter, validate("inviteOfficer"), async (req, res) => {
+  try {
+    const data = await invitationService.inviteOfficer(req.params.id, req.body, req.user)
+    if (!data) return res.status(404).json({ success: false, message: "Department not found" })
+    audit("ADMIN_OFFICER_INVITED", req.user._id, {
+      departmentId: req.params.id,
+      invitationId: data.invitation._id,
+      email: data.invitation.email,
+      role: data.invitation.role,
+    })
+    res.status(201).json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while inviting officer")
+  }
+})
+
+// @route   GET /api/admin/departments/:id/invitations
+// @desc    List the department's pending officer invitations
+// @access  Private (Admin)
+router.get("/departments/:id/invitations", async (req, res) => {
+  try {
+    const invitations = await invitationService.listInvitations(req.params.id)
+    res.json({ success: true, data: { invitations } })
+  } catch (error) {
+    sendError(res, error, "Server error while fetching invitations")
+  }
+})
+
+// @route   DELETE /api/admin/invitations/:id
+// @desc    Revoke a pending officer invitation
+// @access  Private (Admin)
+router.delete("/invitations/:id", async (req, res) => {
+  try {
+    const invitation = await invitationService.revokeInvitation(req.params.id)
+    if (!invitation) return res.status(404).json({ success: false, message: "Pending invitation not found" })
+    audit("ADMIN_OFFICER_INVITATION_REVOKED", req.user._id, {
+      invitationId: invitation._id,
+      departmentId: invitation.departmentId,
+      email: invitation.email,
+    })
+    res.json({ success: true, data: invitation })
+  } catch (error) {
+    sendError(res, error, "Server error while revoking invitation")
+  }
+})
+
+// @route   GET /api/admin/clearances
+// @desc    List clearance applications
+// @access  Private (Admin)
+router.get("/clearances", async (req, res) => {
+  try {
+    const data = await adminService.listClearances(req.query)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while fetching clearances")
+  }
+})
+
+// @route   GET /api/admin/clearances/:id
+// @desc    Clearance application details with timeline
+// @access  Private (Admin)
+router.get("/clearances/:id", async (req, res) => {
+  try {
+    const clearance = await adminService.getClearance(req.params.id)
+    if (!clearance) return res.status(404).json({ success: false, message: "Clearance not found" })
+    res.json({ success: true, data: clearance })
+  } catch (error) {
+    sendError(res, error, "Server error while fetching clearance")
+  }
+})
+
+// @route   POST /api/admin/clearances/:id/override
+// @desc    Override a clearance's overall status
+// @access  Private (Admin)
+router.post("/clearances/:id/override", validate("overrideClearance"), async (req, res) => {
+  try {
+    const clearance = await adminService.overrideClearance(req.params.id, req.body, req.user._id)
+    if (!clearance) return res.status(404).json({ success: false, message: "Clearance not found" })
+    audit("ADMIN_CLEARANCE_OVERRIDE", req.user._id, { clearanceId: req.params.id, ...req.body })
+    res.json({ success: true, data: clearance })
+  } catch (error) {
+    sendError(res, error, "Server error while overriding clearance")
+  }
+})
+
+// @route   GET /api/admin/reports
+// @desc    Report data as JSON, or as a CSV download with ?format=csv|excel
+// @access  Private (Admin)
+router.get("/reports", async (req, res) => {
+  try {
+    const { format } = req.query
+    if (format === "pdf") {
+      return res.status(400).json({
+        success: false,
+        message: "PDF reports are not supported. Use format=csv or format=excel.",
+      })
+    }
+
+    const report = await adminService.getReport(req.query)
+
+    if (format === "csv" || format === "excel") {
+      const { rows, columns } = adminService.getReportRows(report)
+      audit("ADMIN_REPORT_EXPORTED", req.user._id, { reportType: report.reportType, format })
+      return sendCsv(res, `${report.reportType}-report-${new Date().toISOString().split("T")[0]}.csv`, toCsv(rows, columns))
+    }
+
+    res.json({ success: true, data: report })
+  } catch (error) {
+    sendError(res, error, "Server error while generating report")
+  }
+})
+
+// @route   GET /api/admin/system/health
+// @desc    Database, server and storage health
+// @access  Private (Admin)
+router.get("/system/health", async (req, res) => {
+  try {
+    const data = await adminService.getSystemHealth()
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while checking system health")
+  }
+})
+
+// @route   POST /api/admin/system/backup
+// @desc    Write a JSON backup of all collections
+// @access  Private (Admin)
+router.post("/system/backup", strictLimiter, async (req, res) => {
+  try {
+    const data = await adminService.createBackup(req.user._id, req.body)
+    audit("ADMIN_BACKUP_CREATED", req.user._id, { backupId: data.id })
+    res.status(201).json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while creating backup")
+  }
+})
+
+// @route   GET /api/admin/system/backups
+// @desc    List available backups
+// @access  Private (Admin)
+router.get("/system/backups", async (req, res) => {
+  try {
+    const data = await adminService.listBackups()
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while listing backups")
+  }
+})
+
+// @route   POST /api/admin/system/restore/:backupId
+// @desc    Replace all collections with the contents of a backup
+// @access  Private (Admin)
+router.post("/system/restore/:backupId", strictLimiter, async (req, res) => {
+  try {
+    const data = await adminService.restoreBackup(req.params.backupId)
+    if (!data) return res.status(404).json({ success: false, message: "Backup not found" })
+    audit("ADMIN_BACKUP_RESTORED", req.user._id, data)
+    res.json({ success: true, message: "Backup restored", data })
+  } catch (error) {
+    sendError(res, error, "Server error while restoring backup")
+  }
+})
+
+// @route   GET /api/admin/system/jobs
+// @desc    Scheduled jobs with their schedule, lock and latest run
+// @access  Private (Admin)
+router.get("/system/jobs", async (req, res) => {
+  try {
+    const data = await jobRunner.listJobs()
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while listing jobs")
+  }
+})
+
+// @route   GET /api/admin/system/jobs/:name/runs
+// @desc    Paginated run history of a job
+// @access  Private (Admin)
+router.get("/system/jobs/:name/runs", async (req, res) => {
+  try {
+    const data = await jobRunner.getJobRuns(req.params.name, req.query)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while reading job history")
+  }
+})
+
+// @route   POST /api/admin/system/jobs/:name/run
+// @desc    Run a job now
+// @access  Private (Admin)
+router.post("/system/jobs/:name/run", strictLimiter, async (req, res) => {
+  try {
+    const data = await jobRunner.runJob(req.params.name, { trigger: "manual", triggeredBy: req.user._id })
+    if (!data) {
+      return res.status(409).json({ success: false, message: "Job is already running" })
+    }
+    audit("ADMIN_JOB_RUN", req.user._id, { job: req.params.name, runId: data._id, status: data.status })
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while running job")
+  }
+})
+
+// @route   POST /api/admin/notifications/bulk/preview
+// @desc    Count the recipients an announcement audience would reach
+// @access  Private (Admin)
+router.post("/notifications/bulk/preview", validate("bulkNotificationPreview"), async (req, res) => {
+  try {
+    const data = await adminService.previewAnnouncement(req.body.audience)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while previewing announcement")
+  }
+})
+
+// @route   POST /api/admin/notifications/bulk
+// @desc    Send an announcement to explicit recipients or to an audience
+// @access  Private (Admin)
+router.post("/notifications/bulk", strictLimiter, validate("bulkNotification"), async (req, res) => {
+  try {
+    const data = await adminService.sendAnnouncement(req.body, req.user._id)
+    audit("ADMIN_ANNOUNCEMENT", req.user._id, {
+      title: req.body.title,
+      audience: req.body.audience,
+      recipients: data.total,
+    })
+    res.status(201).json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while sending announcement")
+  }
+})
+
+// @route   GET /api/admin/audit-logs
+// @desc    Paginated audit log entries
+// @access  Private (Admin)
+router.get("/audit-logs", async (req, res) => {
+  try {
+    const data = await adminService.getAuditLogs(req.query)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while reading audit logs")
+  }
+})
+
+// @route   GET /api/admin/settings
+// @desc    Get system settings
+// @access  Private (Admin)
+router.get("/settings", async (req, res) => {
+  try {
+    const data = await adminService.getSettings()
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while fetching settings")
+  }
+})
+
+// @route   PUT /api/admin/settings
+// @desc    Update one settings section: { section, data }
+// @access  Private (Admin)
+router.put("/settings", async (req, res) => {
+  try {
+    const { section, data } = req.body
+    if (!section || !data || typeof data !== "object") {
+      return res.status(400).json({
+        success: false,
+        message: "section and data are required",
+      })
+    }
+
+    const settings = await adminService.updateSettings(section, data, req.user._id)
+    audit("ADMIN_SETTINGS_UPDATED", req.user._id, { section, fields: Object.keys(data) })
+    res.json({ success: true, data: settings })
+  } catch (error) {
+    sendError(res, error, "Server error while updating settings")
+  }
+})
+
+// @route   GET /api/admin/users
+// @desc    List user accounts
+// @access  Private (Admin)
+router.get("/users", async (req, res) => {
+  try {
+    const data = await adminService.listUsers(req.query)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while fetching users")
+  }
+})
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role or active status
+// @access  Private (Admin)
+router.put("/users/:id/role", validate("updateUserRole"), async (req, res) => {
+  try {
+    const user = await adminService.updateUserRole(req.params.id, req.body, req.user._id)
+    if (!user) return res.status(404).json({ success: false, message: "User not found" })
+    audit("ADMIN_USER_ROLE_UPDATED", req.user._id, { userId: req.params.id, ...req.body })
+    res.json({ success: true, data: user })
+  } catch (error) {
+    sendError(res, error, "Server error while updating user")
+  }
+})
+
+module.exports = router
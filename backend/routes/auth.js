@@ -4,37 +4,96 @@ const jwt = require("jsonwebtoken")
 const crypto = require("crypto")
 const User = require("../models/User")
 const Student = require("../models/Student")
-const Department = require("../models/Department")
 const authMiddleware = require("../middleware/authMiddleware")
 const { validate } = require("../middleware/validation")
 const { authLimiter, strictLimiter } = require("../middleware/rateLimiter")
 const logger = require("../utils/logger")
 const { audit } = require("../utils/logger")
 const { uploadSingle } = require("../middleware/upload")
+const emailService = require("../services/emailService")
+const invitationService = require("../services/invitationService")
+const twoFactorService = require("../services/twoFactorService")
+const sessionService = require("../services/sessionService")
+const httpError = require("../utils/httpError")
 
 const router = express.Router()
 
-// Generate JWT tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRE || "15m" })
+// How long a password reset link stays valid
+const RESET_TOKEN_MINUTES = 10
 
-  const refreshToken = jwt.sign({ userId, type: "refresh" }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRE || "7d",
+// Same answer whether or not the email belongs to an account
+const RESET_REQUESTED_MESSAGE = "If the email exists, a password reset link has been sent"
+
+// How long the second login step may take
+const CHALLENGE_TOKEN_TTL = "5m"
+
+const CHALLENGE_EXPIRED_MESSAGE = "Your sign-in has expired. Please login again."
+
+// Short-lived token proving the password was right. "2fa" is exchanged for tokens with a code;
+// "2fa_setup" lets an account that must use two-factor authentication enroll first.
+const generateChallengeToken = (userId, type, rememberMe) =>
+  jwt.sign({ userId, type, rememberMe: Boolean(rememberMe) }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_TTL,
   })
 
-  return { accessToken, refreshToken }
+const verifyChallengeToken = async (token, type) => {
+  let decoded
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET)
+  } catch (error) {
+    throw httpError(401, CHALLENGE_EXPIRED_MESSAGE)
+  }
+  if (decoded.type !== type) {
+    throw httpError(401, "Invalid token type")
+  }
+
+  const user = await User.findOne({ _id: decoded.userId, isActive: true })
+  if (!user) {
+    throw httpError(401, CHALLENGE_EXPIRED_MESSAGE)
+  }
+  if (user.isLocked()) {
+    throw httpError(423, "Account is temporarily locked due to multiple failed login attempts")
+  }
+
+  return { user, rememberMe: decoded.rememberMe }
+}
+
+// Start a session once every login step has passed
+const completeLogin = async (user, req, { rememberMe, method }) => {
+  // Reset login attempts on successful login
+  if (user.loginAttempts > 0) {
+    await user.resetLoginAttempts()
+  }
+
+  // Generate tokens and record the session with the device it came from
+  const { accessToken, refreshToken, sessionId } = await sessionService.createSession(user, req)
+
+  // Update last login
+  await User.updateOne({ _id: user._id }, { lastLogin: new Date() })
+
+  // Log successful login
+  audit("LOGIN_SUCCESS", user._id, { email: user.email, role: user.role, method, sessionId, ip: req.ip })
+
+  return {
+    user: {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      name: user.fullName,
+      profileComplete: user.profileComplete,
+    },
+    token: accessToken,
+    refreshToken: rememberMe ? refreshToken : undefined,
+  }
 }
 
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user; accounts with two-factor authentication get a challenge for /login/2fa instead of tokens
 // @access  Public
 router.post("/login", authLimiter, validate("login"), async (req, res) => {
   try {
     const { email, password, role, rememberMe } = req.body
 
-    // Debug: Log incoming login payload
-    console.log("LOGIN ATTEMPT:", { email, role })
-
     // Find user by email and role
     const user = await User.findOne({
       email: email.toLowerCase(),
@@ -42,16 +101,12 @@ router.post("/login", authLimiter, validate("login"), async (req, res) => {
       isActive: true,
     })
 
-    // Debug: Log user found or not
     if (!user) {
-      console.log("LOGIN FAILED: User not found", { email, role })
       audit("LOGIN_FAILED", null, { email, role, reason: "User not found" })
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       })
-    } else {
-      console.log("LOGIN USER FOUND:", user.email, user.role)
     }
 
     // Check if account is locked
@@ -65,7 +120,6 @@ router.post("/login", authLimiter, validate("login"), async (req, res) => {
 
     // Check password
     const isMatch = await user.comparePassword(password)
-    console.log("PASSWORD CHECK:", { input: password, hash: user.password, isMatch })
 
     if (!isMatch) {
       // Increment login attempts
@@ -78,44 +132,75 @@ router.post("/login", authLimiter, validate("login"), async (req, res) => {
       })
     }
 
-    // Reset login attempts on successful login
-    if (user.loginAttempts > 0) {
-      await user.resetLoginAttempts()
+    // Second step: a code from the authenticator app
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: "Enter the code from your authenticator app",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id, "2fa", rememberMe),
+        },
+      })
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id)
+    // Required for the role but not set up yet: enroll before the first token is issued
+    if (await twoFactorService.isRequiredFor(user.role)) {
+      return res.json({
+        success: true,
+        message: "Set up two-factor authentication to continue",
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: generateChallengeToken(user._id, "2fa_setup", rememberMe),
+        },
+      })
+    }
 
-    // Store refresh token
-    user.refreshTokens.push({
-      token: refreshToken,
-      createdAt: new Date(),
+    const session = await completeLogin(user, req, { rememberMe, method: "password" })
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: session,
+    })
+  } catch (error) {
+    logger.error("Login error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error during login",
     })
+  }
+})
 
-    // Update last login
-    user.lastLogin = new Date()
-    await user.save()
+// @route   POST /api/auth/login/2fa
+// @desc    Finish login with an authenticator code or a recovery code
+// @access  Public (challenge token from /login)
+router.post("/login/2fa", authLimiter, validate("twoFactorLogin"), async (req, res) => {
+  try {
+    const { user, rememberMe } = await verifyChallengeToken(req.body.challengeToken, "2fa")
 
-    // Log successful login
-    audit("LOGIN_SUCCESS", user._id, { email, role })
+    const method = await twoFactorService.verifyLogin(user, req.body)
+    if (!method) {
+      await user.incLoginAttempts()
+      audit("LOGIN_FAILED", user._id, { email: user.email, role: user.role, reason: "Invalid two-factor code" })
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      })
+    }
+
+    const session = await completeLogin(user, req, { rememberMe, method })
 
     res.json({
       success: true,
       message: "Login successful",
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          role: user.role,
-          name: user.fullName,
-          profileComplete: user.profileComplete,
-        },
-        token: accessToken,
-        refreshToken: rememberMe ? refreshToken : undefined,
-      },
+      data: session,
     })
   } catch (error) {
-    logger.error("Login error:", error)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message })
+    }
+    logger.error("Two-factor login error:", error)
     res.status(500).json({
       success: false,
       message: "Server error during login",
@@ -123,6 +208,56 @@ router.post("/login", authLimiter, validate("login"), async (req, res) => {
   }
 })
 
+// @route   POST /api/auth/login/2fa/setup
+// @desc    Start the two-factor enrollment required before login
+// @access  Public (challenge token from /login)
+router.post("/login/2fa/setup", authLimiter, validate("twoFactorChallenge"), async (req, res) => {
+  try {
+    const { user } = await verifyChallengeToken(req.body.challengeToken, "2fa_setup")
+    const setup = await twoFactorService.beginSetup(user)
+
+    res.json({ success: true, data: setup })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message })
+    }
+    logger.error("Two-factor setup error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error during two-factor setup",
+    })
+  }
+})
+
+// @route   POST /api/auth/login/2fa/enable
+// @desc    Confirm the required enrollment with a code and finish login
+// @access  Public (challenge token from /login)
+router.post("/login/2fa/enable", authLimiter, validate("twoFactorSetupLogin"), async (req, res) => {
+  try {
+    const { user, rememberMe } = await verifyChallengeToken(req.body.challengeToken, "2fa_setup")
+    const recoveryCodes = await twoFactorService.confirmSetup(user, req.body.code)
+
+    audit("TWO_FACTOR_ENABLED", user._id, { ip: req.ip })
+
+    const session = await completeLogin(user, req, { rememberMe, method: "code" })
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled. Save your recovery codes.",
+      data: { ...session, recoveryCodes },
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message })
+    }
+    logger.error("Two-factor enable error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error during two-factor setup",
+    })
+  }
+})
+
 // @route   POST /api/auth/register
 // @desc    Register student
 // @access  Public
@@ -179,6 +314,13 @@ router.post(
         })
       }
 
+      if (req.processedFiles && req.processedFiles[0].quarantined) {
+        return res.status(422).json({
+          success: false,
+          message: "Profile picture failed the virus scan. Please upload a different image.",
+        })
+      }
+
       // Create user
       const user = new User({
         firstName,
@@ -243,48 +385,51 @@ router.post(
   }
 )
 
-// @route   POST /api/auth/register-department
-// @desc    Register a new department
+// @route   GET /api/auth/invitations/:token
+// @desc    Show what an officer invitation is for
 // @access  Public
-router.post("/register-department", async (req, res) => {
+router.get("/invitations/:token", strictLimiter, async (req, res) => {
   try {
-    const { departmentName, departmentCode, email, password } = req.body;
-    if (!departmentName || !departmentCode || !email || !password) {
-      return res.status(400).json({ message: "All fields are required" });
+    const invitation = await invitationService.getInvitation(req.params.token)
+    res.json({ success: true, data: invitation })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message })
     }
-    // Check if department already exists
-    const existing = await Department.findOne({ code: departmentCode });
-    if (existing) {
-      return res.status(400).json({ message: "Department code already exists" });
+    logger.error("Get invitation error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error while loading invitation",
+    })
+  }
+})
+
+// @route   POST /api/auth/invitations/:token/accept
+// @desc    Accept an officer invitation with an own name and password
+// @access  Public
+router.post("/invitations/:token/accept", strictLimiter, validate("acceptInvitation"), async (req, res) => {
+  try {
+    const { user, invitation } = await invitationService.acceptInvitation(req.params.token, req.body)
+
+    audit("OFFICER_INVITATION_ACCEPTED", user._id, {
+      invitationId: invitation._id,
+      departmentId: invitation.departmentId,
+      ip: req.ip,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Your officer account has been created. Please login.",
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message })
     }
-    // Create department (add more fields as needed)
-    const newDept = new Department({
-      name: departmentName,
-      code: departmentCode,
-      email,
-      faculty: "General", // You can update this to accept from frontend
-      isActive: true,
-    });
-    await newDept.save();
-
-    // Also create a User record for department login
-    // Pass plain password, let User model hash it
-    const user = new User({
-      email,
-      password, // plain password
-      role: "department",
-      isActive: true,
-      fullName: departmentName,
-      firstName: departmentName, // Use department name as first name
-      lastName: departmentCode,  // Use department code as last name
-      departmentId: newDept._id, // Link to department
-    });
-    await user.save();
-
-    res.status(201).json({ message: "Department registered successfully" });
-  } catch (err) {
-      console.error("Register Department Error:", err); // Add this line
-      res.status(500).json({ message: "Server error", error: err.message });
+    logger.error("Accept invitation error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error while accepting invitation",
+    })
   }
 })
 
@@ -302,64 +447,21 @@ router.post("/refresh-token", async (req, res) => {
       })
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET)
-
-    if (decoded.type !== "refresh") {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid token type",
-      })
-    }
-
-    // Find user and check if refresh token exists
-    const user = await User.findById(decoded.userId)
-
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: "User not found or inactive",
-      })
-    }
-
-    const tokenExists = user.refreshTokens.some((token) => token.token === refreshToken)
-
-    if (!tokenExists) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid refresh token",
-      })
-    }
-
-    // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user._id)
-
-    // Replace old refresh token with new one
-    user.refreshTokens = user.refreshTokens.filter((token) => token.token !== refreshToken)
-    user.refreshTokens.push({
-      token: newRefreshToken,
-      createdAt: new Date(),
-    })
-
-    await user.save()
+    // Rotate: the old refresh token stops working, and reusing it ends the session
+    const tokens = await sessionService.rotateSession(refreshToken, req)
 
     res.json({
       success: true,
       data: {
-        token: accessToken,
-        refreshToken: newRefreshToken,
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
       },
     })
   } catch (error) {
-    logger.error("Token refresh error:", error)
-
-    if (error.name === "JsonWebTokenError" || error.name === "TokenExpiredError") {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid or expired refresh token",
-      })
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message })
     }
-
+    logger.error("Token refresh error:", error)
     res.status(500).json({
       success: false,
       message: "Server error during token refresh",
@@ -375,14 +477,15 @@ router.post("/logout", authMiddleware, async (req, res) => {
     const { refreshToken } = req.body
     const user = req.user
 
-    // Remove refresh token if provided
-    if (refreshToken) {
-      user.refreshTokens = user.refreshTokens.filter((token) => token.token !== refreshToken)
-      await user.save()
+    // End the session of this access token, or the one the refresh token belongs to
+    const decoded = refreshToken ? jwt.decode(refreshToken) : null
+    const sessionId = req.sessionId || (decoded && decoded.sid)
+    if (sessionId) {
+      await sessionService.revokeSession(user._id, sessionId)
     }
 
     // Log logout
-    audit("LOGOUT", user._id, {})
+    audit("LOGOUT", user._id, { sessionId })
 
     res.json({
       success: true,
@@ -413,7 +516,7 @@ router.post("/forgot-password", strictLimiter, validate("forgotPassword"), async
       // Don't reveal if email exists or not
       return res.json({
         success: true,
-        message: "If the email exists, a password reset link has been sent",
+        message: RESET_REQUESTED_MESSAGE,
       })
     }
 
@@ -421,21 +524,24 @@ router.post("/forgot-password", strictLimiter, validate("forgotPassword"), async
     const resetToken = crypto.randomBytes(32).toString("hex")
     const hashedToken = crypto.createHash("sha256").update(resetToken).digest("hex")
 
-    // Set reset token and expiration (10 minutes)
+    // Set reset token and expiration
     user.passwordResetToken = hashedToken
-    user.passwordResetExpires = Date.now() + 10 * 60 * 1000
+    user.passwordResetExpires = Date.now() + RESET_TOKEN_MINUTES * 60 * 1000
     await user.save()
 
-    // TODO: Send email with reset link
-    // const resetUrl = `${process.env.CLIENT_URL}/reset-password/${resetToken}`;
-    // await sendPasswordResetEmail(user.email, resetUrl);
+    try {
+      await emailService.sendPasswordResetEmail(user, resetToken, RESET_TOKEN_MINUTES)
+    } catch (error) {
+      // Still answer as if it was sent, so the response does not reveal the account
+      logger.error(`Failed to send password reset email to user ${user._id}:`, error)
+    }
 
     // Log password reset request
     audit("PASSWORD_RESET_REQUESTED", user._id, { email })
 
     res.json({
       success: true,
-      message: "Password reset link sent to your email",
+      message: RESET_REQUESTED_MESSAGE,
     })
   } catch (error) {
     logger.error("Forgot password error:", error)
@@ -446,6 +552,52 @@ router.post("/forgot-password", strictLimiter, validate("forgotPassword"), async
   }
 })
 
+// @route   POST /api/auth/reset-password/:token
+// @desc    Set a new password with a reset link token
+// @access  Public
+router.post("/reset-password/:token", strictLimiter, validate("resetPassword"), async (req, res) => {
+  try {
+    const hashedToken = crypto.createHash("sha256").update(req.params.token).digest("hex")
+
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: Date.now() },
+      isActive: true,
+    })
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Password reset link is invalid or has expired",
+      })
+    }
+
+    user.password = req.body.password
+    user.passwordResetToken = undefined
+    user.passwordResetExpires = undefined
+
+    // Sign out every session and lift any lockout from failed logins
+    user.refreshTokens = []
+    user.loginAttempts = 0
+    user.lockUntil = undefined
+
+    await user.save()
+
+    audit("PASSWORD_RESET_COMPLETED", user._id, { ip: req.ip })
+
+    res.json({
+      success: true,
+      message: "Password has been reset. Please login with your new password.",
+    })
+  } catch (error) {
+    logger.error("Reset password error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error during password reset",
+    })
+  }
+})
+
 // @route   POST /api/auth/change-password
 // @desc    Change user password
 // @access  Private
@@ -488,6 +640,190 @@ router.post("/change-password", authMiddleware, validate("changePassword"), asyn
   }
 })
 
+// @route   GET /api/auth/sessions
+// @desc    Active sessions (signed-in devices) of the current account
+// @access  Private
+router.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user._id, req.sessionId)
+    res.json({ success: true, data: sessions })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message })
+    }
+    logger.error("List sessions error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error while loading sessions",
+    })
+  }
+})
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign one session out
+// @access  Private
+router.delete("/sessions/:sessionId", authMiddleware, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.user._id, req.params.sessionId)
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      })
+    }
+
+    audit("SESSION_REVOKED", req.user._id, { sessionId: req.params.sessionId, ip: req.ip })
+
+    res.json({
+      success: true,
+      message: "Session signed out",
+    })
+  } catch (error) {
+    logger.error("Revoke session error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error while signing out the session",
+    })
+  }
+})
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every session except the current one
+// @access  Private
+router.delete("/sessions", authMiddleware, async (req, res) => {
+  try {
+    await sessionService.revokeAllSessions(req.user._id, req.sessionId)
+
+    audit("SESSIONS_REVOKED", req.user._id, { keptSessionId: req.sessionId, ip: req.ip })
+
+    res.json({
+      success: true,
+      message: "Signed out of all other sessions",
+    })
+  } catch (error) {
+    logger.error("Revoke sessions error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error while signing out sessions",
+    })
+  }
+})
+
+// @route   GET /api/auth/2fa
+// @desc    Two-factor authentication status of the current account
+// @access  Private
+router.get("/2fa", authMiddleware, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user)
+    res.json({ success: true, data: status })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message })
+    }
+    logger.error("Get two-factor status error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error while loading two-factor status",
+    })
+  }
+})
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment: secret and QR code for an authenticator app
+// @access  Private (Department, Admin)
+router.post("/2fa/setup", authMiddleware, async (req, res) => {
+  try {
+    const setup = await twoFactorService.beginSetup(req.user)
+    res.json({ success: true, data: setup })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message })
+    }
+    logger.error("Two-factor setup error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error during two-factor setup",
+    })
+  }
+})
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code; returns the recovery codes once
+// @access  Private (Department, Admin)
+router.post("/2fa/enable", authMiddleware, authLimiter, validate("twoFactorCode"), async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.confirmSetup(req.user, req.body.code)
+
+    audit("TWO_FACTOR_ENABLED", req.user._id, { ip: req.ip })
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled. Save your recovery codes.",
+      data: { recoveryCodes },
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message })
+    }
+    logger.error("Two-factor enable error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error during two-factor setup",
+    })
+  }
+})
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off (password and code required)
+// @access  Private (Department, Admin)
+router.post("/2fa/disable", authMiddleware, strictLimiter, validate("twoFactorDisable"), async (req, res) => {
+  try {
+    await twoFactorService.disable(req.user, req.body)
+
+    audit("TWO_FACTOR_DISABLED", req.user._id, { ip: req.ip })
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message })
+    }
+    logger.error("Two-factor disable error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error while disabling two-factor authentication",
+    })
+  }
+})
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes; the old ones stop working
+// @access  Private (Department, Admin)
+router.post("/2fa/recovery-codes", authMiddleware, strictLimiter, validate("twoFactorCode"), async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user, req.body.code)
+
+    audit("TWO_FACTOR_RECOVERY_CODES_REGENERATED", req.user._id, { ip: req.ip })
+
+    res.json({
+      success: true,
+      message: "New recovery codes generated. Save them somewhere safe.",
+      data: { recoveryCodes },
+    })
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message })
+    }
+    logger.error("Regenerate recovery codes error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error while generating recovery codes",
+    })
+  }
+})
+
 // @route   GET /api/auth/verify
 // @desc    Verify token and get user data
 // @access  Private
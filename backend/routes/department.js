@@ -1,23 +1,43 @@
 const express = require("express");
-const departmentService = require("../services/departmentService");
+const path = require("path");
 // Use the correct backend file for all backend logic
 const departmentServiceBackend = require("../services/departmentService.server.js");
 const clearanceService = require("../services/clearanceService");
+const documentService = require("../services/documentService");
+const adminService = require("../services/adminService");
+const authMiddleware = require("../middleware/authMiddleware");
+const { requireAdminOrDepartment, requirePermission } = require("../middleware/roleAuth");
+const { validate } = require("../middleware/validation");
 const router = express.Router();
 
+// Fields officers may change on their own department; the rest are set by admins
+const OFFICER_EDITABLE_FIELDS = ["description", "contactInfo"];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Officers only see clearances that include their own department; admins see all
+const clearanceScope = (user) =>
+  user.role === "department" ? { "departments.departmentId": user.departmentId } : {};
+
+// Narrows a "departments.status" condition to the officer's own item
+const pendingScope = (user) =>
+  user.role === "department"
+    ? { departments: { $elemMatch: { departmentId: user.departmentId, status: "pending" } } }
+    : { "departments.status": "pending" };
+
 // Fetch all departments
-router.get("/departments", async (req, res) => {
+router.get("/departments", authMiddleware, async (req, res) => {
   try {
     const departments = await departmentServiceBackend.getAllDepartments();
     res.json(departments);
   } catch (err) {
-    console.error("/departments error:", err); // Log full error
-    res.status(500).json({ error: err.message, stack: err.stack }); // Return stack for debugging
+    console.error("/departments error:", err);
+    res.status(500).json({ error: err.message });
   }
 });
 
 // Fetch a department profile by ID
-router.get("/departments/:id", async (req, res) => {
+router.get("/departments/:id", authMiddleware, async (req, res) => {
   try {
     // Use the backend-only service for backend logic
     const department = await departmentServiceBackend.getDepartmentById(req.params.id);
@@ -28,76 +48,157 @@ router.get("/departments/:id", async (req, res) => {
   }
 });
 
-// Update a department profile
-router.put("/departments/:id", async (req, res) => {
-  try {
-    const updated = await departmentService.updateDepartment(req.params.id, req.body);
-    if (!updated) return res.status(404).json({ error: "Department not found" });
-    res.json(updated);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Update a department profile (admins, or officers of that department for its profile fields)
+router.put(
+  "/departments/:id",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("edit", (req) => req.params.id),
+  validate("updateDepartment"),
+  async (req, res) => {
+    try {
+      if (req.user.role === "department") {
+        const adminOnly = Object.keys(req.body).filter((field) => !OFFICER_EDITABLE_FIELDS.includes(field));
+        if (adminOnly.length > 0) {
+          return res.status(403).json({ error: `Only an administrator can change: ${adminOnly.join(", ")}` });
+        }
+      }
+      // Same path as the admin panel, so prerequisite changes are checked for cycles
+      const updated = await adminService.updateDepartment(req.params.id, req.body);
+      if (!updated) return res.status(404).json({ error: "Department not found" });
+      res.json(updated);
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ error: err.message });
+    }
   }
-});
+);
 
 // Fetch all clearance requests
-router.get("/clearance-requests", async (req, res) => {
-  try {
-    const requests = await clearanceService.getAllClearanceRequests();
-    res.json(requests);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+router.get(
+  "/clearance-requests",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("view"),
+  async (req, res) => {
+    try {
+      const requests = await clearanceService.getAllClearanceRequests(req.user);
+      res.json(requests);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
   }
-});
+);
 
 // Approve a clearance request
-router.patch("/clearance-requests/:id/approve", async (req, res) => {
-  try {
-    const { departmentId, departmentSubdocId, approvedBy, remarks } = req.body;
-    if (!departmentId && !departmentSubdocId) {
-      return res.status(400).json({ success: false, message: "departmentId or departmentSubdocId is required" });
+router.patch(
+  "/clearance-requests/:id/approve",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("approve"),
+  async (req, res) => {
+    try {
+      const { departmentId, departmentSubdocId, remarks } = req.body;
+      if (!departmentId && !departmentSubdocId) {
+        return res.status(400).json({ success: false, message: "departmentId or departmentSubdocId is required" });
+      }
+      // The approver is always the signed-in user, never a value from the request body
+      const request = await clearanceService.approveClearanceRequest(
+        req.params.id,
+        departmentId,
+        departmentSubdocId,
+        req.user,
+        remarks
+      );
+      if (!request) return res.status(404).json({ success: false, message: "Request not found" });
+      res.json({ success: true, data: request });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ success: false, message: err.message });
     }
-    const request = await clearanceService.approveClearanceRequest(
-      req.params.id,
-      departmentId,
-      departmentSubdocId,
-      approvedBy,
-      remarks
-    );
-    if (!request) return res.status(404).json({ success: false, message: "Request not found" });
-    res.json({ success: true, data: request });
-  } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
   }
-});
+);
+
+// Tick a checklist requirement on a department's clearance item
+router.patch(
+  "/clearance-requests/:id/requirements/:requirementId",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("approve"),
+  validate("updateRequirement"),
+  async (req, res) => {
+    try {
+      const { departmentId, departmentSubdocId, completed, notes } = req.body;
+      const request = await clearanceService.updateRequirement(
+        req.params.id,
+        departmentSubdocId || departmentId,
+        req.params.requirementId,
+        { completed, notes },
+        req.user
+      );
+      if (!request) return res.status(404).json({ success: false, message: "Request not found" });
+      res.json({ success: true, data: request });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+  }
+);
 
 // Reject a clearance request
-router.patch("/clearance-requests/:id/reject", async (req, res) => {
-  try {
-    const request = await clearanceService.rejectClearanceRequest(req.params.id, req.body.comment);
-    if (!request) return res.status(404).json({ success: false, message: "Request not found" });
-    res.json({ success: true, data: request });
-  } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+router.patch(
+  "/clearance-requests/:id/reject",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("reject"),
+  async (req, res) => {
+    try {
+      const { departmentId, departmentSubdocId } = req.body;
+      const reason = req.body.reason || req.body.comment;
+      if (!departmentId && !departmentSubdocId) {
+        return res.status(400).json({ success: false, message: "departmentId or departmentSubdocId is required" });
+      }
+      if (!reason || !reason.trim()) {
+        return res.status(400).json({ success: false, message: "A rejection reason is required" });
+      }
+      const request = await clearanceService.rejectClearanceRequest(
+        req.params.id,
+        departmentId,
+        departmentSubdocId,
+        req.user,
+        reason.trim()
+      );
+      if (!request) return res.status(404).json({ success: false, message: "Request not found" });
+      res.json({ success: true, data: request });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
   }
-});
+);
+
+// Students an officer can see are those with a clearance that includes their department
+const countStudents = async (user) => {
+  const Clearance = require("../models/Clearance");
+  const Student = require("../models/Student");
+  if (user.role !== "department") return await Student.countDocuments();
+  const userIds = await Clearance.distinct("userId", clearanceScope(user));
+  return userIds.length;
+};
 
 // Department statistics (for dashboard)
-router.get("/stats", async (req, res) => {
+router.get("/stats", authMiddleware, requireAdminOrDepartment, requirePermission("view"), async (req, res) => {
   try {
     // Example: Calculate stats from Clearance and Student models
     const Clearance = require("../models/Clearance");
-    const Student = require("../models/Student");
+    const scope = clearanceScope(req.user);
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     const tomorrow = new Date(today);
     tomorrow.setDate(today.getDate() + 1);
 
-    const todayApprovals = await Clearance.countDocuments({ status: "approved", updatedAt: { $gte: today, $lt: tomorrow } });
-    const todayRejections = await Clearance.countDocuments({ status: "rejected", updatedAt: { $gte: today, $lt: tomorrow } });
-    const totalStudents = await Student.countDocuments();
-    const pendingCount = await Clearance.countDocuments({ status: "pending" });
+    const todayApprovals = await Clearance.countDocuments({ ...scope, status: "approved", updatedAt: { $gte: today, $lt: tomorrow } });
+    const todayRejections = await Clearance.countDocuments({ ...scope, status: "rejected", updatedAt: { $gte: today, $lt: tomorrow } });
+    const totalStudents = await countStudents(req.user);
+    const pendingCount = await Clearance.countDocuments({ ...scope, status: "pending" });
     // Example: Calculate processing rate (approved/total)
-    const totalProcessed = await Clearance.countDocuments({ status: { $in: ["approved", "rejected"] } });
+    const totalProcessed = await Clearance.countDocuments({ ...scope, status: { $in: ["approved", "rejected"] } });
     const processingRate = totalProcessed > 0 ? Math.round((todayApprovals / totalProcessed) * 100) : 0;
 
     res.json({ success: true, data: {
@@ -113,23 +214,25 @@ router.get("/stats", async (req, res) => {
 });
 
 // Recent students (for dashboard activity)
-router.get("/recent-students", async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 5;
-    const Clearance = require("../models/Clearance");
-    // Find recent clearances (approved, rejected, pending)
-    const recent = await Clearance.find({})
-      .sort({ updatedAt: -1 })
-      .limit(limit)
-      .populate({
-        path: "studentId",
-        populate: { path: "userId", select: "firstName lastName" }
-      });
-    // Map to dashboard format
-    const students = recent.map((clr) => {
-      // Debug: log the studentId object
-      console.log("DEBUG studentId:", JSON.stringify(clr.studentId, null, 2));
-      return {
+router.get(
+  "/recent-students",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("view"),
+  async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 5;
+      const Clearance = require("../models/Clearance");
+      // Find recent clearances (approved, rejected, pending)
+      const recent = await Clearance.find(clearanceScope(req.user))
+        .sort({ updatedAt: -1 })
+        .limit(limit)
+        .populate({
+          path: "studentId",
+          populate: { path: "userId", select: "firstName lastName" }
+        });
+      // Map to dashboard format
+      const students = recent.map((clr) => ({
         id: clr.studentId?._id || clr.studentId,
         firstName: clr.studentId?.userId?.firstName || "",
         lastName: clr.studentId?.userId?.lastName || "",
@@ -137,143 +240,254 @@ router.get("/recent-students", async (req, res) => {
         phone: clr.studentId?.phone || "",
         status: clr.status,
         updatedAt: clr.updatedAt,
-      };
-    });
-    res.json({ success: true, data: students });
-  } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+      }));
+      res.json({ success: true, data: students });
+    } catch (err) {
+      res.status(500).json({ success: false, message: err.message });
+    }
   }
-});
+);
 
 // Pending students (for dashboard)
-router.get("/pending-students", async (req, res) => {
-  try {
-    const Clearance = require("../models/Clearance");
-    // Find clearances where at least one department is still pending
-    const pending = await Clearance.find({ "departments.status": "pending" })
-      .populate({
-        path: "studentId",
-        populate: { path: "userId", select: "firstName lastName" }
-      });
-    // Ensure departmentId is always a string for frontend filtering
-    pending.forEach(clr => {
-      if (Array.isArray(clr.departments)) {
-        clr.departments.forEach(dept => {
-          if (dept.departmentId && typeof dept.departmentId !== 'string') {
-            dept.departmentId = dept.departmentId.toString();
-          }
+router.get(
+  "/pending-students",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("view"),
+  async (req, res) => {
+    try {
+      const Clearance = require("../models/Clearance");
+      // Find clearances where at least one department (the officer's own, for officers) is still pending
+      const pending = await Clearance.find(pendingScope(req.user))
+        .populate({
+          path: "studentId",
+          populate: { path: "userId", select: "firstName lastName" }
         });
-      }
-    });
-    res.json({ success: true, data: pending });
-  } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+      // Ensure departmentId is always a string for frontend filtering
+      pending.forEach(clr => {
+        if (Array.isArray(clr.departments)) {
+          clr.departments.forEach(dept => {
+            if (dept.departmentId && typeof dept.departmentId !== 'string') {
+              dept.departmentId = dept.departmentId.toString();
+            }
+          });
+        }
+      });
+      res.json({ success: true, data: pending });
+    } catch (err) {
+      res.status(500).json({ success: false, message: err.message });
+    }
   }
-});
+);
 
 // Department dashboard summary (for dashboardData)
-router.get("/dashboard-summary", async (req, res) => {
-  try {
-    const Clearance = require("../models/Clearance");
-    const Student = require("../models/Student");
-    const pendingCount = await Clearance.countDocuments({ status: "pending" });
-    const totalStudents = await Student.countDocuments();
-    res.json({ success: true, data: { pendingCount, totalStudents } });
-  } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+router.get(
+  "/dashboard-summary",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("view"),
+  async (req, res) => {
+    try {
+      const Clearance = require("../models/Clearance");
+      const pendingCount = await Clearance.countDocuments({ ...clearanceScope(req.user), status: "pending" });
+      const totalStudents = await countStudents(req.user);
+      res.json({ success: true, data: { pendingCount, totalStudents } });
+    } catch (err) {
+      res.status(500).json({ success: false, message: err.message });
+    }
   }
-});
+);
 
 // POST /department/search-student
-router.post("/search-student", async (req, res) => {
-  try {
-    const { query, departmentId } = req.body;
-    const Student = require("../models/Student");
-    if (!query) return res.status(400).json({ success: false, message: "Missing search query" });
-    const q = query.trim().toLowerCase();
-    const regex = new RegExp(q, "i");
+router.post(
+  "/search-student",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("view"),
+  async (req, res) => {
+    try {
+      const { query, departmentId } = req.body;
+      const Student = require("../models/Student");
+      const Clearance = require("../models/Clearance");
+      if (!query || typeof query !== "string") {
+        return res.status(400).json({ success: false, message: "Missing search query" });
+      }
+      const q = query.trim().toLowerCase();
+      const regex = new RegExp(escapeRegex(q), "i");
 
-    // 1. Search all students (optionally by department)
-    let studentQuery = {};
-    if (departmentId) studentQuery.department = departmentId;
-    let students = await Student.find(studentQuery)
-      .populate({ path: "userId", select: "firstName lastName" });
-    console.log("[DEBUG] All students (populated):", students);
+      // 1. Search all students (optionally by department); officers only search students on their clearances
+      let studentQuery = {};
+      if (departmentId) studentQuery.department = departmentId;
+      if (req.user.role === "department") {
+        studentQuery.userId = { $in: await Clearance.distinct("userId", clearanceScope(req.user)) };
+      }
+      let students = await Student.find(studentQuery)
+        .populate({ path: "userId", select: "firstName lastName" });
 
-    // 2. Filter students by user name (case-insensitive, partial)
-    let nameMatchedStudents = students.filter(s => {
-      const first = (s.userId?.firstName || "").toLowerCase();
-      const last = (s.userId?.lastName || "").toLowerCase();
-      const full = `${first} ${last}`;
-      const rev = `${last} ${first}`;
-      return first.includes(q) || last.includes(q) || full.includes(q) || rev.includes(q);
-    });
-    console.log("[DEBUG] Students matching name:", nameMatchedStudents);
+      // 2. Filter students by user name (case-insensitive, partial)
+      let nameMatchedStudents = students.filter(s => {
+        const first = (s.userId?.firstName || "").toLowerCase();
+        const last = (s.userId?.lastName || "").toLowerCase();
+        const full = `${first} ${last}`;
+        const rev = `${last} ${first}`;
+        return first.includes(q) || last.includes(q) || full.includes(q) || rev.includes(q);
+      });
 
-    // 3. Also search by matricNumber, studentId, phone as before
-    const searchConditions = [
-      { matricNumber: regex },
-      { studentId: regex },
-      { phone: regex }
-    ];
-    const studentFieldQuery = {
-      ...(departmentId && { department: departmentId }),
-      $or: searchConditions,
-    };
-    let fieldMatchedStudents = await Student.find(studentFieldQuery)
-      .populate({ path: "userId", select: "firstName lastName" });
-    console.log("[DEBUG] Students matching matric/phone/studentId:", fieldMatchedStudents);
+      // 3. Also search by matricNumber, studentId, phone as before
+      const searchConditions = [
+        { matricNumber: regex },
+        { studentId: regex },
+        { phone: regex }
+      ];
+      const studentFieldQuery = {
+        ...studentQuery,
+        $or: searchConditions,
+      };
+      let fieldMatchedStudents = await Student.find(studentFieldQuery)
+        .populate({ path: "userId", select: "firstName lastName" });
 
-    // 4. Merge and dedupe
-    const allStudents = [...nameMatchedStudents, ...fieldMatchedStudents];
-    const seen = new Set();
-    const deduped = allStudents.filter(s => {
-      if (!s._id) return true;
-      if (seen.has(s._id.toString())) return false;
-      seen.add(s._id.toString());
-      return true;
-    });
-    console.log("[DEBUG] Deduped students:", deduped);
+      // 4. Merge and dedupe
+      const allStudents = [...nameMatchedStudents, ...fieldMatchedStudents];
+      const seen = new Set();
+      const deduped = allStudents.filter(s => {
+        if (!s._id) return true;
+        if (seen.has(s._id.toString())) return false;
+        seen.add(s._id.toString());
+        return true;
+      });
 
-    const results = deduped.map(student => ({
-      id: student._id,
-      firstName: student.userId?.firstName || "",
-      lastName: student.userId?.lastName || "",
-      matricNumber: student.matricNumber,
-      phone: student.phone,
-      status: student.graduationStatus || "pending",
-      updatedAt: student.updatedAt,
-    }));
-    console.log("[DEBUG] Final results:", results);
-    res.json({ success: true, data: results });
-  } catch (err) {
-    console.error("[ERROR] /search-student:", err);
-    res.status(500).json({ success: false, message: err.message });
+      const results = deduped.map(student => ({
+        id: student._id,
+        firstName: student.userId?.firstName || "",
+        lastName: student.userId?.lastName || "",
+        matricNumber: student.matricNumber,
+        phone: student.phone,
+        status: student.graduationStatus || "pending",
+        updatedAt: student.updatedAt,
+      }));
+      res.json({ success: true, data: results });
+    } catch (err) {
+      console.error("[ERROR] /search-student:", err);
+      res.status(500).json({ success: false, message: err.message });
+    }
   }
-});
+);
 
 // Fetch a student by ID
-router.get("/students/:studentId", async (req, res) => {
-  try {
-    // Use the backend-specific function to avoid frontend/backend conflicts
-    const student = await departmentServiceBackend.getStudentByIdBackend(req.params.studentId);
-    if (!student) {
-      console.warn(`[WARN] Student not found for id: ${req.params.studentId}`);
-      return res.status(404).json({ error: "Student not found" });
+router.get(
+  "/students/:studentId",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("view"),
+  async (req, res) => {
+    try {
+      // Use the backend-specific function to avoid frontend/backend conflicts
+      const student = await departmentServiceBackend.getStudentByIdBackend(req.params.studentId);
+      if (!student) {
+        console.warn(`[WARN] Student not found for id: ${req.params.studentId}`);
+        return res.status(404).json({ error: "Student not found" });
+      }
+      let studentObj = student.toObject();
+      const userId = studentObj.userId && studentObj.userId._id;
+      if (req.user.role === "department") {
+        const Clearance = require("../models/Clearance");
+        const onClearance = await Clearance.exists({ ...clearanceScope(req.user), userId });
+        if (!onClearance) {
+          return res.status(403).json({ error: "Your department is not on this student's clearance" });
+        }
+      }
+      if (userId) {
+        // toJSON (not lean) so the model strips credentials and security state
+        const User = require("../models/User");
+        const userDoc = await User.findById(userId);
+        if (userDoc) studentObj.userId = userDoc.toJSON();
+      }
+      const profilePicture = studentObj.profilePicture || (studentObj.userId && studentObj.userId.profilePicture);
+      studentObj.profilePictureUrl = documentService.createProfilePictureLink(profilePicture, req.user._id);
+      res.json({ success: true, data: studentObj });
+    } catch (err) {
+      console.error(`[ERROR] /students/:studentId:`, err);
+      res.status(500).json({ error: err.message });
     }
-    // Populate all user fields if userId is populated
-    let studentObj = student.toObject();
-    if (studentObj.userId && studentObj.userId._id) {
-      // Optionally, fetch the full user document if needed
-      const User = require("../models/User");
-      const userDoc = await User.findById(studentObj.userId._id).lean();
-      if (userDoc) studentObj.userId = userDoc;
+  }
+);
+
+// List a student's documents for review
+router.get(
+  "/students/:studentId/documents",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("view"),
+  async (req, res) => {
+    try {
+      const documents = await documentService.listStudentDocumentsForReview(req.params.studentId, req.user, {
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+      if (!documents) return res.status(404).json({ success: false, message: "Student not found" });
+      res.json({ success: true, data: documents });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ success: false, message: err.message });
     }
-    res.json({ success: true, data: studentObj });
-  } catch (err) {
-    console.error(`[ERROR] /students/:studentId:`, err);
-    res.status(500).json({ error: err.message, stack: err.stack });
   }
-});
+);
+
+// Full-text search over document names and extracted text
+router.get(
+  "/documents/search",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("view"),
+  async (req, res) => {
+    try {
+      const data = await documentService.searchDocuments(req.user, req.query);
+      res.json({ success: true, data });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+  }
+);
+
+// Stream a document to an officer
+router.get(
+  "/documents/:id/download",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("view"),
+  async (req, res) => {
+    try {
+      const document = await documentService.getDocumentForDownload(req.params.id, req.user, {
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+      if (!document) return res.status(404).json({ success: false, message: "Document not found" });
+      res.set("Cache-Control", "private, no-store");
+      res.download(path.resolve(document.path), document.originalName);
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+  }
+);
+
+// Verify or reject a document
+router.post(
+  "/documents/:id/verify",
+  authMiddleware,
+  requireAdminOrDepartment,
+  requirePermission("approve"),
+  validate("verifyDocument"),
+  async (req, res) => {
+    try {
+      const document = await documentService.verifyDocument(req.params.id, req.user, req.body, {
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+      if (!document) return res.status(404).json({ success: false, message: "Document not found" });
+      res.json({ success: true, data: document });
+    } catch (err) {
+      res.status(err.statusCode || 500).json({ success: false, message: err.message });
+    }
+  }
+);
 
 module.exports = router;
@@ -0,0 +1,121 @@
+const express = require("express")
+const fs = require("fs")
+const path = require("path")
+const authMiddleware = require("../middleware/authMiddleware")
+const documentService = require("../services/documentService")
+const { verifySignedPath } = require("../utils/signedUrl")
+const logger = require("../utils/logger")
+
+const router = express.Router()
+
+const PROFILE_DIR = path.resolve("uploads", "profiles")
+
+// Send a service error as JSON, hiding unexpected error details
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    })
+  }
+
+  logger.error(`${fallbackMessage}:`, error)
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+  })
+}
+
+// Content-Disposition with an ASCII fallback and an RFC 5987 UTF-8 filename
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_")
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+}
+
+// Reject requests whose signature does not match the path they were issued for
+const requireSignature = (req, res, next) => {
+  const signedPath = req.originalUrl.split("?")[0]
+  if (!verifySignedPath(signedPath, req.query)) {
+    return res.status(403).json({
+      success: false,
+      message: "Download link is invalid or has expired",
+    })
+  }
+  next()
+}
+
+// @route   GET /api/files/documents/:id/link
+// @desc    Issue a short-lived signed download link for a document
+// @access  Private (owner, admin, or an officer of a department on the clearance)
+router.get("/documents/:id/link", authMiddleware, async (req, res) => {
+  try {
+    const disposition = req.query.disposition === "inline" ? "inline" : "attachment"
+    const link = await documentService.createDownloadLink(req.params.id, req.user, disposition)
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Document not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: link,
+    })
+  } catch (error) {
+    sendError(res, error, "Server error while creating download link")
+  }
+})
+
+// @route   GET /api/files/documents/:id
+// @desc    Download a document through a signed link
+// @access  Signed link
+router.get("/documents/:id", requireSignature, async (req, res) => {
+  try {
+    const disposition = req.query.disposition === "inline" ? "inline" : "attachment"
+    const document = await documentService.getDocumentForSignedDownload(req.params.id, req.query.uid, {
+      disposition,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    })
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: "Document not found",
+      })
+    }
+
+    res.set({
+      "Content-Type": document.mimetype,
+      "Content-Disposition": contentDisposition(disposition, document.originalName),
+      "Cache-Control": "private, no-store",
+    })
+    res.sendFile(path.resolve(document.path))
+  } catch (error) {
+    sendError(res, error, "Server error while downloading document")
+  }
+})
+
+// @route   GET /api/files/profiles/:filename
+// @desc    Serve a profile picture through a signed link
+// @access  Signed link
+router.get("/profiles/:filename", requireSignature, (req, res) => {
+  // processUpload replaces images with a compressed copy, so older records may name the original
+  const filename = path.basename(req.params.filename)
+  const candidates = [filename, filename.replace(/(\.[^.]+)$/, "_compressed$1")].map((name) =>
+    path.join(PROFILE_DIR, name),
+  )
+  const filePath = candidates.find((candidate) => fs.existsSync(candidate))
+
+  if (!filePath) {
+    return res.status(404).json({
+      success: false,
+      message: "Profile picture not found",
+    })
+  }
+
+  res.set("Cache-Control", "private, max-age=300")
+  res.sendFile(filePath)
+})
+
+module.exports = router
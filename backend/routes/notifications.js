@@ -0,0 +1,113 @@
+const express = require("express")
+const authMiddleware = require("../middleware/authMiddleware")
+const { validate } = require("../middleware/validation")
+const notificationService = require("../services/notificationService")
+const preferenceService = require("../services/preferenceService")
+const logger = require("../utils/logger")
+
+const router = express.Router()
+
+// Users only ever see their own notifications
+router.use(authMiddleware)
+
+// Send a service error as JSON, hiding unexpected error details
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    })
+  }
+
+  logger.error(`${fallbackMessage}:`, error)
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+  })
+}
+
+// @route   GET /api/notifications
+// @desc    Paginated notifications of the current user
+// @access  Private
+router.get("/", async (req, res) => {
+  try {
+    const data = await notificationService.listNotifications(req.user._id, req.query)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while fetching notifications")
+  }
+})
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications
+// @access  Private
+router.get("/unread-count", async (req, res) => {
+  try {
+    const count = await notificationService.getUnreadCount(req.user._id)
+    res.json({ success: true, data: { count } })
+  } catch (error) {
+    sendError(res, error, "Server error while counting notifications")
+  }
+})
+
+// @route   POST /api/notifications/mark-all-read
+// @desc    Mark all notifications as read
+// @access  Private
+router.post("/mark-all-read", async (req, res) => {
+  try {
+    const data = await notificationService.markAllAsRead(req.user._id)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while updating notifications")
+  }
+})
+
+// @route   GET /api/notifications/preferences
+// @desc    Notification preferences of the current user
+// @access  Private
+router.get("/preferences", async (req, res) => {
+  try {
+    const data = await preferenceService.getPreferences(req.user._id)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while fetching notification preferences")
+  }
+})
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update channels per type, quiet hours, digests and SMS opt-out
+// @access  Private
+router.put("/preferences", validate("notificationPreferences"), async (req, res) => {
+  try {
+    const data = await preferenceService.updatePreferences(req.user._id, req.body)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while updating notification preferences")
+  }
+})
+
+// @route   POST /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.post("/:id/read", async (req, res) => {
+  try {
+    const data = await notificationService.markAsRead(req.user._id, req.params.id)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while updating notification")
+  }
+})
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete("/:id", async (req, res) => {
+  try {
+    const data = await notificationService.deleteNotification(req.user._id, req.params.id)
+    res.json({ success: true, data })
+  } catch (error) {
+    sendError(res, error, "Server error while deleting notification")
+  }
+})
+
+module.exports = router
@@ -1,11 +1,13 @@
 const express = require("express");
 const studentService = require("../services/studentService");
 const authMiddleware = require("../middleware/authMiddleware");
+const { requireStudent, requireAdmin, roleAuth } = require("../middleware/roleAuth");
 const studentController = require("../controllers/studentController");
+const { uploadMultiple } = require("../middleware/upload");
 const router = express.Router();
 
 // Fetch all students
-router.get("/students", async (req, res) => {
+router.get("/students", authMiddleware, requireAdmin, async (req, res) => {
   try {
     const students = await studentService.getAllStudents();
     res.json(students);
@@ -14,11 +16,14 @@ router.get("/students", async (req, res) => {
   }
 });
 
-// Fetch a student by ID
-router.get("/students/:id", async (req, res) => {
+// Fetch a student by ID (admins, or the student themselves)
+router.get("/students/:id", authMiddleware, roleAuth("admin", "student"), async (req, res) => {
   try {
     const student = await studentService.getStudentById(req.params.id);
     if (!student) return res.status(404).json({ error: "Student not found" });
+    if (req.user.role === "student" && student.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "You can only view your own student record" });
+    }
     res.json(student);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -26,7 +31,7 @@ router.get("/students/:id", async (req, res) => {
 });
 
 // Update a student profile
-router.put("/students/:id", async (req, res) => {
+router.put("/students/:id", authMiddleware, requireAdmin, async (req, res) => {
   try {
     const updated = await studentService.updateStudent(req.params.id, req.body);
     if (!updated) return res.status(404).json({ error: "Student not found" });
@@ -37,7 +42,7 @@ router.put("/students/:id", async (req, res) => {
 });
 
 // Delete a student
-router.delete("/students/:id", async (req, res) => {
+router.delete("/students/:id", authMiddleware, requireAdmin, async (req, res) => {
   try {
     const deleted = await studentService.deleteStudent(req.params.id);
     if (!deleted) return res.status(404).json({ error: "Student not found" });
@@ -48,7 +53,7 @@ router.delete("/students/:id", async (req, res) => {
 });
 
 // Student dashboard route
-router.get("/dashboard", authMiddleware, async (req, res) => {
+router.get("/dashboard", authMiddleware, requireStudent, async (req, res) => {
   try {
     // Get userId from auth middleware (assumes req.user is set)
     const userId = req.user._id || req.user.id;
@@ -69,6 +74,7 @@ router.get("/dashboard", authMiddleware, async (req, res) => {
     // Find latest clearance application
     const clearance = await Clearance.findOne({ userId })
       .sort({ createdAt: -1 })
+      .populate({ path: "documents", match: { isActive: true }, select: "originalName mimetype size documentType status createdAt" })
       .lean();
 
     // Calculate clearanceStatus
@@ -85,6 +91,9 @@ router.get("/dashboard", authMiddleware, async (req, res) => {
       const rejectedDepartments = clearance.departments.filter(
         (d) => d.status === "rejected"
       ).length;
+      const blockedDepartments = clearance.departments.filter(
+        (d) => d.status === "blocked"
+      ).length;
       const completionPercentage =
         totalDepartments > 0 ? Math.round((approvedDepartments / totalDepartments) * 100) : 0;
       clearanceStatus = {
@@ -92,6 +101,7 @@ router.get("/dashboard", authMiddleware, async (req, res) => {
         approvedDepartments,
         pendingDepartments,
         rejectedDepartments,
+        blockedDepartments,
         completionPercentage,
       };
       recentActivity = clearance.departments.map((d, idx) => ({
@@ -113,11 +123,12 @@ router.get("/dashboard", authMiddleware, async (req, res) => {
       title: n.title,
       message: n.message,
       date: n.createdAt,
-      read: n.read,
+      read: n.isRead,
     }));
 
     res.json({
       clearanceStatus,
+      clearances: clearance ? [clearance] : [],
       recentActivity,
       notifications: formattedNotifications,
       user: user ? { name: user.firstName + ' ' + user.lastName } : null,
@@ -128,10 +139,24 @@ router.get("/dashboard", authMiddleware, async (req, res) => {
 });
 
 // Add this route for clearance application
-router.post("/clearance/apply", authMiddleware, studentController.submitClearanceApplication);
+router.post("/clearance/apply", authMiddleware, requireStudent, studentController.submitClearanceApplication);
+
+// Resubmit a rejected department with new documents
+router.post(
+  "/clearance/:id/departments/:departmentId/resubmit",
+  authMiddleware,
+  requireStudent,
+  ...uploadMultiple("documents"),
+  studentController.resubmitDepartment
+);
+
+// Student documents
+router.post("/documents/upload", authMiddleware, requireStudent, ...uploadMultiple("file"), studentController.uploadDocuments);
+router.get("/documents", authMiddleware, requireStudent, studentController.getDocuments);
+router.delete("/documents/:id", authMiddleware, requireStudent, studentController.deleteDocument);
 
 // Get current student profile (for frontend profile page)
-router.get("/profile", authMiddleware, async (req, res) => {
+router.get("/profile", authMiddleware, requireStudent, async (req, res) => {
   try {
     const userId = req.user._id || req.user.id;
     const Student = require("../models/Student");
@@ -11,6 +11,7 @@ require("dotenv").config()
 
 // Import middleware
 const errorHandler = require("./middleware/errorHandler")
+const { socketAuth, roomsForUser } = require("./middleware/socketAuth")
 const logger = require("./utils/logger")
 
 // Import routes
@@ -18,6 +19,10 @@ const authRoutes = require("./routes/auth")
 const studentRoutes = require("./routes/student")
 const departmentRoutes = require("./routes/department")
 const adminRoutes = require("./routes/admin")
+const fileRoutes = require("./routes/files")
+const notificationRoutes = require("./routes/notifications")
+const notificationService = require("./services/notificationService")
+const clearanceNotifier = require("./services/clearanceNotifier")
 
 const app = express()
 const server = http.createServer(app)
@@ -65,37 +70,46 @@ app.use(
 app.use(express.json({ limit: "10mb" }))
 app.use(express.urlencoded({ extended: true, limit: "10mb" }))
 
-// Static files
-app.use("/uploads", express.static("uploads"))
+// Uploaded files are never served statically; see routes/files.js for signed downloads
 
 // Database connection
 const dbConnect = require('./lib/db')
+const extractionService = require('./services/extractionService')
+const permissionService = require('./services/permissionService')
+const jobRunner = require('./jobs')
 
 dbConnect()
   .then(() => {
     logger.info('Connected to MongoDB')
+    // Pick up documents uploaded while the server was down
+    extractionService.queuePending().catch((error) => logger.error('Failed to queue text extraction:', error))
+    // Department accounts created before officer records need one to reach department routes
+    permissionService.backfillOfficerRecords().catch((error) => logger.error('Failed to backfill officer records:', error))
+    jobRunner.start().catch((error) => logger.error('Failed to start scheduled jobs:', error))
   })
   .catch((error) => {
     logger.error('MongoDB connection error:', error)
     process.exit(1)
   })
 
-// Socket.io connection handling
-io.on("connection", (socket) => {
-  logger.info(`User connected: ${socket.id}`)
+// Socket.io connection handling; the handshake must carry a valid access token
+io.use(socketAuth)
 
-  socket.on("join_room", (userId) => {
-    socket.join(`user_${userId}`)
-    logger.info(`User ${userId} joined their room`)
-  })
+io.on("connection", (socket) => {
+  const { user } = socket.data
+  const rooms = roomsForUser(user)
+  socket.join(rooms)
+  logger.info(`User ${user._id} connected: ${socket.id} (rooms: ${rooms.join(", ")})`)
 
   socket.on("disconnect", () => {
-    logger.info(`User disconnected: ${socket.id}`)
+    logger.info(`User ${user._id} disconnected: ${socket.id}`)
   })
 })
 
 // Make io available to routes
 app.set("io", io)
+notificationService.setIo(io)
+clearanceNotifier.subscribe()
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -113,6 +127,8 @@ app.use("/api/student", studentRoutes)
 app.use("/api/department", departmentRoutes) // For department dashboard/statistics endpoints
 app.use("/api", departmentRoutes) // For student endpoints like /api/departments
 app.use("/api/admin", adminRoutes)
+app.use("/api/files", fileRoutes)
+app.use("/api/notifications", notificationRoutes)
 
 // Global error handler
 app.use(errorHandler)
@@ -134,6 +150,7 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on("SIGTERM", () => {
   logger.info("SIGTERM received, shutting down gracefully")
+  jobRunner.stop()
   server.close(() => {
     mongoose.connection.close()
     process.exit(0)
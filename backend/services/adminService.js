@@ -0,0 +1,1402 @@
+// Admin Service (MongoDB interaction for the registry/admin panel)
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const Student = require("../models/Student")
+const Department = require("../models/Department")
+const Clearance = require("../models/Clearance")
+const Document = require("../models/Document")
+const Notification = require("../models/Notification")
+const SystemSetting = require("../models/SystemSetting")
+const notificationService = require("./notificationService")
+const permissionService = require("./permissionService")
+const twoFactorService = require("./twoFactorService")
+const httpError = require("../utils/httpError")
+
+const { EJSON } = mongoose.mongo.BSON
+
+const BACKUP_DIR = "backups"
+const AUDIT_LOG_FILE = path.join("logs", "audit.log")
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const PERIODS = {
+  "7d": 7,
+  "30d": 30,
+  "90d": 90,
+  "1y": 365,
+}
+
+const PENDING_STATUSES = ["submitted", "in_progress"]
+
+// Collections included in backups, in restore order
+const BACKUP_MODELS = [User, Student, Department, Clearance, Document, Notification, SystemSetting]
+
+// Left out of backups: sessions and reset links should not come back with a restore
+const BACKUP_EXCLUDED_FIELDS = {
+  users: { refreshTokens: 0, passwordResetToken: 0, passwordResetExpires: 0 },
+}
+
+// Backups hold password hashes, two-factor secrets and SMTP credentials, so they are
+// encrypted at rest. Files written before encryption (.json) can still be restored.
+const BACKUP_EXTENSION = ".enc"
+const LEGACY_BACKUP_EXTENSION = ".json"
+
+// Documents inserted per call while restoring a backup
+const RESTORE_BATCH_SIZE = 1000
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Malformed ids from the URL count as not found instead of failing the cast in findById
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id)
+
+const percentChange = (current, previous) => {
+  if (!previous) return current > 0 ? 100 : 0
+  return Math.round(((current - previous) / previous) * 100)
+}
+
+const formatDays = (ms) => {
+  if (!ms) return "N/A"
+  return `${(ms / DAY_MS).toFixed(1)} days`
+}
+
+const getPeriodRange = (period = "7d") => {
+  const days = PERIODS[period] || PERIODS["7d"]
+  const endDate = new Date()
+  const startDate = new Date(endDate.getTime() - days * DAY_MS)
+  const previousStart = new Date(startDate.getTime() - days * DAY_MS)
+  return { startDate, endDate, previousStart }
+}
+
+const parseDateRange = ({ startDate, endDate } = {}) => {
+  const end = endDate ? new Date(endDate) : new Date()
+  // Include the whole end day when only a date is given
+  if (endDate && /^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+    end.setHours(23, 59, 59, 999)
+  }
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * DAY_MS)
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw httpError(400, "Invalid date range")
+  }
+
+  return { start, end, previousStart: new Date(start.getTime() - (end.getTime() - start.getTime())) }
+}
+
+const paginate = ({ page = 1, limit = 20 } = {}) => {
+  const pageNumber = Math.max(Number.parseInt(page) || 1, 1)
+  const limitNumber = Math.min(Math.max(Number.parseInt(limit) || 20, 1), 100)
+  return { page: pageNumber, limit: limitNumber, skip: (pageNumber - 1) * limitNumber }
+}
+
+// Department filters from the admin UI may be an ObjectId or a department name
+const departmentMatch = (department) => {
+  if (!department || department === "all") return {}
+  if (mongoose.Types.ObjectId.isValid(department)) {
+    return { "departments.departmentId": new mongoose.Types.ObjectId(department) }
+  }
+  return { "departments.departmentName": department }
+}
+
+const clearanceStatusMatch = (status) => {
+  if (!status || status === "all") return {}
+  if (status === "pending") return { overallStatus: { $in: PENDING_STATUSES } }
+  return { overallStatus: status }
+}
+
+/* ----------------------------- Dashboard ----------------------------- */
+
+const getRecentActivity = async (limit = 10) => {
+  const [timeline, registrations] = await Promise.all([
+    Clearance.aggregate([
+      { $unwind: "$timeline" },
+      { $match: { "timeline.action": { $in: ["department_approved", "department_rejected"] } } },
+      { $sort: { "timeline.timestamp": -1 } },
+      { $limit: limit },
+      { $project: { entry: "$timeline", departments: 1 } },
+    ]),
+    User.find({ role: "student" }).sort({ createdAt: -1 }).limit(limit).select("firstName lastName createdAt department"),
+  ])
+
+  const clearanceActivity = timeline.map(({ entry, departments }) => {
+    const departmentId = entry.metadata?.departmentId?.toString()
+    const item = departments.find((d) => d._id.toString() === departmentId || d.departmentId.toString() === departmentId)
+    return {
+      type: entry.action === "department_approved" ? "approval" : "rejection",
+      description: entry.description,
+      department: item?.departmentName || "",
+      timestamp: entry.timestamp,
+    }
+  })
+
+  const registrationActivity = registrations.map((user) => ({
+    type: "registration",
+    description: `${user.firstName} ${user.lastName} registered`,
+    department: user.department || "",
+    timestamp: user.createdAt,
+  }))
+
+  return [...clearanceActivity, ...registrationActivity]
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, limit)
+}
+
+const getDashboard = async (period) => {
+  const { startDate, endDate, previousStart } = getPeriodRange(period)
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+
+  const [
+    totalStudents,
+    activeClearances,
+    completedToday,
+    totalDepartments,
+    newStudents,
+    previousStudents,
+    newClearances,
+    previousClearances,
+    completed,
+    previousCompleted,
+    performance,
+    recentActivity,
+  ] = await Promise.all([
+    Student.countDocuments(),
+    Clearance.countDocuments({ overallStatus: { $in: PENDING_STATUSES } }),
+    Clearance.countDocuments({ overallStatus: "completed", completedAt: { $gte: today } }),
+    Department.countDocuments({ isActive: true }),
+    Student.countDocuments({ createdAt: { $gte: startDate, $lte: endDate } }),
+    Student.countDocuments({ createdAt: { $gte: previousStart, $lt: startDate } }),
+    Clearance.countDocuments({ createdAt: { $gte: startDate, $lte: endDate } }),
+    Clearance.countDocuments({ createdAt: { $gte: previousStart, $lt: startDate } }),
+    Clearance.countDocuments({ completedAt: { $gte: startDate, $lte: endDate } }),
+    Clearance.countDocuments({ completedAt: { $gte: previousStart, $lt: startDate } }),
+    Department.getPerformanceReport(startDate, endDate),
+    getRecentActivity(),
+  ])
+
+  return {
+    period: period || "7d",
+    stats: {
+      totalStudents,
+      activeClearances,
+      completedToday,
+      totalDepartments,
+    },
+    trends: {
+      students: percentChange(newStudents, previousStudents),
+      clearances: percentChange(newClearances, previousClearances),
+      completed: percentChange(completed, previousCompleted),
+    },
+    completionRates: performance.map((dept) => ({
+      name: dept.departmentName,
+      rate: dept.totalRequests > 0 ? Math.round((dept.approved / dept.totalRequests) * 100) : 0,
+    })),
+    departmentPerformance: performance.map((dept) => ({
+      name: dept.departmentName,
+      pending: dept.pending,
+      avgTime: formatDays(dept.avgProcessingTime),
+    })),
+    recentActivity,
+  }
+}
+
+const getAnalytics = async ({ startDate, endDate, granularity = "day" } = {}) => {
+  const { start, end } = parseDateRange({ startDate, endDate })
+  const formats = { day: "%Y-%m-%d", week: "%G-W%V", month: "%Y-%m" }
+  const format = formats[granularity] || formats.day
+
+  const seriesFor = (field) =>
+    Clearance.aggregate([
+      { $match: { [field]: { $gte: start, $lte: end } } },
+      { $group: { _id: { $dateToString: { format, date: `$${field}` } }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, date: "$_id", count: 1 } },
+    ])
+
+  const [submissions, completions, statusBreakdown, departments] = await Promise.all([
+    seriesFor("submittedAt"),
+    seriesFor("completedAt"),
+    Clearance.getAnalytics(start, end),
+    Department.getPerformanceReport(start, end),
+  ])
+
+  return {
+    startDate: start,
+    endDate: end,
+    granularity: formats[granularity] ? granularity : "day",
+    submissions,
+    completions,
+    statusBreakdown: statusBreakdown.map((s) => ({
+      status: s._id,
+      count: s.count,
+      avgCompletionTime: s.avgCompletionTime,
+    })),
+    departments,
+  }
+}
+
+/* ------------------------------ Students ----------------------------- */
+
+const formatStudent = (student) => {
+  const user = student.userId || {}
+  let status = "active"
+  if (user.isActive === false || student.isActive === false) {
+    status = "inactive"
+  } else if (student.graduationStatus && student.graduationStatus !== "active") {
+    status = student.graduationStatus
+  }
+
+  return {
+    _id: student._id,
+    userId: user._id,
+    firstName: user.firstName || "",
+    lastName: user.lastName || "",
+    email: user.email || "",
+    phoneNumber: student.phone,
+    studentId: student.studentId,
+    matricNumber: student.matricNumber,
+    department: student.department,
+    faculty: student.faculty,
+    level: student.level,
+    session: student.academicSession,
+    graduationStatus: student.graduationStatus,
+    status,
+    createdAt: student.createdAt,
+  }
+}
+
+const buildStudentQuery = async ({ search, department, level, status, year } = {}) => {
+  const query = {}
+
+  if (department && department !== "all") query.department = department
+  if (level && level !== "all") query.level = level
+  if (year && year !== "all") query.admissionYear = Number.parseInt(year)
+
+  if (status && status !== "all") {
+    if (status === "inactive") {
+      query.isActive = false
+    } else if (status === "active") {
+      query.isActive = true
+      query.graduationStatus = "active"
+    } else {
+      query.graduationStatus = status
+    }
+  }
+
+  if (search && search.trim()) {
+    const regex = new RegExp(escapeRegex(search.trim()), "i")
+    const users = await User.find({
+      role: "student",
+      $or: [{ firstName: regex }, { lastName: regex }, { email: regex }],
+    }).select("_id")
+
+    query.$or = [
+      { studentId: regex },
+      { matricNumber: regex },
+      { phone: regex },
+      { userId: { $in: users.map((u) => u._id) } },
+    ]
+  }
+
+  return query
+}
+
+const listStudents = async (options = {}) => {
+  const { page, limit, skip } = paginate(options)
+  const query = await buildStudentQuery(options)
+
+  const [students, total] = await Promise.all([
+    Student.find(query)
+      .populate("userId", "firstName lastName email isActive")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Student.countDocuments(query),
+  ])
+
+  return {
+    students: students.map(formatStudent),
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+  }
+}
+
+const getStudent = async (id) => {
+  if (!isValidId(id)) return null
+  const student = await Student.findById(id).populate("userId", "firstName lastName email isActive")
+  return student ? formatStudent(student) : null
+}
+
+const createStudent = async (data) => {
+  const email = data.email.toLowerCase()
+  const normalizedPhone = User.normalizePhone(data.phone)
+
+  const existing = await User.findOne({
+    $or: [{ email }, { studentId: data.studentId }, { phone: normalizedPhone }],
+  })
+  if (existing) {
+    throw httpError(400, "A user with this email, student ID or phone number already exists")
+  }
+
+  // Students created by the registry get a one-off password they must change
+  const temporaryPassword = crypto.randomBytes(6).toString("base64url")
+
+  const user = await User.create({
+    firstName: data.firstName,
+    lastName: data.lastName,
+    email,
+    password: temporaryPassword,
+    role: "student",
+    phone: normalizedPhone,
+    studentId: data.studentId,
+    department: data.department,
+    level: data.level,
+    profileComplete: false,
+  })
+
+  try {
+    const student = await Student.create({
+      userId: user._id,
+      studentId: data.studentId,
+      phone: normalizedPhone,
+      normalizedPhone,
+      department: data.department,
+      level: data.level,
+      faculty: data.faculty,
+      matricNumber: data.matricNumber,
+      admissionYear: data.admissionYear || new Date().getFullYear(),
+      academicSession: data.academicSession || `${new Date().getFullYear()}/${new Date().getFullYear() + 1}`,
+    })
+
+    await student.populate("userId", "firstName lastName email isActive")
+    return { student: formatStudent(student), temporaryPassword }
+  } catch (error) {
+    // Don't leave a login behind without a student profile
+    await User.deleteOne({ _id: user._id })
+    throw error
+  }
+}
+
+const updateStudent = async (id, data) => {
+  if (!isValidId(id)) return null
+  const student = await Student.findById(id)
+  if (!student) return null
+
+  const user = await User.findById(student.userId)
+  const userFields = ["firstName", "lastName", "email", "department", "level", "isActive"]
+  const studentFields = ["department", "level", "faculty", "matricNumber", "academicSession", "graduationStatus", "isActive"]
+
+  if (data.phone) {
+    const normalizedPhone = User.normalizePhone(data.phone)
+    student.phone = normalizedPhone
+    if (user) user.phone = normalizedPhone
+  }
+
+  studentFields.forEach((field) => {
+    if (data[field] !== undefined) student[field] = data[field]
+  })
+
+  if (user) {
+    userFields.forEach((field) => {
+      if (data[field] !== undefined) user[field] = field === "email" ? data[field].toLowerCase() : data[field]
+    })
+    await user.save()
+  }
+
+  await student.save()
+  return getStudent(student._id)
+}
+
+const deleteStudents = async (ids) => {
+  const students = await Student.find({ _id: { $in: ids } })
+  const userIds = students.map((s) => s.userId)
+
+  await Promise.all([
+    Clearance.deleteMany({ studentId: { $in: ids } }),
+    Notification.deleteMany({ recipient: { $in: userIds } }),
+    Document.updateMany({ uploadedBy: { $in: userIds } }, { isActive: false }),
+    User.deleteMany({ _id: { $in: userIds }, role: "student" }),
+    Student.deleteMany({ _id: { $in: ids } }),
+  ])
+
+  return students.length
+}
+
+const deleteStudent = async (id) => {
+  if (!isValidId(id)) return false
+  const deleted = await deleteStudents([id])
+  return deleted > 0
+}
+
+const bulkStudentAction = async (action, ids) => {
+  if (action === "delete") {
+    return { action, affected: await deleteStudents(ids) }
+  }
+
+  const isActive = action === "activate"
+  const students = await Student.find({ _id: { $in: ids } }).select("userId")
+
+  await Promise.all([
+    Student.updateMany({ _id: { $in: ids } }, { isActive }),
+    User.updateMany({ _id: { $in: students.map((s) => s.userId) } }, { isActive }),
+  ])
+
+  return { action, affected: students.length }
+}
+
+// Rows use the same headers as the export so an exported file can be re-imported
+const IMPORT_FIELDS = {
+  "First Name": "firstName",
+  "Last Name": "lastName",
+  Email: "email",
+  Phone: "phone",
+  "Student ID": "studentId",
+  "Matric Number": "matricNumber",
+  Department: "department",
+  Faculty: "faculty",
+  Level: "level",
+  Session: "academicSession",
+}
+
+const importStudents = async (rows, schema) => {
+  const results = { total: rows.length, imported: 0, failed: [] }
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i]
+    const mapped = Object.keys(row).reduce((obj, header) => {
+      const field = IMPORT_FIELDS[header] || header
+      obj[field] = row[header]
+      return obj
+    }, {})
+
+    // Header row is line 1
+    const line = i + 2
+    const { error, value } = schema.validate(mapped, { stripUnknown: true })
+    if (error) {
+      results.failed.push({ line, message: error.details[0].message })
+      continue
+    }
+
+    try {
+      await createStudent(value)
+      results.imported++
+    } catch (err) {
+      results.failed.push({ line, message: err.message })
+    }
+  }
+
+  return results
+}
+
+const STUDENT_EXPORT_COLUMNS = [
+  { key: "firstName", label: "First Name" },
+  { key: "lastName", label: "Last Name" },
+  { key: "email", label: "Email" },
+  { key: "phoneNumber", label: "Phone" },
+  { key: "studentId", label: "Student ID" },
+  { key: "matricNumber", label: "Matric Number" },
+  { key: "department", label: "Department" },
+  { key: "faculty", label: "Faculty" },
+  { key: "level", label: "Level" },
+  { key: "session", label: "Session" },
+  { key: "status", label: "Status" },
+]
+
+const getStudentsForExport = async (filters = {}) => {
+  const query = await buildStudentQuery(filters)
+  const students = await Student.find(query)
+    .populate("userId", "firstName lastName email isActive")
+    .sort({ department: 1, matricNumber: 1 })
+  return students.map(formatStudent)
+}
+
+/* ---------------------------- Departments ---------------------------- */
+
+const listDepartments = async ({ search, faculty, isActive } = {}) => {
+  const query = {}
+  if (faculty && faculty !== "all") query.faculty = faculty
+  if (isActive !== undefined && isActive !== "all") query.isActive = isActive === true || isActive === "true"
+  if (search) {
+    const regex = new RegExp(escapeRegex(search), "i")
+    query.$or = [{ name: regex }, { code: regex }]
+  }
+
+  const departments = await Department.find(query)
+    .populate("officers.userId", "firstName lastName email isActive")
+    .populate("prerequisites", "name code")
+    .sort({ name: 1 })
+
+  const pending = await Clearance.aggregate([
+    { $unwind: "$departments" },
+    { $match: { "departments.status": "pending" } },
+    { $group: { _id: "$departments.departmentId", count: { $sum: 1 } } },
+  ])
+  const pendingByDepartment = new Map(pending.map((p) => [p._id.toString(), p.count]))
+
+  return departments.map((dept) => {
+    const obj = dept.toObject()
+    obj.officers = obj.officers
+      .filter((officer) => officer.isActive && officer.userId)
+      .map((officer) => ({
+        _id: officer.userId._id,
+        firstName: officer.userId.firstName,
+        lastName: officer.userId.lastName,
+        email: officer.userId.email,
+        role: officer.role,
+        permissions: officer.permissions,
+        assignedAt: officer.assignedAt,
+      }))
+    obj.stats = {
+      ...obj.statistics,
+      pending: pendingByDepartment.get(dept._id.toString()) || 0,
+    }
+    return obj
+  })
+}
+
+const checkPrerequisites = async (departmentId, prerequisites) => {
+  try {
+    await Department.validatePrerequisites(departmentId, prerequisites)
+  } catch (error) {
+    throw httpError(400, error.message)
+  }
+}
+
+const createDepartment = async (data) => {
+  const existing = await Department.findOne({ $or: [{ name: data.name }, { code: data.code }] })
+  if (existing) {
+    throw httpError(400, "A department with this name or code already exists")
+  }
+
+  if (data.prerequisites) {
+    await checkPrerequisites(null, data.prerequisites)
+  }
+
+  return Department.create(data)
+}
+
+const updateDepartment = async (id, data) => {
+  if (!isValidId(id)) return null
+  const department = await Department.findById(id)
+  if (!department) return null
+
+  if (data.prerequisites) {
+    await checkPrerequisites(department._id, data.prerequisites)
+  }
+
+  Object.keys(data).forEach((field) => {
+    if (field === "settings" || field === "contactInfo") {
+      department.set(field, { ...department[field].toObject(), ...data[field] })
+    } else {
+      department.set(field, data[field])
+    }
+  })
+
+  await department.save()
+
+  // Keep the denormalised name on open clearance items in sync
+  if (data.name) {
+    await Clearance.updateMany(
+      { "departments.departmentId": department._id },
+      { $set: { "departments.$[item].departmentName": department.name } },
+      { arrayFilters: [{ "item.departmentId": department._id }] },
+    )
+  }
+
+  return department
+}
+
+const deleteDepartment = async (id) => {
+  if (!isValidId(id)) return null
+  const department = await Department.findById(id)
+  if (!department) return null
+
+  const openItems = await Clearance.countDocuments({
+    departments: { $elemMatch: { departmentId: department._id, status: "pending" } },
+  })
+  if (openItems > 0) {
+    throw httpError(400, `Department has ${openItems} pending clearance item(s). Deactivate it instead.`)
+  }
+
+  await User.updateMany({ departmentId: department._id, role: "department" }, { isActive: false })
+  await department.deleteOne()
+  return department
+}
+
+const manageOfficer = async (departmentId, { action, userId, role, permissions }) => {
+  if (!isValidId(departmentId)) return null
+  const department = await Department.findById(departmentId)
+  if (!department) return null
+
+  const user = await User.findById(userId)
+  if (!user) throw httpError(404, "User not found")
+  if (user.role !== "department") {
+    throw httpError(400, "Only department accounts can be assigned as officers")
+  }
+
+  try {
+    if (action === "add") {
+      await department.addOfficer(user._id, role, permissions)
+      user.departmentId = department._id
+      user.isActive = true
+      await user.save()
+    } else if (action === "remove") {
+      await department.removeOfficer(user._id)
+      // Officer accounts belong to one department, so removal also ends the login
+      if (String(user.departmentId) === String(department._id)) {
+        user.isActive = false
+        user.refreshTokens = []
+        await user.save()
+      }
+    } else {
+      const officer = department.officers.find((o) => o.userId.toString() === user._id.toString() && o.isActive)
+      if (!officer) throw httpError(404, "Officer not found in this department")
+      if (role) officer.role = role
+      if (permissions) officer.permissions = permissions
+      await department.save()
+    }
+  } catch (error) {
+    if (error.statusCode) throw error
+    // Department model methods throw plain errors for bad officer state
+    throw httpError(400, error.message)
+  }
+
+  return department
+}
+
+const listOfficers = async () => {
+  const officers = await User.find({ role: "department" })
+    .populate("departmentId", "name code")
+    .sort({ lastName: 1, firstName: 1 })
+    .select("firstName lastName email isActive departmentId lastLogin")
+
+  return officers
+}
+
+/* ---------------------------- Clearances ----------------------------- */
+
+const listClearances = async (options = {}) => {
+  const { page, limit, skip } = paginate(options)
+  const query = {
+    ...clearanceStatusMatch(options.status),
+    ...departmentMatch(options.department),
+  }
+
+  if (options.startDate || options.endDate) {
+    const { start, end } = parseDateRange(options)
+    query.createdAt = { $gte: start, $lte: end }
+  }
+
+  const [clearances, total] = await Promise.all([
+    Clearance.find(query)
+      .populate({ path: "studentId", select: "matricNumber studentId department level", populate: { path: "userId", select: "firstName lastName email" } })
+      .select("-timeline")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Clearance.countDocuments(query),
+  ])
+
+  return {
+    clearances,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+  }
+}
+
+const getClearance = async (id) => {
+  if (!isValidId(id)) return null
+  return Clearance.findById(id)
+    .populate({ path: "studentId", populate: { path: "userId", select: "firstName lastName email phone" } })
+    .populate("departments.approvedBy", "firstName lastName email")
+    .populate("timeline.performedBy", "firstName lastName role")
+    .populate("documents")
+}
+
+const overrideClearance = async (id, { status, reason }, adminId) => {
+  if (!isValidId(id)) return null
+  const clearance = await Clearance.findById(id)
+  if (!clearance) return null
+
+  const previousStatus = clearance.overallStatus
+  clearance.overallStatus = status
+  if (status === "completed") {
+    clearance.completedAt = clearance.completedAt || new Date()
+  } else {
+    clearance.completedAt = undefined
+  }
+
+  clearance.addTimelineEntry("admin_override", `Status changed from ${previousStatus} to ${status}: ${reason}`, adminId, {
+    previousStatus,
+    status,
+    reason,
+  })
+
+  return clearance.save()
+}
+
+/* ------------------------------ Reports ------------------------------ */
+
+const getReport = async (filters = {}) => {
+  const { start, end, previousStart } = parseDateRange(filters)
+  const match = {
+    ...clearanceStatusMatch(filters.status),
+    ...departmentMatch(filters.department),
+  }
+
+  const countIn = (from, to, extra = {}) =>
+    Clearance.countDocuments({ ...match, ...extra, createdAt: { $gte: from, $lte: to } })
+
+  const [
+    totalApplications,
+    completed,
+    pending,
+    rejected,
+    previousTotal,
+    previousCompleted,
+    previousPending,
+    previousRejected,
+    performance,
+    recent,
+  ] = await Promise.all([
+    countIn(start, end),
+    countIn(start, end, { overallStatus: "completed" }),
+    countIn(start, end, { overallStatus: { $in: PENDING_STATUSES } }),
+    countIn(start, end, { overallStatus: "rejected" }),
+    countIn(previousStart, start),
+    countIn(previousStart, start, { overallStatus: "completed" }),
+    countIn(previousStart, start, { overallStatus: { $in: PENDING_STATUSES } }),
+    countIn(previousStart, start, { overallStatus: "rejected" }),
+    Department.getPerformanceReport(start, end),
+    Clearance.find({ ...match, updatedAt: { $gte: start, $lte: end } })
+      .sort({ updatedAt: -1 })
+      .limit(50)
+      .populate({ path: "studentId", select: "matricNumber", populate: { path: "userId", select: "firstName lastName" } })
+      .populate("departments.approvedBy", "firstName lastName"),
+  ])
+
+  const percentage = (count) => (totalApplications > 0 ? Math.round((count / totalApplications) * 100) : 0)
+
+  const activity = []
+  recent.forEach((clearance) => {
+    const user = clearance.studentId?.userId
+    clearance.departments
+      .filter((item) => item.status === "approved" || item.status === "rejected")
+      .forEach((item) => {
+        activity.push({
+          applicationNumber: clearance.applicationNumber,
+          studentName: user ? `${user.firstName} ${user.lastName}` : "",
+          matricNumber: clearance.studentId?.matricNumber || "",
+          department: item.departmentName,
+          status: item.status,
+          date: item.approvedAt || item.updatedAt,
+          officerName: item.approvedBy ? `${item.approvedBy.firstName} ${item.approvedBy.lastName}` : "",
+        })
+      })
+  })
+
+  return {
+    reportType: filters.reportType || "summary",
+    startDate: start,
+    endDate: end,
+    metrics: {
+      totalApplications,
+      completed,
+      pending,
+      rejected,
+    },
+    trends: {
+      applications: percentChange(totalApplications, previousTotal),
+      completed: percentChange(completed, previousCompleted),
+      pending: percentChange(pending, previousPending),
+      rejected: percentChange(rejected, previousRejected),
+    },
+    departmentStats: performance.map((dept) => ({
+      departmentId: dept._id,
+      name: dept.departmentName,
+      totalRequests: dept.totalRequests,
+      approved: dept.approved,
+      rejected: dept.rejected,
+      pending: dept.pending,
+      completionRate: Math.round(dept.approvalRate || 0),
+      avgProcessingTime: formatDays(dept.avgProcessingTime),
+    })),
+    statusDistribution: [
+      { name: "Completed", count: completed, percentage: percentage(completed) },
+      { name: "Pending", count: pending, percentage: percentage(pending) },
+      { name: "Rejected", count: rejected, percentage: percentage(rejected) },
+    ],
+    recentActivity: activity.sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 20),
+  }
+}
+
+const REPORT_COLUMNS = {
+  summary: [
+    { key: "name", label: "Department" },
+    { key: "totalRequests", label: "Total Requests" },
+    { key: "approved", label: "Approved" },
+    { key: "rejected", label: "Rejected" },
+    { key: "pending", label: "Pending" },
+    { key: "completionRate", label: "Completion Rate (%)" },
+    { key: "avgProcessingTime", label: "Average Processing Time" },
+  ],
+  detailed: [
+    { key: "applicationNumber", label: "Application Number" },
+    { key: "studentName", label: "Student" },
+    { key: "matricNumber", label: "Matric Number" },
+    { key: "department", label: "Department" },
+    { key: "status", label: "Status" },
+    { key: "date", label: "Date" },
+    { key: "officerName", label: "Officer" },
+  ],
+}
+
+const getReportRows = (report) => {
+  if (report.reportType === "detailed") {
+    return { rows: report.recentActivity, columns: REPORT_COLUMNS.detailed }
+  }
+  return { rows: report.departmentStats, columns: REPORT_COLUMNS.summary }
+}
+
+/* ------------------------------ System ------------------------------- */
+
+const directorySize = async (dir) => {
+  let total = 0
+  let entries
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true })
+  } catch (error) {
+    return 0
+  }
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath)
+    } else {
+      const stats = await fs.promises.stat(entryPath)
+      total += stats.size
+    }
+  }
+  return total
+}
+
+const getSystemHealth = async () => {
+  const states = ["disconnected", "connected", "connecting", "disconnecting"]
+  const dbState = states[mongoose.connection.readyState] || "unknown"
+
+  let dbLatency = null
+  if (dbState === "connected") {
+    const started = Date.now()
+    await mongoose.connection.db.admin().ping()
+    dbLatency = Date.now() - started
+  }
+
+  const [uploadsSize, counts] = await Promise.all([
+    directorySize("uploads"),
+    Promise.all([User.estimatedDocumentCount(), Clearance.estimatedDocumentCount(), Document.estimatedDocumentCount()]),
+  ])
+
+  const memory = process.memoryUsage()
+
+  return {
+    status: dbState === "connected" ? "healthy" : "degraded",
+    timestamp: new Date(),
+    database: {
+      status: dbState,
+      name: mongoose.connection.name,
+      latencyMs: dbLatency,
+    },
+    server: {
+      uptime: process.uptime(),
+      nodeVersion: process.version,
+      environment: process.env.NODE_ENV || "development",
+      memory: {
+        rss: memory.rss,
+        heapUsed: memory.heapUsed,
+        heapTotal: memory.heapTotal,
+      },
+    },
+    storage: {
+      uploadsBytes: uploadsSize,
+    },
+    records: {
+      users: counts[0],
+      clearances: counts[1],
+      documents: counts[2],
+    },
+  }
+}
+
+const getAuditLogs = async ({ action, userId, startDate, endDate, ...options } = {}) => {
+  const { page, limit, skip } = paginate(options)
+
+  let content = ""
+  try {
+    content = await fs.promises.readFile(AUDIT_LOG_FILE, "utf8")
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error
+  }
+
+  const from = startDate ? new Date(startDate) : null
+  const to = endDate ? new Date(endDate) : null
+
+  // audit.log also receives regular info logs; only keep entries written by audit()
+  const entries = content
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line)
+      } catch (error) {
+        return null
+      }
+    })
+    .filter((entry) => entry && entry.message === "AUDIT")
+    .filter((entry) => !action || entry.action === action)
+    .filter((entry) => !userId || String(entry.userId) === userId)
+    .filter((entry) => !from || new Date(entry.timestamp) >= from)
+    .filter((entry) => !to || new Date(entry.timestamp) <= to)
+    .reverse()
+
+  return {
+    logs: entries.slice(skip, skip + limit).map(({ action: entryAction, userId: entryUser, timestamp, details }) => ({
+      action: entryAction,
+      userId: entryUser,
+      timestamp,
+      details,
+    })),
+    total: entries.length,
+    page,
+    pages: Math.ceil(entries.length / limit),
+  }
+}
+
+// The SMTP password is write-only from the admin panel; officer roles show their effective permissions
+const sanitizeSettings = (settings) => {
+  const obj = settings.toObject()
+  obj.permissions = permissionService.withRoleDefaults(obj.permissions)
+  obj.security = { requireTwoFactorRoles: [], ...obj.security }
+  if (obj.email) {
+    obj.email.smtpPasswordSet = !!obj.email.smtpPassword
+    obj.email.smtpPassword = ""
+  }
+  return obj
+}
+
+const getSettings = async () => {
+  const settings = await SystemSetting.getSettings()
+  return sanitizeSettings(settings)
+}
+
+const updateSettings = async (section, data, adminId) => {
+  const update = { ...data }
+  if (section === "email" && !update.smtpPassword) {
+    delete update.smtpPassword
+  }
+  if (section === "security" && update.requireTwoFactorRoles !== undefined) {
+    const roles = update.requireTwoFactorRoles
+    if (!Array.isArray(roles) || roles.some((role) => !twoFactorService.TWO_FACTOR_ROLES.includes(role))) {
+      throw httpError(400, "Two-factor authentication can only be required for department and admin accounts")
+    }
+    update.requireTwoFactorRoles = [...new Set(roles)]
+  }
+
+  try {
+    const settings = await SystemSetting.updateSection(section, update, adminId)
+    return sanitizeSettings(settings)
+  } catch (error) {
+    if (error.name === "ValidationError" || error.message.startsWith("Unknown settings section")) {
+      throw httpError(400, error.message)
+    }
+    throw error
+  }
+}
+
+const getBackupKey = () => {
+  const secret = process.env.BACKUP_ENCRYPTION_KEY || process.env.JWT_SECRET
+  if (!secret) {
+    throw new Error("BACKUP_ENCRYPTION_KEY or JWT_SECRET must be set to encrypt backups")
+  }
+  return crypto.createHash("sha256").update(secret).digest()
+}
+
+// AES-256-GCM; the file is the 12-byte IV, the 16-byte auth tag, then the ciphertext
+const encryptBackup = (text) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv("aes-256-gcm", getBackupKey(), iv)
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()])
+  return Buffer.concat([iv, cipher.getAuthTag(), data])
+}
+
+const decryptBackup = (buffer) => {
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getBackupKey(), buffer.subarray(0, 12))
+    decipher.setAuthTag(buffer.subarray(12, 28))
+    return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]).toString("utf8")
+  } catch (error) {
+    throw httpError(400, "Backup could not be decrypted. Check BACKUP_ENCRYPTION_KEY.")
+  }
+}
+
+const readBackup = async (backupId) => {
+  try {
+    const buffer = await fs.promises.readFile(path.join(BACKUP_DIR, `${backupId}${BACKUP_EXTENSION}`))
+    return EJSON.parse(decryptBackup(buffer), { relaxed: false })
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error
+  }
+
+  try {
+    const raw = await fs.promises.readFile(path.join(BACKUP_DIR, `${backupId}${LEGACY_BACKUP_EXTENSION}`), "utf8")
+    return EJSON.parse(raw, { relaxed: false })
+  } catch (error) {
+    if (error.code === "ENOENT") return null
+    throw error
+  }
+}
+
+const createBackup = async (adminId, { note } = {}) => {
+  await fs.promises.mkdir(BACKUP_DIR, { recursive: true })
+
+  const backupId = `backup-${new Date().toISOString().replace(/[:.]/g, "-")}`
+  const collections = {}
+  for (const Model of BACKUP_MODELS) {
+    const name = Model.collection.collectionName
+    collections[name] = await Model.collection.find({}, { projection: BACKUP_EXCLUDED_FIELDS[name] }).toArray()
+  }
+
+  const payload = {
+    id: backupId,
+    createdAt: new Date(),
+    createdBy: adminId,
+    note,
+    counts: Object.fromEntries(Object.entries(collections).map(([name, docs]) => [name, docs.length])),
+    collections,
+  }
+
+  const filePath = path.join(BACKUP_DIR, `${backupId}${BACKUP_EXTENSION}`)
+  await fs.promises.writeFile(filePath, encryptBackup(EJSON.stringify(payload, { relaxed: false })), { mode: 0o600 })
+  const stats = await fs.promises.stat(filePath)
+
+  return {
+    id: backupId,
+    createdAt: payload.createdAt,
+    note,
+    counts: payload.counts,
+    size: stats.size,
+  }
+}
+
+const listBackups = async () => {
+  let files = []
+  try {
+    files = await fs.promises.readdir(BACKUP_DIR)
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error
+  }
+
+  const backups = await Promise.all(
+    files
+      .filter((file) => /^backup-.*\.(enc|json)$/.test(file))
+      .map(async (file) => {
+        const stats = await fs.promises.stat(path.join(BACKUP_DIR, file))
+        return {
+          id: path.basename(file, path.extname(file)),
+          size: stats.size,
+          createdAt: stats.mtime,
+          encrypted: path.extname(file) === BACKUP_EXTENSION,
+        }
+      }),
+  )
+
+  return backups.sort((a, b) => b.createdAt - a.createdAt)
+}
+
+const restoreBackup = async (backupId) => {
+  if (!/^backup-[\w-]+$/.test(backupId)) {
+    throw httpError(400, "Invalid backup ID")
+  }
+
+  const payload = await readBackup(backupId)
+  if (!payload) return null
+
+  // Check the whole file before anything is deleted
+  const collections = payload.collections
+  if (!collections || typeof collections !== "object") {
+    throw httpError(400, "Backup file has no collections")
+  }
+  for (const Model of BACKUP_MODELS) {
+    const docs = collections[Model.collection.collectionName]
+    if (docs !== undefined && !Array.isArray(docs)) {
+      throw httpError(400, `Backup file is invalid: ${Model.collection.collectionName} is not a list`)
+    }
+  }
+
+  // Every collection is loaded into a staging collection first, so a failure part-way
+  // leaves the current data untouched. Only then are the staging collections renamed over
+  // the live ones. This works on a standalone server and has no transaction size limit.
+  // Raw driver calls so save hooks (e.g. password hashing) don't run twice.
+  const db = mongoose.connection.db
+  const suffix = `_restore_${Date.now()}`
+  const staged = []
+  try {
+    for (const Model of BACKUP_MODELS) {
+      const name = Model.collection.collectionName
+      const docs = collections[name]
+      if (!docs) continue
+
+      const staging = db.collection(`${name}${suffix}`)
+      staged.push({ name, staging, count: docs.length })
+      await db.createCollection(staging.collectionName)
+      // Unique indexes are built before the swap, so duplicate data fails the restore here
+      for (const [fields, options] of Model.schema.indexes()) {
+        await staging.createIndex(fields, options)
+      }
+      for (let i = 0; i < docs.length; i += RESTORE_BATCH_SIZE) {
+        await staging.insertMany(docs.slice(i, i + RESTORE_BATCH_SIZE))
+      }
+    }
+  } catch (error) {
+    await Promise.all(staged.map(({ staging }) => staging.drop().catch(() => {})))
+    throw httpError(400, `Backup could not be restored: ${error.message}`)
+  }
+
+  const restored = {}
+  for (const { name, staging, count } of staged) {
+    await staging.rename(name, { dropTarget: true })
+    restored[name] = count
+  }
+
+  return { id: backupId, restored }
+}
+
+/* ------------------------------- Users ------------------------------- */
+
+const listUsers = async ({ role, search, isActive, ...options } = {}) => {
+  const { page, limit, skip } = paginate(options)
+  const query = {}
+  if (role && role !== "all") query.role = role
+  if (isActive !== undefined && isActive !== "all") query.isActive = isActive === true || isActive === "true"
+  if (search) {
+    const regex = new RegExp(escapeRegex(search), "i")
+    query.$or = [{ firstName: regex }, { lastName: regex }, { email: regex }]
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(query)
+      .populate("departmentId", "name code")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    User.countDocuments(query),
+  ])
+
+  return { users, total, page, pages: Math.ceil(total / limit) }
+}
+
+const updateUserRole = async (userId, { role, isActive, departmentId }, adminId) => {
+  if (!isValidId(userId)) return null
+  const user = await User.findById(userId)
+  if (!user) return null
+
+  if (user._id.toString() === adminId.toString()) {
+    throw httpError(400, "You cannot change your own role or status")
+  }
+
+  if (role === "department" && !departmentId && !user.departmentId) {
+    throw httpError(400, "departmentId is required when assigning the department role")
+  }
+
+  const previous = { role: user.role, departmentId: user.departmentId }
+  const nextRole = role || user.role
+  const nextDepartmentId = departmentId || user.departmentId
+  const department = nextRole === "department" ? await Department.findById(nextDepartmentId) : null
+  if (nextRole === "department" && !department) {
+    throw httpError(404, "Department not found")
+  }
+
+  if (role) user.role = role
+  if (departmentId) user.departmentId = departmentId
+  if (isActive !== undefined) user.isActive = isActive
+
+  // Role or status changes invalidate existing sessions
+  user.refreshTokens = []
+  await user.save()
+
+  await syncOfficerRecord(user, previous, department)
+
+  return User.findById(user._id).populate("departmentId", "name code")
+}
+
+// Department routes need an officer record, so it follows the account: closed in the old
+// department when the role or department changes, and opened in the new one
+const syncOfficerRecord = async (user, previous, department) => {
+  const wasOfficer = previous.role === "department" && previous.departmentId
+  const movedAway =
+    wasOfficer && (user.role !== "department" || String(previous.departmentId) !== String(user.departmentId))
+
+  if (movedAway) {
+    await Department.updateOne(
+      { _id: previous.departmentId, officers: { $elemMatch: { userId: user._id, isActive: true } } },
+      { $set: { "officers.$.isActive": false } },
+    )
+  }
+
+  if (!department || (wasOfficer && !movedAway)) return
+  const hasRecord = department.officers.some((officer) => officer.isActive && String(officer.userId) === String(user._id))
+  if (!hasRecord) {
+    await department.addOfficer(user._id)
+  }
+}
+
+/* --------------------------- Announcements --------------------------- */
+
+const ANNOUNCEMENT_ROLES = ["student", "department", "admin"]
+
+// Departments named by id, name or code
+const findDepartments = (department) =>
+  Department.find(
+    isValidId(department)
+      ? { _id: department }
+      : { $or: [{ name: department }, { code: department.toUpperCase() }] },
+  ).select("name code faculty")
+
+// Active students matching the audience filters
+const findStudentAudience = async ({ faculty, department, level, academicSession, clearanceStatus }) => {
+  const query = {}
+  if (faculty) query.faculty = faculty
+  if (level) query.level = level
+  if (academicSession) query.academicSession = academicSession
+
+  // Student.department holds the department name (or code, for older imports)
+  if (department) {
+    const departments = await findDepartments(department)
+    query.department = { $in: [department, ...departments.flatMap((d) => [d.name, d.code])] }
+  }
+
+  if (clearanceStatus) {
+    query.userId = { $in: await Clearance.distinct("userId", clearanceStatusMatch(clearanceStatus)) }
+  }
+
+  const userIds = await Student.distinct("userId", query)
+  return User.distinct("_id", { _id: { $in: userIds }, role: "student", isActive: true })
+}
+
+// Active officers of the departments matching the audience filters
+const findOfficerAudience = async ({ faculty, department }) => {
+  const query = { role: "department", isActive: true }
+
+  if (faculty || department) {
+    const departments = department ? await findDepartments(department) : await Department.find({ faculty }).select("faculty")
+    query.departmentId = {
+      $in: departments.filter((d) => !faculty || d.faculty === faculty).map((d) => d._id),
+    }
+  }
+
+  return User.distinct("_id", query)
+}
+
+/**
+ * Resolve an announcement audience to user ids, per role. Level, academic session and
+ * clearance status only describe students, so giving any of them leaves out officers and
+ * admins; faculty and department narrow students and officers and leave out admins.
+ * @param {Object} audience - roles, faculty, department, level, academicSession, clearanceStatus
+ * @returns {Promise<Object>} User ids keyed by role
+ */
+const resolveAudience = async (audience = {}) => {
+  const { roles = ANNOUNCEMENT_ROLES, faculty, department, level, academicSession, clearanceStatus } = audience
+  const studentOnly = Boolean(level || academicSession || clearanceStatus)
+  const recipients = {}
+
+  if (roles.includes("student")) {
+    recipients.student = await findStudentAudience(audience)
+  }
+  if (roles.includes("department") && !studentOnly) {
+    recipients.department = await findOfficerAudience(audience)
+  }
+  if (roles.includes("admin") && !studentOnly && !faculty && !department) {
+    recipients.admin = await User.distinct("_id", { role: "admin", isActive: true })
+  }
+
+  return recipients
+}
+
+const countRecipients = (recipients) => {
+  const byRole = Object.fromEntries(Object.entries(recipients).map(([role, ids]) => [role, ids.length]))
+  const total = Object.values(byRole).reduce((sum, count) => sum + count, 0)
+  return { total, byRole }
+}
+
+/**
+ * Count who an announcement would reach
+ * @param {Object} audience - As for resolveAudience
+ * @returns {Promise<Object>} total and byRole counts
+ */
+const previewAnnouncement = async (audience) => countRecipients(await resolveAudience(audience))
+
+/**
+ * Send an announcement to explicit recipients or to an audience
+ * @param {Object} data - recipients or audience, plus title, message, type, channels, priority and scheduledFor
+ * @param {string} adminId - Sender
+ * @returns {Promise<Object>} total and byRole recipient counts and the number of notifications stored
+ */
+const sendAnnouncement = async ({ recipients, audience, ...notification }, adminId) => {
+  let byRole
+  if (recipients) {
+    const users = await User.find({ _id: { $in: recipients }, isActive: true }).select("role")
+    byRole = ANNOUNCEMENT_ROLES.reduce((groups, role) => {
+      const ids = users.filter((user) => user.role === role).map((user) => user._id)
+      return ids.length > 0 ? { ...groups, [role]: ids } : groups
+    }, {})
+  } else {
+    byRole = await resolveAudience(audience)
+  }
+
+  const userIds = Object.values(byRole).flat()
+  if (userIds.length === 0) {
+    throw httpError(400, "The announcement has no recipients")
+  }
+
+  const created = await notificationService.broadcast(userIds, { ...notification, sender: adminId })
+  return { ...countRecipients(byRole), created }
+}
+
+module.exports = {
+  getDashboard,
+  getAnalytics,
+  listStudents,
+  getStudent,
+  createStudent,
+  updateStudent,
+  deleteStudent,
+  bulkStudentAction,
+  importStudents,
+  getStudentsForExport,
+  STUDENT_EXPORT_COLUMNS,
+  listDepartments,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment,
+  manageOfficer,
+  listOfficers,
+  listClearances,
+  getClearance,
+  overrideClearance,
+  getReport,
+  getReportRows,
+  getSystemHealth,
+  getAuditLogs,
+  getSettings,
+  updateSettings,
+  createBackup,
+  listBackups,
+  restoreBackup,
+  listUsers,
+  updateUserRole,
+  previewAnnouncement,
+  sendAnnouncement,
+}
@@ -0,0 +1,140 @@
+// Clearance Notifier (turns clearance domain events into notifications)
+const User = require("../models/User")
+const { CLEARANCE_EVENTS, clearanceEvents } = require("../events/clearanceEvents")
+const notificationService = require("./notificationService")
+const logger = require("../utils/logger")
+
+const STUDENT_URL = "/student/status"
+const DEPARTMENT_URL = "/department/approvals"
+
+// Students hear about their own clearance by email too; officers check the dashboard
+const STUDENT_CHANNELS = ["in_app", "email"]
+
+// Active officer accounts of the given departments
+const findOfficerIds = (departmentIds) =>
+  User.find({ role: "department", isActive: true, departmentId: { $in: departmentIds } }).distinct("_id")
+
+const getStudentName = async (clearance) => {
+  const user = await User.findById(clearance.userId).select("firstName lastName")
+  return user ? `${user.firstName} ${user.lastName}` : "A student"
+}
+
+const notifyStudent = (clearance, notification) =>
+  notificationService.notify({
+    recipient: clearance.userId,
+    channels: STUDENT_CHANNELS,
+    ...notification,
+    data: { clearanceId: clearance._id, actionUrl: STUDENT_URL, ...notification.data },
+  })
+
+const notifyOfficers = async (clearance, departmentId, notification) => {
+  const officerIds = await findOfficerIds([departmentId])
+  return notificationService.notifyMany(officerIds, {
+    ...notification,
+    data: { clearanceId: clearance._id, departmentId, actionUrl: DEPARTMENT_URL },
+  })
+}
+
+// A clearance was submitted: confirm to the student, ask each ready department to act
+const onSubmitted = async ({ clearance, departmentIds }) => {
+  await notifyStudent(clearance, {
+    type: "clearance_submitted",
+    title: "Clearance application submitted",
+    message: `Your clearance application ${clearance.applicationNumber} has been sent to ${clearance.totalDepartments} department(s).`,
+  })
+
+  const studentName = await getStudentName(clearance)
+  for (const departmentId of departmentIds) {
+    await notifyOfficers(clearance, departmentId, {
+      type: "clearance_submitted",
+      title: "New clearance application",
+      message: `${studentName} submitted clearance application ${clearance.applicationNumber}, which needs your review.`,
+    })
+  }
+}
+
+// A department's prerequisites were approved, so it can now act
+const onDepartmentReady = async ({ clearance, departmentId }) => {
+  const studentName = await getStudentName(clearance)
+  await notifyOfficers(clearance, departmentId, {
+    type: "clearance_submitted",
+    title: "Clearance ready for review",
+    message: `${studentName}'s clearance application ${clearance.applicationNumber} has cleared its prerequisites and needs your review.`,
+  })
+}
+
+const onDepartmentResubmitted = async ({ clearance, departmentId, note }) => {
+  const studentName = await getStudentName(clearance)
+  await notifyOfficers(clearance, departmentId, {
+    type: "clearance_submitted",
+    title: "Clearance resubmitted",
+    message: `${studentName} resubmitted clearance application ${clearance.applicationNumber}${note ? `: ${note}` : "."}`,
+  })
+}
+
+const onDepartmentApproved = ({ clearance, item, departmentId }) =>
+  notifyStudent(clearance, {
+    type: "clearance_approved",
+    title: `${item.departmentName} approved your clearance`,
+    message: `${item.departmentName} has approved clearance application ${clearance.applicationNumber}. ${clearance.approvedDepartments} of ${clearance.totalDepartments} departments have approved.`,
+    data: { departmentId },
+  })
+
+const onDepartmentRejected = ({ clearance, item, departmentId, remarks }) =>
+  notifyStudent(clearance, {
+    type: "clearance_rejected",
+    title: `${item.departmentName} rejected your clearance`,
+    message: `${item.departmentName} rejected clearance application ${clearance.applicationNumber}: ${remarks}. Fix the issue and resubmit from your status page.`,
+    priority: "high",
+    data: { departmentId },
+  })
+
+// Everyone involved hears about completion
+const onCompleted = async ({ clearance }) => {
+  await notifyStudent(clearance, {
+    type: "clearance_completed",
+    title: "Clearance completed",
+    message: `All departments have approved clearance application ${clearance.applicationNumber}. Your clearance is complete.`,
+    priority: "high",
+  })
+
+  const studentName = await getStudentName(clearance)
+  const officerIds = await findOfficerIds(clearance.departments.map((item) => item.departmentId))
+  await notificationService.notifyMany(officerIds, {
+    type: "clearance_completed",
+    title: "Clearance completed",
+    message: `${studentName}'s clearance application ${clearance.applicationNumber} has been completed.`,
+    data: { clearanceId: clearance._id, actionUrl: DEPARTMENT_URL },
+  })
+}
+
+const HANDLERS = {
+  [CLEARANCE_EVENTS.SUBMITTED]: onSubmitted,
+  [CLEARANCE_EVENTS.DEPARTMENT_READY]: onDepartmentReady,
+  [CLEARANCE_EVENTS.DEPARTMENT_RESUBMITTED]: onDepartmentResubmitted,
+  [CLEARANCE_EVENTS.DEPARTMENT_APPROVED]: onDepartmentApproved,
+  [CLEARANCE_EVENTS.DEPARTMENT_REJECTED]: onDepartmentRejected,
+  [CLEARANCE_EVENTS.COMPLETED]: onCompleted,
+}
+
+let subscribed = false
+
+/**
+ * Subscribe to clearance events; a failed notification never fails the clearance update
+ */
+const subscribe = () => {
+  if (subscribed) return
+  subscribed = true
+
+  Object.entries(HANDLERS).forEach(([event, handler]) => {
+    clearanceEvents.on(event, (payload) => {
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch((error) => logger.error(`Failed to send notifications for ${event} on ${payload.clearance._id}:`, error))
+    })
+  })
+}
+
+module.exports = {
+  subscribe,
+}
@@ -1,31 +1,68 @@
 // Clearance Service (MongoDB interaction)
+const mongoose = require("mongoose");
 const Clearance = require("../models/Clearance");
+const httpError = require("../utils/httpError");
 
-const getAllClearanceRequests = async () => {
-  return await Clearance.find();
+// Officers only act on their own department's item; admins act on any
+const assertOwnDepartmentItem = (item, user, message) => {
+  if (item && user.role === "department" && item.departmentId.toString() !== String(user.departmentId)) {
+    throw httpError(403, message);
+  }
 };
 
-const approveClearanceRequest = async (id, departmentId, departmentSubdocId, approvedBy, remarks) => {
+const getAllClearanceRequests = async (user) => {
+  // Officers only see clearances that include their department
+  const filter = user.role === "department" ? { "departments.departmentId": user.departmentId } : {};
+  return await Clearance.find(filter);
+};
+
+const approveClearanceRequest = async (id, departmentId, departmentSubdocId, user, remarks) => {
+  // A malformed id is not found, rather than a CastError from findById
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
   const clearance = await Clearance.findById(id);
   if (!clearance) return null;
   const targetDeptId = departmentSubdocId || departmentId;
-  // Debug log for troubleshooting
-  console.log('[approveClearanceRequest] targetDeptId:', targetDeptId);
-  console.log('[approveClearanceRequest] clearance.departments:', clearance.departments.map(d => ({ _id: d._id, departmentId: d.departmentId, name: d.departmentName })));
-  await clearance.updateDepartmentStatus(targetDeptId, "approved", approvedBy, remarks);
+  assertOwnDepartmentItem(
+    clearance.findDepartmentItem(targetDeptId),
+    user,
+    "You can only approve clearances for your own department"
+  );
+  // Throws 404 for an unknown item and 409 while its prerequisites are outstanding
+  await clearance.updateDepartmentStatus(targetDeptId, "approved", user._id, remarks);
   return clearance;
 };
 
-const rejectClearanceRequest = async (id, comment) => {
-  return await Clearance.findByIdAndUpdate(
-    id,
-    { status: "rejected", ...(comment && { comment }) },
-    { new: true }
+const updateRequirement = async (id, departmentId, requirementId, updates, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const clearance = await Clearance.findById(id);
+  if (!clearance) return null;
+  assertOwnDepartmentItem(
+    clearance.findDepartmentItem(departmentId),
+    user,
+    "You can only update requirements for your own department"
   );
+  await clearance.updateRequirement(departmentId, requirementId, updates, user._id);
+  return clearance;
+};
+
+const rejectClearanceRequest = async (id, departmentId, departmentSubdocId, user, reason) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const clearance = await Clearance.findById(id);
+  if (!clearance) return null;
+  const targetDeptId = departmentSubdocId || departmentId;
+  assertOwnDepartmentItem(
+    clearance.findDepartmentItem(targetDeptId),
+    user,
+    "You can only reject clearances for your own department"
+  );
+  // Records the reason in the item's rejectionHistory; the student can resubmit afterwards
+  await clearance.updateDepartmentStatus(targetDeptId, "rejected", user._id, reason);
+  return clearance;
 };
 
 module.exports = {
   getAllClearanceRequests,
   approveClearanceRequest,
+  updateRequirement,
   rejectClearanceRequest,
 };
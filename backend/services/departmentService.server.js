@@ -1,6 +1,7 @@
 // This file was renamed to prevent accidental client-side imports of backend-only code.
 // If you need backend Mongoose logic, import from this file on the server only.
 
+const mongoose = require("mongoose");
 const Department = require("../models/Department");
 const Student = require("../models/Student");
 
@@ -9,6 +10,7 @@ const getAllDepartments = async () => {
 };
 
 const getDepartmentById = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
   return await Department.findById(id);
 };
 
@@ -0,0 +1,140 @@
+// Digest Service (daily queue summaries for department officers who opted in)
+const Clearance = require("../models/Clearance")
+const Department = require("../models/Department")
+const User = require("../models/User")
+const emailService = require("./emailService")
+const notificationService = require("./notificationService")
+const logger = require("../utils/logger")
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Items this close to the department's maxProcessingDays (or past it) are flagged
+const NEAR_LIMIT_DAYS = 2
+
+// Longest list per section; the rest are summarised as "and N more"
+const MAX_ITEMS = 20
+
+const DEPARTMENT_URL = "/department/approvals"
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`
+
+const toSection = (heading, items) => ({
+  heading: `${heading} (${items.length})`,
+  items:
+    items.length > MAX_ITEMS ? [...items.slice(0, MAX_ITEMS), `and ${items.length - MAX_ITEMS} more`] : items,
+})
+
+/**
+ * Summarise a department's pending items: arrivals and resubmissions since the given time,
+ * and items close to or past maxProcessingDays
+ * @param {Object} department - Department with name and settings
+ * @param {Date} since - Start of the digest window
+ * @returns {Promise<Object|null>} departmentName, counts and sections, or null when there is nothing to report
+ */
+const buildDepartmentDigest = async (department, since) => {
+  const now = Date.now()
+  const maxDays = (department.settings && department.settings.maxProcessingDays) || 7
+
+  const clearances = await Clearance.find({
+    overallStatus: { $in: ["submitted", "in_progress"] },
+    departments: { $elemMatch: { departmentId: department._id, status: "pending" } },
+  })
+    .select({ applicationNumber: 1, userId: 1, departments: { $elemMatch: { departmentId: department._id } } })
+    .sort({ submittedAt: 1 })
+  if (clearances.length === 0) return null
+
+  const students = await User.find({ _id: { $in: clearances.map((c) => c.userId) } }).select("firstName lastName")
+  const names = new Map(students.map((student) => [String(student._id), `${student.firstName} ${student.lastName}`]))
+
+  const arrivals = []
+  const resubmissions = []
+  const nearLimit = []
+  clearances.forEach((clearance) => {
+    const item = clearance.departments[0]
+    const label = `${names.get(String(clearance.userId)) || "Unknown student"} (${clearance.applicationNumber})`
+    const waitingDays = Math.floor((now - item.activatedAt) / DAY)
+
+    // Resubmission also resets activatedAt, so it is checked first
+    if (item.rejectionHistory.some((rejection) => rejection.resubmittedAt >= since)) {
+      resubmissions.push(label)
+    } else if (item.activatedAt >= since) {
+      arrivals.push(label)
+    }
+    if (waitingDays >= maxDays - NEAR_LIMIT_DAYS) {
+      nearLimit.push(`${label}, waiting ${plural(waitingDays, "day")}`)
+    }
+  })
+
+  if (arrivals.length + resubmissions.length + nearLimit.length === 0) return null
+
+  return {
+    departmentName: department.name,
+    maxDays,
+    counts: { arrivals: arrivals.length, resubmissions: resubmissions.length, nearLimit: nearLimit.length },
+    sections: [
+      toSection("New applications", arrivals),
+      toSection("Resubmitted after rejection", resubmissions),
+      toSection(`Close to or past the ${maxDays}-day processing time`, nearLimit),
+    ].filter((section) => section.items.length > 0),
+  }
+}
+
+/**
+ * Send each opted-in officer one digest email and one in-app notification for every
+ * department they are an active officer of
+ * @returns {Promise<Object>} Number of departments summarised, emails sent and emails failed
+ */
+const sendOfficerDigests = async () => {
+  const since = new Date(Date.now() - DAY)
+  const departments = await Department.find({ isActive: true, "officers.isActive": true }).select(
+    "name settings.maxProcessingDays officers",
+  )
+
+  let summarised = 0
+  let emailed = 0
+  let failed = 0
+  for (const department of departments) {
+    try {
+      const officers = await User.find({
+        _id: { $in: department.officers.filter((officer) => officer.isActive).map((officer) => officer.userId) },
+        isActive: true,
+        "notificationPreferences.officerDigest": true,
+      }).select("email firstName")
+      if (officers.length === 0) continue
+
+      const digest = await buildDepartmentDigest(department, since)
+      if (!digest) continue
+      summarised++
+
+      const { arrivals, resubmissions, nearLimit } = digest.counts
+      await notificationService.notifyMany(
+        officers.map((officer) => officer._id),
+        {
+          type: "reminder",
+          title: `${department.name} daily summary`,
+          message: `${plural(arrivals, "new application")}, ${plural(resubmissions, "resubmission")} and ${plural(nearLimit, "application")} close to or past the ${digest.maxDays}-day processing time.`,
+          data: { departmentId: department._id, actionUrl: DEPARTMENT_URL },
+        },
+        // The digest email below is the email; preferences must not add another
+        { usePreferences: false },
+      )
+
+      for (const officer of officers) {
+        try {
+          if (await emailService.sendOfficerDigest(officer, digest)) emailed++
+        } catch (error) {
+          logger.warn(`Digest email to officer ${officer._id} failed: ${error.message}`)
+          failed++
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to send the digest for department ${department._id}:`, error)
+    }
+  }
+
+  return { summarised, emailed, failed }
+}
+
+module.exports = {
+  sendOfficerDigests,
+}
@@ -0,0 +1,485 @@
+// Document Service (student uploads, their link to clearance applications and officer review)
+const fs = require("fs")
+const mongoose = require("mongoose")
+const Student = require("../models/Student")
+const Document = require("../models/Document")
+const Clearance = require("../models/Clearance")
+const httpError = require("../utils/httpError")
+const { signPath } = require("../utils/signedUrl")
+const extractionService = require("./extractionService")
+
+// Mount point of routes/files.js; signed links are issued against it
+const FILES_BASE_PATH = "/api/files"
+
+const DOCUMENT_TYPES = Document.schema.path("documentType").enumValues
+
+const paginate = ({ page = 1, limit = 20 } = {}) => {
+  const pageNumber = Math.max(Number.parseInt(page) || 1, 1)
+  const limitNumber = Math.min(Math.max(Number.parseInt(limit) || 20, 1), 100)
+  return { page: pageNumber, limit: limitNumber, skip: (pageNumber - 1) * limitNumber }
+}
+
+// Load a clearance owned by the user, or throw
+const findOwnClearance = async (userId, clearanceId) => {
+  if (!mongoose.isValidObjectId(clearanceId)) {
+    throw httpError(400, "Invalid clearance id")
+  }
+
+  const clearance = await Clearance.findOne({ _id: clearanceId, userId })
+  if (!clearance) {
+    throw httpError(404, "Clearance not found")
+  }
+  return clearance
+}
+
+/**
+ * Persist Document records for files handled by processUpload
+ * @param {string} userId - Uploading user
+ * @param {Object[]} files - req.processedFiles
+ * @param {Object} options - Optional clearanceId and documentType
+ * @returns {Promise<Object[]>} Created documents
+ */
+const createDocuments = async (userId, files = [], { clearanceId, documentType = "other" } = {}) => {
+  if (files.length === 0) {
+    throw httpError(400, "No files uploaded")
+  }
+
+  if (!DOCUMENT_TYPES.includes(documentType)) {
+    throw httpError(400, `documentType must be one of: ${DOCUMENT_TYPES.join(", ")}`)
+  }
+
+  const clearance = clearanceId ? await findOwnClearance(userId, clearanceId) : null
+
+  const documents = await Document.insertMany(
+    files.map((file) => ({
+      filename: file.filename,
+      originalName: file.originalName,
+      mimetype: file.mimetype,
+      size: file.size,
+      path: file.path,
+      url: file.url,
+      uploadedBy: userId,
+      clearanceId: clearance ? clearance._id : undefined,
+      documentType,
+      status: file.quarantined ? "quarantined" : file.virusScanned ? "uploaded" : "processing",
+      metadata: {
+        compressed: !!file.compressed,
+        originalSize: file.originalSize,
+        compressionRatio: file.compressionRatio,
+        virusScanned: !!file.virusScanned,
+        scanResult: file.scanResult,
+        scannedAt: file.scannedAt,
+        threatName: file.threat,
+        thumbnailPath: file.thumbnailPath,
+      },
+    })),
+  )
+
+  if (clearance) {
+    await Clearance.updateOne({ _id: clearance._id }, { $addToSet: { documents: { $each: documents.map((d) => d._id) } } })
+  }
+
+  extractionService.queueExtraction(documents.filter((doc) => doc.isScannedClean()).map((doc) => doc._id))
+
+  return documents
+}
+
+/**
+ * Check that documents belong to the user and are still active
+ * @param {string} userId - Owning user
+ * @param {string[]} ids - Document ids
+ * @returns {Promise<Object[]>} The matching documents
+ */
+const findOwnDocuments = async (userId, ids = []) => {
+  const uniqueIds = [...new Set([].concat(ids).filter(Boolean).map(String))]
+  if (uniqueIds.length === 0) return []
+
+  if (!uniqueIds.every((id) => mongoose.isValidObjectId(id))) {
+    throw httpError(400, "Invalid document id")
+  }
+
+  const documents = await Document.find({
+    _id: { $in: uniqueIds },
+    uploadedBy: userId,
+    isActive: true,
+    status: { $ne: "quarantined" },
+  })
+  if (documents.length !== uniqueIds.length) {
+    throw httpError(400, "One or more documents were not found")
+  }
+  return documents
+}
+
+/**
+ * Link previously uploaded documents to a clearance
+ * @param {string[]} ids - Document ids
+ * @param {string} clearanceId - Clearance id
+ */
+const attachToClearance = async (ids, clearanceId) => {
+  if (ids.length === 0) return
+  await Document.updateMany({ _id: { $in: ids } }, { clearanceId })
+}
+
+/**
+ * Delete the records of freshly uploaded documents that were not accepted after all
+ * Quarantined uploads are kept on record. The caller removes the files themselves.
+ * @param {Object[]} documents - Documents returned by createDocuments
+ * @returns {Promise<Object[]>} The deleted documents
+ */
+const discardDocuments = async (documents = []) => {
+  const discarded = documents.filter((doc) => doc.status !== "quarantined")
+  if (discarded.length === 0) return []
+
+  const ids = discarded.map((doc) => doc._id)
+  await Document.deleteMany({ _id: { $in: ids } })
+  await Clearance.updateMany({ documents: { $in: ids } }, { $pull: { documents: { $in: ids } } })
+  return discarded
+}
+
+const listDocuments = async (userId, options = {}) => {
+  const { page, limit, skip } = paginate(options)
+  const query = { uploadedBy: userId, isActive: true }
+
+  if (options.clearanceId) {
+    if (!mongoose.isValidObjectId(options.clearanceId)) {
+      throw httpError(400, "Invalid clearance id")
+    }
+    query.clearanceId = options.clearanceId
+  }
+  if (options.documentType) query.documentType = options.documentType
+  if (options.status) query.status = options.status
+
+  const [documents, total] = await Promise.all([
+    Document.find(query)
+      .select("-accessLog -path -url")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("verifiedBy", "firstName lastName"),
+    Document.countDocuments(query),
+  ])
+
+  return {
+    documents,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+  }
+}
+
+/**
+ * Soft-delete a document owned by the user
+ * @param {string} userId - Owning user
+ * @param {string} id - Document id
+ * @param {Object} request - ipAddress and userAgent for the access log
+ * @returns {Promise<Object|null>} The deleted document, or null if not found
+ */
+const deleteDocument = async (userId, id, { ipAddress, userAgent } = {}) => {
+  if (!mongoose.isValidObjectId(id)) return null
+
+  const document = await Document.findOne({ _id: id, uploadedBy: userId, isActive: true })
+  if (!document) return null
+
+  // Verified documents are evidence for a department decision and must stay on record
+  if (document.status === "verified") {
+    throw httpError(409, "Verified documents cannot be deleted")
+  }
+
+  document.isActive = false
+  await document.logAccess(userId, "delete", ipAddress, userAgent)
+
+  if (document.clearanceId) {
+    await Clearance.updateOne({ _id: document.clearanceId }, { $pull: { documents: document._id } })
+  }
+
+  return document
+}
+
+// Officers may only see documents of students whose clearance includes their department
+const assertDepartmentAccess = (user, clearances) => {
+  if (user.role === "admin") return
+
+  const departmentId = user.departmentId && user.departmentId.toString()
+  const onClearance =
+    departmentId &&
+    clearances.some((clearance) => clearance.departments.some((item) => item.departmentId.toString() === departmentId))
+
+  if (!onClearance) {
+    throw httpError(403, "Your department is not on this student's clearance")
+  }
+}
+
+// Officers only ever receive files that a virus scan has passed
+const assertScannedClean = (document) => {
+  if (document.status === "quarantined") {
+    throw httpError(403, "This document failed a virus scan and has been quarantined")
+  }
+  if (!document.isScannedClean()) {
+    throw httpError(409, "This document has not been virus scanned yet")
+  }
+}
+
+// Load an active document and check the officer may act on it
+const findDocumentForReview = async (id, user) => {
+  if (!mongoose.isValidObjectId(id)) return null
+
+  const document = await Document.findOne({ _id: id, isActive: true })
+  if (!document) return null
+
+  const clearances = document.clearanceId
+    ? await Clearance.find({ _id: document.clearanceId }).select("departments.departmentId")
+    : await Clearance.find({ userId: document.uploadedBy }).select("departments.departmentId")
+  assertDepartmentAccess(user, clearances)
+
+  return document
+}
+
+const accessEntry = (user, action, { ipAddress, userAgent } = {}) => ({
+  accessedBy: user._id,
+  action,
+  ipAddress,
+  userAgent,
+  accessedAt: new Date(),
+})
+
+/**
+ * List a student's documents for an officer, logging a view on each
+ * @param {string} studentId - Student id (not the user id)
+ * @param {Object} user - Requesting officer
+ * @param {Object} request - ipAddress and userAgent for the access log
+ * @returns {Promise<Object[]|null>} Documents, or null if the student does not exist
+ */
+const listStudentDocumentsForReview = async (studentId, user, request = {}) => {
+  if (!mongoose.isValidObjectId(studentId)) return null
+
+  const student = await Student.findById(studentId).select("userId")
+  if (!student) return null
+
+  const clearances = await Clearance.find({ studentId }).select("departments.departmentId")
+  assertDepartmentAccess(user, clearances)
+
+  const documents = await Document.find({ uploadedBy: student.userId, isActive: true })
+    .select("-accessLog -path -url")
+    .sort({ createdAt: -1 })
+    .populate("verifiedBy", "firstName lastName")
+
+  if (documents.length > 0) {
+    await Document.updateMany(
+      { _id: { $in: documents.map((doc) => doc._id) } },
+      { $push: { accessLog: accessEntry(user, "view", request) } },
+    )
+  }
+
+  return documents
+}
+
+/**
+ * Load a document for download by an officer and log the access
+ * @param {string} id - Document id
+ * @param {Object} user - Requesting officer
+ * @param {Object} request - ipAddress and userAgent for the access log
+ * @returns {Promise<Object|null>} The document, or null if not found
+ */
+const getDocumentForDownload = async (id, user, request = {}) => {
+  const document = await findDocumentForReview(id, user)
+  if (!document) return null
+
+  assertScannedClean(document)
+
+  if (!fs.existsSync(document.path)) {
+    throw httpError(404, "Document file is missing")
+  }
+
+  await document.logAccess(user._id, "download", request.ipAddress, request.userAgent)
+  return document
+}
+
+/**
+ * Verify or reject a document and note it on the clearance timeline
+ * @param {string} id - Document id
+ * @param {Object} user - Requesting officer
+ * @param {Object} decision - approved flag and remarks
+ * @param {Object} request - ipAddress and userAgent for the access log
+ * @returns {Promise<Object|null>} The updated document, or null if not found
+ */
+const verifyDocument = async (id, user, { approved, remarks }, request = {}) => {
+  const document = await findDocumentForReview(id, user)
+  if (!document) return null
+
+  // Officers cannot vouch for a file they were never allowed to open
+  assertScannedClean(document)
+
+  document.accessLog.push(accessEntry(user, "verify", request))
+  await document.verify(user._id, approved, remarks)
+
+  if (document.clearanceId) {
+    const clearance = await Clearance.findById(document.clearanceId)
+    if (clearance) {
+      clearance.addTimelineEntry(
+        approved ? "document_verified" : "document_rejected",
+        `${document.originalName} ${approved ? "verified" : "rejected"}`,
+        user._id,
+        { documentId: document._id, departmentId: user.departmentId, remarks },
+      )
+      await clearance.save()
+    }
+  }
+
+  return document
+}
+
+// Load a document the user may read: their own upload, or one under review by their department
+const findAccessibleDocument = async (id, user) => {
+  if (user.role !== "student") return findDocumentForReview(id, user)
+
+  if (!mongoose.isValidObjectId(id)) return null
+  return Document.findOne({ _id: id, uploadedBy: user._id, isActive: true })
+}
+
+/**
+ * Issue a short-lived signed download link for a document
+ * @param {string} id - Document id
+ * @param {Object} user - Requesting user
+ * @param {string} disposition - "attachment" or "inline"
+ * @returns {Promise<Object|null>} url and expiresAt, or null if not found
+ */
+const createDownloadLink = async (id, user, disposition = "attachment") => {
+  const document = await findAccessibleDocument(id, user)
+  if (!document) return null
+
+  if (document.status === "quarantined" || user.role !== "student") {
+    assertScannedClean(document)
+  }
+
+  const { url, expiresAt } = signPath(`${FILES_BASE_PATH}/documents/${document._id}`, user._id)
+  return {
+    url: disposition === "inline" ? `${url}&disposition=inline` : url,
+    expiresAt,
+    filename: document.originalName,
+  }
+}
+
+/**
+ * Load a document for a signed download and log the access
+ * @param {string} id - Document id
+ * @param {string} userId - User the link was issued to
+ * @param {Object} request - disposition, ipAddress and userAgent
+ * @returns {Promise<Object|null>} The document, or null if not found
+ */
+const getDocumentForSignedDownload = async (id, userId, { disposition, ipAddress, userAgent } = {}) => {
+  if (!mongoose.isValidObjectId(id)) return null
+
+  const document = await Document.findOne({ _id: id, isActive: true })
+  if (!document) return null
+
+  // The link was checked when issued; re-check in case jobs/documentRescan has quarantined the file since
+  if (document.status === "quarantined" || (String(document.uploadedBy) !== String(userId) && !document.isScannedClean())) {
+    assertScannedClean(document)
+  }
+
+  if (!fs.existsSync(document.path)) {
+    throw httpError(404, "Document file is missing")
+  }
+
+  await document.logAccess(userId, disposition === "inline" ? "view" : "download", ipAddress, userAgent)
+  return document
+}
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// A short excerpt of the text around the first search term that appears in it
+const buildSnippet = (text, q, radius = 80) => {
+  if (!text) return ""
+
+  const terms = q.replace(/"/g, " ").split(/\s+/).filter(Boolean)
+  const match = terms.length > 0 ? text.match(new RegExp(terms.map(escapeRegex).join("|"), "i")) : null
+  const index = match ? match.index : 0
+  const start = Math.max(index - radius, 0)
+  const end = Math.min(index + radius, text.length)
+
+  return `${start > 0 ? "…" : ""}${text.slice(start, end).replace(/\s+/g, " ")}${end < text.length ? "…" : ""}`
+}
+
+/**
+ * Full-text search over document names and extracted text
+ * @param {Object} user - Requesting officer; department officers only see their students' documents
+ * @param {Object} options - q, documentType, studentId, page, limit
+ * @returns {Promise<Object>} Matching documents with snippets, ranked by relevance
+ */
+const searchDocuments = async (user, options = {}) => {
+  const q = String(options.q || "").trim()
+  if (q.length < 2) {
+    throw httpError(400, "Search query must be at least 2 characters")
+  }
+
+  const { page, limit, skip } = paginate(options)
+  const query = { $text: { $search: q }, isActive: true, status: { $ne: "quarantined" } }
+
+  if (options.documentType) query.documentType = options.documentType
+
+  if (options.studentId) {
+    if (!mongoose.isValidObjectId(options.studentId)) {
+      throw httpError(400, "Invalid student id")
+    }
+    const student = await Student.findById(options.studentId).select("userId")
+    if (!student) return { documents: [], total: 0, page, pages: 0 }
+    query.uploadedBy = student.userId
+  }
+
+  if (user.role !== "admin") {
+    if (!user.departmentId) {
+      throw httpError(403, "Your account is not linked to a department")
+    }
+    const clearanceIds = await Clearance.find({ "departments.departmentId": user.departmentId }).distinct("_id")
+    query.clearanceId = { $in: clearanceIds }
+  }
+
+  const [documents, total] = await Promise.all([
+    Document.find(query, { score: { $meta: "textScore" } })
+      .select("-accessLog -path -url")
+      .sort({ score: { $meta: "textScore" } })
+      .skip(skip)
+      .limit(limit)
+      .populate("uploadedBy", "firstName lastName studentId")
+      .lean(),
+    Document.countDocuments(query),
+  ])
+
+  return {
+    documents: documents.map(({ metadata, ...doc }) => {
+      const { extractedText, ...rest } = metadata || {}
+      return { ...doc, metadata: rest, snippet: buildSnippet(extractedText, q) }
+    }),
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+  }
+}
+
+/**
+ * Issue a short-lived signed link for a profile picture
+ * @param {string} filename - User.profilePicture
+ * @param {string} userId - User the link is issued to
+ * @returns {string|null} Signed URL, or null without a picture
+ */
+const createProfilePictureLink = (filename, userId) => {
+  if (!filename) return null
+  return signPath(`${FILES_BASE_PATH}/profiles/${encodeURIComponent(filename)}`, userId).url
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  createDocuments,
+  findOwnDocuments,
+  attachToClearance,
+  discardDocuments,
+  listDocuments,
+  deleteDocument,
+  listStudentDocumentsForReview,
+  getDocumentForDownload,
+  verifyDocument,
+  createDownloadLink,
+  getDocumentForSignedDownload,
+  createProfilePictureLink,
+  searchDocuments,
+}
@@ -0,0 +1,221 @@
+// Email Service (sends notification emails and retries failed deliveries)
+const Notification = require("../models/Notification")
+const SystemSetting = require("../models/SystemSetting")
+const User = require("../models/User")
+const { createTransport } = require("../utils/mailer")
+const {
+  renderNotificationEmail,
+  renderDigestEmail,
+  renderOfficerDigestEmail,
+  renderPasswordResetEmail,
+  renderOfficerInvitationEmail,
+} = require("../utils/emailTemplates")
+const logger = require("../utils/logger")
+
+const CLIENT_URL = process.env.CLIENT_URL || "https://biu-uni.vercel.app"
+
+// Settings are re-read at most once a minute so admin changes apply without a restart
+const SETTINGS_TTL = 60 * 1000
+
+// New notifications are sent straight away; the queue only picks them up if that did not happen
+const PENDING_GRACE = 2 * 60 * 1000
+
+let mailer = null
+
+// Transport and sender built from the email settings, with env fallbacks
+const getMailer = async () => {
+  if (mailer && Date.now() - mailer.loadedAt < SETTINGS_TTL) return mailer
+
+  const settings = await SystemSetting.getSettings()
+  const email = settings.email || {}
+  const smtp = {
+    host: email.smtpHost || process.env.SMTP_HOST,
+    port: email.smtpPort || Number.parseInt(process.env.SMTP_PORT) || 587,
+    user: email.smtpUser || process.env.EMAIL_USER,
+    password: email.smtpPassword || process.env.EMAIL_PASS,
+  }
+  const address = email.fromEmail || process.env.EMAIL_FROM || smtp.user
+  const key = JSON.stringify(smtp)
+
+  mailer = {
+    loadedAt: Date.now(),
+    key,
+    transport: mailer && mailer.key === key ? mailer.transport : createTransport(smtp),
+    from: email.fromName ? { name: email.fromName, address } : address,
+    enabled: email.enableNotifications !== false,
+    systemName: settings.general && settings.general.systemName,
+  }
+  return mailer
+}
+
+/**
+ * Send one email
+ * @param {Object} message - to, subject, html and text
+ * @returns {Promise<Object>} messageId
+ */
+const sendEmail = async (message) => {
+  const { transport, from } = await getMailer()
+  return transport.sendMail({ from, ...message })
+}
+
+/**
+ * Send the email channel of a notification and record the outcome on the channel
+ * @param {Object} notification - Notification document
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const sendNotificationEmail = async (notification) => {
+  const channel = notification.channels.find((c) => c.type === "email")
+  if (!channel || channel.status === "sent" || channel.status === "delivered") return false
+  // Held for the recipient's quiet hours, or waiting for a retry
+  if (channel.nextAttemptAt && channel.nextAttemptAt > new Date()) return false
+
+  try {
+    const { enabled, systemName } = await getMailer()
+    if (!enabled) {
+      await notification.abandonChannel("email", "Email notifications are disabled")
+      return false
+    }
+
+    const recipient = await User.findById(notification.recipient).select("email firstName isActive")
+    if (!recipient || !recipient.email || !recipient.isActive) {
+      await notification.abandonChannel("email", "Recipient has no active email address")
+      return false
+    }
+
+    const email = renderNotificationEmail(notification, {
+      recipientName: recipient.firstName,
+      systemName,
+      clientUrl: CLIENT_URL,
+    })
+    await sendEmail({ to: recipient.email, ...email })
+    await notification.updateChannelStatus("email", "sent")
+    return true
+  } catch (error) {
+    logger.warn(`Email for notification ${notification._id} failed: ${error.message}`)
+    await notification.updateChannelStatus("email", "failed", error.message)
+    return false
+  }
+}
+
+/**
+ * Send queued notification emails: new ones that were not sent straight away, and
+ * failed ones whose back-off has passed
+ * @param {number} limit - Maximum number of emails to send in one go
+ * @returns {Promise<Object>} Counts of sent and failed emails
+ */
+const processEmailQueue = async (limit = 50) => {
+  const notifications = await Notification.findDueForChannel("email", { graceMs: PENDING_GRACE, limit })
+
+  let sent = 0
+  for (const notification of notifications) {
+    if (await sendNotificationEmail(notification)) sent++
+  }
+
+  return { sent, failed: notifications.length - sent }
+}
+
+/**
+ * Send one digest email per user with notifications held for the daily digest. Only unread
+ * notifications are listed; read ones are marked as digested without being sent.
+ * @returns {Promise<Object>} Counts of digests sent and failed
+ */
+const sendDigests = async () => {
+  const pending = { inDigest: true, digestSentAt: null, scheduledFor: { $lte: new Date() } }
+  const recipientIds = await Notification.distinct("recipient", pending)
+  const { enabled, systemName } = await getMailer()
+
+  let sent = 0
+  let failed = 0
+  for (const recipientId of recipientIds) {
+    const notifications = await Notification.find({ ...pending, recipient: recipientId }).sort({ createdAt: 1 })
+    const unread = notifications.filter((notification) => !notification.isRead)
+
+    try {
+      const recipient = await User.findById(recipientId).select("email firstName isActive")
+      if (enabled && unread.length > 0 && recipient && recipient.email && recipient.isActive) {
+        const email = renderDigestEmail(unread, { recipientName: recipient.firstName, systemName, clientUrl: CLIENT_URL })
+        await sendEmail({ to: recipient.email, ...email })
+        sent++
+      }
+
+      await Notification.updateMany(
+        { _id: { $in: notifications.map((notification) => notification._id) } },
+        { $set: { digestSentAt: new Date() } },
+      )
+    } catch (error) {
+      // Left for the next run
+      logger.warn(`Digest email for user ${recipientId} failed: ${error.message}`)
+      failed++
+    }
+  }
+
+  return { sent, failed }
+}
+
+/**
+ * Email an officer the daily summary of their department's queue
+ * @param {Object} officer - User with email and firstName
+ * @param {Object} digest - departmentName and sections, see renderOfficerDigestEmail
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const sendOfficerDigest = async (officer, digest) => {
+  const { enabled, systemName } = await getMailer()
+  if (!enabled || !officer.email) return false
+
+  const email = renderOfficerDigestEmail(digest, { recipientName: officer.firstName, systemName, clientUrl: CLIENT_URL })
+  await sendEmail({ to: officer.email, ...email })
+  return true
+}
+
+/**
+ * Email a password reset link; sent even when notification emails are turned off
+ * @param {Object} user - User with email and firstName
+ * @param {string} resetToken - Unhashed reset token
+ * @param {number} expiresInMinutes - Lifetime of the token
+ * @returns {Promise<Object>} messageId
+ */
+const sendPasswordResetEmail = async (user, resetToken, expiresInMinutes) => {
+  const { systemName } = await getMailer()
+  const email = renderPasswordResetEmail(
+    {
+      recipientName: user.firstName,
+      resetUrl: `${CLIENT_URL.replace(/\/$/, "")}/reset-password/${resetToken}`,
+      expiresInMinutes,
+    },
+    { systemName },
+  )
+  return sendEmail({ to: user.email, ...email })
+}
+
+/**
+ * Email an officer invitation; sent even when notification emails are turned off
+ * @param {Object} invitation - OfficerInvitation with email, role and expiresAt
+ * @param {Object} department - Department with name
+ * @param {string} token - Unhashed invitation token
+ * @param {Object} [inviter] - User with firstName and lastName
+ * @returns {Promise<Object>} messageId
+ */
+const sendOfficerInvitationEmail = async (invitation, department, token, inviter) => {
+  const { systemName } = await getMailer()
+  const email = renderOfficerInvitationEmail(
+    {
+      departmentName: department.name,
+      role: invitation.role,
+      inviterName: inviter && `${inviter.firstName} ${inviter.lastName}`,
+      acceptUrl: `${CLIENT_URL.replace(/\/$/, "")}/accept-invitation/${token}`,
+      expiresInDays: Math.round((invitation.expiresAt - Date.now()) / (24 * 60 * 60 * 1000)),
+    },
+    { systemName },
+  )
+  return sendEmail({ to: invitation.email, ...email })
+}
+
+module.exports = {
+  sendEmail,
+  sendNotificationEmail,
+  processEmailQueue,
+  sendDigests,
+  sendOfficerDigest,
+  sendPasswordResetEmail,
+  sendOfficerInvitationEmail,
+}
@@ -0,0 +1,83 @@
+// Extraction Service (background text extraction for document search)
+const Document = require("../models/Document")
+const { extractText } = require("../utils/textExtractor")
+const logger = require("../utils/logger")
+
+// Only files that passed the virus scan are ever parsed
+const PENDING_QUERY = {
+  isActive: true,
+  status: { $ne: "quarantined" },
+  "metadata.virusScanned": true,
+  "metadata.scanResult": "CLEAN",
+  "metadata.ocrProcessed": { $ne: true },
+}
+
+const queue = []
+let running = false
+
+/**
+ * Extract and store the text of one document
+ * @param {Object} document - Document to process
+ * @returns {Promise<Object>} The saved document
+ */
+const processDocument = async (document) => {
+  try {
+    const result = await extractText(document.path, document.mimetype, document.originalName)
+    document.metadata.extractedText = result ? result.text : undefined
+    document.metadata.extractionMethod = result ? result.method : "unsupported"
+    document.metadata.extractionError = undefined
+  } catch (error) {
+    logger.warn(`Text extraction failed for document ${document._id}:`, error.message)
+    document.metadata.extractionError = error.message
+  }
+
+  document.metadata.ocrProcessed = true
+  document.metadata.extractedAt = new Date()
+  return document.save()
+}
+
+// Work through the queue one document at a time so OCR never runs in parallel
+const drain = async () => {
+  if (running) return
+  running = true
+
+  try {
+    while (queue.length > 0) {
+      const id = queue.shift()
+      const document = await Document.findOne({ _id: id, ...PENDING_QUERY })
+      if (document) await processDocument(document)
+    }
+  } catch (error) {
+    logger.error("Extraction queue error:", error)
+  } finally {
+    running = false
+  }
+}
+
+/**
+ * Queue documents for extraction in the background
+ * @param {string[]} ids - Document ids
+ */
+const queueExtraction = (ids = []) => {
+  ids.forEach((id) => {
+    if (!queue.some((queued) => String(queued) === String(id))) queue.push(id)
+  })
+  setImmediate(drain)
+}
+
+/**
+ * Queue every clean document that has not been processed yet
+ * @param {number} limit - Maximum number of documents to queue
+ * @returns {Promise<number>} Number of documents queued
+ */
+const queuePending = async (limit = 100) => {
+  const pending = await Document.find(PENDING_QUERY).select("_id").sort({ createdAt: 1 }).limit(limit)
+  queueExtraction(pending.map((doc) => doc._id))
+  return pending.length
+}
+
+module.exports = {
+  processDocument,
+  queueExtraction,
+  queuePending,
+}
@@ -0,0 +1,230 @@
+// Invitation Service (officer invitations: invite by email, accept with an own account, revoke)
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const OfficerInvitation = require("../models/OfficerInvitation")
+const Department = require("../models/Department")
+const User = require("../models/User")
+const emailService = require("./emailService")
+const httpError = require("../utils/httpError")
+const logger = require("../utils/logger")
+const { audit } = require("../utils/logger")
+
+// How long an invitation link stays valid
+const INVITATION_DAYS = 7
+
+const INVALID_INVITATION_MESSAGE = "Invitation link is invalid or has expired"
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+const findUsableInvitation = async (token) => {
+  const invitation = await OfficerInvitation.findOne({ tokenHash: hashToken(token) })
+  if (!invitation || !invitation.isUsable()) {
+    throw httpError(400, INVALID_INVITATION_MESSAGE)
+  }
+  return invitation
+}
+
+/**
+ * Invite someone by email to become an officer of a department. A pending invitation for the
+ * same address and department is revoked, so inviting again sends a fresh link.
+ * @param {string} departmentId - Department
+ * @param {Object} data - email, role and optional permissions for the officer record
+ * @param {Object} inviter - Admin sending the invitation
+ * @returns {Promise<Object|null>} invitation and whether the email was sent, or null without the department
+ */
+const inviteOfficer = async (departmentId, { email, role, permissions }, inviter) => {
+  if (!mongoose.Types.ObjectId.isValid(departmentId)) return null
+  const department = await Department.findById(departmentId)
+  if (!department) return null
+  if (!department.isActive) {
+    throw httpError(400, "Officers cannot be invited to an inactive department")
+  }
+
+  const address = email.toLowerCase()
+  if (await User.exists({ email: address })) {
+    throw httpError(409, "An account already exists for this email. Add it as an officer instead.")
+  }
+
+  await OfficerInvitation.updateMany(
+    { email: address, departmentId: department._id, status: "pending" },
+    { status: "revoked", revokedAt: new Date() },
+  )
+
+  const token = crypto.randomBytes(32).toString("hex")
+  const invitation = await OfficerInvitation.create({
+    email: address,
+    departmentId: department._id,
+    role,
+    permissions,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000),
+    invitedBy: inviter._id,
+  })
+
+  let emailSent = true
+  try {
+    await emailService.sendOfficerInvitationEmail(invitation, department, token, inviter)
+  } catch (error) {
+    // The invitation stays pending; inviting the address again sends a new link
+    logger.error(`Failed to send officer invitation ${invitation._id}:`, error)
+    emailSent = false
+  }
+
+  return { invitation, emailSent }
+}
+
+/**
+ * Pending invitations of a department, newest first
+ * @param {string} departmentId - Department
+ * @returns {Promise<Array>} Invitations that can still be accepted
+ */
+const listInvitations = async (departmentId) => {
+  if (!mongoose.Types.ObjectId.isValid(departmentId)) return []
+  return OfficerInvitation.find({ departmentId, status: "pending", expiresAt: { $gt: new Date() } })
+    .populate("invitedBy", "firstName lastName")
+    .sort({ createdAt: -1 })
+}
+
+/**
+ * Revoke a pending invitation so its link stops working
+ * @param {string} id - Invitation
+ * @returns {Promise<Object|null>} The revoked invitation, or null if there is no pending one
+ */
+const revokeInvitation = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null
+  return OfficerInvitation.findOneAndUpdate(
+    { _id: id, status: "pending" },
+    { status: "revoked", revokedAt: new Date() },
+    { new: true },
+  )
+}
+
+/**
+ * What an invitation is for, shown on the acceptance page
+ * @param {string} token - Unhashed invitation token
+ * @returns {Promise<Object>} email, role, departmentName and expiresAt
+ */
+const getInvitation = async (token) => {
+  const invitation = await findUsableInvitation(token)
+  const department = await Department.findById(invitation.departmentId).select("name")
+  return {
+    email: invitation.email,
+    role: invitation.role,
+    departmentName: department ? department.name : "",
+    expiresAt: invitation.expiresAt,
+  }
+}
+
+/**
+ * Accept an invitation: create the officer's own account and add it to the department's officers
+ * @param {string} token - Unhashed invitation token
+ * @param {Object} data - firstName, lastName and password
+ * @returns {Promise<Object>} The new user and the invitation
+ */
+const acceptInvitation = async (token, { firstName, lastName, password }) => {
+  const invitation = await findUsableInvitation(token)
+  const department = await Department.findById(invitation.departmentId)
+  if (!department || !department.isActive) {
+    throw httpError(400, "This department is no longer accepting officers")
+  }
+  if (await User.exists({ email: invitation.email })) {
+    throw httpError(409, "An account already exists for this email")
+  }
+
+  // Claim the invitation first so the same link cannot create two accounts
+  const claimed = await OfficerInvitation.findOneAndUpdate(
+    { _id: invitation._id, status: "pending" },
+    { status: "accepted", acceptedAt: new Date() },
+    { new: true },
+  )
+  if (!claimed) {
+    throw httpError(400, INVALID_INVITATION_MESSAGE)
+  }
+
+  let user
+  try {
+    user = await User.create({
+      email: invitation.email,
+      password,
+      role: "department",
+      firstName,
+      lastName,
+      departmentId: department._id,
+    })
+    // Invitations without permissions take the officer record's defaults
+    await department.addOfficer(
+      user._id,
+      invitation.role,
+      invitation.permissions.length > 0 ? invitation.permissions : undefined,
+    )
+  } catch (error) {
+    // Put things back so the invitation can be used again
+    if (user) await User.deleteOne({ _id: user._id })
+    await OfficerInvitation.updateOne({ _id: invitation._id }, { status: "pending", $unset: { acceptedAt: 1 } })
+    if (error.code === 11000) {
+      throw httpError(409, "An account already exists for this email")
+    }
+    throw error
+  }
+
+  claimed.acceptedBy = user._id
+  await claimed.save()
+
+  return { user, invitation: claimed }
+}
+
+/**
+ * Retire the shared department logins that officer invitations replace. Those accounts were
+ * named after their department (first name = department name, last name = department code).
+ * Each keeps working as an officer record until the department has an officer with an own
+ * account; then it is deactivated, signed out everywhere and taken off the officer list.
+ * @returns {Promise<number>} Number of accounts retired
+ */
+const retireSharedAccounts = async () => {
+  const departments = await Department.find({}).select("code officers")
+  const invitees = await OfficerInvitation.find({ status: "accepted" }).distinct("acceptedBy")
+  const invited = new Set(invitees.filter(Boolean).map(String))
+
+  let retired = 0
+  for (const department of departments) {
+    const accounts = await User.find({ role: "department", departmentId: department._id })
+      .select("firstName lastName email isActive departmentId")
+    const shared = accounts.filter((user) => user.lastName === department.code && !invited.has(String(user._id)))
+    const sharedIds = new Set(shared.map((user) => String(user._id)))
+
+    const activeAccounts = new Set(accounts.filter((user) => user.isActive).map((user) => String(user._id)))
+    const ownOfficers = department.officers.filter(
+      (officer) =>
+        officer.isActive && activeAccounts.has(String(officer.userId)) && !sharedIds.has(String(officer.userId)),
+    )
+    if (ownOfficers.length === 0) continue
+
+    for (const user of shared) {
+      const onOfficerList = department.officers.some((officer) => officer.isActive && String(officer.userId) === String(user._id))
+      if (!user.isActive && !onOfficerList) continue
+
+      await User.updateOne({ _id: user._id }, { isActive: false, refreshTokens: [] })
+      await Department.updateOne(
+        { _id: department._id, officers: { $elemMatch: { userId: user._id, isActive: true } } },
+        { $set: { "officers.$.isActive": false } },
+      )
+      audit("SHARED_DEPARTMENT_ACCOUNT_RETIRED", user._id, {
+        departmentId: department._id,
+        email: user.email,
+        officers: ownOfficers.length,
+      })
+      logger.info(`Retired shared department login ${user.email} of ${department.code}`)
+      retired++
+    }
+  }
+  return retired
+}
+
+module.exports = {
+  inviteOfficer,
+  listInvitations,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation,
+  retireSharedAccounts,
+}
@@ -0,0 +1,211 @@
+// Job Runner (in-process cron scheduler with run history and cross-instance locking)
+const os = require("os")
+const cron = require("node-cron")
+const JobLock = require("../models/JobLock")
+const JobRun = require("../models/JobRun")
+const httpError = require("../utils/httpError")
+const logger = require("../utils/logger")
+
+// Identifies this process in locks and run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`
+
+const DEFAULT_LOCK_TTL = 10 * 60 * 1000
+
+const jobs = new Map()
+const tasks = new Map()
+
+const paginate = ({ page = 1, limit = 20 } = {}) => {
+  const pageNumber = Math.max(Number.parseInt(page) || 1, 1)
+  const limitNumber = Math.min(Math.max(Number.parseInt(limit) || 20, 1), 100)
+  return { page: pageNumber, limit: limitNumber, skip: (pageNumber - 1) * limitNumber }
+}
+
+// documentExpiry -> JOB_DOCUMENT_EXPIRY_CRON
+const scheduleEnvName = (name) => `JOB_${name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase()}_CRON`
+
+// A schedule of "off" disables a single job
+const resolveSchedule = (job) => {
+  const schedule = (process.env[scheduleEnvName(job.name)] || job.schedule).trim()
+  return schedule === "off" ? null : schedule
+}
+
+/**
+ * Register a job
+ * @param {Object} job - Job definition
+ * @param {string} job.name - Unique name, also used for the lock
+ * @param {string} job.description - Shown in the admin job list
+ * @param {string} job.schedule - Default cron expression
+ * @param {number} job.lockTtl - How long a run may hold the lock, in ms
+ * @param {Function} job.init - Optional one-off setup, run when the runner starts
+ * @param {Function} job.run - Does the work; its return value is stored as the run result
+ */
+const register = (job) => {
+  if (jobs.has(job.name)) {
+    throw new Error(`Job ${job.name} is already registered`)
+  }
+  jobs.set(job.name, { lockTtl: DEFAULT_LOCK_TTL, ...job })
+}
+
+/**
+ * Run a job now if no other instance holds its lock
+ * @param {string} name - Job name
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - schedule or manual
+ * @param {string} options.triggeredBy - Admin who started a manual run
+ * @returns {Promise<Object|null>} The finished run, or null if the job was locked
+ */
+const runJob = async (name, { trigger = "schedule", triggeredBy } = {}) => {
+  const job = jobs.get(name)
+  if (!job) {
+    throw httpError(404, "Job not found")
+  }
+
+  const token = await JobLock.acquire(name, INSTANCE_ID, job.lockTtl)
+  if (!token) {
+    logger.info(`Job ${name} is locked by another instance, skipping`)
+    return null
+  }
+
+  let run = null
+  let result
+  let failure = null
+
+  // The run record is created inside the try, so the lock is released even if that fails
+  try {
+    run = await JobRun.create({ job: name, trigger, triggeredBy, instance: INSTANCE_ID })
+    result = await job.run()
+    logger.info(`Job ${name} finished`, result)
+  } catch (error) {
+    failure = error
+    logger.error(`Job ${name} failed:`, error)
+  } finally {
+    await JobLock.release(name, token).catch((error) => logger.error(`Failed to release lock for job ${name}:`, error))
+  }
+
+  // Without a run record the job never started and there is no history to finish
+  if (!run) throw failure
+
+  return run.finish(failure, result)
+}
+
+/**
+ * Start scheduling every registered job
+ * @returns {Promise<void>}
+ */
+const start = async () => {
+  if (process.env.JOBS_ENABLED === "false") {
+    logger.info("Scheduled jobs are disabled")
+    return
+  }
+
+  for (const job of jobs.values()) {
+    if (tasks.has(job.name)) continue
+
+    const schedule = resolveSchedule(job)
+    if (!schedule) {
+      logger.info(`Job ${job.name} is turned off`)
+      continue
+    }
+    if (!cron.validate(schedule)) {
+      logger.error(`Job ${job.name} has an invalid cron expression "${schedule}", not scheduling it`)
+      continue
+    }
+
+    if (job.init) {
+      await job.init().catch((error) => logger.error(`Failed to initialise job ${job.name}:`, error))
+    }
+
+    const task = cron.schedule(
+      schedule,
+      () => runJob(job.name).catch((error) => logger.error(`Job ${job.name} could not run:`, error)),
+      { name: job.name, timezone: process.env.JOBS_TIMEZONE || undefined },
+    )
+    tasks.set(job.name, task)
+    logger.info(`Job ${job.name} scheduled with "${schedule}"`)
+  }
+}
+
+/**
+ * Stop all scheduled jobs; runs already in progress finish on their own
+ */
+const stop = () => {
+  tasks.forEach((task) => task.stop())
+  tasks.clear()
+}
+
+/**
+ * List registered jobs with their schedule, lock and latest run
+ * @returns {Promise<Object[]>} Jobs
+ */
+const listJobs = async () => {
+  const names = [...jobs.keys()]
+  const [locks, lastRuns] = await Promise.all([
+    JobLock.find({ name: { $in: names } }).lean(),
+    JobRun.aggregate([
+      { $match: { job: { $in: names } } },
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: "$job", run: { $first: "$$ROOT" } } },
+    ]),
+  ])
+
+  const now = new Date()
+  return [...jobs.values()].map((job) => {
+    const lock = locks.find((candidate) => candidate.name === job.name)
+    const lastRun = lastRuns.find((candidate) => candidate._id === job.name)
+    const task = tasks.get(job.name)
+
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: resolveSchedule(job),
+      scheduled: Boolean(task),
+      nextRunAt: task ? task.getNextRun() : null,
+      running: Boolean(lock && lock.lockedUntil > now),
+      lockedBy: lock && lock.lockedUntil > now ? lock.owner : null,
+      lastRun: lastRun ? lastRun.run : null,
+    }
+  })
+}
+
+/**
+ * Paginated run history of one job
+ * @param {string} name - Job name
+ * @param {Object} options - page, limit and status
+ * @returns {Promise<Object>} Runs, total, page and pages
+ */
+const getJobRuns = async (name, options = {}) => {
+  if (!jobs.has(name)) {
+    throw httpError(404, "Job not found")
+  }
+
+  const { page, limit, skip } = paginate(options)
+  const query = { job: name }
+  if (options.status) query.status = options.status
+
+  const [runs, total] = await Promise.all([
+    JobRun.find(query)
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("triggeredBy", "firstName lastName email")
+      .lean(),
+    JobRun.countDocuments(query),
+  ])
+
+  return {
+    runs,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+  }
+}
+
+module.exports = {
+  INSTANCE_ID,
+  register,
+  runJob,
+  start,
+  stop,
+  listJobs,
+  getJobRuns,
+}
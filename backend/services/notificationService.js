@@ -0,0 +1,314 @@
+// Notification Service (stores notifications and pushes them to the user's socket room)
+const mongoose = require("mongoose")
+const Notification = require("../models/Notification")
+const User = require("../models/User")
+const emailService = require("./emailService")
+const smsService = require("./smsService")
+const { applyPreferences } = require("./preferenceService")
+const { userRoom } = require("../middleware/socketAuth")
+const httpError = require("../utils/httpError")
+const logger = require("../utils/logger")
+
+// Set by server.js once Socket.io is up; without it notifications are only stored
+let io = null
+
+const paginate = ({ page = 1, limit = 20 } = {}) => {
+  const pageNumber = Math.max(Number.parseInt(page) || 1, 1)
+  const limitNumber = Math.min(Math.max(Number.parseInt(limit) || 20, 1), 100)
+  return { page: pageNumber, limit: limitNumber, skip: (pageNumber - 1) * limitNumber }
+}
+
+// Shape sent to clients, over REST and over the socket
+const formatNotification = (notification) => ({
+  id: String(notification._id),
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  priority: notification.priority,
+  data: notification.data || {},
+  sender: notification.sender,
+  isRead: notification.isRead,
+  readAt: notification.readAt,
+  createdAt: notification.createdAt,
+})
+
+const emitToUser = (userId, event, payload) => {
+  if (!io) return
+  io.to(userRoom(userId)).emit(event, payload)
+}
+
+// Scheduled notifications stay silent until they are due
+const isDue = (notification) => !notification.scheduledFor || notification.scheduledFor <= new Date()
+
+// Emit new notifications and mark their in_app channel as sent
+const push = async (notifications) => {
+  if (!io || notifications.length === 0) return
+
+  notifications.forEach((notification) => {
+    emitToUser(notification.recipient, "new_notification", formatNotification(notification))
+  })
+  await Notification.updateMany(
+    { _id: { $in: notifications.map((notification) => notification._id) }, "channels.type": "in_app" },
+    { $set: { "channels.$.status": "sent", "channels.$.sentAt": new Date() } },
+  )
+}
+
+/**
+ * Attach the Socket.io server used for real-time pushes
+ * @param {Object} server - Socket.io server
+ */
+const setIo = (server) => {
+  io = server
+}
+
+/**
+ * Store a notification and deliver it to the recipient over its channels, as adjusted by
+ * the recipient's notification preferences
+ * Emails and SMS are sent in the background; failures are retried by the emailDelivery
+ * and smsDelivery jobs.
+ * @param {Object} data - Fields accepted by Notification.createNotification
+ * @returns {Promise<Object>} The saved notification
+ */
+const notify = async (data) => {
+  const recipient = await User.findById(data.recipient).select("notificationPreferences").lean()
+  const notification = await Notification.createNotification(
+    applyPreferences(data, recipient ? recipient.notificationPreferences : undefined),
+  )
+  if (isDue(notification)) {
+    await push([notification])
+    emailService
+      .sendNotificationEmail(notification)
+      .catch((error) => logger.error(`Failed to email notification ${notification._id}:`, error))
+    smsService
+      .sendNotificationSms(notification)
+      .catch((error) => logger.error(`Failed to text notification ${notification._id}:`, error))
+  }
+  return notification
+}
+
+// Store the same notification for many recipients; recipients whose preferences resolve to
+// the same delivery are inserted together
+const createForRecipients = async (recipients, data, usePreferences = true) => {
+  if (!usePreferences) {
+    return Notification.createBulkNotifications(recipients, { channels: ["in_app"], ...data })
+  }
+
+  const users = await User.find({ _id: { $in: recipients } }).select("notificationPreferences").lean()
+  const preferencesById = new Map(users.map((user) => [String(user._id), user.notificationPreferences]))
+  const groups = new Map()
+  recipients.forEach((recipient) => {
+    const resolved = applyPreferences({ channels: ["in_app"], ...data }, preferencesById.get(String(recipient)))
+    const key = JSON.stringify([resolved.channels, resolved.inDigest])
+    if (!groups.has(key)) groups.set(key, { data: resolved, recipients: [] })
+    groups.get(key).recipients.push(recipient)
+  })
+
+  const notifications = []
+  for (const group of groups.values()) {
+    notifications.push(...(await Notification.createBulkNotifications(group.recipients, group.data)))
+  }
+  return notifications
+}
+
+/**
+ * Store the same notification for many recipients and push it to each of them; channels
+ * follow each recipient's notification preferences
+ * Emails and SMS for bulk notifications are left to the emailDelivery and smsDelivery jobs.
+ * @param {string[]} recipients - User ids
+ * @param {Object} data - Notification fields, without recipient
+ * @param {Object} options - usePreferences: false to keep data.channels as given, for
+ * notifications that accompany an email sent separately
+ * @returns {Promise<Object[]>} The saved notifications
+ */
+const notifyMany = async (recipients, data, { usePreferences = true } = {}) => {
+  if (recipients.length === 0) return []
+
+  const notifications = await createForRecipients(recipients, data, usePreferences)
+  await push(notifications.filter(isDue))
+  return notifications
+}
+
+/**
+ * Store an announcement for a large audience in batches. Online recipients get a
+ * bulk_notification_update with the announcement and their new unread count.
+ * @param {string[]} recipients - User ids
+ * @param {Object} data - Notification fields, without recipient
+ * @param {Object} options - batchSize
+ * @returns {Promise<number>} Number of notifications stored
+ */
+const broadcast = async (recipients, data, { batchSize = 500 } = {}) => {
+  let created = 0
+
+  for (let i = 0; i < recipients.length; i += batchSize) {
+    const batch = recipients.slice(i, i + batchSize)
+    const notifications = await createForRecipients(batch, data)
+    created += notifications.length
+
+    const due = notifications.filter(isDue)
+    if (!io || due.length === 0) continue
+
+    const unreadCounts = await Notification.aggregate([
+      { $match: { recipient: { $in: due.map((n) => n.recipient) }, isRead: false, scheduledFor: { $lte: new Date() } } },
+      { $group: { _id: "$recipient", count: { $sum: 1 } } },
+    ])
+    const unreadById = new Map(unreadCounts.map((entry) => [String(entry._id), entry.count]))
+    due.forEach((notification) => {
+      emitToUser(notification.recipient, "bulk_notification_update", {
+        unreadCount: unreadById.get(String(notification.recipient)) || 0,
+        notification: formatNotification(notification),
+      })
+    })
+    await Notification.updateMany(
+      { _id: { $in: due.map((notification) => notification._id) }, "channels.type": "in_app" },
+      { $set: { "channels.$.status": "sent", "channels.$.sentAt": new Date() } },
+    )
+  }
+
+  return created
+}
+
+/**
+ * Paginated notifications of a user
+ * @param {string} userId - Recipient
+ * @param {Object} options - page, limit and unreadOnly
+ * @returns {Promise<Object>} Notifications, unread count and pagination
+ */
+const listNotifications = async (userId, options = {}) => {
+  const { page, limit, skip } = paginate(options)
+  const query = { recipient: userId, scheduledFor: { $lte: new Date() } }
+  if (options.unreadOnly === true || options.unreadOnly === "true") {
+    query.isRead = false
+  }
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("sender", "firstName lastName")
+      .lean(),
+    Notification.countDocuments(query),
+    Notification.getUnreadCount(userId),
+  ])
+
+  return {
+    notifications: notifications.map(formatNotification),
+    unreadCount,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+  }
+}
+
+/**
+ * Unread notification count of a user
+ * @param {string} userId - Recipient
+ * @returns {Promise<number>} Count
+ */
+const getUnreadCount = (userId) => Notification.getUnreadCount(userId)
+
+const findOwnNotification = async (userId, notificationId) => {
+  if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+    throw httpError(404, "Notification not found")
+  }
+
+  const notification = await Notification.findOne({ _id: notificationId, recipient: userId })
+  if (!notification) {
+    throw httpError(404, "Notification not found")
+  }
+  return notification
+}
+
+/**
+ * Mark one notification as read; other sessions of the user are told over the socket
+ * @param {string} userId - Recipient
+ * @param {string} notificationId - Notification id
+ * @returns {Promise<Object>} The notification and the new unread count
+ */
+const markAsRead = async (userId, notificationId) => {
+  const notification = await findOwnNotification(userId, notificationId)
+  const wasUnread = !notification.isRead
+  if (wasUnread) {
+    await notification.markAsRead()
+  }
+
+  const unreadCount = await Notification.getUnreadCount(userId)
+  if (wasUnread) {
+    emitToUser(userId, "notification_read", { notificationId: String(notification._id), unreadCount })
+  }
+
+  return { notification: formatNotification(notification), unreadCount }
+}
+
+/**
+ * Mark every notification of a user as read
+ * @param {string} userId - Recipient
+ * @returns {Promise<Object>} Number of notifications updated
+ */
+const markAllAsRead = async (userId) => {
+  const result = await Notification.updateMany(
+    { recipient: userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } },
+  )
+
+  emitToUser(userId, "bulk_notification_update", { unreadCount: 0, updated: result.modifiedCount })
+  return { updated: result.modifiedCount }
+}
+
+/**
+ * Delete one notification of a user
+ * @param {string} userId - Recipient
+ * @param {string} notificationId - Notification id
+ * @returns {Promise<Object>} The new unread count
+ */
+const deleteNotification = async (userId, notificationId) => {
+  const notification = await findOwnNotification(userId, notificationId)
+  await notification.deleteOne()
+
+  const unreadCount = await Notification.getUnreadCount(userId)
+  if (!notification.isRead) {
+    emitToUser(userId, "bulk_notification_update", { unreadCount })
+  }
+
+  return { unreadCount }
+}
+
+/**
+ * Push scheduled notifications that have become due
+ * @param {number} limit - Maximum number to push in one go
+ * @returns {Promise<number>} Number of notifications pushed
+ */
+const pushDueNotifications = async (limit = 500) => {
+  if (!io) return 0
+
+  // Anything older than a day is left for the user to find in the list instead of popping up
+  const now = new Date()
+  const due = await Notification.find({
+    isRead: false,
+    scheduledFor: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000), $lte: now },
+    channels: { $elemMatch: { type: "in_app", status: "pending" } },
+  })
+    .sort({ scheduledFor: 1 })
+    .limit(limit)
+    .lean()
+
+  await push(due)
+  if (due.length > 0) {
+    logger.info(`Pushed ${due.length} scheduled notifications`)
+  }
+  return due.length
+}
+
+module.exports = {
+  setIo,
+  formatNotification,
+  notify,
+  notifyMany,
+  broadcast,
+  listNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  pushDueNotifications,
+}
@@ -0,0 +1,136 @@
+// Permission Service (what a department officer may do, from their officer record and the admin permission matrix)
+const mongoose = require("mongoose")
+const Department = require("../models/Department")
+const User = require("../models/User")
+const SystemSetting = require("../models/SystemSetting")
+const httpError = require("../utils/httpError")
+const { audit } = require("../utils/logger")
+
+// Officer record permissions and their keys in the admin panel's permission matrix
+const PERMISSION_KEYS = {
+  view: "canView",
+  edit: "canEdit",
+  approve: "canApprove",
+  reject: "canReject",
+}
+
+// Matrix entries for officer roles the admin panel has not set
+const DEFAULT_ROLE_PERMISSIONS = {
+  head: { canView: true, canEdit: true, canApprove: true, canReject: true },
+  officer: { canView: true, canEdit: true, canApprove: true, canReject: true },
+  assistant: { canView: true },
+}
+
+const roleAllows = (matrix, role, key) => {
+  const configured = matrix[role] && matrix[role][key]
+  if (typeof configured === "boolean") return configured
+  return Boolean(DEFAULT_ROLE_PERMISSIONS[role] && DEFAULT_ROLE_PERMISSIONS[role][key])
+}
+
+/**
+ * The permission matrix with defaults filled in for the officer roles, as shown in the admin panel
+ * @param {Object} matrix - Stored matrix, role -> { canView, canApprove, ... }
+ * @returns {Object} Matrix with every officer role and permission key set
+ */
+const withRoleDefaults = (matrix = {}) => {
+  const filled = { ...matrix }
+  Object.keys(DEFAULT_ROLE_PERMISSIONS).forEach((role) => {
+    filled[role] = { ...matrix[role] }
+    Object.values(PERMISSION_KEYS).forEach((key) => {
+      filled[role][key] = roleAllows(matrix, role, key)
+    })
+  })
+  return filled
+}
+
+/**
+ * Work out what a user may do in a department. Officers get the permissions on their
+ * active officer record that the matrix also allows for their officer role; admins get all.
+ * @param {Object} user - Authenticated user
+ * @param {string} departmentId - Target department
+ * @returns {Promise<Object>} officer (the officer record, null for admins and non-officers) and permissions
+ */
+const resolvePermissions = async (user, departmentId) => {
+  if (user.role === "admin") {
+    return { officer: null, permissions: Object.keys(PERMISSION_KEYS) }
+  }
+  if (user.role !== "department" || !departmentId || !mongoose.Types.ObjectId.isValid(departmentId)) {
+    return { officer: null, permissions: [] }
+  }
+
+  const [department, settings] = await Promise.all([
+    Department.findOne({ _id: departmentId, isActive: true }).select("officers"),
+    SystemSetting.getSettings(),
+  ])
+  const officer =
+    department &&
+    department.officers.find((entry) => entry.isActive && entry.userId.toString() === user._id.toString())
+  if (!officer) {
+    return { officer: null, permissions: [] }
+  }
+
+  const matrix = settings.permissions || {}
+  const permissions = officer.permissions.filter((permission) =>
+    roleAllows(matrix, officer.role, PERMISSION_KEYS[permission]),
+  )
+  return { officer, permissions }
+}
+
+/**
+ * Throw unless the user holds a permission in a department
+ * @param {Object} user - Authenticated user
+ * @param {string} departmentId - Target department
+ * @param {string} permission - view, edit, approve or reject
+ * @returns {Promise<Object|null>} The officer record (null for admins)
+ */
+const assertPermission = async (user, departmentId, permission) => {
+  const { officer, permissions } = await resolvePermissions(user, departmentId)
+  if (user.role !== "admin" && !officer) {
+    throw httpError(403, "You are not an active officer of this department")
+  }
+  if (!permissions.includes(permission)) {
+    throw httpError(403, `You do not have the "${permission}" permission for this department`)
+  }
+  return officer
+}
+
+/**
+ * Give every department account without an officer record one in its own department.
+ * Accounts from before officer records (the shared department logins) keep the full access
+ * they had; without a record every department route would answer 403. Safe to run repeatedly.
+ * @returns {Promise<number>} Number of officer records created
+ */
+const backfillOfficerRecords = async () => {
+  const users = await User.find({ role: "department", departmentId: { $ne: null }, isActive: true }).select("departmentId")
+
+  let created = 0
+  for (const user of users) {
+    // Only push when the department has no record for this user, so concurrent runs add one at most
+    const result = await Department.updateOne(
+      { _id: user.departmentId, "officers.userId": { $ne: user._id } },
+      {
+        $push: {
+          officers: {
+            userId: user._id,
+            role: "officer",
+            permissions: Object.keys(PERMISSION_KEYS),
+            assignedAt: new Date(),
+            isActive: true,
+          },
+        },
+      },
+    )
+    if (result.modifiedCount === 1) {
+      audit("OFFICER_RECORD_BACKFILLED", user._id, { departmentId: user.departmentId })
+      created++
+    }
+  }
+  return created
+}
+
+module.exports = {
+  withRoleDefaults,
+  resolvePermissions,
+  assertPermission,
+  backfillOfficerRecords,
+}
@@ -0,0 +1,161 @@
+// Preference Service (per-user notification preferences and how they shape each delivery)
+const User = require("../models/User")
+const httpError = require("../utils/httpError")
+
+// High and urgent notifications also go out by SMS unless the user chose otherwise
+const SMS_PRIORITIES = ["high", "urgent"]
+
+// Priorities that skip the daily digest
+const IMMEDIATE_PRIORITIES = ["high", "urgent"]
+
+const MINUTE = 60 * 1000
+const DAY_MINUTES = 24 * 60
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number)
+  return hours * 60 + minutes
+}
+
+// Minutes past midnight at the given instant, in JOBS_TIMEZONE
+const localMinutes = (date) => {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    timeZone: process.env.JOBS_TIMEZONE || undefined,
+  }).formatToParts(date)
+  const part = (type) => Number(parts.find((p) => p.type === type).value)
+  return part("hour") * 60 + part("minute")
+}
+
+// End of the quiet hours covering the given instant, or null outside them
+const getQuietHoursEnd = (quietHours, at) => {
+  if (!quietHours || !quietHours.enabled) return null
+
+  const start = toMinutes(quietHours.start)
+  const end = toMinutes(quietHours.end)
+  const now = localMinutes(at)
+  const inQuietHours = start < end ? now >= start && now < end : start > end && (now >= start || now < end)
+  if (!inQuietHours) return null
+
+  const waitMinutes = (end - now + DAY_MINUTES) % DAY_MINUTES
+  const startOfMinute = at.getTime() - (at.getTime() % MINUTE)
+  return new Date(startOfMinute + waitMinutes * MINUTE)
+}
+
+const formatPreferences = (user) => {
+  const preferences = user.notificationPreferences || {}
+  const quietHours = preferences.quietHours || {}
+  return {
+    channels: Object.fromEntries(preferences.channels || new Map()),
+    quietHours: {
+      enabled: Boolean(quietHours.enabled),
+      start: quietHours.start || "22:00",
+      end: quietHours.end || "07:00",
+    },
+    digest: preferences.digest || "immediate",
+    officerDigest: Boolean(preferences.officerDigest),
+    smsOptOut: Boolean(user.smsOptOut),
+  }
+}
+
+/**
+ * Notification preferences of a user
+ * @param {string} userId - User
+ * @returns {Promise<Object>} channels per type, quietHours, digest, officerDigest and smsOptOut
+ */
+const getPreferences = async (userId) => {
+  const user = await User.findById(userId).select("notificationPreferences smsOptOut")
+  if (!user) {
+    throw httpError(404, "User not found")
+  }
+  return formatPreferences(user)
+}
+
+/**
+ * Update notification preferences; fields left out keep their current value
+ * @param {string} userId - User
+ * @param {Object} changes - channels (a null entry restores the default for that type),
+ * quietHours, digest, officerDigest and smsOptOut
+ * @returns {Promise<Object>} The updated preferences
+ */
+const updatePreferences = async (userId, changes) => {
+  const $set = {}
+  const $unset = {}
+
+  Object.entries(changes.channels || {}).forEach(([type, channels]) => {
+    if (channels === null) {
+      $unset[`notificationPreferences.channels.${type}`] = 1
+    } else {
+      $set[`notificationPreferences.channels.${type}`] = channels
+    }
+  })
+  Object.entries(changes.quietHours || {}).forEach(([key, value]) => {
+    $set[`notificationPreferences.quietHours.${key}`] = value
+  })
+  if (changes.digest !== undefined) {
+    $set["notificationPreferences.digest"] = changes.digest
+  }
+  if (changes.officerDigest !== undefined) {
+    $set["notificationPreferences.officerDigest"] = changes.officerDigest
+  }
+  if (changes.smsOptOut !== undefined) {
+    $set.smsOptOut = changes.smsOptOut
+  }
+
+  const update = { $set }
+  if (Object.keys($unset).length > 0) update.$unset = $unset
+
+  const user = await User.findByIdAndUpdate(userId, update, { new: true, runValidators: true }).select(
+    "notificationPreferences smsOptOut",
+  )
+  if (!user) {
+    throw httpError(404, "User not found")
+  }
+  return formatPreferences(user)
+}
+
+/**
+ * Work out how a notification reaches its recipient:
+ * - channels: in-app plus the user's channels for the type, or else the sender's channels
+ *   with SMS added for high and urgent notifications
+ * - email is left out and inDigest set when the user takes a daily digest
+ * - email and SMS are held until the end of quiet hours, except for urgent notifications
+ * @param {Object} data - Notification fields as given to notify
+ * @param {Object} preferences - The recipient's notificationPreferences, if any
+ * @returns {Object} data with channels (and inDigest) resolved
+ */
+const applyPreferences = (data, preferences = {}) => {
+  const priority = data.priority || "normal"
+  // Documents hold channels as a Map, lean results as a plain object
+  const chosen =
+    preferences.channels instanceof Map ? preferences.channels.get(data.type) : (preferences.channels || {})[data.type]
+
+  let channels = data.channels || ["in_app"]
+  if (chosen) {
+    channels = ["in_app", ...chosen]
+  } else if (SMS_PRIORITIES.includes(priority) && !channels.includes("sms")) {
+    channels = [...channels, "sms"]
+  }
+
+  let inDigest
+  if (preferences.digest === "daily" && channels.includes("email") && !IMMEDIATE_PRIORITIES.includes(priority)) {
+    channels = channels.filter((channel) => channel !== "email")
+    inDigest = true
+  }
+
+  const holdUntil = priority === "urgent" ? null : getQuietHoursEnd(preferences.quietHours, data.scheduledFor || new Date())
+  if (holdUntil) {
+    channels = channels.map((channel) =>
+      channel === "email" || channel === "sms" ? { type: channel, nextAttemptAt: holdUntil } : channel,
+    )
+  }
+
+  return { ...data, channels, inDigest }
+}
+
+module.exports = {
+  getPreferences,
+  updatePreferences,
+  applyPreferences,
+}
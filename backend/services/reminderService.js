@@ -0,0 +1,170 @@
+// Reminder Service (deadline warnings for students and overdue nudges for department officers)
+const Clearance = require("../models/Clearance")
+const Department = require("../models/Department")
+const User = require("../models/User")
+const notificationService = require("./notificationService")
+const logger = require("../utils/logger")
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Clearances that still need something from the student or a department
+const OPEN_STATUSES = ["draft", "submitted", "in_progress", "rejected"]
+
+// Officers are nudged again at most once a day while an item stays overdue; a little under
+// 24 hours so a daily schedule that runs a few minutes early does not skip a day
+const OVERDUE_REPEAT = 20 * 60 * 60 * 1000
+
+const STUDENT_URL = "/student/status"
+const DEPARTMENT_URL = "/department/approvals"
+
+// Days before the deadline at which students are warned, largest first
+const getReminderDays = () =>
+  (process.env.DEADLINE_REMINDER_DAYS || "7,3,1")
+    .split(",")
+    .map((day) => Number.parseInt(day))
+    .filter((day) => day > 0)
+    .sort((a, b) => b - a)
+
+const formatDate = (date) =>
+  date.toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: process.env.JOBS_TIMEZONE || undefined,
+  })
+
+const describeProgress = (clearance) => {
+  if (clearance.overallStatus === "draft") {
+    return "It has not been submitted yet."
+  }
+  if (clearance.overallStatus === "rejected") {
+    return `${clearance.rejectedDepartments} department(s) rejected it and are waiting for you to resubmit.`
+  }
+  const outstanding = clearance.totalDepartments - clearance.approvedDepartments
+  return `${outstanding} of ${clearance.totalDepartments} department(s) still need to approve it.`
+}
+
+/**
+ * Warn students whose clearance deadline is close. Each threshold in DEADLINE_REMINDER_DAYS
+ * is sent once; a clearance that is already past several thresholds gets a single reminder.
+ * @returns {Promise<Object>} Number of reminders sent
+ */
+const sendDeadlineReminders = async () => {
+  const reminderDays = getReminderDays()
+  if (reminderDays.length === 0) return { sent: 0 }
+
+  const now = new Date()
+  const clearances = await Clearance.find({
+    overallStatus: { $in: OPEN_STATUSES },
+    deadline: { $gt: now, $lte: new Date(now.getTime() + reminderDays[0] * DAY) },
+  }).select(
+    "userId applicationNumber overallStatus deadline deadlineReminders totalDepartments approvedDepartments rejectedDepartments",
+  )
+
+  let sent = 0
+  for (const clearance of clearances) {
+    const daysLeft = Math.ceil((clearance.deadline.getTime() - now.getTime()) / DAY)
+    const reached = reminderDays.filter((day) => daysLeft <= day)
+    const threshold = reached[reached.length - 1]
+    if (clearance.deadlineReminders.includes(threshold)) continue
+
+    try {
+      // Record first so an overlapping run cannot send the same reminder twice
+      const { modifiedCount } = await Clearance.updateOne(
+        { _id: clearance._id, deadline: clearance.deadline, deadlineReminders: { $ne: threshold } },
+        { $addToSet: { deadlineReminders: { $each: reached } } },
+      )
+      if (modifiedCount === 0) continue
+
+      await notificationService.notify({
+        recipient: clearance.userId,
+        type: "deadline_approaching",
+        title: daysLeft <= 1 ? "Clearance deadline is less than a day away" : `Clearance deadline in ${daysLeft} days`,
+        message: `Clearance application ${clearance.applicationNumber} is due by ${formatDate(clearance.deadline)}. ${describeProgress(clearance)}`,
+        channels: ["in_app", "email"],
+        priority: daysLeft <= 1 ? "high" : "normal",
+        data: { clearanceId: clearance._id, daysLeft, actionUrl: STUDENT_URL },
+      })
+      sent++
+    } catch (error) {
+      logger.error(`Failed to send deadline reminder for clearance ${clearance._id}:`, error)
+    }
+  }
+
+  return { sent }
+}
+
+/**
+ * Remind department officers about clearance items that have been pending longer than the
+ * department's maxProcessingDays. Officers get one notification per department listing how
+ * many applications are overdue.
+ * @returns {Promise<Object>} Number of departments with overdue items and notifications sent
+ */
+const sendOverdueReminders = async () => {
+  const now = new Date()
+  const departments = await Department.find({ isActive: true }).select("name settings.maxProcessingDays")
+
+  let overdueDepartments = 0
+  let sent = 0
+  for (const department of departments) {
+    const maxDays = (department.settings && department.settings.maxProcessingDays) || 7
+    const itemFilter = {
+      departmentId: department._id,
+      status: "pending",
+      activatedAt: { $lte: new Date(now.getTime() - maxDays * DAY) },
+      overdueReminderAt: { $not: { $gt: new Date(now.getTime() - OVERDUE_REPEAT) } },
+    }
+
+    try {
+      const clearances = await Clearance.find({
+        overallStatus: { $in: ["submitted", "in_progress"] },
+        departments: { $elemMatch: itemFilter },
+      })
+        .select("_id applicationNumber")
+        .sort({ submittedAt: 1 })
+      if (clearances.length === 0) continue
+      overdueDepartments++
+
+      const officerIds = await User.find({
+        role: "department",
+        isActive: true,
+        departmentId: department._id,
+      }).distinct("_id")
+
+      const clearanceIds = clearances.map((clearance) => clearance._id)
+      await Clearance.updateMany(
+        { _id: { $in: clearanceIds } },
+        { $set: { "departments.$[item].overdueReminderAt": now } },
+        { arrayFilters: [{ "item.departmentId": department._id, "item.status": "pending" }] },
+      )
+
+      if (officerIds.length === 0) {
+        logger.warn(`${department.name} has ${clearances.length} overdue clearance(s) but no active officers`)
+        continue
+      }
+
+      const examples = clearances
+        .slice(0, 3)
+        .map((clearance) => clearance.applicationNumber)
+        .join(", ")
+      const more = clearances.length > 3 ? ` and ${clearances.length - 3} more` : ""
+      const notifications = await notificationService.notifyMany(officerIds, {
+        type: "reminder",
+        title: `${clearances.length} clearance application(s) overdue`,
+        message: `${clearances.length} clearance application(s) have been waiting for ${department.name} for more than ${maxDays} day(s): ${examples}${more}.`,
+        channels: ["in_app", "email"],
+        data: { departmentId: department._id, actionUrl: DEPARTMENT_URL },
+      })
+      sent += notifications.length
+    } catch (error) {
+      logger.error(`Failed to send overdue reminders for department ${department._id}:`, error)
+    }
+  }
+
+  return { overdueDepartments, sent }
+}
+
+module.exports = {
+  sendDeadlineReminders,
+  sendOverdueReminders,
+}
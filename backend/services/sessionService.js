@@ -0,0 +1,187 @@
+// Session Service (refresh-token sessions per device: issue, rotate with reuse detection, list, revoke)
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+const httpError = require("../utils/httpError")
+const { audit } = require("../utils/logger")
+
+const INVALID_REFRESH_TOKEN_MESSAGE = "Invalid or expired refresh token"
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+// Both tokens carry the session id (sid), so the access token can be tied back to its session
+const signTokens = (userId, sid) => {
+  const accessToken = jwt.sign({ userId, sid }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRE || "15m" })
+
+  // jwtid keeps tokens rotated within the same second distinct
+  const refreshToken = jwt.sign({ userId, sid, type: "refresh" }, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: process.env.JWT_REFRESH_EXPIRE || "7d",
+    jwtid: crypto.randomUUID(),
+  })
+
+  return { accessToken, refreshToken, expiresAt: new Date(jwt.decode(refreshToken).exp * 1000) }
+}
+
+// User agent and IP of the request, trimmed to a sensible length
+const describeClient = (req) => ({
+  userAgent: String(req.get("user-agent") || "").slice(0, 300),
+  ip: req.ip,
+})
+
+/**
+ * Start a session for a user who has just signed in
+ * @param {Object} user - User
+ * @param {Object} req - Request the login came from (user agent and IP are recorded)
+ * @returns {Promise<Object>} accessToken, refreshToken and sessionId
+ */
+const createSession = async (user, req) => {
+  const sid = crypto.randomUUID()
+  const { accessToken, refreshToken, expiresAt } = signTokens(user._id, sid)
+  const now = new Date()
+
+  await User.updateOne({ _id: user._id }, { $pull: { refreshTokens: { expiresAt: { $lte: now } } } })
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $push: {
+        refreshTokens: {
+          tokenHash: hashToken(refreshToken),
+          family: sid,
+          ...describeClient(req),
+          createdAt: now,
+          lastUsedAt: now,
+          expiresAt,
+        },
+      },
+    },
+  )
+
+  return { accessToken, refreshToken, sessionId: sid }
+}
+
+/**
+ * Exchange a refresh token for new tokens. Each refresh token works once; presenting one
+ * that has already been exchanged means it was copied, so the whole session is revoked.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Request (user agent and IP are recorded)
+ * @returns {Promise<Object>} accessToken and refreshToken
+ */
+const rotateSession = async (refreshToken, req) => {
+  let decoded
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET)
+  } catch (error) {
+    throw httpError(401, INVALID_REFRESH_TOKEN_MESSAGE)
+  }
+  if (decoded.type !== "refresh") {
+    throw httpError(401, "Invalid token type")
+  }
+
+  const user = await User.findById(decoded.userId)
+  if (!user || !user.isActive) {
+    throw httpError(401, "User not found or inactive")
+  }
+
+  // Tokens from before sessions were tracked have no sid and must sign in again
+  const session = decoded.sid && user.refreshTokens.find((entry) => entry.family === decoded.sid)
+  if (!session || session.expiresAt <= new Date()) {
+    throw httpError(401, INVALID_REFRESH_TOKEN_MESSAGE)
+  }
+
+  const oldHash = hashToken(refreshToken)
+  const tokens = signTokens(user._id, decoded.sid)
+  const client = describeClient(req)
+
+  // Only succeeds if nobody has exchanged this token in the meantime
+  const result = await User.updateOne(
+    { _id: user._id, refreshTokens: { $elemMatch: { family: decoded.sid, tokenHash: oldHash } } },
+    {
+      $set: {
+        "refreshTokens.$.tokenHash": hashToken(tokens.refreshToken),
+        "refreshTokens.$.lastUsedAt": new Date(),
+        "refreshTokens.$.userAgent": client.userAgent,
+        "refreshTokens.$.ip": client.ip,
+        "refreshTokens.$.expiresAt": tokens.expiresAt,
+      },
+    },
+  )
+
+  if (result.modifiedCount !== 1) {
+    await revokeSession(user._id, decoded.sid)
+    audit("REFRESH_TOKEN_REUSE", user._id, { sessionId: decoded.sid, ip: client.ip })
+    throw httpError(401, "This sign-in was ended because its refresh token was used twice. Please login again.")
+  }
+
+  return { accessToken: tokens.accessToken, refreshToken: tokens.refreshToken }
+}
+
+/**
+ * Whether a session is still active; access tokens of revoked sessions stop working
+ * @param {Object} user - User with refreshTokens loaded
+ * @param {string} sid - Session id from the access token
+ * @returns {boolean} True while the session exists and has not expired
+ */
+const isSessionActive = (user, sid) => {
+  const now = new Date()
+  return user.refreshTokens.some((entry) => entry.family === sid && entry.expiresAt > now)
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId - User
+ * @param {string} currentSid - Session of the request, flagged as current
+ * @returns {Promise<Array>} id, userAgent, ip, createdAt, lastUsedAt, expiresAt and current
+ */
+const listSessions = async (userId, currentSid) => {
+  const user = await User.findById(userId).select("refreshTokens")
+  if (!user) {
+    throw httpError(404, "User not found")
+  }
+
+  const now = new Date()
+  return user.refreshTokens
+    .filter((entry) => entry.family && entry.expiresAt > now)
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+    .map((entry) => ({
+      id: entry.family,
+      userAgent: entry.userAgent,
+      ip: entry.ip,
+      createdAt: entry.createdAt,
+      lastUsedAt: entry.lastUsedAt,
+      expiresAt: entry.expiresAt,
+      current: entry.family === currentSid,
+    }))
+}
+
+/**
+ * Revoke one session; its refresh token and access tokens stop working
+ * @param {string} userId - User
+ * @param {string} sid - Session id
+ * @returns {Promise<boolean>} False when there was no such session
+ */
+const revokeSession = async (userId, sid) => {
+  const result = await User.updateOne({ _id: userId }, { $pull: { refreshTokens: { family: sid } } })
+  return result.modifiedCount === 1
+}
+
+/**
+ * Revoke every session of a user, optionally keeping one
+ * @param {string} userId - User
+ * @param {string} [exceptSid] - Session to keep, usually the current one
+ * @returns {Promise<void>}
+ */
+const revokeAllSessions = async (userId, exceptSid) => {
+  const update = exceptSid
+    ? { $pull: { refreshTokens: { family: { $ne: exceptSid } } } }
+    : { $set: { refreshTokens: [] } }
+  await User.updateOne({ _id: userId }, update)
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+}
@@ -0,0 +1,91 @@
+// SMS Service (sends notification SMS through the configured gateway and retries failures)
+const Notification = require("../models/Notification")
+const User = require("../models/User")
+const { getGateway } = require("../utils/smsGateway")
+const { fitMessage } = require("../utils/smsText")
+const httpError = require("../utils/httpError")
+const logger = require("../utils/logger")
+
+// Longest message sent, in SMS parts; each part is billed separately
+const MAX_SEGMENTS = Number.parseInt(process.env.SMS_MAX_SEGMENTS) || 2
+
+// New notifications are sent straight away; the queue only picks them up if that did not happen
+const PENDING_GRACE = 2 * 60 * 1000
+
+const NIGERIAN_MOBILE = /^234[789][01]\d{8}$/
+
+/**
+ * Send one SMS
+ * @param {string} phone - Phone number in any format User.normalizePhone accepts
+ * @param {string} text - Message; shortened to SMS_MAX_SEGMENTS parts
+ * @returns {Promise<Object>} messageId and the message that was sent
+ */
+const sendSms = async (phone, text) => {
+  const to = User.normalizePhone(phone)
+  if (!to || !NIGERIAN_MOBILE.test(to)) {
+    throw httpError(400, `${phone} is not a Nigerian mobile number`)
+  }
+
+  const message = fitMessage(text, MAX_SEGMENTS)
+  const { messageId } = await getGateway().send({ to, message })
+  return { messageId, message }
+}
+
+/**
+ * Send the sms channel of a notification and record the outcome on the channel
+ * @param {Object} notification - Notification document
+ * @returns {Promise<boolean>} Whether the SMS was sent
+ */
+const sendNotificationSms = async (notification) => {
+  const channel = notification.channels.find((c) => c.type === "sms")
+  if (!channel || channel.status === "sent" || channel.status === "delivered") return false
+  // Held for the recipient's quiet hours, or waiting for a retry
+  if (channel.nextAttemptAt && channel.nextAttemptAt > new Date()) return false
+
+  try {
+    const recipient = await User.findById(notification.recipient).select("phone isActive smsOptOut")
+    if (!recipient || !recipient.isActive || !recipient.phone) {
+      await notification.abandonChannel("sms", "Recipient has no active phone number")
+      return false
+    }
+    if (recipient.smsOptOut) {
+      await notification.abandonChannel("sms", "Recipient opted out of SMS")
+      return false
+    }
+
+    await sendSms(recipient.phone, `BIU Clearance: ${notification.title}. ${notification.message}`)
+    await notification.updateChannelStatus("sms", "sent")
+    return true
+  } catch (error) {
+    logger.warn(`SMS for notification ${notification._id} failed: ${error.message}`)
+    if (error.statusCode === 400) {
+      await notification.abandonChannel("sms", error.message)
+    } else {
+      await notification.updateChannelStatus("sms", "failed", error.message)
+    }
+    return false
+  }
+}
+
+/**
+ * Send queued notification SMS: new ones that were not sent straight away, and
+ * failed ones whose back-off has passed
+ * @param {number} limit - Maximum number of messages to send in one go
+ * @returns {Promise<Object>} Counts of sent and failed messages
+ */
+const processSmsQueue = async (limit = 50) => {
+  const notifications = await Notification.findDueForChannel("sms", { graceMs: PENDING_GRACE, limit })
+
+  let sent = 0
+  for (const notification of notifications) {
+    if (await sendNotificationSms(notification)) sent++
+  }
+
+  return { sent, failed: notifications.length - sent }
+}
+
+module.exports = {
+  sendSms,
+  sendNotificationSms,
+  processSmsQueue,
+}
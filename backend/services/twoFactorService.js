@@ -0,0 +1,257 @@
+// Two-Factor Service (authenticator-app codes for department and admin accounts: enrollment, login step, recovery codes)
+const crypto = require("crypto")
+const QRCode = require("qrcode")
+const User = require("../models/User")
+const SystemSetting = require("../models/SystemSetting")
+const httpError = require("../utils/httpError")
+const totp = require("../utils/totp")
+
+// Roles that can use two-factor authentication, and that admins can require it for
+const TWO_FACTOR_ROLES = ["department", "admin"]
+
+const RECOVERY_CODE_COUNT = 10
+
+const getKey = () => {
+  const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET
+  if (!secret) {
+    throw new Error("TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set to store two-factor secrets")
+  }
+  return crypto.createHash("sha256").update(secret).digest()
+}
+
+// AES-256-GCM; stored as iv.tag.ciphertext in base64url
+const encrypt = (text) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv("aes-256-gcm", getKey(), iv)
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()])
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString("base64url")).join(".")
+}
+
+const decrypt = (stored) => {
+  const [iv, tag, data] = stored.split(".").map((part) => Buffer.from(part, "base64url"))
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getKey(), iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8")
+}
+
+// Recovery codes are compared case-insensitively and without the dash
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ""))
+    .digest("hex")
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex")
+    return `${code.slice(0, 5)}-${code.slice(5)}`
+  })
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId)
+  if (!user) {
+    throw httpError(404, "User not found")
+  }
+  return user
+}
+
+// Accept a code once: the step is stored only if it is newer than the last one used
+const consumeCode = async (user, code) => {
+  const step = totp.verifyCode(decrypt(user.twoFactor.secret), code)
+  if (step === null) return false
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ "twoFactor.lastUsedStep": { $exists: false } }, { "twoFactor.lastUsedStep": { $lt: step } }],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } },
+  )
+  return result.modifiedCount === 1
+}
+
+const consumeRecoveryCode = async (user, recoveryCode) => {
+  const hash = hashRecoveryCode(recoveryCode)
+  const result = await User.updateOne(
+    { _id: user._id, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } },
+  )
+  return result.modifiedCount === 1
+}
+
+/**
+ * Roles that must use two-factor authentication, from the Security settings
+ * @returns {Promise<Array<string>>} Subset of department and admin
+ */
+const getRequiredRoles = async () => {
+  const settings = await SystemSetting.getSettings()
+  const roles = settings.security && settings.security.requireTwoFactorRoles
+  return Array.isArray(roles) ? roles.filter((role) => TWO_FACTOR_ROLES.includes(role)) : []
+}
+
+/**
+ * Whether two-factor authentication is required for a role
+ * @param {string} role - User role
+ * @returns {Promise<boolean>} True when admins have required it for the role
+ */
+const isRequiredFor = async (role) => {
+  const roles = await getRequiredRoles()
+  return roles.includes(role)
+}
+
+/**
+ * Two-factor state of an account, for its settings page
+ * @param {Object} user - User
+ * @returns {Promise<Object>} enabled, required, available and recoveryCodesRemaining
+ */
+const getStatus = async (user) => {
+  const fresh = await loadUser(user._id)
+  const enabled = Boolean(fresh.twoFactor && fresh.twoFactor.enabled)
+  return {
+    enabled,
+    required: await isRequiredFor(fresh.role),
+    available: TWO_FACTOR_ROLES.includes(fresh.role),
+    enabledAt: enabled ? fresh.twoFactor.enabledAt : null,
+    recoveryCodesRemaining: enabled ? fresh.twoFactor.recoveryCodes.length : 0,
+  }
+}
+
+/**
+ * Start enrollment: create a secret and the QR code to scan it with an authenticator app.
+ * Nothing changes for logins until a code from the new secret is confirmed.
+ * @param {Object} user - User enrolling
+ * @returns {Promise<Object>} secret (for manual entry), otpauthUrl and qrCode (PNG data URL)
+ */
+const beginSetup = async (user) => {
+  if (!TWO_FACTOR_ROLES.includes(user.role)) {
+    throw httpError(403, "Two-factor authentication is available for department and admin accounts")
+  }
+  const fresh = await loadUser(user._id)
+  if (fresh.twoFactor && fresh.twoFactor.enabled) {
+    throw httpError(400, "Two-factor authentication is already enabled")
+  }
+
+  const secret = totp.generateSecret()
+  await User.updateOne({ _id: fresh._id }, { $set: { "twoFactor.pendingSecret": encrypt(secret) } })
+
+  const settings = await SystemSetting.getSettings()
+  const issuer = (settings.general && settings.general.systemName) || "BIU Online Clearance System"
+  const otpauthUrl = totp.buildOtpauthUrl({ secret, accountName: fresh.email, issuer })
+  const qrCode = await QRCode.toDataURL(otpauthUrl)
+
+  return { secret, otpauthUrl, qrCode }
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {Object} user - User enrolling
+ * @param {string} code - Six-digit code
+ * @returns {Promise<Array<string>>} Recovery codes, shown once
+ */
+const confirmSetup = async (user, code) => {
+  const fresh = await loadUser(user._id)
+  if (fresh.twoFactor && fresh.twoFactor.enabled) {
+    throw httpError(400, "Two-factor authentication is already enabled")
+  }
+  if (!fresh.twoFactor || !fresh.twoFactor.pendingSecret) {
+    throw httpError(400, "Start two-factor setup before confirming it")
+  }
+
+  const step = totp.verifyCode(decrypt(fresh.twoFactor.pendingSecret), code)
+  if (step === null) {
+    throw httpError(400, "Invalid authentication code")
+  }
+
+  const recoveryCodes = generateRecoveryCodes()
+  await User.updateOne(
+    { _id: fresh._id },
+    {
+      $set: {
+        twoFactor: {
+          enabled: true,
+          secret: fresh.twoFactor.pendingSecret,
+          recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+          lastUsedStep: step,
+          enabledAt: new Date(),
+        },
+      },
+    },
+  )
+
+  return recoveryCodes
+}
+
+/**
+ * Check the second factor: an authenticator code, or one of the recovery codes (used up once accepted)
+ * @param {Object} user - User signing in
+ * @param {Object} data - code or recoveryCode
+ * @returns {Promise<string|null>} "code" or "recovery_code" for the method accepted, null when neither is valid
+ */
+const verifyLogin = async (user, { code, recoveryCode }) => {
+  const fresh = await loadUser(user._id)
+  if (!fresh.twoFactor || !fresh.twoFactor.enabled) return null
+
+  if (code && (await consumeCode(fresh, code))) return "code"
+  if (recoveryCode && (await consumeRecoveryCode(fresh, recoveryCode))) return "recovery_code"
+  return null
+}
+
+/**
+ * Turn two-factor authentication off. Needs the password and a current code;
+ * not allowed while it is required for the user's role.
+ * @param {Object} user - User
+ * @param {Object} data - password, and code or recoveryCode
+ * @returns {Promise<void>}
+ */
+const disable = async (user, { password, code, recoveryCode }) => {
+  const fresh = await loadUser(user._id)
+  if (!fresh.twoFactor || !fresh.twoFactor.enabled) {
+    throw httpError(400, "Two-factor authentication is not enabled")
+  }
+  if (await isRequiredFor(fresh.role)) {
+    throw httpError(403, "Two-factor authentication is required for your role and cannot be turned off")
+  }
+  if (!(await fresh.comparePassword(password))) {
+    throw httpError(400, "Password is incorrect")
+  }
+  if (!(await verifyLogin(fresh, { code, recoveryCode }))) {
+    throw httpError(400, "Invalid authentication code")
+  }
+
+  await User.updateOne({ _id: fresh._id }, { $set: { twoFactor: { enabled: false } } })
+}
+
+/**
+ * Replace the recovery codes, invalidating the old ones
+ * @param {Object} user - User
+ * @param {string} code - Current authenticator code
+ * @returns {Promise<Array<string>>} New recovery codes, shown once
+ */
+const regenerateRecoveryCodes = async (user, code) => {
+  const fresh = await loadUser(user._id)
+  if (!fresh.twoFactor || !fresh.twoFactor.enabled) {
+    throw httpError(400, "Two-factor authentication is not enabled")
+  }
+  if (!(await consumeCode(fresh, code))) {
+    throw httpError(400, "Invalid authentication code")
+  }
+
+  const recoveryCodes = generateRecoveryCodes()
+  await User.updateOne(
+    { _id: fresh._id },
+    { $set: { "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode) } },
+  )
+  return recoveryCodes
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  getRequiredRoles,
+  isRequiredFor,
+  getStatus,
+  beginSetup,
+  confirmSetup,
+  verifyLogin,
+  disable,
+  regenerateRecoveryCodes,
+}
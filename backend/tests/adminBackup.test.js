@@ -0,0 +1,95 @@
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const mongoose = require("mongoose")
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-access-secret"
+
+const adminService = require("../services/adminService")
+
+const { EJSON } = mongoose.mongo.BSON
+const BACKUP_DIR = "backups"
+const BACKUP_ID = "backup-test-restore"
+
+// Records what the restore does to the database instead of talking to MongoDB
+const createFakeDb = ({ failInsertInto } = {}) => {
+  const events = []
+  const collection = (name) => ({
+    collectionName: name,
+    createIndex: async () => events.push(["index", name]),
+    insertMany: async (docs) => {
+      if (name.startsWith(failInsertInto)) throw new Error("E11000 duplicate key error")
+      events.push(["insert", name, docs.length])
+    },
+    drop: async () => events.push(["drop", name]),
+    rename: async (target, options) => events.push(["rename", name, target, options.dropTarget]),
+  })
+  return { events, collection, createCollection: async (name) => events.push(["create", name]) }
+}
+
+describe("adminService.restoreBackup", () => {
+  let createdDir = false
+  let originalDb
+
+  before(async () => {
+    createdDir = !fs.existsSync(BACKUP_DIR)
+    await fs.promises.mkdir(BACKUP_DIR, { recursive: true })
+    const payload = {
+      id: BACKUP_ID,
+      collections: {
+        users: [{ _id: new mongoose.Types.ObjectId(), email: "admin@biu.edu.ng" }],
+        departments: [{ _id: new mongoose.Types.ObjectId(), name: "Library", code: "LIB" }],
+      },
+    }
+    await fs.promises.writeFile(path.join(BACKUP_DIR, `${BACKUP_ID}.json`), EJSON.stringify(payload, { relaxed: false }))
+  })
+
+  after(async () => {
+    await fs.promises.rm(path.join(BACKUP_DIR, `${BACKUP_ID}.json`), { force: true })
+    if (createdDir) await fs.promises.rm(BACKUP_DIR, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    originalDb = mongoose.connection.db
+  })
+
+  afterEach(() => {
+    mongoose.connection.db = originalDb
+  })
+
+  it("loads staging collections and only then swaps them in", async () => {
+    const db = createFakeDb()
+    mongoose.connection.db = db
+
+    const result = await adminService.restoreBackup(BACKUP_ID)
+
+    assert.deepEqual(result.restored, { users: 1, departments: 1 })
+    const firstRename = db.events.findIndex(([type]) => type === "rename")
+    assert.ok(db.events.slice(0, firstRename).some(([type, name]) => type === "insert" && name.startsWith("departments_restore_")))
+    assert.deepEqual(
+      db.events.filter(([type]) => type === "rename").map(([, , target, dropTarget]) => [target, dropTarget]),
+      [
+        ["users", true],
+        ["departments", true],
+      ],
+    )
+  })
+
+  it("drops the staging collections and leaves the live ones alone when loading fails", async () => {
+    const db = createFakeDb({ failInsertInto: "departments_restore_" })
+    mongoose.connection.db = db
+
+    await assert.rejects(adminService.restoreBackup(BACKUP_ID), { statusCode: 400, message: /duplicate key/ })
+
+    assert.equal(db.events.some(([type]) => type === "rename"), false)
+    assert.deepEqual(
+      db.events.filter(([type]) => type === "drop").map(([, name]) => name.replace(/_restore_\d+$/, "")),
+      ["users", "departments"],
+    )
+  })
+
+  it("rejects backup ids that could leave the backup directory", async () => {
+    await assert.rejects(adminService.restoreBackup("../backup-x"), { statusCode: 400 })
+  })
+})
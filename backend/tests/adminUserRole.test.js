@@ -0,0 +1,86 @@
+const { describe, it, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const mongoose = require("mongoose")
+
+const User = require("../models/User")
+const Department = require("../models/Department")
+const adminService = require("../services/adminService")
+
+const adminId = new mongoose.Types.ObjectId()
+
+const createDepartment = (code, officers = []) => {
+  const department = new Department({ name: `${code} Department`, code, faculty: "Science", officers })
+  department.save = async () => department
+  return department
+}
+
+describe("adminService.updateUserRole officer records", () => {
+  let user
+  let departments
+  let deactivated
+
+  beforeEach((t) => {
+    departments = { library: createDepartment("LIB"), bursary: createDepartment("BUR") }
+    deactivated = []
+    user = { _id: new mongoose.Types.ObjectId(), role: "student", departmentId: undefined, isActive: true }
+    user.save = async () => user
+
+    const found = (value) => Object.assign(Promise.resolve(value), { populate: async () => value })
+    t.mock.method(User, "findById", () => found(user))
+    t.mock.method(Department, "findById", async (id) =>
+      Object.values(departments).find((department) => String(department._id) === String(id)) || null,
+    )
+    t.mock.method(Department, "updateOne", async (filter) => {
+      deactivated.push(String(filter._id))
+      return { modifiedCount: 1 }
+    })
+  })
+
+  const activeOfficer = (department) =>
+    department.officers.find((officer) => officer.isActive && String(officer.userId) === String(user._id))
+
+  it("adds an officer record when a user is given the department role", async () => {
+    await adminService.updateUserRole(user._id, { role: "department", departmentId: departments.library._id }, adminId)
+
+    assert.ok(activeOfficer(departments.library))
+    assert.deepEqual(deactivated, [])
+  })
+
+  it("moves the officer record when the department changes", async () => {
+    user.role = "department"
+    user.departmentId = departments.library._id
+    departments.library.officers.push({ userId: user._id, role: "officer", permissions: ["view"], isActive: true })
+
+    await adminService.updateUserRole(user._id, { departmentId: departments.bursary._id }, adminId)
+
+    assert.deepEqual(deactivated, [String(departments.library._id)])
+    assert.ok(activeOfficer(departments.bursary))
+  })
+
+  it("closes the officer record when the department role is taken away", async () => {
+    user.role = "department"
+    user.departmentId = departments.library._id
+
+    await adminService.updateUserRole(user._id, { role: "student" }, adminId)
+
+    assert.deepEqual(deactivated, [String(departments.library._id)])
+    assert.equal(activeOfficer(departments.bursary), undefined)
+  })
+
+  it("leaves officer records alone for status-only changes", async () => {
+    user.role = "department"
+    user.departmentId = departments.library._id
+
+    await adminService.updateUserRole(user._id, { isActive: false }, adminId)
+
+    assert.deepEqual(deactivated, [])
+    assert.equal(departments.library.officers.length, 0)
+  })
+
+  it("rejects an unknown department", async () => {
+    await assert.rejects(
+      adminService.updateUserRole(user._id, { role: "department", departmentId: new mongoose.Types.ObjectId() }, adminId),
+      { statusCode: 404 },
+    )
+  })
+})
@@ -0,0 +1,226 @@
+const { describe, it, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const mongoose = require("mongoose")
+
+const Clearance = require("../models/Clearance")
+
+const id = () => new mongoose.Types.ObjectId()
+const officerId = id()
+
+// Saves run the model's hooks but never reach MongoDB
+const stubSaves = (t) => {
+  t.mock.method(Clearance.collection, "insertOne", async () => ({ acknowledged: true }))
+  t.mock.method(Clearance.collection, "updateOne", async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }))
+}
+
+const createClearance = async (departments) => {
+  const clearance = new Clearance({
+    studentId: id(),
+    userId: id(),
+    applicationNumber: `CLR${Date.now()}`,
+    academicSession: "2025/2026",
+    semester: "second",
+    clearanceType: "graduation",
+    departments,
+  })
+  await clearance.save()
+  return clearance
+}
+
+const statusOf = (clearance, departmentId) => clearance.findDepartmentItem(departmentId).status
+
+describe("Clearance prerequisites", () => {
+  const library = id()
+  const bursary = id()
+  const registry = id()
+  let clearance
+
+  beforeEach(async (t) => {
+    stubSaves(t)
+    // Registry waits for the bursary, which waits for the library
+    clearance = await createClearance([
+      { departmentId: library, departmentName: "Library" },
+      { departmentId: bursary, departmentName: "Bursary", prerequisites: [library] },
+      { departmentId: registry, departmentName: "Registry", prerequisites: [bursary] },
+    ])
+  })
+
+  it("blocks items until their prerequisites are cleared", () => {
+    assert.equal(statusOf(clearance, library), "pending")
+    assert.equal(statusOf(clearance, bursary), "blocked")
+    assert.equal(statusOf(clearance, registry), "blocked")
+    assert.equal(clearance.blockedDepartments, 2)
+  })
+
+  it("refuses decisions on a blocked item and names what it waits for", () => {
+    // The state checks throw before anything is saved
+    assert.throws(() => clearance.updateDepartmentStatus(bursary, "approved", officerId), {
+      statusCode: 409,
+      message: /cannot act before Library/,
+    })
+  })
+
+  it("unblocks the next item when a prerequisite is approved", async () => {
+    await clearance.updateDepartmentStatus(library, "approved", officerId)
+
+    assert.equal(statusOf(clearance, bursary), "pending")
+    assert.equal(statusOf(clearance, registry), "blocked")
+    assert.ok(clearance.timeline.some((entry) => entry.action === "department_unblocked"))
+  })
+
+  it("completes the clearance once every item is approved", async () => {
+    for (const departmentId of [library, bursary, registry]) {
+      await clearance.updateDepartmentStatus(departmentId, "approved", officerId)
+    }
+
+    assert.equal(clearance.overallStatus, "completed")
+    assert.equal(clearance.completionPercentage, 100)
+    assert.ok(clearance.completedAt)
+  })
+
+  it("only lets pending items be decided", async () => {
+    await clearance.updateDepartmentStatus(library, "approved", officerId)
+
+    assert.throws(() => clearance.updateDepartmentStatus(library, "approved", officerId), {
+      statusCode: 409,
+      message: /already been approved/,
+    })
+    assert.throws(() => clearance.updateDepartmentStatus(library, "rejected", officerId, "Missing receipt"), {
+      statusCode: 409,
+    })
+  })
+
+  it("ignores prerequisites that are not part of the clearance", async () => {
+    const other = await createClearance([{ departmentId: bursary, departmentName: "Bursary", prerequisites: [library] }])
+    assert.equal(statusOf(other, bursary), "pending")
+  })
+})
+
+describe("Clearance requirements", () => {
+  const library = id()
+  let clearance
+  let receipt
+  let optional
+
+  beforeEach(async (t) => {
+    stubSaves(t)
+    clearance = await createClearance([
+      {
+        departmentId: library,
+        departmentName: "Library",
+        requirements: [
+          { name: "Return borrowed books" },
+          { name: "Library fine receipt" },
+          { name: "Exit survey", isRequired: false },
+        ],
+      },
+    ])
+    const [books, fine, survey] = clearance.findDepartmentItem(library).requirements
+    receipt = fine
+    optional = survey
+    await clearance.updateRequirement(library, books._id, { completed: true }, officerId)
+  })
+
+  it("refuses approval while required items are outstanding", () => {
+    assert.throws(() => clearance.updateDepartmentStatus(library, "approved", officerId), {
+      statusCode: 409,
+      message: /Outstanding requirements: Library fine receipt$/,
+    })
+  })
+
+  it("allows approval once every required item is ticked, optional ones aside", async () => {
+    await clearance.updateRequirement(library, receipt._id, { completed: true, notes: "Receipt 0042" }, officerId)
+    await clearance.updateDepartmentStatus(library, "approved", officerId)
+
+    assert.equal(statusOf(clearance, library), "approved")
+    assert.equal(optional.completed, false)
+    assert.equal(receipt.notes, "Receipt 0042")
+    assert.equal(String(receipt.completedBy), String(officerId))
+  })
+
+  it("clears the completion details when an item is unticked", async () => {
+    await clearance.updateRequirement(library, receipt._id, { completed: true }, officerId)
+    await clearance.updateRequirement(library, receipt._id, { completed: false }, officerId)
+
+    assert.equal(receipt.completedAt, undefined)
+    assert.equal(receipt.completedBy, undefined)
+    assert.equal(clearance.timeline.at(-1).action, "requirement_reopened")
+  })
+
+  it("only changes requirements while the item is pending", async () => {
+    await clearance.updateRequirement(library, receipt._id, { completed: true }, officerId)
+    await clearance.updateDepartmentStatus(library, "approved", officerId)
+
+    assert.throws(() => clearance.updateRequirement(library, receipt._id, { completed: false }, officerId), {
+      statusCode: 409,
+    })
+  })
+
+  it("reports unknown requirements", () => {
+    assert.throws(() => clearance.updateRequirement(library, id(), { completed: true }, officerId), { statusCode: 404 })
+  })
+})
+
+describe("Clearance rejection and resubmission", () => {
+  const library = id()
+  const bursary = id()
+  const studentUserId = id()
+  let clearance
+
+  beforeEach(async (t) => {
+    stubSaves(t)
+    clearance = await createClearance([
+      { departmentId: library, departmentName: "Library" },
+      { departmentId: bursary, departmentName: "Bursary", prerequisites: [library] },
+    ])
+  })
+
+  it("requires a reason to reject", () => {
+    assert.throws(() => clearance.updateDepartmentStatus(library, "rejected", officerId), { statusCode: 400 })
+  })
+
+  it("records the rejection and keeps dependants blocked", async () => {
+    await clearance.updateDepartmentStatus(library, "rejected", officerId, "Unreturned books")
+
+    const item = clearance.findDepartmentItem(library)
+    assert.equal(item.status, "rejected")
+    assert.equal(item.rejectionHistory.length, 1)
+    assert.equal(item.rejectionHistory[0].reason, "Unreturned books")
+    assert.equal(statusOf(clearance, bursary), "blocked")
+    assert.equal(clearance.overallStatus, "rejected")
+  })
+
+  it("reopens a rejected item on resubmission with the new documents", async () => {
+    const documentId = id()
+    await clearance.updateDepartmentStatus(library, "rejected", officerId, "Unreturned books")
+    await clearance.resubmitDepartment(library, { note: "Books returned", documents: [documentId] }, studentUserId)
+
+    const item = clearance.findDepartmentItem(library)
+    assert.equal(item.status, "pending")
+    assert.equal(item.resubmissionCount, 1)
+    assert.equal(item.rejectionHistory[0].resubmissionNote, "Books returned")
+    assert.equal(String(item.rejectionHistory[0].resubmittedBy), String(studentUserId))
+    assert.ok(clearance.documents.some((docId) => String(docId) === String(documentId)))
+    assert.equal(clearance.overallStatus, "in_progress")
+  })
+
+  it("keeps every rejection cycle in the history", async () => {
+    await clearance.updateDepartmentStatus(library, "rejected", officerId, "Unreturned books")
+    await clearance.resubmitDepartment(library, { note: "Returned" }, studentUserId)
+    await clearance.updateDepartmentStatus(library, "rejected", officerId, "Fine unpaid")
+
+    const item = clearance.findDepartmentItem(library)
+    assert.deepEqual(
+      item.rejectionHistory.map((entry) => entry.reason),
+      ["Unreturned books", "Fine unpaid"],
+    )
+    assert.equal(clearance.timeline.at(-1).metadata.cycle, 2)
+  })
+
+  it("only resubmits rejected items", () => {
+    assert.throws(() => clearance.resubmitDepartment(library, { note: "Again" }, studentUserId), {
+      statusCode: 409,
+      message: /has not rejected/,
+    })
+  })
+})
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach, after } = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "rescan-"))
+process.env.QUARANTINE_DIR = path.join(workDir, "quarantine")
+
+const Document = require("../models/Document")
+const extractionService = require("../services/extractionService")
+const { getScanner } = require("../utils/virusScanner")
+const documentRescan = require("../jobs/documentRescan")
+
+const unavailable = () => Object.assign(new Error("clamd connection failed: ECONNREFUSED"), { code: "SCANNER_UNAVAILABLE" })
+
+describe("documentRescan job", () => {
+  let documents
+
+  const addDocument = (name, content) => {
+    const filePath = path.join(workDir, name)
+    if (content !== undefined) fs.writeFileSync(filePath, content)
+    const document = new Document({
+      filename: name,
+      originalName: name,
+      mimetype: "application/pdf",
+      size: 10,
+      path: filePath,
+      url: `/uploads/documents/${name}`,
+      uploadedBy: "652f1c2e9b1e8a0087654321",
+      status: "processing",
+      metadata: { virusScanned: false, scanResult: "ERROR" },
+    })
+    document.save = async () => document
+    documents.push(document)
+    return document
+  }
+
+  beforeEach((t) => {
+    documents = []
+    t.mock.method(Document, "find", () => ({ sort: async () => documents }))
+    t.mock.method(extractionService, "queueExtraction", () => {})
+  })
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true })
+    fs.mkdirSync(process.env.QUARANTINE_DIR, { recursive: true })
+  })
+
+  after(() => fs.rmSync(workDir, { recursive: true, force: true }))
+
+  it("releases clean files and quarantines infected ones", async (t) => {
+    const clean = addDocument("clean.pdf", "clean")
+    const infected = addDocument("infected.pdf", "infected")
+    t.mock.method(getScanner(), "scanFile", async (filePath) =>
+      filePath === infected.path ? { infected: true, threat: "Eicar-Test-Signature" } : { infected: false },
+    )
+
+    const result = await documentRescan.run()
+
+    assert.equal(result.clean, 1)
+    assert.equal(result.quarantined, 1)
+    assert.equal(clean.status, "uploaded")
+    assert.ok(clean.isScannedClean())
+    assert.equal(infected.status, "quarantined")
+    assert.equal(infected.path, path.join(process.env.QUARANTINE_DIR, "infected.pdf"))
+  })
+
+  it("quarantines a file the scanner fails on and carries on with the rest", async (t) => {
+    const oversized = addDocument("oversized.pdf", "oversized")
+    const clean = addDocument("clean.pdf", "clean")
+    t.mock.method(getScanner(), "scanFile", async (filePath) => {
+      if (filePath === oversized.path) throw new Error("INSTREAM size limit exceeded")
+      return { infected: false }
+    })
+
+    const result = await documentRescan.run()
+
+    assert.equal(result.failed, 1)
+    assert.equal(oversized.status, "quarantined")
+    assert.match(oversized.metadata.threatName, /size limit/)
+    assert.equal(clean.status, "uploaded")
+  })
+
+  it("stops when the scanner cannot be reached and leaves documents for the next run", async (t) => {
+    const first = addDocument("first.pdf", "first")
+    const second = addDocument("second.pdf", "second")
+    const scanFile = t.mock.method(getScanner(), "scanFile", async () => {
+      throw unavailable()
+    })
+
+    await documentRescan.run()
+
+    assert.equal(scanFile.mock.callCount(), 1)
+    assert.equal(first.status, "processing")
+    assert.equal(second.status, "processing")
+    assert.equal(first.metadata.scanResult, "ERROR")
+  })
+
+  it("deactivates records whose file is missing", async (t) => {
+    const missing = addDocument("missing.pdf")
+    t.mock.method(getScanner(), "scanFile", async () => ({ infected: false }))
+
+    const result = await documentRescan.run()
+
+    assert.equal(result.missing, 1)
+    assert.equal(missing.isActive, false)
+  })
+})
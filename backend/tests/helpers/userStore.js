@@ -0,0 +1,100 @@
+// tests/helpers/userStore.js
+// In-memory stand-in for the User collection. Supports the query and update operators the
+// session and two-factor services use, so their atomic checks run without a database.
+
+const User = require("../../models/User")
+
+const getPath = (object, path) => path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), object)
+
+const isOperatorObject = (condition) =>
+  condition !== null && typeof condition === "object" && Object.keys(condition).every((key) => key.startsWith("$"))
+
+const matchesCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) {
+    return Array.isArray(value) ? value.some((item) => String(item) === String(condition)) : String(value) === String(condition)
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$exists":
+        return (value !== undefined) === operand
+      case "$lt":
+        return value !== undefined && value < operand
+      case "$lte":
+        return value !== undefined && value <= operand
+      case "$ne":
+        return String(value) !== String(operand)
+      case "$elemMatch":
+        return Array.isArray(value) && value.some((item) => matches(item, operand))
+      default:
+        throw new Error(`Unsupported operator ${operator}`)
+    }
+  })
+}
+
+const matches = (document, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((branch) => matches(document, branch))
+    return matchesCondition(getPath(document, key), condition)
+  })
+
+const setPath = (object, path, value) => {
+  const keys = path.split(".")
+  const last = keys.pop()
+  const target = keys.reduce((current, key) => {
+    if (current[key] == null) current[key] = {}
+    return current[key]
+  }, object)
+  target[last] = value
+}
+
+const applyUpdate = (document, update, filter) => {
+  // Positional updates resolve "$" to the array entry the filter's $elemMatch found before the update
+  const positional = {}
+  Object.keys(update.$set || {}).forEach((path) => {
+    const [arrayPath, rest] = path.split(".$.")
+    if (rest && !positional[arrayPath]) {
+      positional[arrayPath] = getPath(document, arrayPath).find((item) => matches(item, filter[arrayPath].$elemMatch))
+    }
+  })
+
+  Object.entries(update.$set || {}).forEach(([path, value]) => {
+    const [arrayPath, rest] = path.split(".$.")
+    if (rest) {
+      setPath(positional[arrayPath], rest, value)
+    } else {
+      setPath(document, path, value)
+    }
+  })
+  Object.entries(update.$push || {}).forEach(([path, value]) => {
+    getPath(document, path).push(value)
+  })
+  Object.entries(update.$pull || {}).forEach(([path, condition]) => {
+    const list = getPath(document, path)
+    const kept = list.filter((item) =>
+      typeof condition === "object" ? !matches(item, condition) : String(item) !== String(condition),
+    )
+    setPath(document, path, kept)
+  })
+}
+
+/**
+ * Replace User.findById and User.updateOne with versions backed by the given users
+ * @param {Object} t - node:test context; the mocks are restored when the test ends
+ * @param {Object[]} users - Plain user objects, changed in place by updates
+ */
+const stubUserModel = (t, users) => {
+  const findUser = (id) => users.find((user) => String(user._id) === String(id)) || null
+
+  t.mock.method(User, "findById", async (id) => findUser(id))
+  t.mock.method(User, "updateOne", async (filter, update) => {
+    const user = findUser(filter._id)
+    if (!user || !matches(user, filter)) return { matchedCount: 0, modifiedCount: 0 }
+    applyUpdate(user, update, filter)
+    return { matchedCount: 1, modifiedCount: 1 }
+  })
+}
+
+module.exports = {
+  stubUserModel,
+}
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const mongoose = require("mongoose")
+
+const Department = require("../models/Department")
+const OfficerInvitation = require("../models/OfficerInvitation")
+const User = require("../models/User")
+const invitationService = require("../services/invitationService")
+
+const id = () => new mongoose.Types.ObjectId()
+
+describe("invitationService.retireSharedAccounts", () => {
+  let departments
+  let accounts
+  let invitedIds
+  let userUpdates
+  let closedRecords
+
+  // A shared login from register-department: named after its department
+  const sharedLogin = (department) => ({
+    _id: id(),
+    firstName: `${department.code} Department`,
+    lastName: department.code,
+    email: `${department.code.toLowerCase()}@biu.edu.ng`,
+    isActive: true,
+    departmentId: department._id,
+  })
+
+  const addDepartment = (code) => {
+    const department = { _id: id(), code, officers: [] }
+    departments.push(department)
+    return department
+  }
+
+  const addAccount = (department, account, { officer = true } = {}) => {
+    accounts.push(account)
+    if (officer) department.officers.push({ userId: account._id, isActive: true })
+    return account
+  }
+
+  beforeEach((t) => {
+    departments = []
+    accounts = []
+    invitedIds = []
+    userUpdates = []
+    closedRecords = []
+
+    t.mock.method(Department, "find", () => ({ select: async () => departments }))
+    t.mock.method(OfficerInvitation, "find", () => ({ distinct: async () => invitedIds }))
+    t.mock.method(User, "find", (filter) => ({
+      select: async () => accounts.filter((account) => String(account.departmentId) === String(filter.departmentId)),
+    }))
+    t.mock.method(User, "updateOne", async (filter, update) => userUpdates.push([String(filter._id), update]))
+    t.mock.method(Department, "updateOne", async (filter) => {
+      closedRecords.push([String(filter._id), String(filter.officers.$elemMatch.userId)])
+    })
+  })
+
+  it("retires a shared login once its department has an invited officer", async () => {
+    const library = addDepartment("LIB")
+    const shared = addAccount(library, sharedLogin(library))
+    const invited = addAccount(library, { _id: id(), lastName: "Okoro", isActive: true, departmentId: library._id })
+    invitedIds.push(invited._id)
+
+    assert.equal(await invitationService.retireSharedAccounts(), 1)
+    assert.deepEqual(userUpdates, [[String(shared._id), { isActive: false, refreshTokens: [] }]])
+    assert.deepEqual(closedRecords, [[String(library._id), String(shared._id)]])
+  })
+
+  it("keeps a shared login while it is the department's only officer", async () => {
+    const library = addDepartment("LIB")
+    addAccount(library, sharedLogin(library))
+
+    assert.equal(await invitationService.retireSharedAccounts(), 0)
+    assert.deepEqual(userUpdates, [])
+  })
+
+  it("does not count inactive officers as a replacement", async () => {
+    const library = addDepartment("LIB")
+    addAccount(library, sharedLogin(library))
+    addAccount(library, { _id: id(), lastName: "Okoro", isActive: false, departmentId: library._id })
+
+    assert.equal(await invitationService.retireSharedAccounts(), 0)
+  })
+
+  it("leaves an invited officer whose surname matches the department code alone", async () => {
+    const library = addDepartment("LIB")
+    const invited = addAccount(library, { ...sharedLogin(library), firstName: "Ada" })
+    invitedIds.push(invited._id)
+    addAccount(library, { _id: id(), lastName: "Okoro", isActive: true, departmentId: library._id })
+
+    assert.equal(await invitationService.retireSharedAccounts(), 0)
+  })
+
+  it("does nothing for a login it already retired", async () => {
+    const library = addDepartment("LIB")
+    addAccount(library, { ...sharedLogin(library), isActive: false }, { officer: false })
+    addAccount(library, { _id: id(), lastName: "Okoro", isActive: true, departmentId: library._id })
+
+    assert.equal(await invitationService.retireSharedAccounts(), 0)
+    assert.deepEqual(userUpdates, [])
+  })
+})
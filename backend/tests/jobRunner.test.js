@@ -0,0 +1,54 @@
+const { describe, it, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+
+const JobLock = require("../models/JobLock")
+const JobRun = require("../models/JobRun")
+const jobRunner = require("../services/jobRunner")
+
+describe("jobRunner.runJob", () => {
+  let released
+  let jobRuns
+
+  beforeEach((t) => {
+    released = []
+    jobRuns = 0
+    t.mock.method(JobLock, "acquire", async () => "lock-token")
+    t.mock.method(JobLock, "release", async (name, token) => released.push([name, token]))
+  })
+
+  jobRunner.register({
+    name: "testJob",
+    description: "Test job",
+    schedule: "0 * * * *",
+    run: async () => {
+      jobRuns++
+      return { done: true }
+    },
+  })
+
+  it("records the run and releases the lock", async (t) => {
+    t.mock.method(JobRun, "create", async (data) => ({ ...data, finish: async (failure, result) => ({ failure, result }) }))
+
+    const run = await jobRunner.runJob("testJob")
+
+    assert.deepEqual(run, { failure: null, result: { done: true } })
+    assert.deepEqual(released, [["testJob", "lock-token"]])
+  })
+
+  it("releases the lock and skips the job when the run record cannot be created", async (t) => {
+    t.mock.method(JobRun, "create", async () => {
+      throw new Error("connection lost")
+    })
+
+    await assert.rejects(jobRunner.runJob("testJob"), /connection lost/)
+    assert.deepEqual(released, [["testJob", "lock-token"]])
+    assert.equal(jobRuns, 0)
+  })
+
+  it("skips the job while another instance holds the lock", async (t) => {
+    t.mock.method(JobLock, "acquire", async () => null)
+
+    assert.equal(await jobRunner.runJob("testJob"), null)
+    assert.equal(jobRuns, 0)
+  })
+})
@@ -0,0 +1,47 @@
+const { describe, it, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+
+const Student = require("../models/Student")
+const Department = require("../models/Department")
+const Clearance = require("../models/Clearance")
+const User = require("../models/User")
+const adminService = require("../services/adminService")
+const clearanceService = require("../services/clearanceService")
+const permissionService = require("../services/permissionService")
+
+const MALFORMED = "not-an-id"
+const officer = { _id: "652f1c2e9b1e8a0087654321", role: "department", departmentId: "652f1c2e9b1e8a0012345678" }
+
+describe("malformed ids", () => {
+  beforeEach((t) => {
+    // Any lookup with a malformed id would come back from MongoDB as a CastError
+    const castError = () => {
+      throw new Error("Cast to ObjectId failed")
+    }
+    for (const Model of [Student, Department, Clearance, User]) {
+      t.mock.method(Model, "findById", castError)
+      t.mock.method(Model, "findOne", castError)
+    }
+  })
+
+  it("are not found by the admin service", async () => {
+    assert.equal(await adminService.getStudent(MALFORMED), null)
+    assert.equal(await adminService.updateStudent(MALFORMED, {}), null)
+    assert.equal(await adminService.deleteStudent(MALFORMED), false)
+    assert.equal(await adminService.updateDepartment(MALFORMED, {}), null)
+    assert.equal(await adminService.deleteDepartment(MALFORMED), null)
+    assert.equal(await adminService.getClearance(MALFORMED), null)
+    assert.equal(await adminService.overrideClearance(MALFORMED, { status: "approved" }, officer._id), null)
+    assert.equal(await adminService.updateUserRole(MALFORMED, { isActive: false }, officer._id), null)
+  })
+
+  it("are not found by the clearance service", async () => {
+    assert.equal(await clearanceService.approveClearanceRequest(MALFORMED, officer.departmentId, null, officer), null)
+    assert.equal(await clearanceService.rejectClearanceRequest(MALFORMED, officer.departmentId, null, officer, "x"), null)
+    assert.equal(await clearanceService.updateRequirement(MALFORMED, officer.departmentId, "r1", {}, officer), null)
+  })
+
+  it("grant no department permissions", async () => {
+    await assert.rejects(permissionService.assertPermission(officer, MALFORMED, "view"), { statusCode: 403 })
+  })
+})
@@ -0,0 +1,118 @@
+const { describe, it, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const mongoose = require("mongoose")
+
+const Department = require("../models/Department")
+const SystemSetting = require("../models/SystemSetting")
+const User = require("../models/User")
+const permissionService = require("../services/permissionService")
+const { requirePermission } = require("../middleware/roleAuth")
+
+const departmentId = new mongoose.Types.ObjectId()
+const officerUser = { _id: new mongoose.Types.ObjectId(), role: "department", departmentId }
+
+// Runs the middleware and reports whether it let the request through
+const check = async (middleware, user) => {
+  const req = { user, params: {} }
+  const res = {
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(body) {
+      this.body = body
+      return this
+    },
+  }
+  let passed = false
+  await middleware(req, res, () => {
+    passed = true
+  })
+  return { passed, req, res }
+}
+
+describe("requirePermission", () => {
+  let officers
+  let matrix
+
+  beforeEach((t) => {
+    officers = [{ userId: officerUser._id, role: "officer", permissions: ["view", "approve"], isActive: true }]
+    matrix = {}
+    t.mock.method(Department, "findOne", () => ({ select: async () => ({ officers }) }))
+    t.mock.method(SystemSetting, "getSettings", async () => ({ permissions: matrix }))
+  })
+
+  it("lets an officer use a permission on their record", async () => {
+    const { passed, req } = await check(requirePermission("approve"), officerUser)
+
+    assert.equal(passed, true)
+    assert.equal(req.officer.role, "officer")
+  })
+
+  it("refuses a permission missing from the officer record", async () => {
+    const { passed, res } = await check(requirePermission("reject"), officerUser)
+
+    assert.equal(passed, false)
+    assert.equal(res.statusCode, 403)
+    assert.match(res.body.message, /"reject" permission/)
+  })
+
+  it("refuses a permission the admin matrix turned off for the officer role", async () => {
+    matrix.officer = { canApprove: false }
+
+    const { passed, res } = await check(requirePermission("approve"), officerUser)
+
+    assert.equal(passed, false)
+    assert.equal(res.statusCode, 403)
+  })
+
+  it("refuses department accounts without an active officer record", async () => {
+    officers[0].isActive = false
+
+    const { passed, res } = await check(requirePermission("view"), officerUser)
+
+    assert.equal(passed, false)
+    assert.match(res.body.message, /not an active officer/)
+  })
+
+  it("lets assistants view but not approve by default", async () => {
+    officers[0] = { ...officers[0], role: "assistant" }
+
+    assert.equal((await check(requirePermission("view"), officerUser)).passed, true)
+    assert.equal((await check(requirePermission("approve"), officerUser)).passed, false)
+  })
+
+  it("lets admins through without an officer record", async () => {
+    const admin = { _id: new mongoose.Types.ObjectId(), role: "admin" }
+    const { passed, req } = await check(requirePermission("reject", () => departmentId), admin)
+
+    assert.equal(passed, true)
+    assert.equal(req.officer, null)
+  })
+
+  it("asks for authentication when there is no user", async () => {
+    const { passed, res } = await check(requirePermission("view"), undefined)
+
+    assert.equal(passed, false)
+    assert.equal(res.statusCode, 401)
+  })
+})
+
+describe("permissionService.backfillOfficerRecords", () => {
+  it("gives department accounts without a record full officer permissions, once", async (t) => {
+    const withRecord = { _id: new mongoose.Types.ObjectId(), departmentId }
+    const withoutRecord = { _id: new mongoose.Types.ObjectId(), departmentId }
+    const pushed = []
+    t.mock.method(User, "find", () => ({ select: async () => [withRecord, withoutRecord] }))
+    t.mock.method(Department, "updateOne", async (filter, update) => {
+      // The filter only matches departments that have no record for the user yet
+      if (String(filter["officers.userId"].$ne) === String(withRecord._id)) return { modifiedCount: 0 }
+      pushed.push(update.$push.officers)
+      return { modifiedCount: 1 }
+    })
+
+    assert.equal(await permissionService.backfillOfficerRecords(), 1)
+    assert.equal(String(pushed[0].userId), String(withoutRecord._id))
+    assert.deepEqual(pushed[0].permissions, ["view", "edit", "approve", "reject"])
+  })
+})
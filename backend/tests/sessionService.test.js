@@ -0,0 +1,61 @@
+const { describe, it, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const mongoose = require("mongoose")
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-access-secret"
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || "test-refresh-secret"
+
+const sessionService = require("../services/sessionService")
+const { stubUserModel } = require("./helpers/userStore")
+
+const request = (userAgent = "node-test") => ({ get: () => userAgent, ip: "127.0.0.1" })
+
+describe("sessionService.rotateSession", () => {
+  let user
+
+  beforeEach((t) => {
+    user = { _id: new mongoose.Types.ObjectId(), isActive: true, refreshTokens: [] }
+    stubUserModel(t, [user])
+  })
+
+  it("exchanges a refresh token for a new pair within the same session", async () => {
+    const { refreshToken, sessionId } = await sessionService.createSession(user, request())
+    const rotated = await sessionService.rotateSession(refreshToken, request())
+
+    assert.notEqual(rotated.refreshToken, refreshToken)
+    assert.equal(user.refreshTokens.length, 1)
+    assert.equal(user.refreshTokens[0].family, sessionId)
+    assert.ok(sessionService.isSessionActive(user, sessionId))
+  })
+
+  it("revokes the whole token family when a used refresh token is presented again", async () => {
+    const { refreshToken: first, sessionId } = await sessionService.createSession(user, request())
+    const { refreshToken: second } = await sessionService.rotateSession(first, request())
+
+    await assert.rejects(sessionService.rotateSession(first, request("attacker")), {
+      statusCode: 401,
+      message: /used twice/,
+    })
+
+    assert.equal(sessionService.isSessionActive(user, sessionId), false)
+    // The legitimate holder's newer token belonged to the same family and stops working too
+    await assert.rejects(sessionService.rotateSession(second, request()), { statusCode: 401 })
+  })
+
+  it("leaves the user's other sessions alone", async () => {
+    const laptop = await sessionService.createSession(user, request("laptop"))
+    const phone = await sessionService.createSession(user, request("phone"))
+    await sessionService.rotateSession(laptop.refreshToken, request("laptop"))
+
+    await assert.rejects(sessionService.rotateSession(laptop.refreshToken, request()), { statusCode: 401 })
+
+    assert.equal(sessionService.isSessionActive(user, laptop.sessionId), false)
+    assert.ok(sessionService.isSessionActive(user, phone.sessionId))
+    await sessionService.rotateSession(phone.refreshToken, request("phone"))
+  })
+
+  it("rejects tokens that are not refresh tokens", async () => {
+    const { accessToken } = await sessionService.createSession(user, request())
+    await assert.rejects(sessionService.rotateSession(accessToken, request()), { statusCode: 401 })
+  })
+})
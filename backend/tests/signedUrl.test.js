@@ -0,0 +1,46 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-access-secret"
+
+const { signPath, verifySignedPath } = require("../utils/signedUrl")
+
+const PATH = "/api/files/documents/652f1c2e9b1e8a0012345678"
+const USER_ID = "652f1c2e9b1e8a0087654321"
+
+// Query string of a signed URL as Express would parse it
+const parse = (url) => Object.fromEntries(new URL(url, "http://localhost").searchParams)
+
+describe("signedUrl", () => {
+  it("verifies a link it signed", () => {
+    const { url } = signPath(PATH, USER_ID, 60)
+    assert.equal(verifySignedPath(PATH, parse(url)), true)
+  })
+
+  it("rejects a link for another path", () => {
+    const { url } = signPath(PATH, USER_ID, 60)
+    assert.equal(verifySignedPath("/api/files/documents/652f1c2e9b1e8a0000000000", parse(url)), false)
+  })
+
+  it("rejects a link whose user or expiry was changed", () => {
+    const query = parse(signPath(PATH, USER_ID, 60).url)
+
+    assert.equal(verifySignedPath(PATH, { ...query, uid: "652f1c2e9b1e8a0000000000" }), false)
+    assert.equal(verifySignedPath(PATH, { ...query, expires: String(Number(query.expires) + 3600) }), false)
+  })
+
+  it("rejects a tampered or missing signature", () => {
+    const query = parse(signPath(PATH, USER_ID, 60).url)
+    const flipped = (query.signature[0] === "A" ? "B" : "A") + query.signature.slice(1)
+
+    assert.equal(verifySignedPath(PATH, { ...query, signature: flipped }), false)
+    assert.equal(verifySignedPath(PATH, { ...query, signature: query.signature.slice(1) }), false)
+    assert.equal(verifySignedPath(PATH, { uid: query.uid, expires: query.expires }), false)
+  })
+
+  it("rejects an expired link", () => {
+    const { url, expiresAt } = signPath(PATH, USER_ID, -1)
+    assert.ok(expiresAt < new Date())
+    assert.equal(verifySignedPath(PATH, parse(url)), false)
+  })
+})
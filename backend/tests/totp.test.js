@@ -0,0 +1,87 @@
+const { describe, it, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const mongoose = require("mongoose")
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-access-secret"
+
+const totp = require("../utils/totp")
+const SystemSetting = require("../models/SystemSetting")
+const twoFactorService = require("../services/twoFactorService")
+const { stubUserModel } = require("./helpers/userStore")
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890" in base32; codes are the last six digits
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ"
+const RFC_VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+  [20000000000, "353130"],
+]
+
+describe("totp", () => {
+  it("generates the RFC 6238 test vectors", () => {
+    RFC_VECTORS.forEach(([seconds, code]) => {
+      assert.equal(totp.generateCode(RFC_SECRET, seconds * 1000), code)
+    })
+  })
+
+  it("accepts codes one step either side and reports their step", () => {
+    const at = 1111111111 * 1000
+    assert.equal(totp.verifyCode(RFC_SECRET, "050471", { at }), 37037037)
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, at - 30000), { at }), 37037036)
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, at + 30000), { at }), 37037038)
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, at + 60000), { at }), null)
+  })
+
+  it("rejects malformed codes", () => {
+    assert.equal(totp.verifyCode(RFC_SECRET, "", { at: 59000 }), null)
+    assert.equal(totp.verifyCode(RFC_SECRET, "28708", { at: 59000 }), null)
+    assert.equal(totp.verifyCode(RFC_SECRET, "abcdef", { at: 59000 }), null)
+  })
+})
+
+describe("twoFactorService.verifyLogin", () => {
+  let user
+  let secret
+  let recoveryCodes
+
+  beforeEach(async (t) => {
+    user = { _id: new mongoose.Types.ObjectId(), role: "department", email: "officer@biu.edu.ng" }
+    stubUserModel(t, [user])
+    t.mock.method(SystemSetting, "getSettings", async () => ({ general: {} }))
+
+    ;({ secret } = await twoFactorService.beginSetup(user))
+    recoveryCodes = await twoFactorService.confirmSetup(user, totp.generateCode(secret))
+  })
+
+  it("stores the secret encrypted", () => {
+    assert.equal(user.twoFactor.enabled, true)
+    assert.ok(!user.twoFactor.secret.includes(secret))
+  })
+
+  it("rejects the code used to confirm setup", async () => {
+    assert.equal(await twoFactorService.verifyLogin(user, { code: totp.generateCode(secret) }), null)
+  })
+
+  it("accepts a newer code once and rejects its replay", async () => {
+    const next = totp.generateCode(secret, Date.now() + 30000)
+
+    assert.equal(await twoFactorService.verifyLogin(user, { code: next }), "code")
+    assert.equal(await twoFactorService.verifyLogin(user, { code: next }), null)
+  })
+
+  it("rejects an older code after a newer one was used", async () => {
+    await twoFactorService.verifyLogin(user, { code: totp.generateCode(secret, Date.now() + 30000) })
+    assert.equal(await twoFactorService.verifyLogin(user, { code: totp.generateCode(secret) }), null)
+  })
+
+  it("accepts each recovery code once, ignoring case and the dash", async () => {
+    const [first] = recoveryCodes
+
+    assert.equal(await twoFactorService.verifyLogin(user, { recoveryCode: first.toUpperCase().replace("-", "") }), "recovery_code")
+    assert.equal(await twoFactorService.verifyLogin(user, { recoveryCode: first }), null)
+    assert.equal(user.twoFactor.recoveryCodes.length, recoveryCodes.length - 1)
+  })
+})
@@ -0,0 +1,87 @@
+// utils/csv.js
+// Minimal CSV helpers used by the admin export and bulk import endpoints
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return ""
+
+  const str = value instanceof Date ? value.toISOString() : String(value)
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`
+  }
+  return str
+}
+
+/**
+ * Serialize rows to CSV
+ * @param {Object[]} rows - Rows to serialize
+ * @param {{ key: string, label: string }[]} columns - Column definitions
+ * @returns {string} CSV text with a header row
+ */
+const toCsv = (rows, columns) => {
+  const header = columns.map((column) => escapeCell(column.label)).join(",")
+  const lines = rows.map((row) => columns.map((column) => escapeCell(row[column.key])).join(","))
+  return [header, ...lines].join("\r\n")
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text - CSV text
+ * @returns {Object[]} Parsed rows
+ */
+const parseCsv = (text) => {
+  const records = []
+  let record = []
+  let cell = ""
+  let inQuotes = false
+
+  const source = text.replace(/^\uFEFF/, "")
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ",") {
+      record.push(cell)
+      cell = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++
+      record.push(cell)
+      records.push(record)
+      record = []
+      cell = ""
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell !== "" || record.length > 0) {
+    record.push(cell)
+    records.push(record)
+  }
+
+  const [header, ...rows] = records.filter((r) => r.some((value) => value.trim() !== ""))
+  if (!header) return []
+
+  const keys = header.map((key) => key.trim())
+  return rows.map((row) =>
+    keys.reduce((obj, key, index) => {
+      obj[key] = (row[index] || "").trim()
+      return obj
+    }, {}),
+  )
+}
+
+module.exports = {
+  toCsv,
+  parseCsv,
+}
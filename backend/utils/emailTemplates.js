@@ -0,0 +1,198 @@
+// utils/emailTemplates.js
+// HTML and plain-text emails. Notification emails share one layout and differ per type in
+// their accent colour and call to action; the notification title and message fill the body.
+
+const DEFAULT_SYSTEM_NAME = "BIU Online Clearance System"
+
+const TYPE_TEMPLATES = {
+  clearance_submitted: { accent: "#1d4ed8", actionLabel: "View application" },
+  clearance_approved: { accent: "#15803d", actionLabel: "Track your clearance" },
+  clearance_rejected: { accent: "#b91c1c", actionLabel: "Review and resubmit" },
+  clearance_completed: { accent: "#15803d", actionLabel: "View your clearance" },
+  document_uploaded: { accent: "#1d4ed8", actionLabel: "View documents" },
+  reminder: { accent: "#b45309", actionLabel: "Open the clearance portal" },
+  system_announcement: { accent: "#1d4ed8", actionLabel: "Open the clearance portal" },
+  deadline_approaching: { accent: "#b45309", actionLabel: "Complete your clearance" },
+}
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char])
+
+const absoluteUrl = (clientUrl, url) => (!url || /^https?:\/\//.test(url) ? url : `${clientUrl.replace(/\/$/, "")}${url}`)
+
+/**
+ * Render the shared layout
+ * @param {Object} content - Email content
+ * @param {string} content.systemName - Shown in the header and footer
+ * @param {string} content.heading - Main heading
+ * @param {string} content.greeting - First line, e.g. "Dear Ada,"
+ * @param {string[]} content.paragraphs - Body paragraphs, plain text
+ * @param {Object} content.action - Optional { label, url } button
+ * @param {string} content.accent - Header and button colour
+ * @param {string} content.footer - Small print under the body
+ * @returns {{ html: string, text: string }} Rendered bodies
+ */
+const renderLayout = ({ systemName, heading, greeting, paragraphs, action, accent = "#1d4ed8", footer }) => {
+  const htmlParagraphs = paragraphs
+    .map((paragraph) => `<p style="margin:0 0 16px;line-height:1.5">${escapeHtml(paragraph)}</p>`)
+    .join("")
+  const htmlAction = action
+    ? `<p style="margin:24px 0"><a href="${escapeHtml(action.url)}" style="background:${accent};color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block">${escapeHtml(action.label)}</a></p>`
+    : ""
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827">
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;overflow:hidden">
+      <tr><td style="background:${accent};color:#ffffff;padding:16px 24px;font-size:14px">${escapeHtml(systemName)}</td></tr>
+      <tr><td style="padding:24px">
+        <h1 style="margin:0 0 16px;font-size:20px">${escapeHtml(heading)}</h1>
+        <p style="margin:0 0 16px">${escapeHtml(greeting)}</p>
+        ${htmlParagraphs}${htmlAction}
+      </td></tr>
+      <tr><td style="padding:16px 24px;font-size:12px;color:#6b7280;border-top:1px solid #e5e7eb">${escapeHtml(footer)}</td></tr>
+    </table>
+  </body>
+</html>`
+
+  const text = [
+    heading,
+    "",
+    greeting,
+    "",
+    ...paragraphs.flatMap((paragraph) => [paragraph, ""]),
+    ...(action ? [`${action.label}: ${action.url}`, ""] : []),
+    "--",
+    footer,
+  ].join("\n")
+
+  return { html, text }
+}
+
+/**
+ * Render the email for a notification
+ * @param {Object} notification - Notification with type, title, message and data.actionUrl
+ * @param {Object} options - Rendering options
+ * @param {string} options.recipientName - First name of the recipient
+ * @param {string} options.systemName - System name from the general settings
+ * @param {string} options.clientUrl - Frontend base URL for relative action links
+ * @returns {{ subject: string, html: string, text: string }} Rendered email
+ */
+const renderNotificationEmail = (notification, { recipientName, systemName = DEFAULT_SYSTEM_NAME, clientUrl }) => {
+  const template = TYPE_TEMPLATES[notification.type] || TYPE_TEMPLATES.system_announcement
+  const actionUrl = absoluteUrl(clientUrl, (notification.data && notification.data.actionUrl) || "/")
+
+  const { html, text } = renderLayout({
+    systemName,
+    heading: notification.title,
+    greeting: recipientName ? `Dear ${recipientName},` : "Hello,",
+    paragraphs: String(notification.message).split(/\n{2,}/),
+    action: { label: template.actionLabel, url: actionUrl },
+    accent: template.accent,
+    footer: `You are receiving this because you have an account on the ${systemName}.`,
+  })
+
+  return { subject: notification.title, html, text }
+}
+
+/**
+ * Render the daily digest of notifications for users who asked for one
+ * @param {Object[]} notifications - Notifications with title and message, oldest first
+ * @param {Object} options - recipientName, systemName and clientUrl, as for renderNotificationEmail
+ * @returns {{ subject: string, html: string, text: string }} Rendered email
+ */
+const renderDigestEmail = (notifications, { recipientName, systemName = DEFAULT_SYSTEM_NAME, clientUrl }) => {
+  const count = notifications.length
+  const { html, text } = renderLayout({
+    systemName,
+    heading: "Your daily notification summary",
+    greeting: recipientName ? `Dear ${recipientName},` : "Hello,",
+    paragraphs: [
+      `You have ${count} unread notification${count === 1 ? "" : "s"}:`,
+      ...notifications.map((notification) => `${notification.title}: ${notification.message}`),
+    ],
+    action: { label: "Open the clearance portal", url: absoluteUrl(clientUrl, "/") },
+    footer: `You are receiving one summary a day because of your notification preferences on the ${systemName}.`,
+  })
+
+  return { subject: `${count} unread notification${count === 1 ? "" : "s"} - ${systemName}`, html, text }
+}
+
+/**
+ * Render the daily queue summary for a department officer
+ * @param {Object} digest - Department digest
+ * @param {string} digest.departmentName - Department
+ * @param {Object[]} digest.sections - { heading, items } where items are lines of text
+ * @param {Object} options - recipientName, systemName and clientUrl, as for renderNotificationEmail
+ * @returns {{ subject: string, html: string, text: string }} Rendered email
+ */
+const renderOfficerDigestEmail = ({ departmentName, sections }, { recipientName, systemName = DEFAULT_SYSTEM_NAME, clientUrl }) => {
+  const { html, text } = renderLayout({
+    systemName,
+    heading: `${departmentName}: daily clearance summary`,
+    greeting: recipientName ? `Dear ${recipientName},` : "Hello,",
+    paragraphs: sections.flatMap(({ heading, items }) => [heading, ...items.map((item) => `- ${item}`)]),
+    action: { label: "Open pending approvals", url: absoluteUrl(clientUrl, "/department/approvals") },
+    accent: TYPE_TEMPLATES.reminder.accent,
+    footer: `You are receiving this daily summary because you turned it on in your notification preferences on the ${systemName}.`,
+  })
+
+  return { subject: `${departmentName} clearance summary - ${systemName}`, html, text }
+}
+
+/**
+ * Render the email carrying a password reset link
+ * @param {Object} content - recipientName, resetUrl and expiresInMinutes
+ * @param {Object} options - systemName
+ * @returns {{ subject: string, html: string, text: string }} Rendered email
+ */
+const renderPasswordResetEmail = ({ recipientName, resetUrl, expiresInMinutes }, { systemName = DEFAULT_SYSTEM_NAME } = {}) => {
+  const { html, text } = renderLayout({
+    systemName,
+    heading: "Reset your password",
+    greeting: recipientName ? `Dear ${recipientName},` : "Hello,",
+    paragraphs: [
+      "We received a request to reset the password of your account. Use the button below to choose a new password.",
+      `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      "If you did not ask for this, you can ignore this email; your password will not change.",
+    ],
+    action: { label: "Reset password", url: resetUrl },
+    footer: `You are receiving this because a password reset was requested for your account on the ${systemName}.`,
+  })
+
+  return { subject: `Reset your password - ${systemName}`, html, text }
+}
+
+/**
+ * Render the email inviting someone to become a department officer
+ * @param {Object} content - departmentName, role, inviterName, acceptUrl and expiresInDays
+ * @param {Object} options - systemName
+ * @returns {{ subject: string, html: string, text: string }} Rendered email
+ */
+const renderOfficerInvitationEmail = (
+  { departmentName, role, inviterName, acceptUrl, expiresInDays },
+  { systemName = DEFAULT_SYSTEM_NAME } = {},
+) => {
+  const { html, text } = renderLayout({
+    systemName,
+    heading: `Join ${departmentName}`,
+    greeting: "Hello,",
+    paragraphs: [
+      `${inviterName || "An administrator"} has invited you to process clearances for ${departmentName} as ${role === "assistant" ? "an" : "a"} ${role}.`,
+      "Use the button below to create your own officer account. Your approvals will be recorded under your name.",
+      `The invitation expires in ${expiresInDays} days and can only be used once.`,
+    ],
+    action: { label: "Accept invitation", url: acceptUrl },
+    footer: `You are receiving this because an administrator of the ${systemName} invited this address.`,
+  })
+
+  return { subject: `Invitation to join ${departmentName} - ${systemName}`, html, text }
+}
+
+module.exports = {
+  renderNotificationEmail,
+  renderDigestEmail,
+  renderOfficerDigestEmail,
+  renderPasswordResetEmail,
+  renderOfficerInvitationEmail,
+}
@@ -0,0 +1,10 @@
+// utils/httpError.js
+// Error carrying an HTTP status, thrown by services and mapped to a response by the routes
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+module.exports = httpError
@@ -0,0 +1,85 @@
+// utils/mailer.js
+// Mail transports picked by EMAIL_TRANSPORT: "smtp" (default in production), "file" (writes
+// .eml files to MAIL_DIR for local testing) or "stdout" (prints each message; default elsewhere).
+// Every transport exposes sendMail(message) resolving to { messageId }.
+
+const fs = require("fs")
+const path = require("path")
+const nodemailer = require("nodemailer")
+
+const MAIL_DIR = process.env.MAIL_DIR || "mail"
+
+const getTransportType = () => process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "stdout")
+
+// Renders the full RFC 822 message without sending it anywhere
+const createStreamTransport = (deliver) => {
+  const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" })
+
+  return {
+    sendMail: async (message) => {
+      const info = await transport.sendMail(message)
+      await deliver(info)
+      return { messageId: info.messageId }
+    },
+  }
+}
+
+const createFileTransport = () =>
+  createStreamTransport(async (info) => {
+    await fs.promises.mkdir(MAIL_DIR, { recursive: true })
+    const name = `${Date.now()}-${info.messageId.replace(/[<>]/g, "").replace(/[^\w.-]/g, "_")}.eml`
+    await fs.promises.writeFile(path.join(MAIL_DIR, name), info.message)
+  })
+
+const createStdoutTransport = () =>
+  createStreamTransport(async (info) => {
+    process.stdout.write(`----- email ${info.messageId} -----\n${info.message.toString()}\n----- end of email -----\n`)
+  })
+
+/**
+ * Create an SMTP transport
+ * @param {Object} config - host, port, user and password
+ * @returns {Object} Transport with sendMail
+ */
+const createSmtpTransport = ({ host, port, user, password }) => {
+  if (!host) {
+    throw new Error("SMTP host is not configured")
+  }
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass: password } : undefined,
+  })
+
+  return {
+    sendMail: async (message) => {
+      const info = await transport.sendMail(message)
+      return { messageId: info.messageId }
+    },
+  }
+}
+
+/**
+ * Create the transport selected by EMAIL_TRANSPORT
+ * @param {Object} smtpConfig - Used by the smtp transport only
+ * @returns {Object} Transport with sendMail
+ */
+const createTransport = (smtpConfig = {}, type = getTransportType()) => {
+  switch (type) {
+    case "smtp":
+      return createSmtpTransport(smtpConfig)
+    case "file":
+      return createFileTransport()
+    case "stdout":
+      return createStdoutTransport()
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${type}`)
+  }
+}
+
+module.exports = {
+  getTransportType,
+  createTransport,
+}
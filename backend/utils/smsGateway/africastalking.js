@@ -0,0 +1,44 @@
+// utils/smsGateway/africastalking.js
+// Africa's Talking adapter (https://developers.africastalking.com/docs/sms/sending/bulk)
+
+const { requestJson } = require("./http")
+
+const LIVE_URL = "https://api.africastalking.com/version1/messaging"
+const SANDBOX_URL = "https://api.sandbox.africastalking.com/version1/messaging"
+
+/**
+ * Create an Africa's Talking gateway
+ * @param {Object} options - username, apiKey, senderId and timeout; the "sandbox" username uses the sandbox API
+ * @returns {{ name: string, send: Function }} Gateway
+ */
+const createAfricasTalkingGateway = ({ username, apiKey, senderId, timeout }) => {
+  if (!username || !apiKey) {
+    throw new Error("AT_USERNAME and AT_API_KEY are required for the africastalking SMS gateway")
+  }
+
+  return {
+    name: "africastalking",
+
+    async send({ to, message }) {
+      const form = new URLSearchParams({ username, to: `+${to}`, message })
+      if (senderId) form.set("from", senderId)
+
+      const data = await requestJson(username === "sandbox" ? SANDBOX_URL : LIVE_URL, {
+        method: "POST",
+        headers: { apiKey, Accept: "application/json", "Content-Type": "application/x-www-form-urlencoded" },
+        body: form.toString(),
+        timeout,
+      })
+
+      const recipient = data.SMSMessageData && data.SMSMessageData.Recipients && data.SMSMessageData.Recipients[0]
+      if (!recipient || recipient.status !== "Success") {
+        throw new Error(`Africa's Talking rejected the message: ${recipient ? recipient.status : data.SMSMessageData?.Message}`)
+      }
+      return { messageId: recipient.messageId }
+    },
+  }
+}
+
+module.exports = {
+  createAfricasTalkingGateway,
+}
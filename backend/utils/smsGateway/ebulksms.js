@@ -0,0 +1,48 @@
+// utils/smsGateway/ebulksms.js
+// EBulkSMS adapter (https://www.ebulksms.com/developers/json)
+
+const crypto = require("crypto")
+const { requestJson } = require("./http")
+
+/**
+ * Create an EBulkSMS gateway
+ * @param {Object} options - username, apiKey, senderId and timeout
+ * @returns {{ name: string, send: Function }} Gateway
+ */
+const createEbulkSmsGateway = ({ username, apiKey, senderId, timeout }) => {
+  if (!username || !apiKey) {
+    throw new Error("EBULKSMS_USERNAME and EBULKSMS_API_KEY are required for the ebulksms SMS gateway")
+  }
+
+  return {
+    name: "ebulksms",
+
+    async send({ to, message }) {
+      const messageId = crypto.randomUUID()
+      const data = await requestJson("https://api.ebulksms.com/sendsms.json", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          SMS: {
+            auth: { username, apikey: apiKey },
+            message: { sender: senderId, messagetext: message, flash: "0" },
+            recipients: { gsm: [{ msidn: to, msgid: messageId }] },
+            // Route through the DND-compliant corporate channel
+            dndsender: 1,
+          },
+        }),
+        timeout,
+      })
+
+      const status = data.response && data.response.status
+      if (status !== "SUCCESS") {
+        throw new Error(`EBulkSMS rejected the message: ${status || "no status returned"}`)
+      }
+      return { messageId }
+    },
+  }
+}
+
+module.exports = {
+  createEbulkSmsGateway,
+}
@@ -0,0 +1,29 @@
+// utils/smsGateway/http.js
+// Shared HTTP helper for gateway adapters
+
+/**
+ * Send a request and parse the JSON reply, failing on HTTP errors
+ * @param {string} url - Endpoint
+ * @param {Object} options - fetch options; timeout in ms
+ * @returns {Promise<Object>} Parsed body
+ */
+const requestJson = async (url, { timeout = 15000, ...options }) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeout) })
+  const body = await response.text()
+
+  let data
+  try {
+    data = body ? JSON.parse(body) : {}
+  } catch {
+    data = { raw: body }
+  }
+
+  if (!response.ok) {
+    throw new Error(`Gateway responded with HTTP ${response.status}: ${data.message || body.slice(0, 200)}`)
+  }
+  return data
+}
+
+module.exports = {
+  requestJson,
+}
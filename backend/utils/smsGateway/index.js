@@ -0,0 +1,57 @@
+// utils/smsGateway/index.js
+// Picks the SMS gateway adapter from SMS_GATEWAY ("termii", "africastalking", "ebulksms" or
+// "mock", the default). Every adapter exposes send({ to, message }) with `to` in 234XXXXXXXXXX
+// format, resolving to { messageId } and rejecting when the gateway refuses the message.
+
+const { createTermiiGateway } = require("./termii")
+const { createAfricasTalkingGateway } = require("./africastalking")
+const { createEbulkSmsGateway } = require("./ebulksms")
+const { createMockGateway } = require("./mock")
+
+const createGateway = (type = process.env.SMS_GATEWAY || "mock") => {
+  const senderId = process.env.SMS_SENDER_ID || "BIU"
+  const timeout = Number.parseInt(process.env.SMS_TIMEOUT) || undefined
+
+  switch (type) {
+    case "termii":
+      return createTermiiGateway({
+        apiKey: process.env.TERMII_API_KEY,
+        channel: process.env.TERMII_CHANNEL,
+        senderId,
+        timeout,
+      })
+    case "africastalking":
+      return createAfricasTalkingGateway({
+        username: process.env.AT_USERNAME,
+        apiKey: process.env.AT_API_KEY,
+        senderId: process.env.SMS_SENDER_ID,
+        timeout,
+      })
+    case "ebulksms":
+      return createEbulkSmsGateway({
+        username: process.env.EBULKSMS_USERNAME,
+        apiKey: process.env.EBULKSMS_API_KEY,
+        senderId,
+        timeout,
+      })
+    case "mock":
+      return createMockGateway({
+        failNumbers: (process.env.SMS_MOCK_FAIL_NUMBERS || "").split(",").filter(Boolean),
+      })
+    default:
+      throw new Error(`Unknown SMS_GATEWAY: ${type}`)
+  }
+}
+
+let gateway = null
+
+// Shared gateway instance, created on first use
+const getGateway = () => {
+  if (!gateway) gateway = createGateway()
+  return gateway
+}
+
+module.exports = {
+  createGateway,
+  getGateway,
+}
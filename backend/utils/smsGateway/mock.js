@@ -0,0 +1,35 @@
+// utils/smsGateway/mock.js
+// Development adapter: keeps sent messages in memory and logs them instead of sending.
+// Numbers listed in SMS_MOCK_FAIL_NUMBERS fail, to exercise retries.
+
+const crypto = require("crypto")
+const logger = require("../logger")
+
+/**
+ * Create a mock gateway
+ * @param {Object} options - failNumbers that should be rejected
+ * @returns {{ name: string, send: Function, sent: Object[] }} Gateway
+ */
+const createMockGateway = ({ failNumbers = [] } = {}) => {
+  const sent = []
+
+  return {
+    name: "mock",
+    sent,
+
+    async send({ to, message }) {
+      if (failNumbers.includes(to)) {
+        throw new Error(`Mock gateway rejected ${to}`)
+      }
+
+      const messageId = crypto.randomUUID()
+      sent.push({ messageId, to, message, sentAt: new Date() })
+      logger.info(`[mock sms] to ${to}: ${message}`)
+      return { messageId }
+    },
+  }
+}
+
+module.exports = {
+  createMockGateway,
+}
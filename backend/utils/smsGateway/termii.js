@@ -0,0 +1,35 @@
+// utils/smsGateway/termii.js
+// Termii adapter (https://developers.termii.com/messaging-api)
+
+const { requestJson } = require("./http")
+
+/**
+ * Create a Termii gateway
+ * @param {Object} options - apiKey, senderId, channel ("generic" or "dnd"), baseUrl and timeout
+ * @returns {{ name: string, send: Function }} Gateway
+ */
+const createTermiiGateway = ({ apiKey, senderId, channel = "generic", baseUrl = "https://api.ng.termii.com", timeout }) => {
+  if (!apiKey) throw new Error("TERMII_API_KEY is required for the termii SMS gateway")
+
+  return {
+    name: "termii",
+
+    async send({ to, message }) {
+      const data = await requestJson(`${baseUrl}/api/sms/send`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ api_key: apiKey, to, from: senderId, sms: message, type: "plain", channel }),
+        timeout,
+      })
+
+      if (!data.message_id) {
+        throw new Error(`Termii rejected the message: ${data.message || "no message id returned"}`)
+      }
+      return { messageId: String(data.message_id) }
+    },
+  }
+}
+
+module.exports = {
+  createTermiiGateway,
+}
@@ -0,0 +1,76 @@
+// utils/smsText.js
+// SMS length handling. Messages in the GSM 03.38 alphabet fit 160 characters in one part
+// (153 per part when split); anything else is sent as UCS-2 at 70 (67 per part). Common
+// typographic characters are swapped for GSM ones first so one curly quote does not
+// halve the space available.
+
+const GSM_BASIC =
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà"
+// Characters sent as an escape sequence, taking two units each
+const GSM_EXTENDED = "^{}\\[~]|€\f"
+
+const REPLACEMENTS = [
+  [/[‘’‚′]/g, "'"],
+  [/[“”„″]/g, '"'],
+  [/[–—−]/g, "-"],
+  [/…/g, "..."],
+  [/ /g, " "],
+  [/₦/g, "N"], // Naira sign
+]
+
+const LIMITS = {
+  gsm: { single: 160, part: 153 },
+  ucs2: { single: 70, part: 67 },
+}
+
+const isGsmChar = (char) => GSM_BASIC.includes(char) || GSM_EXTENDED.includes(char)
+
+/**
+ * Replace typographic characters with GSM equivalents
+ * @param {string} text - Message text
+ * @returns {string} Text
+ */
+const toGsm = (text) => REPLACEMENTS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text)
+
+/**
+ * Measure a message
+ * @param {string} text - Message text
+ * @returns {{ encoding: string, units: number, segments: number }} Encoding, length in units and number of parts
+ */
+const measure = (text) => {
+  const chars = Array.from(text)
+  const encoding = chars.every(isGsmChar) ? "gsm" : "ucs2"
+  const units =
+    encoding === "gsm"
+      ? chars.reduce((total, char) => total + (GSM_EXTENDED.includes(char) ? 2 : 1), 0)
+      : // UCS-2 counts UTF-16 code units, so characters outside the BMP take two
+        text.length
+  const limit = LIMITS[encoding]
+  const segments = units <= limit.single ? 1 : Math.ceil(units / limit.part)
+
+  return { encoding, units, segments }
+}
+
+/**
+ * Normalise a message and shorten it to at most maxSegments parts
+ * @param {string} text - Message text
+ * @param {number} maxSegments - Largest number of parts allowed
+ * @returns {string} Message that fits
+ */
+const fitMessage = (text, maxSegments = 1) => {
+  const message = toGsm(String(text)).replace(/\s+/g, " ").trim()
+  if (measure(message).segments <= maxSegments) return message
+
+  // Drop characters from the end until the message and an ellipsis fit
+  const chars = Array.from(message)
+  while (chars.length > 0 && measure(`${chars.join("").trimEnd()}...`).segments > maxSegments) {
+    chars.pop()
+  }
+  return `${chars.join("").trimEnd()}...`
+}
+
+module.exports = {
+  toGsm,
+  measure,
+  fitMessage,
+}
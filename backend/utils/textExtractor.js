@@ -0,0 +1,82 @@
+// utils/textExtractor.js
+// Pulls searchable text out of uploaded documents: the text layer of PDFs, the body of
+// Word files, and OCR (the tesseract CLI) for images.
+
+const fs = require("fs")
+const path = require("path")
+const { execFile } = require("child_process")
+// The package entry point runs a self-test when required directly, so load the library file
+const pdfParse = require("pdf-parse/lib/pdf-parse.js")
+const mammoth = require("mammoth")
+
+// Stored text is capped so a large scan cannot bloat the Document
+const MAX_TEXT_LENGTH = 100000
+
+const OCR_TIMEOUT = Number.parseInt(process.env.OCR_TIMEOUT) || 60000
+
+const normalize = (text) =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH)
+
+const extractPdf = async (filePath) => {
+  const { text } = await pdfParse(await fs.promises.readFile(filePath))
+  return text
+}
+
+const extractDocx = async (filePath) => {
+  const { value } = await mammoth.extractRawText({ path: filePath })
+  return value
+}
+
+const extractOcr = (filePath) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      process.env.TESSERACT_PATH || "tesseract",
+      [filePath, "stdout", "-l", process.env.OCR_LANGUAGES || "eng"],
+      { timeout: OCR_TIMEOUT, maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout) => {
+        if (error) {
+          reject(new Error(error.code === "ENOENT" ? "tesseract is not installed" : `OCR failed: ${error.message}`))
+        } else {
+          resolve(stdout)
+        }
+      },
+    )
+  })
+
+const EXTRACTORS = [
+  { method: "pdf", matches: (mimetype, ext) => mimetype === "application/pdf" || ext === ".pdf", extract: extractPdf },
+  {
+    method: "docx",
+    matches: (mimetype, ext) =>
+      mimetype === "application/vnd.openxmlformats-officedocument.wordprocessingml.document" || ext === ".docx",
+    extract: extractDocx,
+  },
+  { method: "ocr", matches: (mimetype) => mimetype.startsWith("image/"), extract: extractOcr },
+  { method: "plain", matches: (mimetype, ext) => mimetype === "text/plain" || ext === ".txt", extract: (file) => fs.promises.readFile(file, "utf8") },
+]
+
+/**
+ * Extract text from a file
+ * @param {string} filePath - File on disk
+ * @param {string} mimetype - MIME type
+ * @param {string} filename - Original name, for the extension fallback
+ * @returns {Promise<{ text: string, method: string }|null>} Text and the method used, or null if unsupported
+ */
+const extractText = async (filePath, mimetype = "", filename = filePath) => {
+  const ext = path.extname(filename).toLowerCase()
+  const extractor = EXTRACTORS.find((candidate) => candidate.matches(mimetype, ext))
+  if (!extractor) return null
+
+  const text = await extractor.extract(filePath)
+  return { text: normalize(text || ""), method: extractor.method }
+}
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  extractText,
+}
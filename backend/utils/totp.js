@@ -0,0 +1,117 @@
+// utils/totp.js
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, 30-second steps, secrets shared as base32
+
+const crypto = require("crypto")
+
+const STEP_SECONDS = 30
+const DIGITS = 6
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ""
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, "")
+  let bits = 0
+  let value = 0
+  const bytes = []
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) throw new Error("Invalid base32 secret")
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+// HOTP (RFC 4226) for one counter value
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8)
+  message.writeBigUInt64BE(BigInt(counter))
+  const hmac = crypto.createHmac("sha1", key).update(message).digest()
+  const offset = hmac[hmac.length - 1] & 15
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0")
+}
+
+const timeStep = (at = Date.now()) => Math.floor(at / 1000 / STEP_SECONDS)
+
+/**
+ * Generate a new random secret
+ * @returns {string} 160-bit secret in base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+/**
+ * The code an authenticator app shows for a secret at a given time
+ * @param {string} secret - Base32 secret
+ * @param {number} [at] - Time in milliseconds
+ * @returns {string} Six-digit code
+ */
+const generateCode = (secret, at = Date.now()) => hotp(base32Decode(secret), timeStep(at))
+
+/**
+ * Check a code, allowing for clock drift of one step either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - window (steps either side) and at (time in milliseconds)
+ * @returns {number|null} The time step the code belongs to, or null when it does not match
+ */
+const verifyCode = (secret, code, { window = 1, at = Date.now() } = {}) => {
+  const candidate = String(code || "").replace(/\s/g, "")
+  if (!/^\d{6}$/.test(candidate)) return null
+
+  const key = base32Decode(secret)
+  const current = timeStep(at)
+  for (let step = Math.max(0, current - window); step <= current + window; step++) {
+    const expected = hotp(key, step)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step
+    }
+  }
+  return null
+}
+
+/**
+ * otpauth:// URL that authenticator apps read from the enrollment QR code
+ * @param {Object} options - secret, accountName (usually the email) and issuer
+ * @returns {string} otpauth URL
+ */
+const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  })
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+}
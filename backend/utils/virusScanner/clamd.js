@@ -0,0 +1,80 @@
+// utils/virusScanner/clamd.js
+// ClamAV daemon adapter using the INSTREAM command over a unix socket or TCP
+
+const fs = require("fs")
+const net = require("net")
+
+const CHUNK_SIZE = 64 * 1024
+
+// clamd could not be reached at all, as opposed to failing on one file
+const unavailable = (message) => Object.assign(new Error(message), { code: "SCANNER_UNAVAILABLE" })
+
+/**
+ * Create a clamd-backed scanner
+ * @param {Object} options - socketPath, or host and port; timeout in ms
+ * @returns {{ name: string, scanFile: Function }} Scanner
+ */
+const createClamdScanner = ({ socketPath, host = "127.0.0.1", port = 3310, timeout = 30000 } = {}) => {
+  const connect = () => (socketPath ? net.createConnection(socketPath) : net.createConnection(port, host))
+
+  const scanFile = (filePath) =>
+    new Promise((resolve, reject) => {
+      const socket = connect()
+      const response = []
+      let settled = false
+      let connected = false
+
+      const finish = (error, result) => {
+        if (settled) return
+        settled = true
+        socket.destroy()
+        if (error) reject(error)
+        else resolve(result)
+      }
+
+      socket.setTimeout(timeout, () => {
+        const message = `clamd did not respond within ${timeout}ms`
+        finish(connected ? new Error(message) : unavailable(message))
+      })
+      socket.on("error", (error) => {
+        const message = `clamd connection failed: ${error.message}`
+        finish(connected ? new Error(message) : unavailable(message))
+      })
+      socket.on("data", (chunk) => response.push(chunk))
+      socket.on("end", () => {
+        // Replies look like "stream: OK", "stream: <threat> FOUND" or "<message> ERROR"
+        const reply = Buffer.concat(response).toString("utf8").replace(/\0/g, "").trim()
+        const found = reply.match(/^stream: (.+) FOUND$/)
+
+        if (found) return finish(null, { infected: true, threat: found[1] })
+        if (reply === "stream: OK") return finish(null, { infected: false })
+        return finish(new Error(`Unexpected clamd reply: ${reply || "(empty)"}`))
+      })
+
+      socket.on("connect", () => {
+        connected = true
+        socket.write("zINSTREAM\0")
+
+        const stream = fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE })
+        stream.on("error", (error) => finish(error))
+        stream.on("data", (data) => {
+          const size = Buffer.alloc(4)
+          size.writeUInt32BE(data.length, 0)
+          if (!socket.write(Buffer.concat([size, data]))) {
+            stream.pause()
+            socket.once("drain", () => stream.resume())
+          }
+        })
+        stream.on("end", () => socket.write(Buffer.alloc(4)))
+      })
+    })
+
+  return {
+    name: "clamd",
+    scanFile,
+  }
+}
+
+module.exports = {
+  createClamdScanner,
+}
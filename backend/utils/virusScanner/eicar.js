@@ -0,0 +1,25 @@
+// utils/virusScanner/eicar.js
+// Development adapter: flags files containing the EICAR test signature and nothing else.
+// It does not detect real malware and must not be used in production.
+
+const fs = require("fs")
+
+// Split so this source file is not itself flagged by real scanners
+const EICAR_SIGNATURE = "X5O!P%@AP[4\\PZX54(P^)7CC)7}$" + "EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*"
+
+const createEicarScanner = () => ({
+  name: "eicar",
+
+  async scanFile(filePath) {
+    const content = await fs.promises.readFile(filePath)
+    if (content.includes(EICAR_SIGNATURE)) {
+      return { infected: true, threat: "Eicar-Test-Signature" }
+    }
+    return { infected: false }
+  },
+})
+
+module.exports = {
+  EICAR_SIGNATURE,
+  createEicarScanner,
+}
@@ -0,0 +1,37 @@
+// utils/virusScanner/index.js
+// Picks the scanner adapter from VIRUS_SCANNER ("clamd" or "eicar").
+// Every adapter exposes scanFile(filePath) resolving to { infected, threat? } and
+// rejects when the file could not be scanned. The error has code "SCANNER_UNAVAILABLE"
+// when the scanner itself could not be reached.
+
+const { createClamdScanner } = require("./clamd")
+const { createEicarScanner } = require("./eicar")
+
+const createScanner = (type = process.env.VIRUS_SCANNER || (process.env.NODE_ENV === "production" ? "clamd" : "eicar")) => {
+  switch (type) {
+    case "clamd":
+      return createClamdScanner({
+        socketPath: process.env.CLAMD_SOCKET,
+        host: process.env.CLAMD_HOST,
+        port: Number.parseInt(process.env.CLAMD_PORT) || undefined,
+        timeout: Number.parseInt(process.env.CLAMD_TIMEOUT) || undefined,
+      })
+    case "eicar":
+      return createEicarScanner()
+    default:
+      throw new Error(`Unknown VIRUS_SCANNER: ${type}`)
+  }
+}
+
+let scanner = null
+
+// Shared scanner instance, created on first use
+const getScanner = () => {
+  if (!scanner) scanner = createScanner()
+  return scanner
+}
+
+module.exports = {
+  createScanner,
+  getScanner,
+}
@@ -0,0 +1,199 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import notificationService from "../../src/services/notificationService"
+
+const NOTIFICATION_TYPES = [
+  { value: "clearance_submitted", label: "Application submitted" },
+  { value: "clearance_approved", label: "Department approved" },
+  { value: "clearance_rejected", label: "Department rejected" },
+  { value: "clearance_completed", label: "Clearance completed" },
+  { value: "document_uploaded", label: "Document updates" },
+  { value: "deadline_approaching", label: "Deadline reminders" },
+  { value: "reminder", label: "Other reminders" },
+  { value: "system_announcement", label: "Announcements" },
+]
+
+const EXTRA_CHANNELS = [
+  { value: "email", label: "Email" },
+  { value: "sms", label: "SMS" },
+]
+
+/**
+ * Notification Preferences Component
+ * Lets the user pick email/SMS per notification type, quiet hours and a daily digest
+ * In-app notifications are always on; types left on "Default" use the system's choice
+ */
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [success, setSuccess] = useState("")
+  const [error, setError] = useState("")
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const data = await notificationService.getPreferences()
+        setPreferences(data)
+      } catch (err) {
+        setError("Failed to load notification preferences.")
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchPreferences()
+  }, [])
+
+  const isCustom = (type) => Array.isArray(preferences.channels[type])
+
+  const toggleDefault = (type) => {
+    const channels = { ...preferences.channels }
+    if (isCustom(type)) {
+      channels[type] = null
+    } else {
+      channels[type] = []
+    }
+    setPreferences({ ...preferences, channels })
+  }
+
+  const toggleChannel = (type, channel) => {
+    const current = preferences.channels[type] || []
+    const next = current.includes(channel) ? current.filter((c) => c !== channel) : [...current, channel]
+    setPreferences({ ...preferences, channels: { ...preferences.channels, [type]: next } })
+  }
+
+  const updateQuietHours = (changes) => {
+    setPreferences({ ...preferences, quietHours: { ...preferences.quietHours, ...changes } })
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    setError("")
+    setSuccess("")
+    try {
+      const data = await notificationService.updatePreferences(preferences)
+      setPreferences(data)
+      setSuccess("Notification preferences saved.")
+    } catch (err) {
+      setError("Failed to save notification preferences.")
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return <div className="bg-white rounded-lg shadow p-6 mt-6 text-gray-500">Loading notification preferences...</div>
+  }
+
+  if (!preferences) {
+    return <div className="bg-white rounded-lg shadow p-6 mt-6 text-red-600">{error}</div>
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mt-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Notification Preferences</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        You always get notifications in the app. Choose where else each kind of notification should reach you.
+      </p>
+      {success && <div className="text-green-600 mb-4">{success}</div>}
+      {error && <div className="text-red-600 mb-4">{error}</div>}
+
+      <table className="w-full text-sm mb-6">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-2 font-medium">Notification</th>
+            <th className="py-2 font-medium">Default</th>
+            {EXTRA_CHANNELS.map((channel) => (
+              <th key={channel.value} className="py-2 font-medium">
+                {channel.label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {NOTIFICATION_TYPES.map((type) => (
+            <tr key={type.value} className="border-t">
+              <td className="py-2 text-gray-900">{type.label}</td>
+              <td className="py-2">
+                <input type="checkbox" checked={!isCustom(type.value)} onChange={() => toggleDefault(type.value)} />
+              </td>
+              {EXTRA_CHANNELS.map((channel) => (
+                <td key={channel.value} className="py-2">
+                  <input
+                    type="checkbox"
+                    disabled={!isCustom(type.value)}
+                    checked={isCustom(type.value) && preferences.channels[type.value].includes(channel.value)}
+                    onChange={() => toggleChannel(type.value, channel.value)}
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <div>
+          <label className="flex items-center gap-2 text-gray-900 mb-2">
+            <input
+              type="checkbox"
+              checked={preferences.quietHours.enabled}
+              onChange={(e) => updateQuietHours({ enabled: e.target.checked })}
+            />
+            Quiet hours
+          </label>
+          <div className="flex items-center gap-2">
+            <input
+              type="time"
+              value={preferences.quietHours.start}
+              disabled={!preferences.quietHours.enabled}
+              onChange={(e) => updateQuietHours({ start: e.target.value })}
+              className="border rounded px-3 py-2"
+            />
+            <span className="text-gray-500">to</span>
+            <input
+              type="time"
+              value={preferences.quietHours.end}
+              disabled={!preferences.quietHours.enabled}
+              onChange={(e) => updateQuietHours({ end: e.target.value })}
+              className="border rounded px-3 py-2"
+            />
+          </div>
+          <p className="text-xs text-gray-500 mt-1">Emails and SMS wait until quiet hours end, except urgent ones.</p>
+        </div>
+        <div>
+          <span className="block text-gray-900 mb-2">Email delivery</span>
+          <select
+            value={preferences.digest}
+            onChange={(e) => setPreferences({ ...preferences, digest: e.target.value })}
+            className="block w-full border rounded px-3 py-2"
+          >
+            <option value="immediate">Send each email immediately</option>
+            <option value="daily">One daily summary email</option>
+          </select>
+          <p className="text-xs text-gray-500 mt-1">Important notifications are always emailed immediately.</p>
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-gray-900 mb-6">
+        <input
+          type="checkbox"
+          checked={preferences.smsOptOut}
+          onChange={(e) => setPreferences({ ...preferences, smsOptOut: e.target.checked })}
+        />
+        Never send me SMS
+      </label>
+
+      <button
+        onClick={handleSave}
+        disabled={saving}
+        className="bg-blue-600 text-white px-6 py-2 rounded shadow hover:bg-blue-700 disabled:opacity-50"
+      >
+        {saving ? "Saving..." : "Save Preferences"}
+      </button>
+    </div>
+  )
+}
+
+export default NotificationPreferences
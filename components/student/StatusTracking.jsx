@@ -20,6 +20,7 @@ import {
   FileText,
   User,
   Building,
+  Lock,
   X,
 } from "lucide-react"
 
@@ -36,6 +37,9 @@ const StatusTracking = () => {
   const [refreshing, setRefreshing] = useState(false)
   const [selectedDepartment, setSelectedDepartment] = useState(null)
   const [error, setError] = useState(null)
+  const [resubmitNote, setResubmitNote] = useState("")
+  const [resubmitFiles, setResubmitFiles] = useState([])
+  const [resubmitting, setResubmitting] = useState(false)
 
   // Fetch real clearance data from backend
   useEffect(() => {
@@ -89,6 +93,64 @@ const StatusTracking = () => {
     await loadClearanceStatus();
   }
 
+  /**
+   * Send a rejected department back for review with new documents
+   */
+  const handleResubmit = async () => {
+    if (!selectedDepartment || !clearanceData) return
+
+    setResubmitting(true)
+    try {
+      const token = localStorage.getItem("token") || sessionStorage.getItem("token")
+      const formData = new FormData()
+      resubmitFiles.forEach((file) => formData.append("documents", file))
+      if (resubmitNote.trim()) formData.append("note", resubmitNote.trim())
+
+      await require("@/services/apiService").apiService.resubmitDepartment(
+        clearanceData._id,
+        selectedDepartment._id,
+        formData,
+        token,
+      )
+      showNotification({
+        type: "success",
+        title: "Resubmitted",
+        message: `${selectedDepartment.departmentName} will review your clearance again`,
+      })
+      setResubmitNote("")
+      setResubmitFiles([])
+      setSelectedDepartment(null)
+      await loadClearanceStatus()
+    } catch (err) {
+      showNotification({
+        type: "error",
+        title: "Resubmission failed",
+        message: err.response?.data?.message || err.message,
+      })
+    } finally {
+      setResubmitting(false)
+    }
+  }
+
+  /**
+   * Open or download a document through a short-lived signed link
+   * @param {Object} doc - Document from the clearance
+   * @param {"inline"|"attachment"} disposition - How the browser should handle the file
+   */
+  const openDocument = async (doc, disposition) => {
+    try {
+      const token = localStorage.getItem("token") || sessionStorage.getItem("token")
+      const link = await require("@/services/apiService").apiService.getDocumentLink(doc._id, token, disposition)
+      window.open(link.url, "_blank", "noopener")
+    } catch (err) {
+      showNotification({
+        type: "error",
+        title: "Could not open document",
+        message: err.response?.data?.message || err.message,
+      })
+    }
+  }
+
   /**
    * Get status icon and color
    * @param {string} status - Status value
@@ -117,6 +179,13 @@ const StatusTracking = () => {
           bgColor: "bg-red-100",
           borderColor: "border-red-200",
         }
+      case "blocked":
+        return {
+          icon: Lock,
+          color: "text-gray-500",
+          bgColor: "bg-gray-100",
+          borderColor: "border-gray-200",
+        }
       default:
         return {
           icon: AlertCircle,
@@ -144,6 +213,31 @@ const StatusTracking = () => {
     })
   }
 
+  /**
+   * Get the names of departments a blocked department is waiting on
+   * @param {Object} department - Clearance department item
+   * @returns {string[]} Department names
+   */
+  const getWaitingFor = (department) => {
+    const prerequisites = (department.prerequisites || []).map((id) => id.toString())
+    return (clearanceData?.departments || [])
+      .filter((d) => prerequisites.includes(d.departmentId?.toString()) && d.status !== "approved")
+      .map((d) => d.departmentName)
+  }
+
+  /**
+   * Count completed required checklist items for a department
+   * @param {Object} department - Clearance department item
+   * @returns {{ completed: number, total: number }} Required requirement progress
+   */
+  const getRequirementProgress = (department) => {
+    const required = (department.requirements || []).filter((r) => r.isRequired !== false)
+    return {
+      completed: required.filter((r) => r.completed).length,
+      total: required.length,
+    }
+  }
+
   /**
    * Get progress percentage
    * @returns {number} Progress percentage
@@ -323,6 +417,13 @@ const StatusTracking = () => {
                       {department.status.charAt(0).toUpperCase() + department.status.slice(1)}
                     </div>
 
+                    {department.status === "blocked" && (
+                      <div className="flex items-center text-xs text-gray-500">
+                        <Lock className="h-3 w-3 mr-1" />
+                        Waiting for {getWaitingFor(department).join(", ")}
+                      </div>
+                    )}
+
                     {department.approvedAt && (
                       <div className="flex items-center text-xs text-gray-500">
                         <Calendar className="h-3 w-3 mr-1" />
@@ -348,7 +449,26 @@ const StatusTracking = () => {
                   {/* Requirements Progress */}
                   {department.requirements && department.requirements.length > 0 && (
                     <div className="mt-3 pt-3 border-t border-gray-200">
-                      <div className="text-xs text-gray-500 mb-2">Requirements:</div>
+                      <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                        <span>Requirements:</span>
+                        <span>
+                          {getRequirementProgress(department).completed} of {getRequirementProgress(department).total}{" "}
+                          required complete
+                        </span>
+                      </div>
+                      {getRequirementProgress(department).total > 0 && (
+                        <div className="w-full bg-gray-200 rounded-full h-1.5 mb-2">
+                          <div
+                            className="bg-green-500 h-1.5 rounded-full transition-all duration-300"
+                            style={{
+                              width: `${Math.round(
+                                (getRequirementProgress(department).completed / getRequirementProgress(department).total) *
+                                  100,
+                              )}%`,
+                            }}
+                          />
+                        </div>
+                      )}
                       <div className="space-y-1">
                         {department.requirements.slice(0, 2).map((req, index) => (
                           <div key={index} className="flex items-center text-xs">
@@ -397,6 +517,13 @@ const StatusTracking = () => {
                       </span>
                     </div>
 
+                    {selectedDepartment.status === "blocked" && (
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm text-gray-500">Waiting For:</span>
+                        <span className="text-sm text-gray-900">{getWaitingFor(selectedDepartment).join(", ")}</span>
+                      </div>
+                    )}
+
                     {selectedDepartment.submittedAt && (
                       <div className="flex items-center justify-between">
                         <span className="text-sm text-gray-500">Submitted:</span>
@@ -436,11 +563,70 @@ const StatusTracking = () => {
                       </div>
                     </div>
                   )}
+
+                  {/* Resubmission */}
+                  {selectedDepartment.status === "rejected" && (
+                    <div className="mt-4 space-y-2">
+                      <h5 className="text-sm font-medium text-gray-900">Resubmit to {selectedDepartment.departmentName}</h5>
+                      <textarea
+                        value={resubmitNote}
+                        onChange={(e) => setResubmitNote(e.target.value)}
+                        rows={3}
+                        placeholder="Explain what you have corrected"
+                        className="w-full rounded-md border border-gray-300 p-2 text-sm focus:border-blue-500 focus:ring-blue-500"
+                      />
+                      <input
+                        type="file"
+                        multiple
+                        accept=".pdf,.doc,.docx,.jpg,.jpeg,.png"
+                        onChange={(e) => setResubmitFiles(Array.from(e.target.files || []))}
+                        className="block w-full text-sm text-gray-500"
+                      />
+                      <button
+                        onClick={handleResubmit}
+                        disabled={resubmitting}
+                        className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-60"
+                      >
+                        <RefreshCw className={`h-4 w-4 mr-2 ${resubmitting ? "animate-spin" : ""}`} />
+                        Resubmit
+                      </button>
+                    </div>
+                  )}
+
+                  {/* Rejection History */}
+                  {selectedDepartment.rejectionHistory && selectedDepartment.rejectionHistory.length > 0 && (
+                    <div className="mt-4">
+                      <h5 className="text-sm font-medium text-gray-900 mb-2">Rejection History:</h5>
+                      <ol className="space-y-2">
+                        {selectedDepartment.rejectionHistory.map((entry, index) => (
+                          <li key={entry._id || index} className="border-l-2 border-red-200 pl-3 text-sm">
+                            <p className="text-red-800">{entry.reason}</p>
+                            <p className="text-xs text-gray-400">Rejected: {formatDate(entry.rejectedAt)}</p>
+                            {entry.resubmittedAt && (
+                              <p className="text-xs text-gray-500 mt-1">
+                                Resubmitted {formatDate(entry.resubmittedAt)}
+                                {entry.documents?.length > 0 && ` with ${entry.documents.length} document(s)`}
+                                {entry.resubmissionNote && `: ${entry.resubmissionNote}`}
+                              </p>
+                            )}
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  )}
                 </div>
 
                 {/* Requirements */}
                 <div>
-                  <h4 className="text-sm font-medium text-gray-900 mb-3">Requirements</h4>
+                  <div className="flex items-center justify-between mb-3">
+                    <h4 className="text-sm font-medium text-gray-900">Requirements</h4>
+                    {getRequirementProgress(selectedDepartment).total > 0 && (
+                      <span className="text-xs text-gray-500">
+                        {getRequirementProgress(selectedDepartment).completed} of{" "}
+                        {getRequirementProgress(selectedDepartment).total} required complete
+                      </span>
+                    )}
+                  </div>
                   {selectedDepartment.requirements && selectedDepartment.requirements.length > 0 ? (
                     <div className="space-y-2">
                       {selectedDepartment.requirements.map((req, index) => (
@@ -453,7 +639,9 @@ const StatusTracking = () => {
                           <div className="flex-1 min-w-0">
                             <p className={`text-sm ${req.completed ? "text-green-900" : "text-gray-900"}`}>
                               {req.name}
+                              {req.isRequired === false && <span className="ml-1 text-xs text-gray-400">(optional)</span>}
                             </p>
+                            {req.description && <p className="text-xs text-gray-500 mt-1">{req.description}</p>}
                             {req.notes && <p className="text-xs text-gray-500 mt-1">{req.notes}</p>}
                             {req.completedAt && (
                               <p className="text-xs text-gray-400 mt-1">Completed: {formatDate(req.completedAt)}</p>
@@ -529,7 +717,7 @@ const StatusTracking = () => {
                 </h3>
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
                   {clearanceData.documents.map((document) => (
-                    <div key={document.id} className="border border-gray-200 rounded-lg p-4">
+                    <div key={document._id} className="border border-gray-200 rounded-lg p-4">
                       <div className="flex items-center space-x-3">
                         <FileText className="h-8 w-8 text-blue-600" />
                         <div className="flex-1 min-w-0">
@@ -537,24 +725,19 @@ const StatusTracking = () => {
                           <p className="text-xs text-gray-500">
                             {document.size && `${Math.round(document.size / 1024)} KB`}
                           </p>
-                          <p className="text-xs text-gray-400">Uploaded: {formatDate(document.uploadedAt)}</p>
+                          <p className="text-xs text-gray-400">Uploaded: {formatDate(document.createdAt)}</p>
                         </div>
                       </div>
                       <div className="mt-3 flex space-x-2">
                         <button
-                          onClick={() => window.open(document.url, "_blank")}
+                          onClick={() => openDocument(document, "inline")}
                           className="flex-1 bg-blue-50 text-blue-600 px-3 py-1 rounded text-xs font-medium hover:bg-blue-100"
                         >
                           <Eye className="h-3 w-3 inline mr-1" />
                           View
                         </button>
                         <button
-                          onClick={() => {
-                            const link = document.createElement("a")
-                            link.href = document.url
-                            link.download = document.originalName
-                            link.click()
-                          }}
+                          onClick={() => openDocument(document, "attachment")}
                           className="flex-1 bg-gray-50 text-gray-600 px-3 py-1 rounded text-xs font-medium hover:bg-gray-100"
                         >
                           <Download className="h-3 w-3 inline mr-1" />
@@ -20,7 +20,13 @@ interface User {
 interface AuthContextType {
   user: User | null
   loading: boolean
-  login: (credentials: LoginCredentials) => Promise<void>
+  login: (credentials: LoginCredentials) => Promise<LoginChallenge | null>
+  completeTwoFactorLogin: (
+    challenge: LoginChallenge,
+    factor: { code?: string; recoveryCode?: string },
+    rememberMe?: boolean,
+  ) => Promise<void>
+  completeTwoFactorSetup: (challenge: LoginChallenge, code: string, rememberMe?: boolean) => Promise<string[]>
   logout: () => void
   updateProfile: (data: Partial<User>) => Promise<void>
   refreshToken: () => Promise<void>
@@ -34,6 +40,14 @@ interface LoginCredentials {
   rememberMe?: boolean
 }
 
+// Returned by login when the password was right but a second step is needed:
+// a code (twoFactorRequired) or enrolling first because the role requires it (twoFactorSetupRequired)
+export interface LoginChallenge {
+  challengeToken: string
+  twoFactorRequired?: boolean
+  twoFactorSetupRequired?: boolean
+}
+
 const AuthContext = createContext<AuthContextType | undefined>(undefined)
 
 export function AuthProvider({ children }: { children: ReactNode }) {
@@ -89,16 +103,23 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   }, [user])
 
+  const startSession = (data: any, rememberMe?: boolean) => {
+    const storage = rememberMe ? localStorage : sessionStorage;
+    storage.setItem("token", data.token);
+    storage.setItem("user", JSON.stringify(data.user));
+    setUser(data.user);
+  };
+
   const login = async (credentials: LoginCredentials) => {
     setLoading(true);
     try {
       const res = await apiService.login(credentials);
+      if (res.success && res.data && (res.data.twoFactorRequired || res.data.twoFactorSetupRequired)) {
+        return res.data as LoginChallenge;
+      }
       if (res.success && res.data && res.data.user) {
-        const user = res.data.user;
-        const storage = credentials.rememberMe ? localStorage : sessionStorage;
-        storage.setItem("token", res.data.token);
-        storage.setItem("user", JSON.stringify(user));
-        setUser(user);
+        startSession(res.data, credentials.rememberMe);
+        return null;
       } else {
         throw new Error(res.message || "Login failed");
       }
@@ -111,6 +132,22 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     }
   };
 
+  const completeTwoFactorLogin = async (
+    challenge: LoginChallenge,
+    factor: { code?: string; recoveryCode?: string },
+    rememberMe?: boolean,
+  ) => {
+    const res = await apiService.loginTwoFactor(challenge.challengeToken, factor);
+    startSession(res.data, rememberMe);
+  };
+
+  // Confirms the enrollment required at login; the recovery codes are only returned here
+  const completeTwoFactorSetup = async (challenge: LoginChallenge, code: string, rememberMe?: boolean) => {
+    const res = await apiService.enableLoginTwoFactor(challenge.challengeToken, code);
+    startSession(res.data, rememberMe);
+    return res.data.recoveryCodes as string[];
+  };
+
   const logout = () => {
     localStorage.removeItem("token");
     localStorage.removeItem("user");
@@ -150,6 +187,8 @@ export function AuthProvider({ children }: { children: ReactNode }) {
     user,
     loading,
     login,
+    completeTwoFactorLogin,
+    completeTwoFactorSetup,
     logout,
     updateProfile,
     refreshToken,
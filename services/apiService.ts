@@ -8,6 +8,18 @@ class ApiService {
     const res = await axios.post(`${API_BASE_URL}/auth/login`, credentials);
     return res.data;
   }
+  async loginTwoFactor(challengeToken: string, factor: { code?: string; recoveryCode?: string }) {
+    const res = await axios.post(`${API_BASE_URL}/auth/login/2fa`, { challengeToken, ...factor });
+    return res.data;
+  }
+  async beginLoginTwoFactorSetup(challengeToken: string) {
+    const res = await axios.post(`${API_BASE_URL}/auth/login/2fa/setup`, { challengeToken });
+    return res.data;
+  }
+  async enableLoginTwoFactor(challengeToken: string, code: string) {
+    const res = await axios.post(`${API_BASE_URL}/auth/login/2fa/enable`, { challengeToken, code });
+    return res.data;
+  }
   async register(userData: any) {
     const res = await axios.post(`${API_BASE_URL}/auth/register`, userData);
     return res.data;
@@ -26,6 +38,24 @@ class ApiService {
     const res = await axios.post(`${API_BASE_URL}/auth/forgot-password`, { email });
     return res.data;
   }
+  async resetPassword(token: string, password: string, confirmPassword: string) {
+    const res = await axios.post(`${API_BASE_URL}/auth/reset-password/${encodeURIComponent(token)}`, {
+      password,
+      confirmPassword,
+    });
+    return res.data;
+  }
+  async getInvitation(token: string) {
+    const res = await axios.get(`${API_BASE_URL}/auth/invitations/${encodeURIComponent(token)}`);
+    return res.data;
+  }
+  async acceptInvitation(
+    token: string,
+    details: { firstName: string; lastName: string; password: string; confirmPassword: string }
+  ) {
+    const res = await axios.post(`${API_BASE_URL}/auth/invitations/${encodeURIComponent(token)}/accept`, details);
+    return res.data;
+  }
   async getStudentDashboard(token: string) {
     const res = await axios.get(`${API_BASE_URL}/student/dashboard`, {
       headers: { Authorization: `Bearer ${token}` },
@@ -38,6 +68,44 @@ class ApiService {
     });
     return res.data;
   }
+  async uploadDocument(
+    file: File,
+    metadata: Record<string, string>,
+    token: string,
+    onProgress?: (percent: number) => void
+  ) {
+    const formData = new FormData();
+    formData.append("file", file);
+    Object.entries(metadata).forEach(([key, value]) => formData.append(key, value));
+    const res = await axios.post(`${API_BASE_URL}/student/documents/upload`, formData, {
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "multipart/form-data" },
+      onUploadProgress: (event) => {
+        if (event.total) onProgress?.(Math.round((event.loaded * 100) / event.total));
+      },
+    });
+    return res.data;
+  }
+  async deleteDocument(documentId: string, token: string) {
+    const res = await axios.delete(`${API_BASE_URL}/student/documents/${documentId}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return res.data;
+  }
+  async getDocumentLink(documentId: string, token: string, disposition: "attachment" | "inline" = "attachment") {
+    const res = await axios.get(`${API_BASE_URL}/files/documents/${documentId}/link`, {
+      headers: { Authorization: `Bearer ${token}` },
+      params: { disposition },
+    });
+    return { ...res.data.data, url: resolveApiUrl(res.data.data.url) };
+  }
+  async resubmitDepartment(clearanceId: string, departmentId: string, formData: FormData, token: string) {
+    const res = await axios.post(
+      `${API_BASE_URL}/student/clearance/${clearanceId}/departments/${departmentId}/resubmit`,
+      formData,
+      { headers: { Authorization: `Bearer ${token}`, "Content-Type": "multipart/form-data" } }
+    );
+    return res.data;
+  }
   async updateProfile(data: any, token: string) {
     const res = await axios.put(`${API_BASE_URL}/student/profile`, data, {
       headers: { Authorization: `Bearer ${token}` },
@@ -47,3 +115,6 @@ class ApiService {
 }
 
 export const apiService = new ApiService();
+
+// Signed file links come back as server paths ("/api/files/..."); resolve them against the API host
+export const resolveApiUrl = (path: string) => new URL(path, API_BASE_URL).toString();
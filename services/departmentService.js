@@ -395,7 +395,10 @@ export default departmentService
 
 // Frontend API fetch functions (for use in React/Next.js)
 export async function getStudentById(studentId) {
-  const res = await fetch(`/api/department/students/${studentId}`);
+  const token = localStorage.getItem("token") || sessionStorage.getItem("token");
+  const res = await fetch(`/api/department/students/${studentId}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
   if (!res.ok) throw new Error("Failed to fetch student");
   const json = await res.json();
   return json.data || json;
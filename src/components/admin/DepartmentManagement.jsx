@@ -46,6 +46,21 @@ const DepartmentManagement = () => {
     }
   }
 
+  const handleRemoveOfficer = async (deptId, officer) => {
+    if (
+      window.confirm(
+        `Remove ${officer.firstName} ${officer.lastName} from this department? Their account will be deactivated.`,
+      )
+    ) {
+      try {
+        await adminService.removeOfficer(deptId, officer._id)
+        fetchData()
+      } catch (error) {
+        console.error("Remove officer error:", error)
+      }
+    }
+  }
+
   const DepartmentForm = ({ department, onClose, onSave }) => {
     const [formData, setFormData] = useState({
       name: department?.name || "",
@@ -216,6 +231,54 @@ const DepartmentManagement = () => {
       canManageRequirements: false,
     })
     const [assigning, setAssigning] = useState(false)
+    const [invite, setInvite] = useState({ email: "", role: "officer" })
+    const [invitations, setInvitations] = useState([])
+    const [inviting, setInviting] = useState(false)
+    const [inviteMessage, setInviteMessage] = useState("")
+
+    const fetchInvitations = async () => {
+      try {
+        const data = await adminService.getInvitations(department._id)
+        setInvitations(data.invitations)
+      } catch (error) {
+        console.error("Error fetching invitations:", error)
+      }
+    }
+
+    useEffect(() => {
+      fetchInvitations()
+    }, [])
+
+    const handleInvite = async (e) => {
+      e.preventDefault()
+      if (!invite.email) return
+
+      setInviting(true)
+      setInviteMessage("")
+      try {
+        const data = await adminService.inviteOfficer(department._id, invite)
+        setInviteMessage(
+          data.emailSent
+            ? `Invitation sent to ${invite.email}.`
+            : `Invitation created, but the email to ${invite.email} could not be sent. Try inviting again later.`,
+        )
+        setInvite({ email: "", role: "officer" })
+        fetchInvitations()
+      } catch (error) {
+        setInviteMessage(error.message || "Could not send the invitation.")
+      } finally {
+        setInviting(false)
+      }
+    }
+
+    const handleRevoke = async (invitationId) => {
+      try {
+        await adminService.revokeInvitation(invitationId)
+        fetchInvitations()
+      } catch (error) {
+        console.error("Revoke error:", error)
+      }
+    }
 
     const handleSubmit = async (e) => {
       e.preventDefault()
@@ -303,6 +366,60 @@ const DepartmentManagement = () => {
                 </button>
               </div>
             </form>
+
+            <div className="border-t mt-6 pt-6">
+              <h4 className="text-sm font-semibold text-gray-900 mb-1">Invite a new officer</h4>
+              <p className="text-xs text-gray-500 mb-3">
+                They get an email link to create their own account for this department.
+              </p>
+              <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-2">
+                <input
+                  type="email"
+                  value={invite.email}
+                  onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                  placeholder="officer@university.edu"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  required
+                />
+                <select
+                  value={invite.role}
+                  onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="head">Head</option>
+                  <option value="officer">Officer</option>
+                  <option value="assistant">Assistant</option>
+                </select>
+                <button
+                  type="submit"
+                  disabled={inviting}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {inviting ? "Sending..." : "Invite"}
+                </button>
+              </form>
+              {inviteMessage && <p className="text-xs text-gray-600 mt-2">{inviteMessage}</p>}
+
+              {invitations.length > 0 && (
+                <div className="mt-4 space-y-1">
+                  <h5 className="text-xs font-medium text-gray-700">Pending invitations</h5>
+                  {invitations.map((invitation) => (
+                    <div key={invitation._id} className="flex items-center justify-between text-sm">
+                      <span className="text-gray-600">
+                        {invitation.email} ({invitation.role})
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => handleRevoke(invitation._id)}
+                        className="text-red-600 hover:text-red-800 text-xs"
+                      >
+                        Revoke
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
           </div>
         </div>
       </div>
@@ -408,13 +525,21 @@ const DepartmentManagement = () => {
                         <span className="text-gray-600">
                           {officer.firstName} {officer.lastName}
                         </span>
-                        <span
-                          className={`px-2 py-1 rounded-full text-xs ${
-                            officer.status === "active" ? "bg-green-100 text-green-800" : "bg-gray-100 text-gray-800"
-                          }`}
-                        >
-                          {officer.status}
-                        </span>
+                        <div className="flex items-center gap-2">
+                          <span
+                            className={`px-2 py-1 rounded-full text-xs ${
+                              officer.status === "active" ? "bg-green-100 text-green-800" : "bg-gray-100 text-gray-800"
+                            }`}
+                          >
+                            {officer.status}
+                          </span>
+                          <button
+                            onClick={() => handleRemoveOfficer(department._id, officer)}
+                            className="text-red-600 hover:text-red-800 text-xs"
+                          >
+                            Remove
+                          </button>
+                        </div>
                       </div>
                     ))}
                     {department.officers?.length > 3 && (
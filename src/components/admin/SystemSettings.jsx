@@ -4,6 +4,14 @@ import { useState, useEffect } from "react"
 import { Settings, Shield, Mail, Lock, Save, RefreshCw, Eye, EyeOff } from "lucide-react"
 import { adminService } from "../../services/adminService"
 import LoadingSpinner from "../shared/LoadingSpinner"
+import TwoFactorSettings from "../shared/TwoFactorSettings"
+import ActiveSessions from "../shared/ActiveSessions"
+
+// Roles that two-factor authentication can be required for
+const TWO_FACTOR_ROLES = [
+  { value: "department", label: "Department officers" },
+  { value: "admin", label: "Administrators" },
+]
 
 const SystemSettings = () => {
   const [settings, setSettings] = useState(null)
@@ -176,7 +184,8 @@ const SystemSettings = () => {
       saveSettings("permissions", permissions)
     }
 
-    const roles = ["student", "officer", "admin"]
+    // head, officer and assistant are department officer roles; officers also need the permission on their officer record
+    const roles = ["student", "head", "officer", "assistant", "admin"]
     const permissionsList = [
       { key: "canView", label: "View Records" },
       { key: "canEdit", label: "Edit Records" },
@@ -358,6 +367,67 @@ const SystemSettings = () => {
     )
   }
 
+  const SecuritySettings = () => {
+    const [requireTwoFactorRoles, setRequireTwoFactorRoles] = useState(settings?.security?.requireTwoFactorRoles || [])
+
+    const toggleRole = (role) => {
+      setRequireTwoFactorRoles((prev) =>
+        prev.includes(role) ? prev.filter((value) => value !== role) : [...prev, role],
+      )
+    }
+
+    const handleSubmit = (e) => {
+      e.preventDefault()
+      saveSettings("security", { requireTwoFactorRoles })
+    }
+
+    return (
+      <div className="space-y-8">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Require Two-Factor Authentication</h3>
+            <p className="text-sm text-gray-600 mt-1">
+              Accounts in these roles must sign in with a code from an authenticator app. Anyone not yet enrolled is
+              asked to set it up at their next login.
+            </p>
+          </div>
+
+          {TWO_FACTOR_ROLES.map((role) => (
+            <div key={role.value} className="flex items-center">
+              <input
+                type="checkbox"
+                id={`require2fa-${role.value}`}
+                checked={requireTwoFactorRoles.includes(role.value)}
+                onChange={() => toggleRole(role.value)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <label htmlFor={`require2fa-${role.value}`} className="ml-2 text-sm text-gray-700">
+                {role.label}
+              </label>
+            </div>
+          ))}
+
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center"
+          >
+            <Save className="w-4 h-4 mr-2" />
+            {saving ? "Saving..." : "Save Security Settings"}
+          </button>
+        </form>
+
+        <div className="border-t pt-6">
+          <TwoFactorSettings />
+        </div>
+
+        <div className="border-t pt-6">
+          <ActiveSessions />
+        </div>
+      </div>
+    )
+  }
+
   if (loading) return <LoadingSpinner />
 
   return (
@@ -425,13 +495,7 @@ const SystemSettings = () => {
               {activeTab === "general" && <GeneralSettings />}
               {activeTab === "permissions" && <UserPermissions />}
               {activeTab === "email" && <EmailSettings />}
-              {activeTab === "security" && (
-                <div className="text-center py-12">
-                  <Lock className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-                  <h3 className="text-lg font-medium text-gray-900 mb-2">Security Settings</h3>
-                  <p className="text-gray-600">Security configuration panel coming soon.</p>
-                </div>
-              )}
+              {activeTab === "security" && <SecuritySettings />}
             </div>
           </div>
         </div>
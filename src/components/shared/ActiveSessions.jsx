@@ -0,0 +1,142 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Monitor, Smartphone } from "lucide-react"
+import authService from "../../services/authService"
+
+// Rough browser and OS names from a user agent, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = "") => {
+  const browser =
+    [
+      ["Edge", /Edg\//],
+      ["Opera", /OPR\//],
+      ["Chrome", /Chrome\//],
+      ["Firefox", /Firefox\//],
+      ["Safari", /Safari\//],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0] || "Unknown browser"
+  const os =
+    [
+      ["Android", /Android/],
+      ["iOS", /iPhone|iPad/],
+      ["Windows", /Windows/],
+      ["macOS", /Mac OS X/],
+      ["Linux", /Linux/],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0] || "unknown device"
+  return { label: `${browser} on ${os}`, mobile: /Android|iPhone|iPad|Mobile/.test(userAgent) }
+}
+
+/**
+ * Active Sessions Component
+ * Lists the devices signed in to the current account and signs them out one by one or all at once
+ */
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState(null)
+  const [working, setWorking] = useState(false)
+  const [success, setSuccess] = useState("")
+  const [error, setError] = useState("")
+
+  useEffect(() => {
+    fetchSessions()
+  }, [])
+
+  const fetchSessions = async () => {
+    try {
+      const data = await authService.getSessions()
+      setSessions(data)
+    } catch (err) {
+      setError("Failed to load active sessions.")
+    }
+  }
+
+  const run = async (action, successMessage) => {
+    setWorking(true)
+    setError("")
+    setSuccess("")
+    try {
+      await action()
+      setSuccess(successMessage)
+      await fetchSessions()
+    } catch (err) {
+      setError(err.message || "Something went wrong. Please try again.")
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleRevoke = (sessionId) => run(() => authService.revokeSession(sessionId), "Session signed out.")
+
+  const handleRevokeOthers = () => {
+    if (!window.confirm("Sign out every other device signed in to your account?")) return
+    run(() => authService.revokeOtherSessions(), "Signed out of all other sessions.")
+  }
+
+  if (!sessions) {
+    return <div className="text-gray-500">{error || "Loading active sessions..."}</div>
+  }
+
+  const others = sessions.filter((session) => !session.current)
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Active Sessions</h3>
+          <p className="text-sm text-gray-500">
+            Devices signed in to your account. Sign out any you don't recognise and change your password.
+          </p>
+        </div>
+        {others.length > 0 && (
+          <button
+            onClick={handleRevokeOthers}
+            disabled={working}
+            className="px-3 py-2 text-sm border border-red-300 text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-50 whitespace-nowrap"
+          >
+            Sign out all others
+          </button>
+        )}
+      </div>
+
+      {success && <div className="text-green-600">{success}</div>}
+      {error && <div className="text-red-600">{error}</div>}
+
+      <ul className="divide-y border rounded-lg">
+        {sessions.map((session) => {
+          const device = describeDevice(session.userAgent)
+          const Icon = device.mobile ? Smartphone : Monitor
+          return (
+            <li key={session.id} className="flex items-center justify-between gap-4 p-4">
+              <div className="flex items-start gap-3">
+                <Icon className="w-5 h-5 text-gray-400 mt-0.5" />
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {device.label}
+                    {session.current && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {session.ip || "Unknown IP"} · Signed in {new Date(session.createdAt).toLocaleString()} · Last active{" "}
+                    {new Date(session.lastUsedAt).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => handleRevoke(session.id)}
+                  disabled={working}
+                  className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                >
+                  Sign out
+                </button>
+              )}
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
+
+export default ActiveSessions
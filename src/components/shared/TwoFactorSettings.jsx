@@ -0,0 +1,254 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { ShieldCheck, ShieldOff, KeyRound } from "lucide-react"
+import authService from "../../services/authService"
+
+/**
+ * Two-Factor Settings Component
+ * Enrollment with an authenticator app (QR code or manual key), recovery codes and turning it off
+ * Shown to department officers and admins for their own account
+ */
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null)
+  const [setup, setSetup] = useState(null)
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [code, setCode] = useState("")
+  const [disableForm, setDisableForm] = useState({ password: "", code: "" })
+  const [showDisable, setShowDisable] = useState(false)
+  const [working, setWorking] = useState(false)
+  const [success, setSuccess] = useState("")
+  const [error, setError] = useState("")
+
+  useEffect(() => {
+    fetchStatus()
+  }, [])
+
+  const fetchStatus = async () => {
+    try {
+      const data = await authService.getTwoFactorStatus()
+      setStatus(data)
+    } catch (err) {
+      setError("Failed to load two-factor authentication status.")
+    }
+  }
+
+  const run = async (action, successMessage) => {
+    setWorking(true)
+    setError("")
+    setSuccess("")
+    try {
+      await action()
+      if (successMessage) setSuccess(successMessage)
+      await fetchStatus()
+    } catch (err) {
+      setError(err.message || "Something went wrong. Please try again.")
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleStartSetup = () =>
+    run(async () => {
+      setRecoveryCodes(null)
+      const data = await authService.setupTwoFactor()
+      setSetup(data)
+      setCode("")
+    })
+
+  const handleConfirmSetup = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const data = await authService.enableTwoFactor(code)
+      setRecoveryCodes(data.recoveryCodes)
+      setSetup(null)
+      setCode("")
+    }, "Two-factor authentication is on.")
+  }
+
+  const handleRegenerate = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const data = await authService.regenerateRecoveryCodes(code)
+      setRecoveryCodes(data.recoveryCodes)
+      setCode("")
+    }, "New recovery codes generated. The old ones no longer work.")
+  }
+
+  const handleDisable = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const value = disableForm.code.trim()
+      await authService.disableTwoFactor({
+        password: disableForm.password,
+        ...(/^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value }),
+      })
+      setDisableForm({ password: "", code: "" })
+      setShowDisable(false)
+      setRecoveryCodes(null)
+    }, "Two-factor authentication is off.")
+  }
+
+  if (!status) {
+    return <div className="text-gray-500">{error || "Loading two-factor authentication..."}</div>
+  }
+
+  if (!status.available) return null
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start gap-3">
+        {status.enabled ? (
+          <ShieldCheck className="w-6 h-6 text-green-600 mt-0.5" />
+        ) : (
+          <ShieldOff className="w-6 h-6 text-gray-400 mt-0.5" />
+        )}
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h3>
+          <p className="text-sm text-gray-500">
+            {status.enabled
+              ? `On. Signing in asks for a code from your authenticator app. ${status.recoveryCodesRemaining} recovery codes left.`
+              : "Off. Add a code from an authenticator app (Google Authenticator, Authy, 1Password...) to your sign-in."}
+          </p>
+          {status.required && (
+            <p className="text-sm text-amber-700 mt-1">Required for your account by the system administrator.</p>
+          )}
+        </div>
+      </div>
+
+      {success && <div className="text-green-600">{success}</div>}
+      {error && <div className="text-red-600">{error}</div>}
+
+      {recoveryCodes && (
+        <div className="border border-amber-200 bg-amber-50 rounded-lg p-4">
+          <p className="text-sm font-medium text-amber-800 mb-2">
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone. They will not
+            be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <button
+          onClick={handleStartSetup}
+          disabled={working}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          Set up two-factor authentication
+        </button>
+      )}
+
+      {!status.enabled && setup && (
+        <form onSubmit={handleConfirmSetup} className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Scan this QR code with your authenticator app, then enter the six-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-44 h-44 border rounded" />
+          <p className="text-xs text-gray-500">
+            Can't scan it? Enter this key instead: <span className="font-mono text-gray-900">{setup.secret}</span>
+          </p>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+              placeholder="123456"
+              className="w-32 px-3 py-2 border border-gray-300 rounded-lg font-mono focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={working || code.length !== 6}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              Turn on
+            </button>
+            <button
+              type="button"
+              onClick={() => setSetup(null)}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && (
+        <div className="space-y-4">
+          <form onSubmit={handleRegenerate} className="flex flex-wrap items-center gap-2">
+            <KeyRound className="w-4 h-4 text-gray-400" />
+            <span className="text-sm text-gray-700">New recovery codes:</span>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+              placeholder="Current code"
+              className="w-32 px-3 py-2 border border-gray-300 rounded-lg font-mono focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={working || code.length !== 6}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              Generate
+            </button>
+          </form>
+
+          {!status.required && !showDisable && (
+            <button onClick={() => setShowDisable(true)} className="text-sm text-red-600 hover:text-red-700">
+              Turn off two-factor authentication
+            </button>
+          )}
+
+          {!status.required && showDisable && (
+            <form onSubmit={handleDisable} className="flex flex-wrap items-center gap-2">
+              <input
+                type="password"
+                autoComplete="current-password"
+                value={disableForm.password}
+                onChange={(e) => setDisableForm({ ...disableForm, password: e.target.value })}
+                placeholder="Password"
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <input
+                type="text"
+                autoComplete="one-time-code"
+                value={disableForm.code}
+                onChange={(e) => setDisableForm({ ...disableForm, code: e.target.value })}
+                placeholder="Code or recovery code"
+                className="px-3 py-2 border border-gray-300 rounded-lg font-mono focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={working || !disableForm.password || !disableForm.code.trim()}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+              >
+                Turn off
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowDisable(false)}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TwoFactorSettings
@@ -87,6 +87,7 @@ export function AuthProvider({ children }) {
       setLoading(true)
 
       const data = await authService.login(credentials)
+      if (data.challengeToken) return data
 
       setUser(data.user)
       setIsAuthenticated(true)
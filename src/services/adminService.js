@@ -7,11 +7,12 @@ import { apiUtils } from "./api"
 class AdminService {
   /**
    * Get admin dashboard with system-wide analytics
+   * @param {string} period - Reporting period (7d, 30d, 90d, 1y)
    * @returns {Promise<Object>} Dashboard data with analytics and system health
    */
-  async getDashboard() {
+  async getDashboard(period = "7d") {
     try {
-      const data = await apiUtils.get("/admin/dashboard")
+      const data = await apiUtils.get("/admin/dashboard", { period })
       return data
     } catch (error) {
       console.error("Failed to fetch admin dashboard:", error)
@@ -19,6 +20,15 @@ class AdminService {
     }
   }
 
+  /**
+   * Get dashboard data for the selected period
+   * @param {string} period - Reporting period (7d, 30d, 90d, 1y)
+   * @returns {Promise<Object>} Dashboard data
+   */
+  async getDashboardAnalytics(period) {
+    return this.getDashboard(period)
+  }
+
   /**
    * Get system analytics
    * @param {Object} options - Query options
@@ -66,9 +76,11 @@ class AdminService {
   async createStudent(studentData) {
     try {
       // Normalize phone number
+      const { phoneNumber, session, ...rest } = studentData
       const normalizedData = {
-        ...studentData,
-        phone: this.normalizePhoneNumber(studentData.phone),
+        ...rest,
+        phone: this.normalizePhoneNumber(studentData.phone || phoneNumber),
+        ...(session && { academicSession: session }),
       }
 
       const data = await apiUtils.post("/admin/students", normalizedData)
@@ -88,9 +100,12 @@ class AdminService {
   async updateStudent(studentId, studentData) {
     try {
       // Normalize phone number if provided
-      const normalizedData = { ...studentData }
-      if (studentData.phone) {
-        normalizedData.phone = this.normalizePhoneNumber(studentData.phone)
+      const { phoneNumber, session, ...normalizedData } = studentData
+      if (studentData.phone || phoneNumber) {
+        normalizedData.phone = this.normalizePhoneNumber(studentData.phone || phoneNumber)
+      }
+      if (session) {
+        normalizedData.academicSession = session
       }
 
       const data = await apiUtils.put(`/admin/students/${studentId}`, normalizedData)
@@ -117,7 +132,23 @@ class AdminService {
   }
 
   /**
-   * Bulk import students from CSV/Excel
+   * Apply an action to several students
+   * @param {string} action - Action (activate, deactivate, delete)
+   * @param {string[]} studentIds - Student IDs
+   * @returns {Promise<Object>} Action result
+   */
+  async bulkStudentAction(action, studentIds) {
+    try {
+      const data = await apiUtils.post("/admin/students/bulk-action", { action, studentIds })
+      return data
+    } catch (error) {
+      console.error("Failed to apply bulk student action:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Bulk import students from CSV
    * @param {File} file - Import file
    * @param {Function} onProgress - Progress callback
    * @returns {Promise<Object>} Import result
@@ -138,16 +169,15 @@ class AdminService {
   /**
    * Export students data
    * @param {Object} options - Export options
-   * @param {string} options.format - Export format (csv, excel, pdf)
-   * @param {Object} options.filters - Export filters
-   * @returns {Promise<Blob>} Export file blob
+   * @param {string} options.search - Search query
+   * @param {string} options.department - Filter by department
+   * @param {string} options.level - Filter by level
+   * @param {string} options.status - Filter by status
+   * @returns {Promise<Blob>} CSV file blob
    */
   async exportStudents(options = {}) {
     try {
-      const response = await apiUtils.get("/admin/students/export", {
-        ...options,
-        responseType: "blob",
-      })
+      const response = await apiUtils.download("/admin/students/export", options)
 
       return response
     } catch (error) {
@@ -178,7 +208,7 @@ class AdminService {
    */
   async createDepartment(departmentData) {
     try {
-      const data = await apiUtils.post("/admin/departments", departmentData)
+      const data = await apiUtils.post("/admin/departments", this.normalizeDepartment(departmentData))
       return data
     } catch (error) {
       console.error("Failed to create department:", error)
@@ -194,7 +224,7 @@ class AdminService {
    */
   async updateDepartment(departmentId, departmentData) {
     try {
-      const data = await apiUtils.put(`/admin/departments/${departmentId}`, departmentData)
+      const data = await apiUtils.put(`/admin/departments/${departmentId}`, this.normalizeDepartment(departmentData))
       return data
     } catch (error) {
       console.error("Failed to update department:", error)
@@ -237,6 +267,106 @@ class AdminService {
     }
   }
 
+  /**
+   * Get department officer accounts
+   * @returns {Promise<Object>} Officers data
+   */
+  async getOfficers() {
+    try {
+      const data = await apiUtils.get("/admin/officers")
+      return data
+    } catch (error) {
+      console.error("Failed to fetch officers:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Assign an officer to a department
+   * @param {string} departmentId - Department ID
+   * @param {Object} assignment - Assignment data
+   * @param {string} assignment.officerId - Officer user ID
+   * @param {Object} assignment.permissions - Permission flags (canApprove, canReject, canViewAll, canManageRequirements)
+   * @returns {Promise<Object>} Updated department
+   */
+  async assignOfficer(departmentId, { officerId, permissions = {}, role = "officer" }) {
+    const permissionMap = {
+      canViewAll: "view",
+      canApprove: "approve",
+      canReject: "reject",
+      canManageRequirements: "edit",
+    }
+    const granted = Object.keys(permissionMap)
+      .filter((key) => permissions[key])
+      .map((key) => permissionMap[key])
+
+    return this.manageDepartmentOfficers(departmentId, {
+      action: "add",
+      userId: officerId,
+      role,
+      permissions: granted.includes("view") ? granted : ["view", ...granted],
+    })
+  }
+
+  /**
+   * Remove an officer from a department and deactivate their account
+   * @param {string} departmentId - Department ID
+   * @param {string} officerId - Officer user ID
+   * @returns {Promise<Object>} Updated department
+   */
+  async removeOfficer(departmentId, officerId) {
+    return this.manageDepartmentOfficers(departmentId, { action: "remove", userId: officerId })
+  }
+
+  /**
+   * Invite someone by email to become an officer of a department
+   * @param {string} departmentId - Department ID
+   * @param {Object} invitation - Invitation data
+   * @param {string} invitation.email - Email address to invite
+   * @param {string} invitation.role - Officer role (head, officer, assistant)
+   * @param {string[]} invitation.permissions - Optional officer permissions
+   * @returns {Promise<Object>} Invitation and whether the email was sent
+   */
+  async inviteOfficer(departmentId, invitation) {
+    try {
+      const data = await apiUtils.post(`/admin/departments/${departmentId}/invitations`, invitation)
+      return data
+    } catch (error) {
+      console.error("Failed to invite officer:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Get a department's pending officer invitations
+   * @param {string} departmentId - Department ID
+   * @returns {Promise<Object>} Invitations data
+   */
+  async getInvitations(departmentId) {
+    try {
+      const data = await apiUtils.get(`/admin/departments/${departmentId}/invitations`)
+      return data
+    } catch (error) {
+      console.error("Failed to fetch invitations:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Revoke a pending officer invitation
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object>} Revoked invitation
+   */
+  async revokeInvitation(invitationId) {
+    try {
+      const data = await apiUtils.delete(`/admin/invitations/${invitationId}`)
+      return data
+    } catch (error) {
+      console.error("Failed to revoke invitation:", error)
+      throw error
+    }
+  }
+
   /**
    * Get all clearance applications
    * @param {Object} options - Query options
@@ -291,10 +421,32 @@ class AdminService {
     }
   }
 
+  /**
+   * Count the recipients an announcement audience would reach
+   * @param {Object} audience - Audience filters
+   * @param {string[]} audience.roles - Roles to include (student, department, admin)
+   * @param {string} audience.faculty - Faculty
+   * @param {string} audience.department - Department ID, name or code
+   * @param {string} audience.level - Student level
+   * @param {string} audience.academicSession - Academic session
+   * @param {string} audience.clearanceStatus - Clearance status, or "pending"
+   * @returns {Promise<Object>} Total and per-role counts
+   */
+  async previewBulkNotification(audience) {
+    try {
+      const data = await apiUtils.post("/admin/notifications/bulk/preview", { audience })
+      return data
+    } catch (error) {
+      console.error("Failed to preview bulk notification:", error)
+      throw error
+    }
+  }
+
   /**
    * Send bulk notifications
    * @param {Object} notificationData - Notification data
-   * @param {string[]} notificationData.recipients - Recipient user IDs
+   * @param {string[]} notificationData.recipients - Recipient user IDs (or use audience)
+   * @param {Object} notificationData.audience - Audience filters, as for previewBulkNotification
    * @param {string} notificationData.title - Notification title
    * @param {string} notificationData.message - Notification message
    * @param {string} notificationData.type - Notification type
@@ -328,10 +480,9 @@ class AdminService {
 
       if (format && ["pdf", "excel", "csv"].includes(format)) {
         // Return blob for file downloads
-        const response = await apiUtils.get("/admin/reports", {
+        const response = await apiUtils.download("/admin/reports", {
           ...queryParams,
           format,
-          responseType: "blob",
         })
         return response
       } else {
@@ -345,6 +496,35 @@ class AdminService {
     }
   }
 
+  /**
+   * Get report data for the reports page
+   * @param {Object} filters - Report filters (startDate, endDate, department, status, reportType)
+   * @returns {Promise<Object>} Report data
+   */
+  async getReportData(filters = {}) {
+    return this.getSystemReports(filters)
+  }
+
+  /**
+   * Download a report as PDF
+   * @param {string} type - Report type
+   * @param {Object} filters - Report filters
+   * @returns {Promise<Blob>} Report file blob
+   */
+  async generatePDFReport(type, filters = {}) {
+    return this.getSystemReports({ ...filters, reportType: type, format: "pdf" })
+  }
+
+  /**
+   * Download a report as a spreadsheet (CSV)
+   * @param {string} type - Report type
+   * @param {Object} filters - Report filters
+   * @returns {Promise<Blob>} Report file blob
+   */
+  async generateExcelReport(type, filters = {}) {
+    return this.getSystemReports({ ...filters, reportType: type, format: "excel" })
+  }
+
   /**
    * Get system health status
    * @returns {Promise<Object>} System health data
@@ -359,6 +539,54 @@ class AdminService {
     }
   }
 
+  /**
+   * Get scheduled jobs with their latest run
+   * @returns {Promise<Object[]>} Jobs
+   */
+  async getJobs() {
+    try {
+      const data = await apiUtils.get("/admin/system/jobs")
+      return data
+    } catch (error) {
+      console.error("Failed to fetch jobs:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Get the run history of a job
+   * @param {string} name - Job name
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Items per page
+   * @param {string} options.status - Filter by status (running, succeeded, failed)
+   * @returns {Promise<Object>} Runs and pagination
+   */
+  async getJobRuns(name, options = {}) {
+    try {
+      const data = await apiUtils.get(`/admin/system/jobs/${name}/runs`, options)
+      return data
+    } catch (error) {
+      console.error("Failed to fetch job history:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Run a job now
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} The finished run
+   */
+  async runJob(name) {
+    try {
+      const data = await apiUtils.post(`/admin/system/jobs/${name}/run`)
+      return data
+    } catch (error) {
+      console.error("Failed to run job:", error)
+      throw error
+    }
+  }
+
   /**
    * Get audit logs
    * @param {Object} options - Query options
@@ -395,13 +623,14 @@ class AdminService {
   }
 
   /**
-   * Update system settings
-   * @param {Object} settings - Updated settings
+   * Update one section of the system settings
+   * @param {string} section - Settings section (general, permissions, email, security)
+   * @param {Object} settings - Updated settings for the section
    * @returns {Promise<Object>} Update result
    */
-  async updateSystemSettings(settings) {
+  async updateSystemSettings(section, settings) {
     try {
-      const data = await apiUtils.put("/admin/settings", settings)
+      const data = await apiUtils.put("/admin/settings", { section, data: settings })
       return data
     } catch (error) {
       console.error("Failed to update system settings:", error)
@@ -486,6 +715,23 @@ class AdminService {
     }
   }
 
+  /**
+   * Convert the department form's requirement strings into requirement objects
+   * @param {Object} departmentData - Department form data
+   * @returns {Object} Department payload
+   * @private
+   */
+  normalizeDepartment(departmentData) {
+    if (!Array.isArray(departmentData.requirements)) return departmentData
+
+    return {
+      ...departmentData,
+      requirements: departmentData.requirements
+        .map((requirement) => (typeof requirement === "string" ? { name: requirement.trim() } : requirement))
+        .filter((requirement) => requirement.name),
+    }
+  }
+
   /**
    * Normalize phone number
    * @param {string} phone - Phone number
@@ -511,4 +757,5 @@ class AdminService {
 
 // Create and export singleton instance
 const adminService = new AdminService()
+export { adminService }
 export default adminService
@@ -35,6 +35,10 @@ api.interceptors.request.use(
   },
 )
 
+// Requests that fail with 401 at the same time share one refresh: each refresh token works
+// once, and sending it twice is treated as token theft and signs the session out
+let refreshRequest = null
+
 // Response interceptor for error handling and token refresh
 api.interceptors.response.use(
   (response) => {
@@ -67,10 +71,16 @@ api.interceptors.response.use(
         const refreshToken = localStorage.getItem("refreshToken")
 
         if (refreshToken) {
-          const response = await axios.post(
-            `${process.env.REACT_APP_API_URL || "https://biu-uni.onrender.com/api"}/auth/refresh-token`,
-            { refreshToken },
-          )
+          if (!refreshRequest) {
+            refreshRequest = axios
+              .post(`${process.env.REACT_APP_API_URL || "https://biu-uni.onrender.com/api"}/auth/refresh-token`, {
+                refreshToken,
+              })
+              .finally(() => {
+                refreshRequest = null
+              })
+          }
+          const response = await refreshRequest
 
           const { token, refreshToken: newRefreshToken } = response.data.data
 
@@ -229,6 +239,16 @@ export const apiUtils = {
     }
   },
 
+  // GET request returning a file Blob (exports and reports)
+  download: async (url, params = {}) => {
+    try {
+      const response = await api.get(url, { params, responseType: "blob" })
+      return response.data
+    } catch (error) {
+      throw handleApiError(error)
+    }
+  },
+
   // Upload with progress tracking
   upload: async (url, formData, onProgress) => {
     try {
@@ -12,12 +12,17 @@ class AuthService {
    * @param {string} credentials.password - User password
    * @param {string} credentials.role - User role (student, department, admin)
    * @param {boolean} credentials.rememberMe - Remember user login
-   * @returns {Promise<Object>} User data and tokens
+   * @returns {Promise<Object>} User data and tokens, or a challengeToken when a second step is needed
    */
   async login(credentials) {
     try {
       const data = await apiUtils.post("/auth/login", credentials)
 
+      // Two-factor accounts get a challenge instead of tokens; nothing to store yet
+      if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+        return data
+      }
+
       // Store tokens based on rememberMe preference
       const storage = credentials.rememberMe ? localStorage : sessionStorage
       storage.setItem("token", data.token)
@@ -145,6 +150,23 @@ class AuthService {
     }
   }
 
+  /**
+   * Set a new password with the token from a reset link
+   * @param {string} token - Token from the reset link
+   * @param {string} password - New password
+   * @param {string} confirmPassword - New password again
+   * @returns {Promise<Object>} Reset result
+   */
+  async resetPassword(token, password, confirmPassword) {
+    try {
+      const data = await apiUtils.post(`/auth/reset-password/${encodeURIComponent(token)}`, { password, confirmPassword })
+      return data
+    } catch (error) {
+      console.error("Password reset failed:", error)
+      throw error
+    }
+  }
+
   /**
    * Change user password
    * @param {Object} passwordData - Password change data
@@ -167,6 +189,122 @@ class AuthService {
     }
   }
 
+  /**
+   * Get active sessions (signed-in devices) of the current account
+   * @returns {Promise<Array>} Sessions, the current one flagged with current
+   */
+  async getSessions() {
+    try {
+      const data = await apiUtils.get("/auth/sessions")
+      return data
+    } catch (error) {
+      console.error("Failed to get sessions:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Sign one session out
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Result
+   */
+  async revokeSession(sessionId) {
+    try {
+      const data = await apiUtils.delete(`/auth/sessions/${sessionId}`)
+      return data
+    } catch (error) {
+      console.error("Failed to revoke session:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Sign out every session except the current one
+   * @returns {Promise<Object>} Result
+   */
+  async revokeOtherSessions() {
+    try {
+      const data = await apiUtils.delete("/auth/sessions")
+      return data
+    } catch (error) {
+      console.error("Failed to revoke sessions:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Get two-factor authentication status of the current account
+   * @returns {Promise<Object>} enabled, required, available and recoveryCodesRemaining
+   */
+  async getTwoFactorStatus() {
+    try {
+      const data = await apiUtils.get("/auth/2fa")
+      return data
+    } catch (error) {
+      console.error("Failed to get two-factor status:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Start two-factor enrollment
+   * @returns {Promise<Object>} secret, otpauthUrl and qrCode (data URL) for an authenticator app
+   */
+  async setupTwoFactor() {
+    try {
+      const data = await apiUtils.post("/auth/2fa/setup")
+      return data
+    } catch (error) {
+      console.error("Failed to start two-factor setup:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Confirm two-factor enrollment with a code from the authenticator app
+   * @param {string} code - Six-digit code
+   * @returns {Promise<Object>} recoveryCodes, shown once
+   */
+  async enableTwoFactor(code) {
+    try {
+      const data = await apiUtils.post("/auth/2fa/enable", { code })
+      return data
+    } catch (error) {
+      console.error("Failed to enable two-factor authentication:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @param {Object} details - password, and code or recoveryCode
+   * @returns {Promise<Object>} Result
+   */
+  async disableTwoFactor(details) {
+    try {
+      const data = await apiUtils.post("/auth/2fa/disable", details)
+      return data
+    } catch (error) {
+      console.error("Failed to disable two-factor authentication:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Replace the recovery codes
+   * @param {string} code - Current code from the authenticator app
+   * @returns {Promise<Object>} recoveryCodes, shown once
+   */
+  async regenerateRecoveryCodes(code) {
+    try {
+      const data = await apiUtils.post("/auth/2fa/recovery-codes", { code })
+      return data
+    } catch (error) {
+      console.error("Failed to regenerate recovery codes:", error)
+      throw error
+    }
+  }
+
   /**
    * Get current user from storage
    * @returns {Object|null} Current user data
@@ -282,7 +420,16 @@ export const {
   verifyToken,
   refreshToken,
   forgotPassword,
+  resetPassword,
   changePassword,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   getCurrentUser,
   isAuthenticated,
   hasRole,
@@ -101,11 +101,10 @@ class DepartmentService {
    */
   async approveStudent(approvalData) {
     try {
-      const { clearanceId, remarks, departmentId, departmentSubdocId, approvedBy, studentId } = approvalData;
+      const { clearanceId, remarks, departmentId, departmentSubdocId, studentId } = approvalData;
       const data = await apiUtils.patch(`/department/clearance-requests/${clearanceId}/approve`, {
         departmentId: departmentId, // reference to Department collection
         departmentSubdocId: departmentSubdocId, // subdocument _id in clearance.departments
-        approvedBy: approvedBy, // optional, can be user._id
         remarks: remarks || "Approved by department head."
       });
       this.updateRecentStudentsCache(studentId, "approved");
@@ -116,11 +115,37 @@ class DepartmentService {
     }
   }
 
+  /**
+   * Tick or untick a requirement on a student's clearance checklist
+   * @param {Object} requirementData - Requirement data
+   * @param {string} requirementData.clearanceId - Clearance ID
+   * @param {string} requirementData.departmentSubdocId - Subdocument _id in clearance.departments
+   * @param {string} requirementData.requirementId - Requirement ID
+   * @param {boolean} requirementData.completed - Whether the requirement is met
+   * @param {string} requirementData.notes - Optional notes
+   * @returns {Promise<Object>} Updated clearance
+   */
+  async updateRequirement(requirementData) {
+    try {
+      const { clearanceId, departmentId, departmentSubdocId, requirementId, completed, notes } = requirementData
+      const data = await apiUtils.patch(
+        `/department/clearance-requests/${clearanceId}/requirements/${requirementId}`,
+        { departmentId, departmentSubdocId, completed, notes },
+      )
+      return data
+    } catch (error) {
+      console.error("Failed to update requirement:", error)
+      throw error
+    }
+  }
+
   /**
    * Reject student clearance
    * @param {Object} rejectionData - Rejection data
    * @param {string} rejectionData.studentId - Student ID
    * @param {string} rejectionData.clearanceId - Clearance ID
+   * @param {string} rejectionData.departmentId - Department ID
+   * @param {string} rejectionData.departmentSubdocId - Subdocument _id in clearance.departments
    * @param {string} rejectionData.remarks - Rejection reason (required)
    * @returns {Promise<Object>} Rejection result
    */
@@ -129,9 +154,11 @@ class DepartmentService {
       if (!rejectionData.remarks || rejectionData.remarks.trim().length < 10) {
         throw new Error("Rejection reason must be at least 10 characters long")
       }
-      const { clearanceId, remarks } = rejectionData;
+      const { clearanceId, remarks, departmentId, departmentSubdocId } = rejectionData;
       const data = await apiUtils.patch(`/department/clearance-requests/${clearanceId}/reject`, {
-        comment: remarks
+        departmentId,
+        departmentSubdocId,
+        reason: remarks.trim(),
       });
       this.updateRecentStudentsCache(rejectionData.studentId, "rejected");
       return data;
@@ -238,11 +265,8 @@ class DepartmentService {
    */
   async downloadDocument(documentId) {
     try {
-      const response = await apiUtils.get(`/department/documents/${documentId}/download`, {
-        responseType: "blob",
-      })
-
-      return response
+      const blob = await apiUtils.download(`/department/documents/${documentId}/download`)
+      return blob
     } catch (error) {
       console.error("Failed to download document:", error)
       throw error
@@ -267,6 +291,24 @@ class DepartmentService {
     }
   }
 
+  /**
+   * Search document names and extracted text
+   * @param {Object} params - Search parameters
+   * @param {string} params.q - Search terms; quote phrases, e.g. "2023/2024" "session fees"
+   * @param {string} params.documentType - Optional document type, e.g. receipt
+   * @param {string} params.studentId - Optional student to search within
+   * @returns {Promise<Object>} Matching documents with text snippets
+   */
+  async searchDocuments(params = {}) {
+    try {
+      const data = await apiUtils.get("/department/documents/search", params)
+      return data
+    } catch (error) {
+      console.error("Failed to search documents:", error)
+      throw error
+    }
+  }
+
   /**
    * Get department requirements
    * @returns {Promise<Object[]>} Department requirements
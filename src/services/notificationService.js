@@ -15,7 +15,8 @@ class NotificationService {
 
   /**
    * Initialize real-time notification connection
-   * @param {string} userId - User ID for socket room
+   * The server places the socket in the user's own room based on the access token.
+   * @param {string} userId - Signed-in user ID
    */
   initializeRealTime(userId) {
     if (typeof window !== "undefined" && window.io) {
@@ -23,19 +24,26 @@ class NotificationService {
         this.socket = window.io(process.env.REACT_APP_API_URL || "https://biu-uni.onrender.com", {
           transports: ["websocket", "polling"],
           timeout: 20000,
+          // Read on every (re)connect so a refreshed token is picked up
+          auth: (callback) => callback({ token: localStorage.getItem("token") || sessionStorage.getItem("token") }),
         })
 
         this.socket.on("connect", () => {
-          console.log("🔌 Connected to notification service")
+          console.log(`🔌 Connected to notification service as ${userId}`)
           this.isConnected = true
 
-          // Join user-specific room
-          this.socket.emit("join_room", userId)
-
           // Notify listeners of connection
           this.notifyListeners("connection", { connected: true })
         })
 
+        this.socket.on("connect_error", (error) => {
+          console.error("🔌 Notification service rejected the connection:", error.message)
+          this.isConnected = false
+
+          // Notify listeners of the failed connection
+          this.notifyListeners("connection", { connected: false, error: error.message, statusCode: error.data?.statusCode })
+        })
+
         this.socket.on("disconnect", () => {
           console.log("🔌 Disconnected from notification service")
           this.isConnected = false
@@ -63,8 +71,8 @@ class NotificationService {
         this.socket.on("notification_read", (data) => {
           console.log("📖 Notification marked as read:", data)
 
-          // Update unread count
-          this.unreadCount = Math.max(0, this.unreadCount - 1)
+          // Update unread count; the server sends the new total, which also covers reads from this tab
+          this.unreadCount = data.unreadCount ?? Math.max(0, this.unreadCount - 1)
 
           // Update cached notification
           this.updateCachedNotification(data.notificationId, { isRead: true })
@@ -230,6 +238,35 @@ class NotificationService {
     }
   }
 
+  /**
+   * Get notification preferences of the current user
+   * @returns {Promise<Object>} Channels per type, quiet hours, digest and SMS opt-out
+   */
+  async getPreferences() {
+    try {
+      const data = await apiUtils.get("/notifications/preferences")
+      return data
+    } catch (error) {
+      console.error("Failed to fetch notification preferences:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Update notification preferences
+   * @param {Object} preferences - Any of channels, quietHours, digest and smsOptOut
+   * @returns {Promise<Object>} Updated preferences
+   */
+  async updatePreferences(preferences) {
+    try {
+      const data = await apiUtils.put("/notifications/preferences", preferences)
+      return data
+    } catch (error) {
+      console.error("Failed to update notification preferences:", error)
+      throw error
+    }
+  }
+
   /**
    * Get unread notification count
    * @returns {Promise<number>} Unread count